@@ -0,0 +1,109 @@
+/**
+ * Express Application
+ *
+ * Middleware, routes and the OpenAPI document built from the route
+ * definitions. Kept apart from server startup (index.js) so the document and
+ * the generated frontend client can be built without starting the server.
+ */
+
+import express from 'express';
+import compression from 'compression';
+import { readFileSync } from 'fs';
+import { defineRoute, buildOpenApiDocument, notFoundHandler, errorHandler } from './services/openapi.js';
+import systemRouter from './routes/system.js';
+import itemsRouter from './routes/items.js';
+import adminRouter from './routes/admin.js';
+import jobsRouter from './routes/jobs.js';
+import catalogRouter from './routes/catalog.js';
+import groupsRouter from './routes/groups.js';
+import arbitrageRouter from './routes/arbitrage.js';
+import streamRouter from './routes/stream.js';
+
+const { version } = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+
+const docsRouter = express.Router();
+
+// Routers by mount path, in mounting order ('' for routers defining full paths)
+// Jobs work with every storage adapter, so they're mounted ahead of the maintenance-only admin routes
+const MOUNTS = [
+  ['', systemRouter],
+  ['', docsRouter],
+  ['/api/items', itemsRouter],
+  ['/api/admin/jobs', jobsRouter],
+  ['/api/admin', adminRouter],
+  ['/api/catalog', catalogRouter],
+  ['/api/groups', groupsRouter],
+  ['/api/arbitrage', arbitrageRouter],
+  ['/api/stream', streamRouter],
+];
+
+let apiDocument = null;
+
+/**
+ * Get the OpenAPI document of every mounted route (built on first use)
+ * @returns {Object} OpenAPI 3.1 document
+ */
+export function getApiDocument() {
+  if (!apiDocument) {
+    apiDocument = buildOpenApiDocument(MOUNTS, {
+      title: 'Mehrwert API',
+      version,
+      description: 'Universalis market data for the tracked items, per tracked world/data center. '
+        + 'Errors are returned as { success: false, error, details? }.',
+    });
+  }
+  return apiDocument;
+}
+
+/**
+ * GET /api/openapi.json
+ * The API document
+ */
+defineRoute(docsRouter, {
+  method: 'get',
+  path: '/api/openapi.json',
+  operationId: 'getOpenApiDocument',
+  summary: 'Get this OpenAPI document',
+  tags: ['System'],
+  responses: {
+    200: { description: 'OpenAPI 3.1 document', schema: { type: 'object' } },
+  },
+}, (req, res) => {
+  res.json(getApiDocument());
+});
+
+const app = express();
+
+// Middleware
+// Responses are brotli or gzip compressed, whichever the client prefers
+app.use(compression());
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+
+// CORS middleware
+app.use((req, res, next) => {
+  res.header('Access-Control-Allow-Origin', '*');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  if (req.method === 'OPTIONS') {
+    return res.sendStatus(200);
+  }
+  next();
+});
+
+// Request logging middleware
+app.use((req, res, next) => {
+  console.log(`[Server] ${req.method} ${req.path} - ${new Date().toISOString()}`);
+  next();
+});
+
+// Routes
+for (const [path, router] of MOUNTS) {
+  app.use(path || '/', router);
+}
+
+// Unknown routes and errors outside the route handlers (e.g. malformed JSON) get the usual error body
+app.use(notFoundHandler);
+app.use(errorHandler);
+
+export default app;
@@ -0,0 +1,147 @@
+/**
+ * Server Configuration
+ *
+ * Settings read from environment variables, with defaults
+ */
+
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve } from 'path';
+import { getEnvInt } from './utils/common.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DATA_DIR = join(__dirname, '../data');
+
+// Tracked worlds/data centers/regions, the first one is the default for API requests
+const WORLDS = (process.env.WORLDS || process.env.WORLD_NAME || 'China')
+  .split(',')
+  .map(world => world.trim())
+  .filter(world => world !== '');
+
+const config = {
+  port: process.env.PORT || 3000,
+  worlds: [...new Set(WORLDS)],
+  defaultWorld: WORLDS[0],
+
+  storage: {
+    // 'sqlite' (persistent, default) or 'memory' (ephemeral, nothing written to disk)
+    adapter: process.env.STORAGE_ADAPTER || 'sqlite',
+    // SQLite database file, relative paths resolve against the working directory
+    dbPath: process.env.DB_PATH ? resolve(process.env.DB_PATH) : join(DATA_DIR, 'items.db'),
+  },
+
+  // Retention windows in days (daily and sales: 0 = keep forever)
+  retention: {
+    rawDays: getEnvInt('RETENTION_RAW_DAYS', 7),
+    hourlyDays: getEnvInt('RETENTION_HOURLY_DAYS', 90),
+    dailyDays: getEnvInt('RETENTION_DAILY_DAYS', 0),
+    salesDays: getEnvInt('RETENTION_SALES_DAYS', 0),
+  },
+
+  // Cron expressions of the background jobs (minute hour day-of-month month day-of-week)
+  jobs: {
+    // Refetch items whose classification interval has passed
+    tierRefresh: process.env.CRON_TIER_REFRESH || '* * * * *',
+    // Compact old price history into hourly/daily rollups
+    rollups: process.env.CRON_ROLLUPS || '0 * * * *',
+    // Write a database backup to BACKUP_DIR
+    backups: process.env.CRON_BACKUPS || '30 4 * * *',
+    // Refetch items whose last fetch failed once their retry backoff has passed
+    retries: process.env.CRON_RETRIES || '* * * * *',
+    // Timezone the expressions are evaluated in (default: server timezone)
+    timezone: process.env.CRON_TIMEZONE || null,
+  },
+
+  // Backup directory (timestamped copies of the database are written here)
+  backupDir: process.env.BACKUP_DIR ? resolve(process.env.BACKUP_DIR) : join(DATA_DIR, 'backups'),
+
+  // Classification tiers (metric, thresholds, intervals and hysteresis), see server/tiers.json
+  tiersFile: process.env.TIERS_FILE ? resolve(process.env.TIERS_FILE) : join(__dirname, 'tiers.json'),
+
+  // Adaptive refresh intervals (see server/services/refreshPolicy.js)
+  refresh: {
+    // Set ADAPTIVE_REFRESH=false to use the fixed hot/mild/cold intervals
+    adaptive: process.env.ADAPTIVE_REFRESH !== 'false',
+    minIntervalSeconds: getEnvInt('REFRESH_MIN_SECONDS', 60),
+    maxIntervalSeconds: getEnvInt('REFRESH_MAX_SECONDS', 24 * 60 * 60),
+    // Refresh once the price is expected to have moved this much...
+    priceChangePercent: getEnvInt('REFRESH_PRICE_CHANGE_PERCENT', 5),
+    // ...or this many sales are expected to have happened
+    salesPerRefresh: getEnvInt('REFRESH_SALES_PER_REFRESH', 5),
+    // Hours of price snapshots the signals are calculated from
+    windowHours: getEnvInt('REFRESH_WINDOW_HOURS', 24),
+    // Universalis requests per hour that scheduled refreshes may use
+    requestBudgetPerHour: getEnvInt('REFRESH_REQUEST_BUDGET_PER_HOUR', 1800),
+  },
+
+  // Universalis requests: batching, pacing and failure handling
+  upstream: {
+    // API base of the market data requests (a replay server for local development)
+    apiUrl: process.env.UNIVERSALIS_API_URL || 'https://universalis.app/api/v2',
+    // Item IDs per market data request (Universalis accepts up to 100)
+    batchSize: Math.min(Math.max(getEnvInt('UNIVERSALIS_BATCH_SIZE', 5), 1), 100),
+    // Delay between requests, plus a random extra of up to delayJitterMs
+    delayMs: getEnvInt('UNIVERSALIS_DELAY_MS', 1000),
+    delayJitterMs: getEnvInt('UNIVERSALIS_DELAY_JITTER_MS', 500),
+    // Age of the sales history requested with market data
+    entriesWithinSeconds: getEnvInt('UNIVERSALIS_ENTRIES_WITHIN_SECONDS', 7 * 24 * 60 * 60),
+    // Retries of a failed request (network errors, 429 and 5xx responses)
+    maxRetries: getEnvInt('UNIVERSALIS_MAX_RETRIES', 3),
+    // Exponential backoff between retries, doubled per attempt up to the maximum
+    retryBaseMs: getEnvInt('UNIVERSALIS_RETRY_BASE_MS', 1000),
+    retryMaxMs: getEnvInt('UNIVERSALIS_RETRY_MAX_MS', 60 * 1000),
+    // Consecutive failed requests after which all fetching pauses for the cooldown
+    circuitBreakerThreshold: getEnvInt('CIRCUIT_BREAKER_THRESHOLD', 5),
+    circuitBreakerCooldownSeconds: getEnvInt('CIRCUIT_BREAKER_COOLDOWN_SECONDS', 60),
+    // Items whose fetch failed are retried with their own backoff, this many times
+    itemRetryMaxAttempts: getEnvInt('ITEM_RETRY_MAX_ATTEMPTS', 5),
+    itemRetryBaseSeconds: getEnvInt('ITEM_RETRY_BASE_SECONDS', 60),
+    itemRetryMaxSeconds: getEnvInt('ITEM_RETRY_MAX_SECONDS', 60 * 60),
+  },
+
+  // Real-time ingestion from the Universalis WebSocket feed (polling continues as reconciliation)
+  realtime: {
+    enabled: process.env.REALTIME_INGESTION === 'true',
+    url: process.env.UNIVERSALIS_WS_URL || 'wss://universalis.app/api/ws',
+    // API base the world/data center lists are read from (default: UNIVERSALIS_API_URL)
+    worldsUrl: process.env.UNIVERSALIS_WORLDS_URL || null,
+    // Scheduled refetches of items covered by the feed happen at most this often
+    reconcileSeconds: getEnvInt('REALTIME_RECONCILE_SECONDS', 60 * 60),
+    // Record every received event to this JSON-lines file (for the replay server), replaced on every start
+    recordFile: process.env.REALTIME_RECORD_FILE ? resolve(process.env.REALTIME_RECORD_FILE) : null,
+  },
+
+  // Server-Sent Events stream of item updates (GET /api/stream)
+  stream: {
+    // Comment lines sent this often keep idle connections (and proxies) open
+    heartbeatSeconds: getEnvInt('STREAM_HEARTBEAT_SECONDS', 15),
+    // Recent events kept so reconnecting clients can resume with Last-Event-ID
+    bufferSize: getEnvInt('STREAM_BUFFER_SIZE', 1000),
+  },
+
+  // Checking responses against the OpenAPI document (GET /api/openapi.json)
+  api: {
+    // 'warn' logs responses that don't match, 'strict' answers them with a 500, 'off' skips the check
+    responseValidation: process.env.API_RESPONSE_VALIDATION
+      || (process.env.NODE_ENV === 'production' ? 'off' : 'warn'),
+  },
+
+  // Upstream data freshness
+  freshness: {
+    // Items whose newest Universalis upload is older than this are flagged as stale
+    staleAfterHours: getEnvInt('STALE_AFTER_HOURS', 24),
+    // Skip scheduled refetches of items without new uploads since the last fetch
+    skipUnchanged: process.env.SKIP_UNCHANGED !== 'false',
+  },
+
+  // Cross-world arbitrage: market tax paid on purchases, in percent
+  arbitrage: {
+    taxPercent: getEnvInt('ARBITRAGE_TAX_PERCENT', 5),
+  },
+
+  // Directory with item sheet CSV exports for the metadata importer
+  metadataDir: process.env.METADATA_DIR ? resolve(process.env.METADATA_DIR) : join(DATA_DIR, 'metadata'),
+};
+
+export default config;
@@ -0,0 +1,313 @@
+/**
+ * API Client Generator CLI
+ *
+ * Writes the frontend API client (src/services/backendApi.js) from the OpenAPI
+ * document, one function per operation named by its operationId, with JSDoc
+ * types from the schemas.
+ *
+ * Usage:
+ *   node server/generateClient.js          Write the client
+ *   node server/generateClient.js --check  Exit with an error if the client is out of date
+ */
+
+import { readFileSync, writeFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { getApiDocument } from './app.js';
+
+const CLIENT_FILE = fileURLToPath(new URL('../src/services/backendApi.js', import.meta.url));
+
+const REF_PREFIX = '#/components/schemas/';
+const JSON_CONTENT = 'application/json';
+const EVENT_STREAM_CONTENT = 'text/event-stream';
+
+const HEADER = `/**
+ * Backend API Client
+ *
+ * Generated from the server's OpenAPI document (GET /api/openapi.json) by
+ * server/generateClient.js. Do not edit: change the route definitions and run
+ * \`npm run generate-client\` instead.
+ *
+ * Failed requests throw an Error with the server's message, plus \`status\`
+ * and \`details\` ([{ in, name, message }] for invalid requests).
+ */
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3000';
+
+/**
+ * Build an API URL
+ * @param {string} path - Path with its parameters filled in
+ * @param {Object} query - Query parameters (undefined and null values are left out)
+ * @returns {string} URL
+ */
+function buildUrl(path, query = {}) {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(query)) {
+    if (value !== undefined && value !== null) {
+      params.set(key, String(value));
+    }
+  }
+
+  const search = params.toString();
+  return \`\${API_BASE_URL}\${path}\${search ? \`?\${search}\` : ''}\`;
+}
+
+/**
+ * Send an API request
+ * @param {string} method - HTTP method
+ * @param {string} url - URL from buildUrl
+ * @param {Object} options - Request options
+ * @param {*} options.body - Request body (JSON-encoded for application/json)
+ * @param {string} options.contentType - Request body type (default: 'application/json')
+ * @param {boolean} options.json - Parse the response as JSON, otherwise return its text (default: true)
+ * @returns {Promise<*>} Response body
+ */
+async function request(method, url, { body, contentType = 'application/json', json = true } = {}) {
+  const init = { method };
+  if (body !== undefined) {
+    init.headers = { 'Content-Type': contentType };
+    init.body = contentType === 'application/json' ? JSON.stringify(body) : body;
+  }
+
+  const response = await fetch(url, init);
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => null);
+    const error = new Error(data?.error || \`Backend API error: \${response.status} \${response.statusText}\`);
+    error.status = response.status;
+    error.details = data?.details || [];
+    throw error;
+  }
+
+  return json ? await response.json() : await response.text();
+}
+`;
+
+/**
+ * Wrap a union type in parentheses so it can be used as an array element
+ * @param {string} type - JSDoc type
+ * @returns {string} Type safe to suffix with []
+ */
+function groupType(type) {
+  return /[|&]/.test(type) ? `(${type})` : type;
+}
+
+/**
+ * Format a literal value as a JSDoc type
+ * @param {*} value - Literal
+ * @returns {string} JSDoc type
+ */
+function literalType(value) {
+  return typeof value === 'string' ? `'${value}'` : String(value);
+}
+
+/**
+ * Convert a JSON Schema to a JSDoc type expression
+ * @param {Object} schema - JSON Schema
+ * @returns {string} JSDoc type
+ */
+function schemaToType(schema) {
+  if (!schema) {
+    return '*';
+  }
+  if (schema.$ref) {
+    return schema.$ref.slice(REF_PREFIX.length);
+  }
+  if (schema.const !== undefined) {
+    return literalType(schema.const);
+  }
+  if (schema.enum) {
+    return schema.enum.map(literalType).join('|');
+  }
+  if (schema.anyOf || schema.oneOf) {
+    return (schema.anyOf || schema.oneOf).map(option => groupType(schemaToType(option))).join('|');
+  }
+  if (schema.allOf) {
+    return schema.allOf.map(part => groupType(schemaToType(part))).join(' & ');
+  }
+  if (Array.isArray(schema.type)) {
+    return schema.type.map(type => schemaToType({ ...schema, type })).join('|');
+  }
+
+  switch (schema.type) {
+    case 'integer':
+    case 'number':
+      return 'number';
+    case 'string':
+    case 'boolean':
+    case 'null':
+      return schema.type;
+    case 'array':
+      return `${groupType(schemaToType(schema.items))}[]`;
+    case 'object': {
+      if (schema.properties) {
+        const required = schema.required || [];
+        const properties = Object.entries(schema.properties)
+          .map(([name, property]) => `${name}${required.includes(name) ? '' : '?'}: ${schemaToType(property)}`);
+        return `{${properties.join(', ')}}`;
+      }
+      if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        return `Object<string, ${schemaToType(schema.additionalProperties)}>`;
+      }
+      return 'Object';
+    }
+    default:
+      return '*';
+  }
+}
+
+/**
+ * Render the JSDoc typedef of a component schema
+ * @param {string} name - Component name
+ * @param {Object} schema - JSON Schema
+ * @returns {string} Typedef comment
+ */
+function renderTypedef(name, schema) {
+  const lines = ['/**'];
+  if (schema.description) {
+    lines.push(` * ${schema.description}`);
+  }
+
+  if (schema.type === 'object' && schema.properties) {
+    const required = schema.required || [];
+    lines.push(` * @typedef {Object} ${name}`);
+    for (const [property, propertySchema] of Object.entries(schema.properties)) {
+      const label = required.includes(property) ? property : `[${property}]`;
+      const description = propertySchema.description ? ` - ${propertySchema.description}` : '';
+      lines.push(` * @property {${schemaToType(propertySchema)}} ${label}${description}`);
+    }
+  } else {
+    lines.push(` * @typedef {${schemaToType(schema)}} ${name}`);
+  }
+
+  lines.push(' */');
+  return lines.join('\n');
+}
+
+/**
+ * Get the response of an operation on success
+ * @param {Object} operation - OpenAPI operation
+ * @returns {Object} { contentType, schema }
+ */
+function getSuccessResponse(operation) {
+  const [status] = Object.keys(operation.responses).filter(code => code.startsWith('2'));
+  const [[contentType, { schema }]] = Object.entries(operation.responses[status].content);
+  return { contentType, schema };
+}
+
+/**
+ * Render the client function of an operation
+ * Arguments: path parameters in path order, then the body, then the query parameters
+ * @param {string} method - HTTP method
+ * @param {string} path - OpenAPI path (e.g. '/api/items/{id}')
+ * @param {Object} operation - OpenAPI operation
+ * @returns {string} Function with its JSDoc comment
+ */
+function renderOperation(method, path, operation) {
+  const pathParameters = operation.parameters.filter(parameter => parameter.in === 'path');
+  const queryParameters = operation.parameters.filter(parameter => parameter.in === 'query');
+  const body = operation.requestBody;
+  const response = getSuccessResponse(operation);
+
+  const doc = [`/**`, ` * ${operation.summary}`, ` * ${method.toUpperCase()} ${path}`];
+  const args = [];
+
+  for (const parameter of pathParameters) {
+    doc.push(` * @param {${schemaToType(parameter.schema)}} ${parameter.name} - ${parameter.description || parameter.name}`);
+    args.push(parameter.name);
+  }
+
+  let bodyType = null;
+  if (body) {
+    [[bodyType]] = Object.entries(body.content);
+    const description = body.description ? ` - ${body.description}` : ' - Request body';
+    doc.push(` * @param {${schemaToType(body.content[bodyType].schema)}} body${description}`);
+    args.push('body');
+  }
+
+  if (queryParameters.length > 0) {
+    const queryRequired = queryParameters.some(parameter => parameter.required);
+    doc.push(` * @param {Object} ${queryRequired ? 'query' : '[query]'} - Query parameters`);
+    for (const parameter of queryParameters) {
+      const label = parameter.required ? `query.${parameter.name}` : `[query.${parameter.name}]`;
+      const description = parameter.description ? ` - ${parameter.description}` : '';
+      doc.push(` * @param {${schemaToType(parameter.schema)}} ${label}${description}`);
+    }
+    args.push(queryRequired ? 'query' : 'query = {}');
+  }
+
+  const urlPath = pathParameters.length > 0
+    ? `\`${path.replace(/\{(\w+)\}/g, '${encodeURIComponent($1)}')}\``
+    : `'${path}'`;
+  const url = `buildUrl(${urlPath}${queryParameters.length > 0 ? ', query' : ''})`;
+  let statement;
+
+  if (response.contentType === EVENT_STREAM_CONTENT) {
+    doc.push(` * @returns {EventSource} Event source (close it when done)`);
+    statement = `return new EventSource(${url});`;
+  } else {
+    const options = [];
+    if (body) {
+      options.push('body');
+      if (bodyType !== JSON_CONTENT) {
+        options.push(`contentType: '${bodyType}'`);
+      }
+    }
+    if (response.contentType !== JSON_CONTENT) {
+      options.push('json: false');
+    }
+
+    doc.push(` * @returns {Promise<${schemaToType(response.schema)}>}`);
+    statement = `return request('${method.toUpperCase()}', ${url}${options.length > 0 ? `, { ${options.join(', ')} }` : ''});`;
+  }
+
+  doc.push(' */');
+  return `${doc.join('\n')}\nexport function ${operation.operationId}(${args.join(', ')}) {\n  ${statement}\n}`;
+}
+
+/**
+ * Render the client module
+ * @param {Object} document - OpenAPI document
+ * @returns {string} Module source
+ */
+function renderClient(document) {
+  const sections = [HEADER];
+
+  for (const [name, schema] of Object.entries(document.components.schemas)) {
+    sections.push(renderTypedef(name, schema));
+  }
+
+  for (const [path, operations] of Object.entries(document.paths)) {
+    for (const [method, operation] of Object.entries(operations)) {
+      sections.push(renderOperation(method, path, operation));
+    }
+  }
+
+  return `${sections.join('\n\n')}\n`;
+}
+
+function main() {
+  const check = process.argv.includes('--check');
+  const source = renderClient(getApiDocument());
+
+  if (check) {
+    let current = null;
+    try {
+      current = readFileSync(CLIENT_FILE, 'utf8');
+    } catch {
+      // A missing client is out of date too
+    }
+
+    if (current !== source) {
+      console.error(`${CLIENT_FILE} is out of date, run npm run generate-client`);
+      process.exitCode = 1;
+      return;
+    }
+    console.log(`${CLIENT_FILE} is up to date`);
+    return;
+  }
+
+  writeFileSync(CLIENT_FILE, source);
+  console.log(`Wrote ${CLIENT_FILE}`);
+}
+
+main();
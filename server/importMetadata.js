@@ -0,0 +1,32 @@
+/**
+ * Item Metadata Import CLI
+ *
+ * Usage:
+ *   node server/importMetadata.js [dir]  Import item CSV exports from dir
+ *                                        (default: METADATA_DIR or data/metadata)
+ */
+
+import { resolve } from 'path';
+import { importItemMetadata, METADATA_DIR } from './services/metadata.js';
+import { initializeStorage, closeStorage } from './services/storage/index.js';
+import config from './config.js';
+
+function main() {
+  const [dirArg] = process.argv.slice(2);
+  const dir = dirArg ? resolve(dirArg) : METADATA_DIR;
+
+  // Always write to the database file, the in-memory adapter would discard the import
+  initializeStorage({ ...config.storage, adapter: 'sqlite' });
+
+  try {
+    const result = importItemMetadata(dir);
+    console.log(`Imported metadata for ${result.imported} items from ${result.files.join(', ')}`);
+  } catch (error) {
+    console.error(`[Metadata] Import failed:`, error.message);
+    process.exitCode = 1;
+  } finally {
+    closeStorage();
+  }
+}
+
+main();
@@ -4,155 +4,171 @@
  * Express server for managing Universalis API data
  */
 
-import express from 'express';
-import { handleApiError } from './utils/common.js';
+import app from './app.js';
 import {
   initializeItems,
-  updateItems,
+  updateDueItems,
+  retryFailedItems,
+  applyMarketEvent,
   getItemsNeedingUpdate,
-  getAllItems,
-  getItemsByClassification,
-  getItem,
-  HOT_UPDATE_INTERVAL,
-  MILD_UPDATE_INTERVAL,
-  COLD_UPDATE_INTERVAL,
 } from './services/itemManager.js';
-import itemsRouter from './routes/items.js';
-
-const app = express();
-const PORT = process.env.PORT || 3000;
-const WORLD_NAME = process.env.WORLD_NAME || 'China';
-
-// Middleware
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-
-// CORS middleware
-app.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-  if (req.method === 'OPTIONS') {
-    return res.sendStatus(200);
-  }
-  next();
-});
+import { compactHistory } from './services/compaction.js';
+import { createBackup } from './services/backup.js';
+import { initializeStorage, closeStorage, getStorage } from './services/storage/index.js';
+import { registerJob, startScheduler, stopScheduler } from './services/scheduler.js';
+import { ensureItemMetadata } from './services/metadata.js';
+import { getWorlds } from './services/worlds.js';
+import { filterChangedItems } from './services/freshness.js';
+import { startRealtime, stopRealtime } from './services/realtime.js';
+import config from './config.js';
+
+const PORT = config.port;
+const WORLDS = getWorlds();
 
-// Request logging middleware
-app.use((req, res, next) => {
-  console.log(`[Server] ${req.method} ${req.path} - ${new Date().toISOString()}`);
-  next();
-});
+/**
+ * Update items based on their classification, for every tracked world
+ * A failing world doesn't stop the others; the run fails afterwards if any world failed
+ * @returns {Promise<Object>} Number of due and fetched items per world
+ */
+async function performScheduledUpdate() {
+  const summary = {};
+  const failedWorlds = [];
 
-// Routes
-app.use('/api/items', itemsRouter);
+  for (const world of WORLDS) {
+    const itemsToUpdate = getItemsNeedingUpdate(world);
+    const allItems = Object.values(itemsToUpdate).flat();
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'ok',
-    timestamp: new Date().toISOString(),
-    worldName: WORLD_NAME,
-  });
-});
+    summary[world] = { due: allItems.length, fetched: 0 };
 
-// Stats endpoint
-app.get('/api/stats', (req, res) => {
-  try {
-    const allItems = getAllItems();
-    const hotItems = getItemsByClassification('hot');
-    const mildItems = getItemsByClassification('mild');
-    const coldItems = getItemsByClassification('cold');
-
-    res.json({
-      success: true,
-      stats: {
-        total: allItems.length,
-        hot: hotItems.length,
-        mild: mildItems.length,
-        cold: coldItems.length,
-      },
-      updateIntervals: {
-        hot: `${HOT_UPDATE_INTERVAL / 1000}s (1 minute)`,
-        mild: `${MILD_UPDATE_INTERVAL / 1000 / 60}min (1 hour)`,
-        cold: `${COLD_UPDATE_INTERVAL / 1000 / 60 / 60}hr (1 day)`,
-      },
-    });
-  } catch (error) {
-    handleApiError(res, error);
+    if (allItems.length === 0) {
+      continue;
+    }
+
+    try {
+      // Items without new uploads since our last fetch are rescheduled instead
+      const changedItems = new Set(await filterChangedItems(allItems, world));
+
+      const dueItems = {};
+      for (const [tier, ids] of Object.entries(itemsToUpdate)) {
+        dueItems[tier] = ids.filter(id => changedItems.has(id));
+      }
+
+      summary[world].fetched = await updateDueItems(dueItems, world);
+    } catch (error) {
+      console.error(`[Scheduler] Error updating items for ${world}:`, error.message);
+      failedWorlds.push(`${world}: ${error.message}`);
+    }
   }
-});
 
-// Debug endpoint to check store state
-app.get('/api/debug/store', (req, res) => {
-  try {
-    const sampleItemIDs = [32953, 32950, 29978];
-    const debugInfo = sampleItemIDs.map(itemID => {
-      const item = getItem(itemID);
-      return {
-        itemID,
-        exists: item !== null,
-        unitsSold: item?.marketData?.unitsSold,
-        unitsSoldType: typeof item?.marketData?.unitsSold,
-        hasData: item?.marketData?.hasData,
-        classification: item?.classification,
-        lastUpdate: item?.lastUpdate,
-        nextUpdate: item?.nextUpdate,
-        isNA: item?.marketData?.unitsSold === 'NA' || item?.marketData?.unitsSold === null || item?.marketData?.unitsSold === undefined,
-      };
-    });
-    
-    res.json({
-      success: true,
-      debug: debugInfo,
-    });
-  } catch (error) {
-    handleApiError(res, error);
+  if (failedWorlds.length > 0) {
+    throw new Error(`Update failed for ${failedWorlds.join('; ')}`);
   }
-});
+
+  return summary;
+}
 
 /**
- * Update items based on their classification
+ * Write a database backup if the storage adapter supports it
+ * @returns {Promise<Object>} Backup file info, or the reason it was skipped
  */
-async function performScheduledUpdate() {
-  const itemsToUpdate = getItemsNeedingUpdate();
-  const allItems = [...itemsToUpdate.hot, ...itemsToUpdate.mild, ...itemsToUpdate.cold];
-
-  if (allItems.length === 0) {
-    return;
-  }
-
-  try {
-    await updateItems(allItems, WORLD_NAME);
-  } catch (error) {
-    console.error(`[Scheduler] Error updating items:`, error.message);
+async function performScheduledBackup() {
+  const storage = getStorage();
+  if (!storage.supportsMaintenance) {
+    return { skipped: `Not supported by ${storage.name} storage` };
   }
+  return await createBackup();
 }
 
-// Schedule updates - check every minute for items that need updating
-setInterval(() => {
-  performScheduledUpdate();
-}, 60000);
+// Background jobs, schedules come from config (CRON_* environment variables)
+const jobTimezone = config.jobs.timezone;
+
+registerJob('tier-refresh', {
+  schedule: config.jobs.tierRefresh,
+  description: 'Refetch items whose update interval has passed',
+  run: performScheduledUpdate,
+  timezone: jobTimezone,
+});
+
+registerJob('retries', {
+  schedule: config.jobs.retries,
+  description: 'Refetch items whose last fetch failed once their backoff has passed',
+  run: retryFailedItems,
+  timezone: jobTimezone,
+});
+
+registerJob('rollups', {
+  schedule: config.jobs.rollups,
+  description: 'Compact old price history into hourly/daily rollups',
+  run: async () => compactHistory(),
+  timezone: jobTimezone,
+});
+
+registerJob('backups', {
+  schedule: config.jobs.backups,
+  description: 'Write a timestamped database backup',
+  run: performScheduledBackup,
+  timezone: jobTimezone,
+});
+
+// Handle graceful shutdown
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => {
+    stopScheduler();
+    stopRealtime();
+    closeStorage();
+    process.exit(0);
+  });
+}
 
 // Start server
 function startServer() {
   try {
+    // Open the configured storage before serving requests
+    initializeStorage(config.storage);
+    ensureItemMetadata();
+
     // Start the server immediately (no NA initialization)
     app.listen(PORT, () => {
       console.log(`[Server] Server running on http://localhost:${PORT}`);
-      console.log(`[Server] World/DC: ${WORLD_NAME}`);
+      console.log(`[Server] Worlds/DCs: ${WORLDS.join(', ')} (default: ${config.defaultWorld})`);
+      console.log(`[Server] Storage: ${config.storage.adapter}${config.storage.adapter === 'sqlite' ? ` (${config.storage.dbPath})` : ''}`);
       console.log(`[Server] API endpoints:`);
-      console.log(`[Server]   GET /api/items - Get all items`);
+      console.log(`[Server]   GET /api/worlds - List tracked worlds`);
+      console.log(`[Server]   GET /api/items - Get all items (?world= on every items route)`);
       console.log(`[Server]   GET /api/items/:id - Get item by ID`);
+      console.log(`[Server]   GET /api/items/:id/history - Get item price history`);
+      console.log(`[Server]   GET /api/items/:id/sales - Get item sales ledger`);
+      console.log(`[Server]   GET /api/items/:id/classification-history - Get item tier changes`);
+      console.log(`[Server]   POST /api/items/:id/refresh - Fetch an item now`);
       console.log(`[Server]   GET /api/items/batch/:ids - Get multiple items`);
+      console.log(`[Server]   GET/POST /api/catalog/items - List or add tracked items`);
+      console.log(`[Server]   PUT/DELETE /api/catalog/items/:id - Update or remove a tracked item`);
+      console.log(`[Server]   GET/POST /api/groups - List or create item groups`);
+      console.log(`[Server]   GET/PUT/DELETE /api/groups/:id - Get, update or delete a group`);
+      console.log(`[Server]   GET /api/arbitrage?home= - Rank cross-world arbitrage opportunities`);
+      console.log(`[Server]   GET /api/stream - Stream item updates (Server-Sent Events)`);
       console.log(`[Server]   GET /api/stats - Get server statistics`);
+      console.log(`[Server]   GET /api/admin/jobs - List background jobs`);
+      console.log(`[Server]   POST /api/admin/jobs/:name/pause|resume|trigger - Control a job`);
+      console.log(`[Server]   GET /api/admin/storage - Get storage report`);
+      console.log(`[Server]   POST /api/admin/backup - Back up the database`);
+      console.log(`[Server]   GET /api/admin/export - Export data as JSON lines`);
+      console.log(`[Server]   POST /api/admin/import - Import a JSON-lines export`);
       console.log(`[Server]   GET /health - Health check`);
+      console.log(`[Server]   GET /api/openapi.json - API document (requests are validated against it)`);
       console.log(`[Server] API is now available. Fetching market data in background...`);
     });
 
     // Start background fetching (non-blocking)
     // This will populate the store as data is fetched
-    initializeItems(WORLD_NAME);
+    initializeItems(WORLDS);
+
+    // Listing and sale events keep items current between reconciliation fetches
+    if (config.realtime.enabled) {
+      startRealtime(applyMarketEvent);
+    }
+
+    startScheduler();
   } catch (error) {
     console.error(`[Server] Failed to start:`, error);
     process.exit(1);
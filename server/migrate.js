@@ -0,0 +1,93 @@
+/**
+ * Migration CLI
+ *
+ * Usage:
+ *   node server/migrate.js status        Show applied and pending migrations
+ *   node server/migrate.js up [version]  Apply pending migrations (up to version)
+ *   node server/migrate.js down [steps]  Revert the last applied migration(s)
+ */
+
+import Database from 'better-sqlite3';
+import { dirname } from 'path';
+import { existsSync, mkdirSync } from 'fs';
+import { getMigrationStatus, getSchemaVersion, migrateUp, migrateDown } from './services/migrator.js';
+import config from './config.js';
+
+// Database file path (DB_PATH environment variable)
+const DB_PATH = config.storage.dbPath;
+const DB_DIR = dirname(DB_PATH);
+
+/**
+ * Print the status of every migration
+ * @param {Database} db - better-sqlite3 database instance
+ */
+function printStatus(db) {
+  console.log(`Database: ${DB_PATH}`);
+  console.log(`Schema version: ${getSchemaVersion(db)}`);
+
+  for (const migration of getMigrationStatus(db)) {
+    const state = migration.applied
+      ? `applied ${new Date(migration.appliedAt).toISOString()}`
+      : 'pending';
+    console.log(`  ${String(migration.version).padStart(3, '0')} ${migration.name.padEnd(30)} ${state}`);
+  }
+}
+
+/**
+ * Parse an optional positive integer argument
+ * @param {string|undefined} value - Raw argument
+ * @param {string} label - Argument name for error messages
+ * @returns {number|undefined} Parsed value or undefined if not provided
+ */
+function parseOptionalInt(value, label) {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  const parsed = parseInt(value, 10);
+  if (isNaN(parsed) || parsed < 0) {
+    throw new Error(`Invalid ${label}: ${value}`);
+  }
+  return parsed;
+}
+
+function main() {
+  const [command = 'status', arg] = process.argv.slice(2);
+
+  if (!['status', 'up', 'down'].includes(command)) {
+    console.error(`Unknown command: ${command}`);
+    console.error('Usage: node server/migrate.js status|up [version]|down [steps]');
+    process.exit(1);
+  }
+
+  if (!existsSync(DB_DIR)) {
+    mkdirSync(DB_DIR, { recursive: true });
+  }
+
+  const db = new Database(DB_PATH);
+
+  try {
+    switch (command) {
+      case 'status':
+        printStatus(db);
+        break;
+      case 'up': {
+        const applied = migrateUp(db, parseOptionalInt(arg, 'version'));
+        console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'Already up to date');
+        break;
+      }
+      case 'down': {
+        const reverted = migrateDown(db, parseOptionalInt(arg, 'steps') ?? 1);
+        console.log(reverted.length > 0 ? `Reverted ${reverted.length} migration(s)` : 'Nothing to revert');
+        break;
+      }
+    }
+  } catch (error) {
+    console.error(`[Migrations] ${command} failed:`, error.message);
+    process.exitCode = 1;
+  } finally {
+    db.close();
+  }
+}
+
+main();
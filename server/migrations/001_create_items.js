@@ -0,0 +1,41 @@
+/**
+ * Migration 001: items table
+ *
+ * Latest market data and scheduling state per item
+ */
+
+export const name = 'create_items';
+
+/**
+ * @param {Database} db - better-sqlite3 database instance
+ */
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS items (
+      id INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      number TEXT NOT NULL DEFAULT '[]',
+      req TEXT NOT NULL DEFAULT '[]',
+      marketData TEXT NOT NULL DEFAULT '{}',
+      classification TEXT NOT NULL DEFAULT 'cold',
+      lastUpdate INTEGER,
+      nextUpdate INTEGER,
+      createdAt INTEGER NOT NULL DEFAULT (strftime('%s', 'now')),
+      updatedAt INTEGER NOT NULL DEFAULT (strftime('%s', 'now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_classification ON items(classification);
+    CREATE INDEX IF NOT EXISTS idx_nextUpdate ON items(nextUpdate);
+  `);
+}
+
+/**
+ * @param {Database} db - better-sqlite3 database instance
+ */
+export function down(db) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_nextUpdate;
+    DROP INDEX IF EXISTS idx_classification;
+    DROP TABLE IF EXISTS items;
+  `);
+}
@@ -0,0 +1,42 @@
+/**
+ * Migration 002: price_snapshots table
+ *
+ * Price/volume time series recorded on every item update
+ */
+
+export const name = 'create_price_snapshots';
+
+/**
+ * @param {Database} db - better-sqlite3 database instance
+ */
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS price_snapshots (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      itemId INTEGER NOT NULL,
+      recordedAt INTEGER NOT NULL,
+      minPrice REAL,
+      minPriceNQ REAL,
+      minPriceHQ REAL,
+      avgPrice REAL,
+      avgPriceNQ REAL,
+      avgPriceHQ REAL,
+      unitsForSale INTEGER,
+      unitsSold INTEGER,
+      listingsCount INTEGER,
+      lastUploadTime INTEGER
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_snapshots_item_time ON price_snapshots(itemId, recordedAt);
+  `);
+}
+
+/**
+ * @param {Database} db - better-sqlite3 database instance
+ */
+export function down(db) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_snapshots_item_time;
+    DROP TABLE IF EXISTS price_snapshots;
+  `);
+}
@@ -0,0 +1,41 @@
+/**
+ * Migration 003: sales table
+ *
+ * Deduplicated ledger of individual sales taken from recentHistory
+ */
+
+export const name = 'create_sales';
+
+/**
+ * @param {Database} db - better-sqlite3 database instance
+ */
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS sales (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      itemId INTEGER NOT NULL,
+      worldName TEXT NOT NULL DEFAULT '',
+      worldId INTEGER,
+      timestamp INTEGER NOT NULL,
+      buyerName TEXT NOT NULL DEFAULT '',
+      quantity INTEGER NOT NULL,
+      pricePerUnit INTEGER NOT NULL,
+      total INTEGER,
+      hq INTEGER NOT NULL DEFAULT 0,
+      onMannequin INTEGER NOT NULL DEFAULT 0,
+      UNIQUE (itemId, worldName, timestamp, buyerName, quantity, pricePerUnit)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_sales_item_time ON sales(itemId, timestamp);
+  `);
+}
+
+/**
+ * @param {Database} db - better-sqlite3 database instance
+ */
+export function down(db) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_sales_item_time;
+    DROP TABLE IF EXISTS sales;
+  `);
+}
@@ -0,0 +1,43 @@
+/**
+ * Migration 004: price_rollups table
+ *
+ * Hourly and daily OHLC rows (of min price) produced by history compaction
+ */
+
+export const name = 'create_price_rollups';
+
+/**
+ * @param {Database} db - better-sqlite3 database instance
+ */
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS price_rollups (
+      itemId INTEGER NOT NULL,
+      resolution TEXT NOT NULL,
+      bucketStart INTEGER NOT NULL,
+      open REAL,
+      high REAL,
+      low REAL,
+      close REAL,
+      avgPrice REAL,
+      unitsForSale REAL,
+      listingsCount REAL,
+      unitsSold INTEGER,
+      volume INTEGER NOT NULL DEFAULT 0,
+      samples INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (itemId, resolution, bucketStart)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_rollups_resolution_time ON price_rollups(resolution, bucketStart);
+  `);
+}
+
+/**
+ * @param {Database} db - better-sqlite3 database instance
+ */
+export function down(db) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_rollups_resolution_time;
+    DROP TABLE IF EXISTS price_rollups;
+  `);
+}
@@ -0,0 +1,44 @@
+/**
+ * Migration 005: catalog table
+ *
+ * Tracked items (name, quantity tiers and requirements), seeded once from
+ * the bundled item list
+ */
+
+import { loadCatalogSeed } from '../services/catalogSeed.js';
+
+export const name = 'create_catalog';
+
+/**
+ * @param {Database} db - better-sqlite3 database instance
+ */
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS catalog (
+      id INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      number TEXT NOT NULL DEFAULT '[]',
+      req TEXT NOT NULL DEFAULT '[]',
+      createdAt INTEGER NOT NULL,
+      updatedAt INTEGER NOT NULL
+    );
+  `);
+
+  const insert = db.prepare(`
+    INSERT OR IGNORE INTO catalog (id, name, number, req, createdAt, updatedAt)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
+  const now = Date.now();
+  for (const item of loadCatalogSeed()) {
+    insert.run(item.id, item.name, JSON.stringify(item.number || []), JSON.stringify(item.req || []), now, now);
+  }
+}
+
+/**
+ * @param {Database} db - better-sqlite3 database instance
+ */
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS catalog;
+  `);
+}
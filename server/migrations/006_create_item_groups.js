@@ -0,0 +1,42 @@
+/**
+ * Migration 006: item_groups and item_group_members tables
+ *
+ * Named groups of items (watchlists) maintained by users
+ */
+
+export const name = 'create_item_groups';
+
+/**
+ * @param {Database} db - better-sqlite3 database instance
+ */
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS item_groups (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE,
+      description TEXT NOT NULL DEFAULT '',
+      createdAt INTEGER NOT NULL,
+      updatedAt INTEGER NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS item_group_members (
+      groupId INTEGER NOT NULL,
+      itemId INTEGER NOT NULL,
+      position INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (groupId, itemId)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_group_members_item ON item_group_members(itemId);
+  `);
+}
+
+/**
+ * @param {Database} db - better-sqlite3 database instance
+ */
+export function down(db) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_group_members_item;
+    DROP TABLE IF EXISTS item_group_members;
+    DROP TABLE IF EXISTS item_groups;
+  `);
+}
@@ -0,0 +1,39 @@
+/**
+ * Migration 007: item_metadata table
+ *
+ * Multilingual names and static game data imported from CSV exports
+ */
+
+export const name = 'create_item_metadata';
+
+/**
+ * @param {Database} db - better-sqlite3 database instance
+ */
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS item_metadata (
+      itemId INTEGER PRIMARY KEY,
+      nameEn TEXT,
+      nameJa TEXT,
+      nameZh TEXT,
+      uiCategoryId INTEGER,
+      uiCategory TEXT,
+      itemLevel INTEGER,
+      stackSize INTEGER,
+      iconPath TEXT,
+      importedAt INTEGER NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_metadata_category ON item_metadata(uiCategory);
+  `);
+}
+
+/**
+ * @param {Database} db - better-sqlite3 database instance
+ */
+export function down(db) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_metadata_category;
+    DROP TABLE IF EXISTS item_metadata;
+  `);
+}
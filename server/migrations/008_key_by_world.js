@@ -0,0 +1,215 @@
+/**
+ * Migration 008: key items, snapshots, rollups and sales by world
+ *
+ * Adds a `world` column (the tracked world/data center/region the data was
+ * fetched for) and makes it part of every key. Existing rows were fetched
+ * for the single configured world, so they are assigned to the default world.
+ */
+
+import config from '../config.js';
+
+export const name = 'key_by_world';
+
+/**
+ * @param {Database} db - better-sqlite3 database instance
+ */
+export function up(db) {
+  const world = config.defaultWorld;
+
+  db.exec(`
+    CREATE TABLE items_by_world (
+      id INTEGER NOT NULL,
+      world TEXT NOT NULL,
+      name TEXT NOT NULL,
+      number TEXT NOT NULL DEFAULT '[]',
+      req TEXT NOT NULL DEFAULT '[]',
+      marketData TEXT NOT NULL DEFAULT '{}',
+      classification TEXT NOT NULL DEFAULT 'cold',
+      lastUpdate INTEGER,
+      nextUpdate INTEGER,
+      createdAt INTEGER NOT NULL DEFAULT (strftime('%s', 'now')),
+      updatedAt INTEGER NOT NULL DEFAULT (strftime('%s', 'now')),
+      PRIMARY KEY (id, world)
+    );
+
+    CREATE TABLE price_rollups_by_world (
+      itemId INTEGER NOT NULL,
+      world TEXT NOT NULL,
+      resolution TEXT NOT NULL,
+      bucketStart INTEGER NOT NULL,
+      open REAL,
+      high REAL,
+      low REAL,
+      close REAL,
+      avgPrice REAL,
+      unitsForSale REAL,
+      listingsCount REAL,
+      unitsSold INTEGER,
+      volume INTEGER NOT NULL DEFAULT 0,
+      samples INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (itemId, world, resolution, bucketStart)
+    );
+
+    CREATE TABLE sales_by_world (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      itemId INTEGER NOT NULL,
+      world TEXT NOT NULL,
+      worldName TEXT NOT NULL DEFAULT '',
+      worldId INTEGER,
+      timestamp INTEGER NOT NULL,
+      buyerName TEXT NOT NULL DEFAULT '',
+      quantity INTEGER NOT NULL,
+      pricePerUnit INTEGER NOT NULL,
+      total INTEGER,
+      hq INTEGER NOT NULL DEFAULT 0,
+      onMannequin INTEGER NOT NULL DEFAULT 0,
+      UNIQUE (itemId, world, worldName, timestamp, buyerName, quantity, pricePerUnit)
+    );
+  `);
+
+  db.prepare(`
+    INSERT INTO items_by_world (
+      id, world, name, number, req, marketData, classification, lastUpdate, nextUpdate, createdAt, updatedAt
+    )
+    SELECT id, ?, name, number, req, marketData, classification, lastUpdate, nextUpdate, createdAt, updatedAt
+    FROM items
+  `).run(world);
+
+  db.prepare(`
+    INSERT INTO price_rollups_by_world (
+      itemId, world, resolution, bucketStart, open, high, low, close,
+      avgPrice, unitsForSale, listingsCount, unitsSold, volume, samples
+    )
+    SELECT itemId, ?, resolution, bucketStart, open, high, low, close,
+           avgPrice, unitsForSale, listingsCount, unitsSold, volume, samples
+    FROM price_rollups
+  `).run(world);
+
+  db.prepare(`
+    INSERT INTO sales_by_world (
+      id, itemId, world, worldName, worldId, timestamp, buyerName,
+      quantity, pricePerUnit, total, hq, onMannequin
+    )
+    SELECT id, itemId, ?, worldName, worldId, timestamp, buyerName,
+           quantity, pricePerUnit, total, hq, onMannequin
+    FROM sales
+  `).run(world);
+
+  db.exec(`
+    DROP TABLE items;
+    ALTER TABLE items_by_world RENAME TO items;
+    CREATE INDEX idx_classification ON items(world, classification);
+    CREATE INDEX idx_nextUpdate ON items(nextUpdate);
+
+    DROP TABLE price_rollups;
+    ALTER TABLE price_rollups_by_world RENAME TO price_rollups;
+    CREATE INDEX idx_rollups_resolution_time ON price_rollups(resolution, bucketStart);
+
+    DROP TABLE sales;
+    ALTER TABLE sales_by_world RENAME TO sales;
+    CREATE INDEX idx_sales_item_time ON sales(itemId, world, timestamp);
+    CREATE INDEX idx_sales_time ON sales(timestamp);
+
+    ALTER TABLE price_snapshots ADD COLUMN world TEXT NOT NULL DEFAULT '';
+    DROP INDEX IF EXISTS idx_snapshots_item_time;
+    CREATE INDEX idx_snapshots_item_time ON price_snapshots(itemId, world, recordedAt);
+  `);
+
+  db.prepare('UPDATE price_snapshots SET world = ?').run(world);
+}
+
+/**
+ * Keeps only the default world's data
+ * @param {Database} db - better-sqlite3 database instance
+ */
+export function down(db) {
+  const world = config.defaultWorld;
+
+  db.exec(`
+    CREATE TABLE items_single (
+      id INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      number TEXT NOT NULL DEFAULT '[]',
+      req TEXT NOT NULL DEFAULT '[]',
+      marketData TEXT NOT NULL DEFAULT '{}',
+      classification TEXT NOT NULL DEFAULT 'cold',
+      lastUpdate INTEGER,
+      nextUpdate INTEGER,
+      createdAt INTEGER NOT NULL DEFAULT (strftime('%s', 'now')),
+      updatedAt INTEGER NOT NULL DEFAULT (strftime('%s', 'now'))
+    );
+
+    CREATE TABLE price_rollups_single (
+      itemId INTEGER NOT NULL,
+      resolution TEXT NOT NULL,
+      bucketStart INTEGER NOT NULL,
+      open REAL,
+      high REAL,
+      low REAL,
+      close REAL,
+      avgPrice REAL,
+      unitsForSale REAL,
+      listingsCount REAL,
+      unitsSold INTEGER,
+      volume INTEGER NOT NULL DEFAULT 0,
+      samples INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (itemId, resolution, bucketStart)
+    );
+
+    CREATE TABLE sales_single (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      itemId INTEGER NOT NULL,
+      worldName TEXT NOT NULL DEFAULT '',
+      worldId INTEGER,
+      timestamp INTEGER NOT NULL,
+      buyerName TEXT NOT NULL DEFAULT '',
+      quantity INTEGER NOT NULL,
+      pricePerUnit INTEGER NOT NULL,
+      total INTEGER,
+      hq INTEGER NOT NULL DEFAULT 0,
+      onMannequin INTEGER NOT NULL DEFAULT 0,
+      UNIQUE (itemId, worldName, timestamp, buyerName, quantity, pricePerUnit)
+    );
+  `);
+
+  db.prepare(`
+    INSERT INTO items_single
+    SELECT id, name, number, req, marketData, classification, lastUpdate, nextUpdate, createdAt, updatedAt
+    FROM items WHERE world = ?
+  `).run(world);
+
+  db.prepare(`
+    INSERT INTO price_rollups_single
+    SELECT itemId, resolution, bucketStart, open, high, low, close,
+           avgPrice, unitsForSale, listingsCount, unitsSold, volume, samples
+    FROM price_rollups WHERE world = ?
+  `).run(world);
+
+  db.prepare(`
+    INSERT INTO sales_single
+    SELECT id, itemId, worldName, worldId, timestamp, buyerName,
+           quantity, pricePerUnit, total, hq, onMannequin
+    FROM sales WHERE world = ?
+  `).run(world);
+
+  db.prepare('DELETE FROM price_snapshots WHERE world <> ?').run(world);
+
+  db.exec(`
+    DROP TABLE items;
+    ALTER TABLE items_single RENAME TO items;
+    CREATE INDEX idx_classification ON items(classification);
+    CREATE INDEX idx_nextUpdate ON items(nextUpdate);
+
+    DROP TABLE price_rollups;
+    ALTER TABLE price_rollups_single RENAME TO price_rollups;
+    CREATE INDEX idx_rollups_resolution_time ON price_rollups(resolution, bucketStart);
+
+    DROP TABLE sales;
+    ALTER TABLE sales_single RENAME TO sales;
+    CREATE INDEX idx_sales_item_time ON sales(itemId, timestamp);
+
+    DROP INDEX idx_snapshots_item_time;
+    ALTER TABLE price_snapshots DROP COLUMN world;
+    CREATE INDEX idx_snapshots_item_time ON price_snapshots(itemId, recordedAt);
+  `);
+}
@@ -0,0 +1,26 @@
+/**
+ * Migration 009: refresh column on items
+ *
+ * JSON description of how an item's current update interval was chosen
+ * (interval, deciding signal and the signal values)
+ */
+
+export const name = 'add_item_refresh';
+
+/**
+ * @param {Database} db - better-sqlite3 database instance
+ */
+export function up(db) {
+  db.exec(`
+    ALTER TABLE items ADD COLUMN refresh TEXT;
+  `);
+}
+
+/**
+ * @param {Database} db - better-sqlite3 database instance
+ */
+export function down(db) {
+  db.exec(`
+    ALTER TABLE items DROP COLUMN refresh;
+  `);
+}
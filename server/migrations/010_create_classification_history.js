@@ -0,0 +1,35 @@
+/**
+ * Migration 010: classification_history table
+ *
+ * Audit log of tier changes per item and world
+ */
+
+export const name = 'create_classification_history';
+
+/**
+ * @param {Database} db - better-sqlite3 database instance
+ */
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS classification_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      itemId INTEGER NOT NULL,
+      world TEXT NOT NULL,
+      changedAt INTEGER NOT NULL,
+      fromTier TEXT,
+      toTier TEXT NOT NULL,
+      metric TEXT NOT NULL,
+      metricValue REAL,
+      UNIQUE (itemId, world, changedAt)
+    );
+  `);
+}
+
+/**
+ * @param {Database} db - better-sqlite3 database instance
+ */
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS classification_history;
+  `);
+}
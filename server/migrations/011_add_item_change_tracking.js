@@ -0,0 +1,30 @@
+/**
+ * Migration 011: change tracking columns on items
+ *
+ * Hash of the stored listings and sales, when the item's upstream data last
+ * changed and how many fetches since then found it unchanged
+ */
+
+export const name = 'add_item_change_tracking';
+
+/**
+ * @param {Database} db - better-sqlite3 database instance
+ */
+export function up(db) {
+  db.exec(`
+    ALTER TABLE items ADD COLUMN contentHash TEXT;
+    ALTER TABLE items ADD COLUMN lastChangedAt INTEGER;
+    ALTER TABLE items ADD COLUMN unchangedCount INTEGER DEFAULT 0;
+  `);
+}
+
+/**
+ * @param {Database} db - better-sqlite3 database instance
+ */
+export function down(db) {
+  db.exec(`
+    ALTER TABLE items DROP COLUMN unchangedCount;
+    ALTER TABLE items DROP COLUMN lastChangedAt;
+    ALTER TABLE items DROP COLUMN contentHash;
+  `);
+}
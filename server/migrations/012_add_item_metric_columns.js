@@ -0,0 +1,109 @@
+/**
+ * Migration 012: metric columns on items
+ *
+ * Copies the metrics items are filtered and sorted by out of the marketData
+ * JSON into indexed columns, so GET /api/items can filter them in SQL
+ */
+
+export const name = 'add_item_metric_columns';
+
+// The metric extraction as it was when this migration was written, so it
+// doesn't change with utils/marketData.js
+
+/**
+ * Parse stored market data
+ * @param {string} json - marketData column
+ * @returns {Object} Market data, empty if it can't be read
+ */
+function parseMarketData(json) {
+  try {
+    return JSON.parse(json) || {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Convert a market data value to a number
+ * @param {*} value - Raw value
+ * @returns {number|null} Number or null if missing/"NA"
+ */
+function toNumber(value) {
+  if (value === null || value === undefined || value === 'NA') {
+    return null;
+  }
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return isNaN(number) ? null : number;
+}
+
+/**
+ * Get the metric column values of an item
+ * @param {Object} marketData - Market data from API
+ * @returns {Object} Values of the new columns
+ */
+function getMetricValues(marketData) {
+  const uploadTimes = marketData.hasData
+    ? [marketData.lastUploadTime, ...Object.values(marketData.worldUploadTimes || {})]
+      .filter(time => typeof time === 'number' && time > 0)
+    : [];
+
+  return {
+    hasData: marketData.hasData ? 1 : 0,
+    minPrice: toNumber(marketData.minPrice),
+    avgPrice: toNumber(marketData.currentAveragePrice),
+    unitsSold: toNumber(marketData.unitsSold),
+    unitsForSale: toNumber(marketData.unitsForSale),
+    listingsCount: toNumber(marketData.listingsCount),
+    lastUploadTime: uploadTimes.length > 0 ? Math.max(...uploadTimes) : null,
+  };
+}
+
+/**
+ * @param {Database} db - better-sqlite3 database instance
+ */
+export function up(db) {
+  db.exec(`
+    ALTER TABLE items ADD COLUMN hasData INTEGER DEFAULT 0;
+    ALTER TABLE items ADD COLUMN minPrice REAL;
+    ALTER TABLE items ADD COLUMN avgPrice REAL;
+    ALTER TABLE items ADD COLUMN unitsSold REAL;
+    ALTER TABLE items ADD COLUMN unitsForSale REAL;
+    ALTER TABLE items ADD COLUMN listingsCount REAL;
+    ALTER TABLE items ADD COLUMN lastUploadTime INTEGER;
+  `);
+
+  const update = db.prepare(`
+    UPDATE items SET
+      hasData = @hasData, minPrice = @minPrice, avgPrice = @avgPrice, unitsSold = @unitsSold,
+      unitsForSale = @unitsForSale, listingsCount = @listingsCount, lastUploadTime = @lastUploadTime
+    WHERE id = @id AND world = @world
+  `);
+
+  for (const row of db.prepare('SELECT id, world, marketData FROM items').all()) {
+    update.run({ ...getMetricValues(parseMarketData(row.marketData)), id: row.id, world: row.world });
+  }
+
+  db.exec(`
+    CREATE INDEX idx_items_minPrice ON items(world, minPrice);
+    CREATE INDEX idx_items_unitsSold ON items(world, unitsSold);
+    CREATE INDEX idx_items_lastUploadTime ON items(world, lastUploadTime);
+  `);
+}
+
+/**
+ * @param {Database} db - better-sqlite3 database instance
+ */
+export function down(db) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_items_lastUploadTime;
+    DROP INDEX IF EXISTS idx_items_unitsSold;
+    DROP INDEX IF EXISTS idx_items_minPrice;
+    ALTER TABLE items DROP COLUMN lastUploadTime;
+    ALTER TABLE items DROP COLUMN listingsCount;
+    ALTER TABLE items DROP COLUMN unitsForSale;
+    ALTER TABLE items DROP COLUMN unitsSold;
+    ALTER TABLE items DROP COLUMN avgPrice;
+    ALTER TABLE items DROP COLUMN minPrice;
+    ALTER TABLE items DROP COLUMN hasData;
+  `);
+}
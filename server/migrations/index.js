@@ -0,0 +1,36 @@
+/**
+ * Schema Migrations
+ *
+ * Ordered list of numbered migrations. To change the schema, add a new
+ * NNN_description.js file exporting `name`, `up(db)` and `down(db)`, and
+ * register it here with the next version number. Never edit a migration
+ * that has already been released.
+ */
+
+import * as createItems from './001_create_items.js';
+import * as createPriceSnapshots from './002_create_price_snapshots.js';
+import * as createSales from './003_create_sales.js';
+import * as createPriceRollups from './004_create_price_rollups.js';
+import * as createCatalog from './005_create_catalog.js';
+import * as createItemGroups from './006_create_item_groups.js';
+import * as createItemMetadata from './007_create_item_metadata.js';
+import * as keyByWorld from './008_key_by_world.js';
+import * as addItemRefresh from './009_add_item_refresh.js';
+import * as createClassificationHistory from './010_create_classification_history.js';
+import * as addItemChangeTracking from './011_add_item_change_tracking.js';
+import * as addItemMetricColumns from './012_add_item_metric_columns.js';
+
+export const migrations = [
+  { version: 1, ...createItems },
+  { version: 2, ...createPriceSnapshots },
+  { version: 3, ...createSales },
+  { version: 4, ...createPriceRollups },
+  { version: 5, ...createCatalog },
+  { version: 6, ...createItemGroups },
+  { version: 7, ...createItemMetadata },
+  { version: 8, ...keyByWorld },
+  { version: 9, ...addItemRefresh },
+  { version: 10, ...createClassificationHistory },
+  { version: 11, ...addItemChangeTracking },
+  { version: 12, ...addItemMetricColumns },
+];
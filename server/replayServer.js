@@ -0,0 +1,84 @@
+/**
+ * Replay Server CLI
+ *
+ * Stand-in for the Universalis API and WebSocket feed that replays recorded
+ * events, for developing and testing real-time ingestion without the live
+ * service (see services/replay.js):
+ *   http://localhost:<port>/api/v2/worlds, /api/v2/data-centers
+ *   http://localhost:<port>/api/v2/{world}/{itemIDs}
+ *   ws://localhost:<port>/api/ws
+ *
+ * Usage:
+ *   node server/replayServer.js [file] [--port 8090] [--speed 1] [--loop] [--market file]
+ *     file      Recording written with REALTIME_RECORD_FILE (default: server/replay/sample.jsonl)
+ *     --speed   Playback speed factor (2 = twice as fast)
+ *     --loop    Start over when the recording ends
+ *     --market  Market data served for the recorded items (default: the recording's
+ *               .market.json file next to it, e.g. server/replay/sample.market.json)
+ *
+ * Playback starts with the first subscription.
+ */
+
+import { existsSync } from 'fs';
+import { dirname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { readRecording, getMarketFile, readMarketData, createReplayServer } from './services/replay.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const DEFAULT_FILE = join(__dirname, 'replay/sample.jsonl');
+
+/**
+ * Parse the command line
+ * @param {string[]} args - Arguments after the script name
+ * @returns {Object} { file, port, speed, loop, market }
+ */
+function parseArgs(args) {
+  const options = { file: DEFAULT_FILE, port: 8090, speed: 1, loop: false, market: null };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--loop') {
+      options.loop = true;
+    } else if (arg === '--market') {
+      if (!args[i + 1]) {
+        throw new Error('Missing market data file');
+      }
+      options.market = resolve(args[++i]);
+    } else if (arg === '--port' || arg === '--speed') {
+      const value = parseFloat(args[++i]);
+      if (isNaN(value) || value <= 0) {
+        throw new Error(`Invalid ${arg.slice(2)}: ${args[i]}`);
+      }
+      options[arg.slice(2)] = value;
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      options.file = resolve(arg);
+    }
+  }
+
+  return options;
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const recording = readRecording(options.file);
+  // The fixture next to the recording is optional, one given with --market is not
+  const marketFile = options.market ?? getMarketFile(options.file);
+  const market = (options.market || existsSync(marketFile)) ? readMarketData(marketFile) : {};
+  const server = createReplayServer(recording, { market, speed: options.speed, loop: options.loop });
+
+  server.listen(options.port, () => {
+    console.log(`[Replay] Replaying ${options.file} on port ${options.port}`);
+    console.log(`[Replay]   GET /api/v2/worlds, /api/v2/data-centers - Recorded world index`);
+    console.log(`[Replay]   GET /api/v2/{world}/{itemIDs} - Market data of ${Object.keys(market).length} items`);
+    console.log(`[Replay]   WS /api/ws - Event feed`);
+  });
+}
+
+try {
+  main();
+} catch (error) {
+  console.error('[Replay] Failed to start:', error.message);
+  process.exit(1);
+}
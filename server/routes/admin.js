@@ -0,0 +1,196 @@
+/**
+ * Admin API Routes
+ * 
+ * Maintenance and storage endpoints
+ */
+
+import express from 'express';
+import { createInterface } from 'readline';
+import { handleApiError } from '../utils/common.js';
+import { getStorageStats } from '../services/database.js';
+import { getLastCompaction, RETENTION } from '../services/compaction.js';
+import { createBackup, exportDatabase, importDatabase } from '../services/backup.js';
+import { getStorage } from '../services/storage/index.js';
+import { defineRoute } from '../services/openapi.js';
+import { successResponse } from '../services/apiSchemas.js';
+
+const router = express.Router();
+
+const TAGS = ['Admin'];
+
+const NDJSON_CONTENT = 'application/x-ndjson';
+
+// Answer of every route when the storage adapter has no database file (e.g. memory storage)
+const NOT_SUPPORTED = 'Not supported by the storage adapter';
+
+// Maintenance endpoints operate on the database file and need a storage adapter that supports them
+router.use((req, res, next) => {
+  const storage = getStorage();
+  if (!storage.supportsMaintenance) {
+    return res.status(501).json({
+      success: false,
+      error: `Not supported by ${storage.name} storage`,
+    });
+  }
+  next();
+});
+
+/**
+ * GET /api/admin/storage
+ * Get database size, row counts per table and retention settings
+ */
+defineRoute(router, {
+  method: 'get',
+  path: '/storage',
+  operationId: 'getStorageReport',
+  summary: 'Get database size, row counts per table and retention settings',
+  tags: TAGS,
+  responses: {
+    200: {
+      description: 'Storage report',
+      schema: successResponse({
+        storage: { type: 'object' },
+        retention: { type: 'object' },
+        lastCompaction: { type: ['object', 'null'] },
+      }),
+    },
+    501: NOT_SUPPORTED,
+    503: 'Database unavailable',
+  },
+}, (req, res) => {
+  try {
+    const storage = getStorageStats();
+
+    if (!storage) {
+      return res.status(503).json({
+        success: false,
+        error: 'Database unavailable',
+      });
+    }
+
+    res.json({
+      success: true,
+      storage,
+      retention: RETENTION,
+      lastCompaction: getLastCompaction(),
+    });
+  } catch (error) {
+    handleApiError(res, error);
+  }
+});
+
+/**
+ * POST /api/admin/backup
+ * Write a timestamped copy of the database using SQLite's online backup API
+ */
+defineRoute(router, {
+  method: 'post',
+  path: '/backup',
+  operationId: 'createBackup',
+  summary: "Write a timestamped copy of the database using SQLite's online backup API",
+  tags: TAGS,
+  responses: {
+    200: { description: 'The backup file', schema: successResponse({ backup: { type: 'object' } }) },
+    501: NOT_SUPPORTED,
+  },
+}, async (req, res) => {
+  try {
+    const backup = await createBackup();
+
+    res.json({
+      success: true,
+      backup,
+    });
+  } catch (error) {
+    handleApiError(res, error);
+  }
+});
+
+/**
+ * Write a chunk to a response, waiting for the client to catch up if its buffer is full
+ * @param {Object} res - Express response object
+ * @param {string} chunk - Data to write
+ * @returns {Promise<void>}
+ */
+function writeWithBackpressure(res, chunk) {
+  if (res.destroyed) {
+    return Promise.reject(new Error('Client disconnected'));
+  }
+  if (res.write(chunk)) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    const onDrain = () => {
+      res.off('close', onClose);
+      resolve();
+    };
+    const onClose = () => {
+      res.off('drain', onDrain);
+      reject(new Error('Client disconnected'));
+    };
+    res.once('drain', onDrain);
+    res.once('close', onClose);
+  });
+}
+
+/**
+ * GET /api/admin/export
+ * Stream the whole database as JSON lines (see POST /api/admin/import)
+ */
+defineRoute(router, {
+  method: 'get',
+  path: '/export',
+  operationId: 'exportData',
+  summary: 'Stream the whole database as JSON lines',
+  tags: TAGS,
+  responses: {
+    200: { description: 'One JSON record per line', contentType: NDJSON_CONTENT, schema: { type: 'string' } },
+    501: NOT_SUPPORTED,
+  },
+}, async (req, res) => {
+  try {
+    res.setHeader('Content-Type', 'application/x-ndjson');
+    res.setHeader('Content-Disposition', `attachment; filename="items-export-${Date.now()}.jsonl"`);
+
+    await exportDatabase(line => writeWithBackpressure(res, `${line}\n`));
+    res.end();
+  } catch (error) {
+    if (!res.headersSent) {
+      return handleApiError(res, error);
+    }
+    console.error(`[Admin] Export aborted:`, error.message);
+    res.destroy();
+  }
+});
+
+/**
+ * POST /api/admin/import
+ * Merge a JSON-lines export (request body, Content-Type: application/x-ndjson) into the database
+ */
+defineRoute(router, {
+  method: 'post',
+  path: '/import',
+  operationId: 'importData',
+  summary: 'Merge a JSON-lines export into the database',
+  tags: TAGS,
+  body: { description: 'Output of GET /api/admin/export', contentType: NDJSON_CONTENT, schema: { type: 'string' } },
+  responses: {
+    200: { description: 'Imported rows per table', schema: successResponse({ imported: { type: 'object' } }) },
+    501: NOT_SUPPORTED,
+  },
+}, async (req, res) => {
+  try {
+    const lines = createInterface({ input: req, crlfDelay: Infinity });
+    const imported = await importDatabase(lines);
+
+    res.json({
+      success: true,
+      imported,
+    });
+  } catch (error) {
+    handleApiError(res, error, 400);
+  }
+});
+
+export default router;
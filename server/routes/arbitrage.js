@@ -0,0 +1,88 @@
+/**
+ * Arbitrage API Routes
+ *
+ * Cross-world buy-low/sell-high opportunities
+ */
+
+import express from 'express';
+import { handleApiError } from '../utils/common.js';
+import { findArbitrage } from '../services/arbitrage.js';
+import { getWorlds, resolveWorld } from '../services/worlds.js';
+import { defineRoute } from '../services/openapi.js';
+import { ref, successResponse } from '../services/apiSchemas.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/arbitrage
+ * Rank tracked items by expected profit from buying on another world and selling on a home world
+ */
+defineRoute(router, {
+  method: 'get',
+  path: '/',
+  operationId: 'findArbitrage',
+  summary: 'Rank tracked items by expected profit from buying on another world and selling on a home world',
+  tags: ['Arbitrage'],
+  query: {
+    home: { description: 'World to sell on', schema: { type: 'string' }, required: true },
+    world: {
+      description: 'Only use data fetched for this tracked world/data center (default: all tracked worlds)',
+      schema: { type: 'string' },
+    },
+    days: {
+      description: 'Sales window for the home world sell price (default: 7, max: 90)',
+      schema: { type: 'integer' },
+    },
+    minProfit: { description: 'Minimum expected profit in gil (default: 0)', schema: { type: 'integer' } },
+    limit: { description: 'Maximum results (default: 50, max: 500)', schema: { type: 'integer' } },
+  },
+  responses: {
+    200: {
+      description: 'Opportunities by expected profit',
+      schema: successResponse({
+        home: { type: 'string' },
+        days: { type: 'integer' },
+        taxRate: { type: 'number' },
+        opportunities: { type: 'array', items: ref('ArbitrageOpportunity') },
+        count: { type: 'integer' },
+      }),
+    },
+  },
+}, (req, res) => {
+  try {
+    const home = req.query.home.trim();
+
+    if (home === '') {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing home world (home)',
+      });
+    }
+
+    let worlds = getWorlds();
+    if (req.query.world !== undefined) {
+      const world = resolveWorld(req.query.world);
+
+      if (!world) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown world. Expected one of: ${getWorlds().join(', ')}`,
+        });
+      }
+      worlds = [world];
+    }
+
+    const { days, minProfit, limit } = req.query;
+    const result = findArbitrage({ home, worlds, days, minProfit, limit });
+
+    res.json({
+      success: true,
+      ...result,
+      count: result.opportunities.length,
+    });
+  } catch (error) {
+    handleApiError(res, error);
+  }
+});
+
+export default router;
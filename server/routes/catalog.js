@@ -0,0 +1,245 @@
+/**
+ * Catalog API Routes
+ *
+ * Manage the list of tracked items
+ */
+
+import express from 'express';
+import { handleApiError } from '../utils/common.js';
+import {
+  validateCatalogItem,
+  getCatalogItems,
+  getCatalogItem,
+  addCatalogItem,
+  updateCatalogItem,
+  removeCatalogItem,
+} from '../services/catalog.js';
+import { updateItems } from '../services/itemManager.js';
+import { defineRoute } from '../services/openapi.js';
+import { PARAMETERS, ref, successResponse } from '../services/apiSchemas.js';
+import config from '../config.js';
+
+const router = express.Router();
+
+const TAGS = ['Catalog'];
+
+// Response of the routes returning a single tracked item
+const CATALOG_ITEM_RESPONSE = successResponse({ item: ref('CatalogItem') });
+
+/**
+ * GET /api/catalog/items
+ * Get all tracked items
+ */
+defineRoute(router, {
+  method: 'get',
+  path: '/items',
+  operationId: 'listCatalogItems',
+  summary: 'Get all tracked items',
+  tags: TAGS,
+  responses: {
+    200: {
+      description: 'Tracked items',
+      schema: successResponse({ count: { type: 'integer' }, items: { type: 'array', items: ref('CatalogItem') } }),
+    },
+  },
+}, (req, res) => {
+  try {
+    const items = getCatalogItems();
+
+    res.json({
+      success: true,
+      count: items.length,
+      items,
+    });
+  } catch (error) {
+    handleApiError(res, error);
+  }
+});
+
+/**
+ * GET /api/catalog/items/:id
+ * Get a tracked item by ID
+ */
+defineRoute(router, {
+  method: 'get',
+  path: '/items/:id',
+  operationId: 'getCatalogItem',
+  summary: 'Get a tracked item by ID',
+  tags: TAGS,
+  params: { id: PARAMETERS.itemId },
+  responses: {
+    200: { description: 'The tracked item', schema: CATALOG_ITEM_RESPONSE },
+    404: 'Item not found',
+  },
+}, (req, res) => {
+  try {
+    const itemID = req.params.id;
+
+    const item = getCatalogItem(itemID);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        error: 'Item not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      item,
+    });
+  } catch (error) {
+    handleApiError(res, error);
+  }
+});
+
+/**
+ * POST /api/catalog/items
+ * Start tracking an item
+ * Body: { id, name, number, req }
+ * The item's market data is fetched right away in the background for every tracked world
+ */
+defineRoute(router, {
+  method: 'post',
+  path: '/items',
+  operationId: 'addCatalogItem',
+  summary: 'Start tracking an item',
+  description: "The item's market data is fetched right away in the background for every tracked world.",
+  tags: TAGS,
+  body: { schema: ref('CatalogItemInput') },
+  responses: {
+    201: { description: 'The tracked item', schema: CATALOG_ITEM_RESPONSE },
+    409: 'Item is already tracked',
+  },
+}, (req, res) => {
+  try {
+    const validationError = validateCatalogItem(req.body);
+
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError,
+      });
+    }
+
+    if (getCatalogItem(req.body.id)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Item is already tracked',
+      });
+    }
+
+    const item = addCatalogItem(req.body);
+
+    // Fetch the new item now for every world instead of waiting for the next scheduled cycle
+    (async () => {
+      for (const world of config.worlds) {
+        await updateItems([item.id], world, { priority: 'interactive' });
+      }
+    })().catch(error => {
+      console.error(`[Catalog] Initial fetch for item ${item.id} failed:`, error.message);
+    });
+
+    res.status(201).json({
+      success: true,
+      item,
+    });
+  } catch (error) {
+    handleApiError(res, error);
+  }
+});
+
+/**
+ * PUT /api/catalog/items/:id
+ * Update a tracked item's name, number tiers or req values
+ * Body: any of { name, number, req }
+ */
+defineRoute(router, {
+  method: 'put',
+  path: '/items/:id',
+  operationId: 'updateCatalogItem',
+  summary: "Update a tracked item's name, number tiers or req values",
+  tags: TAGS,
+  params: { id: PARAMETERS.itemId },
+  body: { schema: ref('CatalogItemChanges') },
+  responses: {
+    200: { description: 'The updated item', schema: CATALOG_ITEM_RESPONSE },
+    404: 'Item not found',
+  },
+}, (req, res) => {
+  try {
+    const itemID = req.params.id;
+
+    const existing = getCatalogItem(itemID);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Item not found',
+      });
+    }
+
+    const changes = {};
+    for (const field of ['name', 'number', 'req']) {
+      if (req.body[field] !== undefined) {
+        changes[field] = req.body[field];
+      }
+    }
+
+    // Tier lengths must match, counting the current tiers for the ones not changed
+    const validationError = validateCatalogItem(changes, { partial: true, existing });
+
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError,
+      });
+    }
+
+    const item = updateCatalogItem(itemID, changes);
+
+    res.json({
+      success: true,
+      item,
+    });
+  } catch (error) {
+    handleApiError(res, error);
+  }
+});
+
+/**
+ * DELETE /api/catalog/items/:id
+ * Stop tracking an item (stored market data and history are kept)
+ */
+defineRoute(router, {
+  method: 'delete',
+  path: '/items/:id',
+  operationId: 'removeCatalogItem',
+  summary: 'Stop tracking an item (stored market data and history are kept)',
+  tags: TAGS,
+  params: { id: PARAMETERS.itemId },
+  responses: {
+    200: { description: 'The item is no longer tracked', schema: successResponse({ id: { type: 'integer' } }) },
+    404: 'Item not found',
+  },
+}, (req, res) => {
+  try {
+    const itemID = req.params.id;
+
+    if (!removeCatalogItem(itemID)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Item not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      id: itemID,
+    });
+  } catch (error) {
+    handleApiError(res, error);
+  }
+});
+
+export default router;
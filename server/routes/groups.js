@@ -0,0 +1,328 @@
+/**
+ * Groups API Routes
+ *
+ * Manage named item groups (watchlists)
+ */
+
+import express from 'express';
+import { handleApiError } from '../utils/common.js';
+import {
+  validateGroup,
+  validateItemIds,
+  getGroups,
+  getGroup,
+  isGroupNameTaken,
+  createGroup,
+  updateGroup,
+  addGroupItems,
+  removeGroupItem,
+  deleteGroup,
+} from '../services/groups.js';
+import { defineRoute } from '../services/openapi.js';
+import { PARAMETERS, ref, successResponse } from '../services/apiSchemas.js';
+
+const router = express.Router();
+
+const TAGS = ['Groups'];
+
+const GROUP_ID_PARAM = { description: 'Group ID', schema: { type: 'integer' } };
+
+// Response of the routes returning a single group
+const GROUP_RESPONSE = successResponse({ group: ref('Group') });
+
+/**
+ * GET /api/groups
+ * Get all groups
+ */
+defineRoute(router, {
+  method: 'get',
+  path: '/',
+  operationId: 'listGroups',
+  summary: 'Get all groups',
+  tags: TAGS,
+  responses: {
+    200: {
+      description: 'Groups by name',
+      schema: successResponse({ count: { type: 'integer' }, groups: { type: 'array', items: ref('Group') } }),
+    },
+  },
+}, (req, res) => {
+  try {
+    const groups = getGroups();
+
+    res.json({
+      success: true,
+      count: groups.length,
+      groups,
+    });
+  } catch (error) {
+    handleApiError(res, error);
+  }
+});
+
+/**
+ * GET /api/groups/:id
+ * Get a group by ID
+ * Use GET /api/items?group=:id for the market data of its items
+ */
+defineRoute(router, {
+  method: 'get',
+  path: '/:id',
+  operationId: 'getGroup',
+  summary: 'Get a group by ID',
+  description: 'Use GET /api/items?group= for the market data of its items.',
+  tags: TAGS,
+  params: { id: GROUP_ID_PARAM },
+  responses: {
+    200: { description: 'The group', schema: GROUP_RESPONSE },
+    404: 'Group not found',
+  },
+}, (req, res) => {
+  try {
+    const groupID = req.params.id;
+
+    const group = getGroup(groupID);
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        error: 'Group not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      group,
+    });
+  } catch (error) {
+    handleApiError(res, error);
+  }
+});
+
+/**
+ * POST /api/groups
+ * Create a group
+ * Body: { name, description?, itemIds? }
+ */
+defineRoute(router, {
+  method: 'post',
+  path: '/',
+  operationId: 'createGroup',
+  summary: 'Create a group',
+  tags: TAGS,
+  body: { schema: ref('GroupInput') },
+  responses: {
+    201: { description: 'The new group', schema: GROUP_RESPONSE },
+    409: 'A group with this name already exists',
+  },
+}, (req, res) => {
+  try {
+    const validationError = validateGroup(req.body);
+
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError,
+      });
+    }
+
+    if (isGroupNameTaken(req.body.name.trim())) {
+      return res.status(409).json({
+        success: false,
+        error: 'A group with this name already exists',
+      });
+    }
+
+    const group = createGroup(req.body);
+
+    res.status(201).json({
+      success: true,
+      group,
+    });
+  } catch (error) {
+    handleApiError(res, error);
+  }
+});
+
+/**
+ * PUT /api/groups/:id
+ * Update a group
+ * Body: any of { name, description, itemIds } (itemIds replaces the members)
+ */
+defineRoute(router, {
+  method: 'put',
+  path: '/:id',
+  operationId: 'updateGroup',
+  summary: 'Update a group',
+  tags: TAGS,
+  params: { id: GROUP_ID_PARAM },
+  body: { schema: ref('GroupChanges') },
+  responses: {
+    200: { description: 'The updated group', schema: GROUP_RESPONSE },
+    404: 'Group not found',
+    409: 'A group with this name already exists',
+  },
+}, (req, res) => {
+  try {
+    const groupID = req.params.id;
+
+    const validationError = validateGroup(req.body, { partial: true });
+
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError,
+      });
+    }
+
+    if (!getGroup(groupID)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Group not found',
+      });
+    }
+
+    if (req.body.name !== undefined && isGroupNameTaken(req.body.name.trim(), groupID)) {
+      return res.status(409).json({
+        success: false,
+        error: 'A group with this name already exists',
+      });
+    }
+
+    const group = updateGroup(groupID, req.body);
+
+    res.json({
+      success: true,
+      group,
+    });
+  } catch (error) {
+    handleApiError(res, error);
+  }
+});
+
+/**
+ * DELETE /api/groups/:id
+ * Delete a group (its items stay tracked)
+ */
+defineRoute(router, {
+  method: 'delete',
+  path: '/:id',
+  operationId: 'deleteGroup',
+  summary: 'Delete a group (its items stay tracked)',
+  tags: TAGS,
+  params: { id: GROUP_ID_PARAM },
+  responses: {
+    200: { description: 'The group is deleted', schema: successResponse({ id: { type: 'integer' } }) },
+    404: 'Group not found',
+  },
+}, (req, res) => {
+  try {
+    const groupID = req.params.id;
+
+    if (!deleteGroup(groupID)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Group not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      id: groupID,
+    });
+  } catch (error) {
+    handleApiError(res, error);
+  }
+});
+
+/**
+ * POST /api/groups/:id/items
+ * Add items to a group
+ * Body: { itemIds }
+ */
+defineRoute(router, {
+  method: 'post',
+  path: '/:id/items',
+  operationId: 'addGroupItems',
+  summary: 'Add items to a group',
+  tags: TAGS,
+  params: { id: GROUP_ID_PARAM },
+  body: {
+    schema: {
+      type: 'object',
+      properties: { itemIds: { type: 'array', items: { type: 'integer', minimum: 1 } } },
+      required: ['itemIds'],
+      additionalProperties: false,
+    },
+  },
+  responses: {
+    200: { description: 'The updated group', schema: GROUP_RESPONSE },
+    404: 'Group not found',
+  },
+}, (req, res) => {
+  try {
+    const groupID = req.params.id;
+
+    const validationError = validateItemIds(req.body.itemIds);
+
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError,
+      });
+    }
+
+    const group = addGroupItems(groupID, req.body.itemIds);
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        error: 'Group not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      group,
+    });
+  } catch (error) {
+    handleApiError(res, error);
+  }
+});
+
+/**
+ * DELETE /api/groups/:id/items/:itemId
+ * Remove an item from a group
+ */
+defineRoute(router, {
+  method: 'delete',
+  path: '/:id/items/:itemId',
+  operationId: 'removeGroupItem',
+  summary: 'Remove an item from a group',
+  tags: TAGS,
+  params: { id: GROUP_ID_PARAM, itemId: PARAMETERS.itemId },
+  responses: {
+    200: { description: 'The updated group', schema: GROUP_RESPONSE },
+    404: 'Group or group member not found',
+  },
+}, (req, res) => {
+  try {
+    const group = removeGroupItem(req.params.id, req.params.itemId);
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        error: 'Group or group member not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      group,
+    });
+  } catch (error) {
+    handleApiError(res, error);
+  }
+});
+
+export default router;
@@ -1,40 +1,175 @@
 /**
  * Items API Routes
- * 
+ *
  * RESTful API endpoints for item data
  */
 
 import express from 'express';
-import { handleApiError } from '../utils/common.js';
+import { handleApiError, parseTimestamp } from '../utils/common.js';
+import { ITEM_FIELDS, parseFields, projectItem } from '../utils/projection.js';
 import {
   getItem,
-  getAllItems,
-  getItemsByClassification,
+  queryItems,
+  decodeItemsCursor,
+  getItemHistory,
+  getItemSales,
+  getClassificationHistory,
+  updateItems,
+  HISTORY_RESOLUTIONS,
 } from '../services/itemManager.js';
+import { findGroup } from '../services/groups.js';
+import { searchItems } from '../services/search.js';
+import { worldParam } from '../services/worlds.js';
+import { getCircuitStatus } from '../services/universalisClient.js';
+import { defineRoute } from '../services/openapi.js';
+import { PARAMETERS, ref, successResponse } from '../services/apiSchemas.js';
 
 const router = express.Router();
 
+// Every route reads data for one tracked world (?world=, default: the first configured world)
+router.use(worldParam);
+
+const TAGS = ['Items'];
+
+// Query parameters of the routes returning projected items
+const PROJECTION_QUERY = {
+  world: PARAMETERS.world,
+  view: PARAMETERS.view,
+  fields: PARAMETERS.fields,
+};
+
+/**
+ * Express middleware that resolves `?view=` and `?fields=` into `req.projection`
+ * Responds 400 for an unknown field (the view is checked against the API document)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+function projectionParams(req, res, next) {
+  const fields = req.query.fields !== undefined ? parseFields(req.query.fields) : null;
+
+  if (req.query.fields !== undefined && !fields) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid fields. Expected a comma-separated list of: ${ITEM_FIELDS.join(', ')} (nested fields with dots, e.g. marketData.minPrice)`,
+    });
+  }
+
+  req.projection = { view: req.query.view ?? 'full', fields };
+  next();
+}
+
 /**
  * GET /api/items
- * Get all items
- * Query params:
- *   - classification: filter by 'hot', 'mild', or 'cold'
+ * Get all items, optionally filtered, sorted and paged
  */
-router.get('/', (req, res) => {
+defineRoute(router, {
+  method: 'get',
+  path: '/',
+  operationId: 'listItems',
+  summary: 'List items, optionally filtered, sorted and paged',
+  tags: TAGS,
+  query: {
+    ...PROJECTION_QUERY,
+    classification: {
+      description: "Tier name (see server/tiers.json, e.g. 'hot', 'mild', 'cold')",
+      schema: { type: 'string' },
+    },
+    group: {
+      description: 'Only members of this group (ID or name), in group order',
+      schema: { type: 'string' },
+    },
+    category: {
+      description: 'Only items in this UI category (case-insensitive, needs imported metadata)',
+      schema: { type: 'string' },
+    },
+    stale: {
+      description: 'true for items whose newest upstream upload is older than the stale threshold, false for the rest',
+      schema: { type: 'boolean' },
+    },
+    minPrice: { description: 'Lowest listing price at least', schema: { type: 'number' } },
+    maxPrice: { description: 'Lowest listing price at most', schema: { type: 'number' } },
+    minVelocity: { description: 'Units sold over the sales window at least', schema: { type: 'number' } },
+    hasData: {
+      description: 'true for items with market data, false for the rest',
+      schema: { type: 'boolean' },
+    },
+    name: { description: 'Name contains (case-insensitive)', schema: { type: 'string' } },
+    sort: {
+      ...PARAMETERS.sort,
+      description: 'Sort field (default: catalog order, or group order with group)',
+    },
+    order: PARAMETERS.order,
+    limit: { ...PARAMETERS.limit, description: 'Page size (default: all items, max: 500)' },
+    cursor: {
+      description: 'nextCursor of the previous page, with the same filters, sort and order',
+      schema: { type: 'string' },
+    },
+  },
+  responses: {
+    200: {
+      description: 'A page of items',
+      schema: successResponse({
+        count: { type: 'integer' },
+        total: { type: 'integer', description: 'Matching items across all pages' },
+        nextCursor: { type: ['string', 'null'] },
+        items: { type: 'array', items: ref('Item') },
+      }),
+    },
+    404: 'Group not found',
+  },
+}, projectionParams, (req, res) => {
   try {
-    const { classification } = req.query;
+    const { classification, category, name, cursor } = req.query;
+    const sort = req.query.sort ?? null;
+    const order = req.query.order ?? 'asc';
+
+    if (cursor !== undefined) {
+      const decoded = decodeItemsCursor(cursor);
+
+      if (!decoded || decoded.sort !== sort || decoded.order !== order) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid cursor for this sort order',
+        });
+      }
+    }
+
+    let groupId = null;
+    if (req.query.group !== undefined) {
+      const group = findGroup(req.query.group);
 
-    let items;
-    if (classification) {
-      items = getItemsByClassification(classification);
-    } else {
-      items = getAllItems();
+      if (!group) {
+        return res.status(404).json({
+          success: false,
+          error: 'Group not found',
+        });
+      }
+      groupId = group.id;
     }
 
+    const { items, total, nextCursor } = queryItems(req.world, {
+      classification: classification || null,
+      groupId,
+      category: category || null,
+      stale: req.query.stale ?? null,
+      minPrice: req.query.minPrice ?? null,
+      maxPrice: req.query.maxPrice ?? null,
+      minVelocity: req.query.minVelocity ?? null,
+      hasData: req.query.hasData ?? null,
+      name: name || null,
+      sort,
+      order,
+      limit: req.query.limit ?? null,
+      cursor: cursor ?? null,
+    });
+
     res.json({
       success: true,
       count: items.length,
-      items,
+      total,
+      nextCursor,
+      items: items.map(item => projectItem(item, req.projection)),
     });
   } catch (error) {
     handleApiError(res, error);
@@ -42,21 +177,73 @@ router.get('/', (req, res) => {
 });
 
 /**
- * GET /api/items/:id
- * Get item by ID
+ * GET /api/items/search
+ * Search tracked items by ID, Chinese name, pinyin, pinyin initials or alternate-language name
  */
-router.get('/:id', (req, res) => {
+defineRoute(router, {
+  method: 'get',
+  path: '/search',
+  operationId: 'searchItems',
+  summary: 'Search tracked items by ID, Chinese name, pinyin, pinyin initials or alternate-language name',
+  tags: TAGS,
+  query: {
+    world: PARAMETERS.world,
+    q: { description: 'Search text', schema: { type: 'string' }, required: true },
+    limit: { ...PARAMETERS.limit, description: 'Maximum results (default: 20, max: 100)' },
+  },
+  responses: {
+    200: {
+      description: 'Items ranked by relevance',
+      schema: successResponse({
+        query: { type: 'string' },
+        count: { type: 'integer' },
+        items: { type: 'array', items: ref('SearchResult') },
+      }),
+    },
+  },
+}, (req, res) => {
   try {
-    const itemID = parseInt(req.params.id, 10);
+    const query = req.query.q.trim();
 
-    if (isNaN(itemID)) {
+    if (query === '') {
       return res.status(400).json({
         success: false,
-        error: 'Invalid item ID',
+        error: 'Missing search query (q)',
       });
     }
 
-    const item = getItem(itemID);
+    const items = searchItems(query, { limit: req.query.limit, world: req.world });
+
+    res.json({
+      success: true,
+      query,
+      count: items.length,
+      items,
+    });
+  } catch (error) {
+    handleApiError(res, error);
+  }
+});
+
+/**
+ * GET /api/items/:id
+ * Get item by ID
+ */
+defineRoute(router, {
+  method: 'get',
+  path: '/:id',
+  operationId: 'getItem',
+  summary: 'Get an item by ID',
+  tags: TAGS,
+  params: { id: PARAMETERS.itemId },
+  query: PROJECTION_QUERY,
+  responses: {
+    200: { description: 'The item', schema: successResponse({ item: ref('Item') }) },
+    404: 'Item not found',
+  },
+}, projectionParams, (req, res) => {
+  try {
+    const item = getItem(req.params.id, req.world);
 
     if (!item) {
       return res.status(404).json({
@@ -67,7 +254,7 @@ router.get('/:id', (req, res) => {
 
     res.json({
       success: true,
-      item,
+      item: projectItem(item, req.projection),
     });
   } catch (error) {
     handleApiError(res, error);
@@ -75,29 +262,250 @@ router.get('/:id', (req, res) => {
 });
 
 /**
- * GET /api/items/batch/:ids
- * Get multiple items by IDs (comma-separated)
+ * GET /api/items/:id/history
+ * Get price/volume history for an item
  */
-router.get('/batch/:ids', (req, res) => {
+defineRoute(router, {
+  method: 'get',
+  path: '/:id/history',
+  operationId: 'getItemHistory',
+  summary: 'Get price/volume history for an item',
+  tags: TAGS,
+  params: { id: PARAMETERS.itemId },
+  query: {
+    world: PARAMETERS.world,
+    from: {
+      description: 'Range start, epoch ms or date string (default: 7 days before to)',
+      schema: { type: 'string' },
+    },
+    to: { description: 'Range end, epoch ms or date string (default: now)', schema: { type: 'string' } },
+    resolution: { schema: { enum: Object.keys(HISTORY_RESOLUTIONS), default: 'raw' } },
+  },
+  responses: {
+    200: {
+      description: 'Snapshots in the range',
+      schema: successResponse({ count: { type: 'integer' }, history: ref('ItemHistory') }),
+    },
+  },
+}, (req, res) => {
   try {
-    const ids = req.params.ids.split(',').map(id => parseInt(id.trim(), 10));
+    const from = parseTimestamp(req.query.from);
+    const to = parseTimestamp(req.query.to);
 
-    if (ids.some(id => isNaN(id))) {
+    if (from === null || to === null) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid item IDs',
+        error: 'Invalid from/to timestamp',
+      });
+    }
+
+    const history = getItemHistory(req.params.id, {
+      world: req.world,
+      from,
+      to,
+      resolution: req.query.resolution || 'raw',
+    });
+
+    res.json({
+      success: true,
+      count: history.snapshots.length,
+      history,
+    });
+  } catch (error) {
+    handleApiError(res, error);
+  }
+});
+
+// Paging query parameters of the sales and classification history routes
+const PAGE_QUERY = {
+  limit: { ...PARAMETERS.limit, description: 'Page size (default: 50, max: 500)' },
+  offset: PARAMETERS.offset,
+};
+
+/**
+ * GET /api/items/:id/sales
+ * Get recorded sales for an item, newest first
+ */
+defineRoute(router, {
+  method: 'get',
+  path: '/:id/sales',
+  operationId: 'getItemSales',
+  summary: 'Get recorded sales for an item, newest first',
+  tags: TAGS,
+  params: { id: PARAMETERS.itemId },
+  query: {
+    world: PARAMETERS.world,
+    ...PAGE_QUERY,
+    saleWorld: {
+      description: 'Only sales made on this world (useful for data centers/regions)',
+      schema: { type: 'string' },
+    },
+  },
+  responses: {
+    200: {
+      description: 'A page of sales',
+      schema: successResponse({
+        count: { type: 'integer' },
+        itemID: { type: 'integer' },
+        world: { type: 'string' },
+        total: { type: 'integer' },
+        limit: { type: 'integer' },
+        offset: { type: 'integer' },
+        sales: { type: 'array', items: ref('Sale') },
+      }),
+    },
+  },
+}, (req, res) => {
+  try {
+    const { limit, offset } = req.query;
+    const page = getItemSales(req.params.id, { world: req.world, limit, offset, worldName: req.query.saleWorld || null });
+
+    res.json({
+      success: true,
+      count: page.sales.length,
+      ...page,
+    });
+  } catch (error) {
+    handleApiError(res, error);
+  }
+});
+
+/**
+ * GET /api/items/:id/classification-history
+ * Get an item's tier changes, newest first
+ */
+defineRoute(router, {
+  method: 'get',
+  path: '/:id/classification-history',
+  operationId: 'getItemClassificationHistory',
+  summary: "Get an item's tier changes, newest first",
+  tags: TAGS,
+  params: { id: PARAMETERS.itemId },
+  query: { world: PARAMETERS.world, ...PAGE_QUERY },
+  responses: {
+    200: {
+      description: 'A page of tier changes',
+      schema: successResponse({
+        count: { type: 'integer' },
+        itemID: { type: 'integer' },
+        world: { type: 'string' },
+        total: { type: 'integer' },
+        limit: { type: 'integer' },
+        offset: { type: 'integer' },
+        changes: { type: 'array', items: ref('ClassificationChange') },
+      }),
+    },
+  },
+}, (req, res) => {
+  try {
+    const { limit, offset } = req.query;
+    const page = getClassificationHistory(req.params.id, { world: req.world, limit, offset });
+
+    res.json({
+      success: true,
+      count: page.changes.length,
+      ...page,
+    });
+  } catch (error) {
+    handleApiError(res, error);
+  }
+});
+
+/**
+ * POST /api/items/:id/refresh
+ * Fetch an item from Universalis now and return the updated item
+ * The request goes ahead of all scheduled and backfill fetches, so it only
+ * waits for the next free rate limit slot. Returns 503 while fetching is
+ * paused by the circuit breaker
+ */
+defineRoute(router, {
+  method: 'post',
+  path: '/:id/refresh',
+  operationId: 'refreshItem',
+  summary: 'Fetch an item from Universalis now and return the updated item',
+  description: 'Goes ahead of all scheduled and backfill fetches, so it only waits for the next free rate limit slot.',
+  tags: TAGS,
+  params: { id: PARAMETERS.itemId },
+  query: { world: PARAMETERS.world },
+  responses: {
+    200: { description: 'The updated item', schema: successResponse({ item: ref('Item') }) },
+    404: 'Item not found',
+    502: 'Universalis returned no market data',
+    503: 'Fetching is paused by the circuit breaker (see Retry-After)',
+  },
+}, async (req, res) => {
+  try {
+    const itemID = req.params.id;
+
+    if (!getItem(itemID, req.world)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Item not found',
+      });
+    }
+
+    const circuit = getCircuitStatus();
+    if (circuit.open) {
+      res.set('Retry-After', String(Math.ceil(circuit.retryAfterMs / 1000)));
+      return res.status(503).json({
+        success: false,
+        error: 'Fetching from Universalis is paused after repeated failures',
+      });
+    }
+
+    const stored = await updateItems([itemID], req.world, { priority: 'interactive' });
+
+    if (stored === 0) {
+      return res.status(502).json({
+        success: false,
+        error: 'Could not fetch market data from Universalis',
       });
     }
 
+    res.json({
+      success: true,
+      item: getItem(itemID, req.world),
+    });
+  } catch (error) {
+    handleApiError(res, error);
+  }
+});
+
+/**
+ * GET /api/items/batch/:ids
+ * Get multiple items by IDs (comma-separated)
+ */
+defineRoute(router, {
+  method: 'get',
+  path: '/batch/:ids',
+  operationId: 'getItemsBatch',
+  summary: 'Get multiple items by ID',
+  tags: TAGS,
+  params: { ids: PARAMETERS.itemIds },
+  query: PROJECTION_QUERY,
+  responses: {
+    200: {
+      description: 'The tracked items among the requested ones',
+      schema: successResponse({
+        count: { type: 'integer' },
+        requested: { type: 'integer' },
+        items: { type: 'array', items: ref('Item') },
+      }),
+    },
+  },
+}, projectionParams, (req, res) => {
+  try {
+    const ids = req.params.ids.split(',').map(id => parseInt(id.trim(), 10));
+
     const items = ids
-      .map(id => getItem(id))
+      .map(id => getItem(id, req.world))
       .filter(item => item !== null);
 
     res.json({
       success: true,
       count: items.length,
       requested: ids.length,
-      items,
+      items: items.map(item => projectItem(item, req.projection)),
     });
   } catch (error) {
     handleApiError(res, error);
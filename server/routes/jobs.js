@@ -0,0 +1,198 @@
+/**
+ * Jobs API Routes
+ *
+ * Inspect and control the background jobs
+ */
+
+import express from 'express';
+import { handleApiError } from '../utils/common.js';
+import { getJobs, getJob, pauseJob, resumeJob, triggerJob } from '../services/scheduler.js';
+import { defineRoute } from '../services/openapi.js';
+import { ref, successResponse } from '../services/apiSchemas.js';
+
+const router = express.Router();
+
+const TAGS = ['Jobs'];
+
+const JOB_NAME_PARAM = { description: 'Job name (e.g. tier-refresh)', schema: { type: 'string' } };
+
+// Response of the routes returning a single job
+const JOB_RESPONSE = successResponse({ job: ref('Job') });
+
+/**
+ * Respond 404 for an unknown job
+ * @param {Object} res - Express response object
+ * @returns {Object} Express response
+ */
+function jobNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: 'Job not found',
+  });
+}
+
+/**
+ * GET /api/admin/jobs
+ * Get every job with its schedule, state and last run (duration, success, error)
+ */
+defineRoute(router, {
+  method: 'get',
+  path: '/',
+  operationId: 'listJobs',
+  summary: 'Get every job with its schedule, state and last run',
+  tags: TAGS,
+  responses: {
+    200: {
+      description: 'Jobs',
+      schema: successResponse({ count: { type: 'integer' }, jobs: { type: 'array', items: ref('Job') } }),
+    },
+  },
+}, (req, res) => {
+  try {
+    const jobs = getJobs();
+
+    res.json({
+      success: true,
+      count: jobs.length,
+      jobs,
+    });
+  } catch (error) {
+    handleApiError(res, error);
+  }
+});
+
+/**
+ * GET /api/admin/jobs/:name
+ * Get one job
+ */
+defineRoute(router, {
+  method: 'get',
+  path: '/:name',
+  operationId: 'getJob',
+  summary: 'Get one job',
+  tags: TAGS,
+  params: { name: JOB_NAME_PARAM },
+  responses: {
+    200: { description: 'The job', schema: JOB_RESPONSE },
+    404: 'Job not found',
+  },
+}, (req, res) => {
+  try {
+    const job = getJob(req.params.name);
+
+    if (!job) {
+      return jobNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      job,
+    });
+  } catch (error) {
+    handleApiError(res, error);
+  }
+});
+
+/**
+ * POST /api/admin/jobs/:name/pause
+ * Stop running a job on its schedule until it is resumed (manual triggers still work)
+ */
+defineRoute(router, {
+  method: 'post',
+  path: '/:name/pause',
+  operationId: 'pauseJob',
+  summary: 'Stop running a job on its schedule until it is resumed',
+  tags: TAGS,
+  params: { name: JOB_NAME_PARAM },
+  responses: {
+    200: { description: 'The paused job', schema: JOB_RESPONSE },
+    404: 'Job not found',
+  },
+}, (req, res) => {
+  try {
+    const job = pauseJob(req.params.name);
+
+    if (!job) {
+      return jobNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      job,
+    });
+  } catch (error) {
+    handleApiError(res, error);
+  }
+});
+
+/**
+ * POST /api/admin/jobs/:name/resume
+ * Run a paused job on its schedule again
+ */
+defineRoute(router, {
+  method: 'post',
+  path: '/:name/resume',
+  operationId: 'resumeJob',
+  summary: 'Run a paused job on its schedule again',
+  tags: TAGS,
+  params: { name: JOB_NAME_PARAM },
+  responses: {
+    200: { description: 'The resumed job', schema: JOB_RESPONSE },
+    404: 'Job not found',
+  },
+}, (req, res) => {
+  try {
+    const job = resumeJob(req.params.name);
+
+    if (!job) {
+      return jobNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      job,
+    });
+  } catch (error) {
+    handleApiError(res, error);
+  }
+});
+
+/**
+ * POST /api/admin/jobs/:name/trigger
+ * Start a job now in the background (202), or 409 if it is already running
+ */
+defineRoute(router, {
+  method: 'post',
+  path: '/:name/trigger',
+  operationId: 'triggerJob',
+  summary: 'Start a job now in the background',
+  tags: TAGS,
+  params: { name: JOB_NAME_PARAM },
+  responses: {
+    202: { description: 'The job, now running', schema: JOB_RESPONSE },
+    404: 'Job not found',
+    409: 'Job is already running',
+  },
+}, (req, res) => {
+  try {
+    if (!getJob(req.params.name)) {
+      return jobNotFound(res);
+    }
+
+    if (!triggerJob(req.params.name)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Job is already running',
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      job: getJob(req.params.name),
+    });
+  } catch (error) {
+    handleApiError(res, error);
+  }
+});
+
+export default router;
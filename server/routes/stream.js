@@ -0,0 +1,123 @@
+/**
+ * Stream API Routes
+ *
+ * Server-Sent Events stream of item updates
+ */
+
+import express from 'express';
+import config from '../config.js';
+import { findGroup } from '../services/groups.js';
+import { subscribe } from '../services/itemStream.js';
+import { getTierNames, isTier } from '../services/tiers.js';
+import { worldParam } from '../services/worlds.js';
+import { defineRoute } from '../services/openapi.js';
+import { PARAMETERS } from '../services/apiSchemas.js';
+
+const router = express.Router();
+
+const HEARTBEAT_MS = Math.max(config.stream.heartbeatSeconds, 1) * 1000;
+
+// How long browsers wait before reconnecting a dropped stream
+const RETRY_MS = 3000;
+
+/**
+ * Format an event in the text/event-stream format
+ * @param {Object} event - { id, type, data }
+ * @returns {string} Event block
+ */
+function formatEvent({ id, type, data }) {
+  return `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * GET /api/stream
+ * Stream item updates as Server-Sent Events
+ * Events:
+ *   - item: a fetch or real-time event changed an item ({ world, item } in the summary view)
+ *   - classification: an item moved to another tier ({ world, itemId, changedAt, fromTier, toTier })
+ *   - resync: events since Last-Event-ID are no longer available, reload the items instead
+ */
+defineRoute(router, {
+  method: 'get',
+  path: '/',
+  operationId: 'streamItems',
+  summary: 'Stream item updates as Server-Sent Events',
+  description: 'Events: `item` ({ world, item } in the summary view), `classification` '
+    + '({ world, itemId, changedAt, fromTier, toTier }) and `resync` (events since Last-Event-ID '
+    + 'are no longer available, reload the items instead).',
+  tags: ['Stream'],
+  query: {
+    world: PARAMETERS.world,
+    ids: { ...PARAMETERS.itemIds, description: 'Only these item IDs (comma-separated)' },
+    group: { description: 'Only members of this group (ID or name), as of connecting', schema: { type: 'string' } },
+    classification: {
+      description: 'Only items in (or moving into or out of) this tier',
+      schema: { type: 'string' },
+    },
+    lastEventId: {
+      description: 'Resume after this event (alternative to the Last-Event-ID header)',
+      schema: { type: 'string' },
+    },
+  },
+  responses: {
+    200: { description: 'Event stream', contentType: 'text/event-stream', schema: { type: 'string' } },
+    404: 'Group not found',
+  },
+}, worldParam, (req, res) => {
+  let itemIds = null;
+
+  if (req.query.ids !== undefined) {
+    itemIds = new Set(req.query.ids.split(',').map(id => parseInt(id.trim(), 10)));
+  }
+
+  if (req.query.group !== undefined) {
+    const group = findGroup(req.query.group);
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        error: 'Group not found',
+      });
+    }
+
+    const members = group.itemIds.filter(id => !itemIds || itemIds.has(id));
+    itemIds = new Set(members);
+  }
+
+  const classification = req.query.classification ?? null;
+  if (classification !== null && !isTier(classification)) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid classification. Expected one of: ${getTierNames().join(', ')}`,
+    });
+  }
+
+  // Browsers send the header when they reconnect on their own
+  const lastEventID = req.get('Last-Event-ID') ?? req.query.lastEventId ?? null;
+
+  // no-transform keeps the compression middleware from buffering events
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const unsubscribe = subscribe(
+    { world: req.world, itemIds, classification },
+    event => res.write(formatEvent(event)),
+    lastEventID
+  );
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+  console.log(`[Stream] Client connected for ${req.world}`);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    console.log(`[Stream] Client disconnected from ${req.world}`);
+  });
+});
+
+export default router;
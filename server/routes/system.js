@@ -0,0 +1,212 @@
+/**
+ * System API Routes
+ *
+ * Health, tracked worlds and server statistics
+ */
+
+import express from 'express';
+import { handleApiError } from '../utils/common.js';
+import {
+  getAllItems,
+  getItemsByClassification,
+  getItem,
+  getWriteStats,
+} from '../services/itemManager.js';
+import { getWorlds, worldParam } from '../services/worlds.js';
+import { getFreshnessStats } from '../services/freshness.js';
+import { getRefreshStats } from '../services/refreshPolicy.js';
+import { getTierConfig } from '../services/tiers.js';
+import { getQueueStats, getUpstreamStats, estimateRequestCost } from '../services/universalisClient.js';
+import { getRetryQueueStats } from '../services/retryQueue.js';
+import { getRealtimeStats } from '../services/realtime.js';
+import { getStreamStats } from '../services/itemStream.js';
+import { defineRoute } from '../services/openapi.js';
+import { PARAMETERS, successResponse } from '../services/apiSchemas.js';
+import config from '../config.js';
+
+const router = express.Router();
+
+const TAGS = ['System'];
+const WORLDS = getWorlds();
+
+/**
+ * GET /health
+ * Health check
+ */
+defineRoute(router, {
+  method: 'get',
+  path: '/health',
+  operationId: 'checkHealth',
+  summary: 'Health check',
+  tags: TAGS,
+  responses: {
+    200: {
+      description: 'The server is up',
+      schema: {
+        type: 'object',
+        properties: {
+          status: { const: 'ok' },
+          timestamp: { type: 'string' },
+          worldName: { type: 'string', description: 'Default world (kept for clients of the single-world server)' },
+          worlds: { type: 'array', items: { type: 'string' } },
+        },
+        required: ['status', 'timestamp', 'worldName', 'worlds'],
+        additionalProperties: false,
+      },
+    },
+  },
+}, (req, res) => {
+  res.json({
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    worldName: config.defaultWorld,
+    worlds: WORLDS,
+  });
+});
+
+/**
+ * GET /api/worlds
+ * Tracked worlds (the first one is the default for ?world=)
+ */
+defineRoute(router, {
+  method: 'get',
+  path: '/api/worlds',
+  operationId: 'listWorlds',
+  summary: 'List tracked worlds/data centers',
+  tags: TAGS,
+  responses: {
+    200: {
+      description: 'Tracked worlds, the default for ?world= first',
+      schema: successResponse({
+        defaultWorld: { type: 'string' },
+        worlds: { type: 'array', items: { type: 'string' } },
+      }),
+    },
+  },
+}, (req, res) => {
+  res.json({
+    success: true,
+    defaultWorld: config.defaultWorld,
+    worlds: WORLDS,
+  });
+});
+
+/**
+ * GET /api/stats
+ * Server statistics, item counts per world (?world=)
+ */
+defineRoute(router, {
+  method: 'get',
+  path: '/api/stats',
+  operationId: 'getStats',
+  summary: 'Get server statistics',
+  tags: TAGS,
+  query: { world: PARAMETERS.world },
+  responses: {
+    200: {
+      description: 'Item counts of the world, fetching and stream statistics',
+      schema: successResponse({
+        world: { type: 'string' },
+        stats: {
+          type: 'object',
+          description: 'Items in total, per tier and with stale upstream data',
+          properties: { total: { type: 'integer' }, stale: { type: 'integer' } },
+          additionalProperties: { type: 'integer' },
+          required: ['total', 'stale'],
+        },
+        freshness: { type: 'object' },
+        refresh: { type: 'object' },
+        tiers: { type: 'object' },
+        queue: { type: 'object' },
+        upstream: { type: 'object' },
+        retryQueue: { type: 'object' },
+        writes: { type: 'object' },
+        realtime: { type: 'object' },
+        stream: { type: 'object' },
+        cost: { type: 'object', description: 'Time a full refresh of every tracked item in every world takes' },
+        updateIntervals: { type: 'object', additionalProperties: { type: 'string' } },
+      }),
+    },
+  },
+}, worldParam, (req, res) => {
+  try {
+    const allItems = getAllItems(req.world);
+    const tierConfig = getTierConfig();
+    const tierCounts = {};
+    const updateIntervals = {};
+    for (const tier of tierConfig.tiers) {
+      tierCounts[tier.name] = getItemsByClassification(tier.name, req.world).length;
+      updateIntervals[tier.name] = `${tier.intervalSeconds}s`;
+    }
+
+    res.json({
+      success: true,
+      world: req.world,
+      stats: {
+        total: allItems.length,
+        ...tierCounts,
+        stale: allItems.filter(item => item.freshness.stale).length,
+      },
+      freshness: getFreshnessStats(),
+      refresh: getRefreshStats(),
+      tiers: tierConfig,
+      queue: getQueueStats(),
+      upstream: getUpstreamStats(),
+      retryQueue: getRetryQueueStats(),
+      writes: getWriteStats(),
+      realtime: getRealtimeStats(),
+      stream: getStreamStats(),
+      // Time a full refresh of every tracked item in every world takes
+      cost: estimateRequestCost(WORLDS.reduce((count, world) => count + getAllItems(world).length, 0)),
+      updateIntervals,
+    });
+  } catch (error) {
+    handleApiError(res, error);
+  }
+});
+
+/**
+ * GET /api/debug/store
+ * Check the stored state of a few sample items
+ */
+defineRoute(router, {
+  method: 'get',
+  path: '/api/debug/store',
+  operationId: 'getDebugStore',
+  summary: 'Check the stored state of a few sample items',
+  tags: ['Debug'],
+  query: { world: PARAMETERS.world },
+  responses: {
+    200: {
+      description: 'Stored state of the sample items',
+      schema: successResponse({ debug: { type: 'array', items: { type: 'object' } } }),
+    },
+  },
+}, worldParam, (req, res) => {
+  try {
+    const sampleItemIDs = [32953, 32950, 29978];
+    const debugInfo = sampleItemIDs.map(itemID => {
+      const item = getItem(itemID, req.world);
+      return {
+        itemID,
+        exists: item !== null,
+        unitsSold: item?.marketData?.unitsSold,
+        unitsSoldType: typeof item?.marketData?.unitsSold,
+        hasData: item?.marketData?.hasData,
+        classification: item?.classification,
+        lastUpdate: item?.lastUpdate,
+        nextUpdate: item?.nextUpdate,
+        isNA: item?.marketData?.unitsSold === 'NA' || item?.marketData?.unitsSold === null || item?.marketData?.unitsSold === undefined,
+      };
+    });
+
+    res.json({
+      success: true,
+      debug: debugInfo,
+    });
+  } catch (error) {
+    handleApiError(res, error);
+  }
+});
+
+export default router;
@@ -0,0 +1,374 @@
+/**
+ * API Schemas
+ *
+ * JSON Schemas of the API's resources and shared parameters, referenced by the
+ * route definitions (see services/openapi.js) and published as the components
+ * of the OpenAPI document. Resource schemas list the fields clients rely on
+ * and allow others, since stored market data mirrors the Universalis response.
+ */
+
+import { ITEM_SORT_FIELDS } from './itemManager.js';
+import { ITEM_VIEWS } from '../utils/projection.js';
+
+/**
+ * Reference a component schema
+ * @param {string} name - Component schema name
+ * @returns {Object} JSON Schema $ref
+ */
+function ref(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+/**
+ * Build the schema of a successful response body ({ success: true, ...properties })
+ * @param {Object} properties - Property schemas besides `success`
+ * @param {string[]} required - Required properties besides `success` (default: all of them)
+ * @returns {Object} JSON Schema
+ */
+function successResponse(properties, required = Object.keys(properties)) {
+  return {
+    type: 'object',
+    properties: { success: { const: true }, ...properties },
+    required: ['success', ...required],
+    additionalProperties: false,
+  };
+}
+
+const nullable = (schema) => ({ anyOf: [schema, { type: 'null' }] });
+const timestamp = { type: 'integer', description: 'Epoch milliseconds' };
+
+// Body of every error response
+const ERROR_RESPONSE_SCHEMA = ref('ErrorResponse');
+
+const COMPONENT_SCHEMAS = {
+  ErrorResponse: {
+    type: 'object',
+    properties: {
+      success: { const: false },
+      error: { type: 'string' },
+      details: {
+        type: 'array',
+        description: 'Every failed check of an invalid request',
+        items: {
+          type: 'object',
+          properties: {
+            in: { enum: ['path', 'query', 'body', 'response'] },
+            name: { type: 'string', description: 'Parameter or body field (dot notation), empty for the whole body' },
+            message: { type: 'string' },
+          },
+          required: ['in', 'name', 'message'],
+        },
+      },
+    },
+    required: ['success', 'error'],
+  },
+
+  MarketValue: {
+    description: "A market figure, or 'NA' until the item has been fetched",
+    anyOf: [{ type: 'number' }, { const: 'NA' }],
+  },
+
+  Listing: {
+    type: 'object',
+    properties: {
+      listingID: { type: ['string', 'number'] },
+      pricePerUnit: { type: 'number' },
+      quantity: { type: 'integer' },
+      total: { type: 'number' },
+      hq: { type: 'boolean' },
+      worldName: { type: 'string' },
+      retainerName: { type: 'string' },
+      lastReviewTime: { type: 'number' },
+    },
+  },
+
+  MarketData: {
+    type: 'object',
+    description: 'Market data as fetched from Universalis, with the fields below computed or normalised',
+    properties: {
+      hasData: { type: 'boolean' },
+      minPrice: ref('MarketValue'),
+      minPriceNQ: ref('MarketValue'),
+      minPriceHQ: ref('MarketValue'),
+      maxPrice: ref('MarketValue'),
+      currentAveragePrice: ref('MarketValue'),
+      currentAveragePriceNQ: ref('MarketValue'),
+      currentAveragePriceHQ: ref('MarketValue'),
+      regularSaleVelocity: { type: 'number' },
+      unitsSold: ref('MarketValue'),
+      unitsForSale: ref('MarketValue'),
+      listingsCount: { type: 'integer' },
+      lastUploadTime: { type: 'number' },
+      listings: { type: 'array', items: ref('Listing') },
+      recentHistory: { type: 'array', items: ref('Sale') },
+    },
+  },
+
+  ItemMetadata: {
+    type: 'object',
+    description: 'Item sheet data from the metadata import',
+    properties: {
+      nameEn: { type: ['string', 'null'] },
+      nameJa: { type: ['string', 'null'] },
+      nameZh: { type: ['string', 'null'] },
+      uiCategoryId: { type: ['integer', 'null'] },
+      uiCategory: { type: ['string', 'null'] },
+      itemLevel: { type: ['integer', 'null'] },
+      stackSize: { type: ['integer', 'null'] },
+      iconPath: { type: ['string', 'null'] },
+    },
+  },
+
+  Freshness: {
+    type: 'object',
+    properties: {
+      lastUploadTime: { type: ['number', 'null'] },
+      ageMs: { type: ['number', 'null'] },
+      stale: { type: 'boolean' },
+    },
+    required: ['lastUploadTime', 'ageMs', 'stale'],
+  },
+
+  Item: {
+    type: 'object',
+    description: 'A tracked item in one world; projected responses (view/fields) only contain some fields',
+    properties: {
+      id: { type: 'integer' },
+      world: { type: 'string' },
+      name: { type: 'string' },
+      number: { type: 'array', items: { type: 'number' } },
+      req: { type: 'array', items: { type: 'number' } },
+      marketData: ref('MarketData'),
+      classification: { type: 'string', description: 'Tier name (see server/tiers.json)' },
+      lastUpdate: nullable(timestamp),
+      nextUpdate: nullable(timestamp),
+      refresh: { type: ['object', 'null'], description: 'How the next update time was chosen' },
+      contentHash: { type: ['string', 'null'] },
+      lastChangedAt: nullable(timestamp),
+      unchangedCount: { type: 'integer' },
+      metadata: nullable(ref('ItemMetadata')),
+      freshness: ref('Freshness'),
+    },
+    required: ['id'],
+  },
+
+  SearchResult: {
+    allOf: [
+      ref('Item'),
+      {
+        type: 'object',
+        properties: {
+          match: {
+            type: 'object',
+            properties: {
+              field: { type: 'string', description: 'id, name, pinyin, initials, nameEn, nameJa or nameZh' },
+              score: { type: 'number' },
+            },
+            required: ['field', 'score'],
+          },
+        },
+        required: ['match'],
+      },
+    ],
+  },
+
+  HistorySnapshot: {
+    type: 'object',
+    description: 'A price snapshot (raw) or a bucket of them (hour/day)',
+    properties: {
+      recordedAt: timestamp,
+    },
+    required: ['recordedAt'],
+  },
+
+  ItemHistory: {
+    type: 'object',
+    properties: {
+      itemID: { type: 'integer' },
+      world: { type: 'string' },
+      from: timestamp,
+      to: timestamp,
+      resolution: { enum: ['raw', 'hour', 'day'] },
+      snapshots: { type: 'array', items: ref('HistorySnapshot') },
+    },
+    required: ['itemID', 'world', 'from', 'to', 'resolution', 'snapshots'],
+  },
+
+  Sale: {
+    type: 'object',
+    properties: {
+      timestamp: { type: 'number' },
+      worldName: { type: ['string', 'null'] },
+      buyerName: { type: ['string', 'null'] },
+      quantity: { type: 'integer' },
+      pricePerUnit: { type: 'number' },
+      hq: { type: 'boolean' },
+      onMannequin: { type: 'boolean' },
+    },
+  },
+
+  ClassificationChange: {
+    type: 'object',
+    properties: {
+      changedAt: timestamp,
+      fromTier: { type: ['string', 'null'] },
+      toTier: { type: 'string' },
+      metric: { type: ['string', 'null'] },
+      metricValue: { type: ['number', 'null'] },
+    },
+    required: ['changedAt', 'fromTier', 'toTier'],
+  },
+
+  ArbitrageOpportunity: {
+    type: 'object',
+    properties: {
+      itemId: { type: 'integer' },
+      name: { type: 'string' },
+      metadata: nullable(ref('ItemMetadata')),
+      hq: { type: 'boolean' },
+      buyWorld: { type: 'string' },
+      sellWorld: { type: 'string' },
+      buyPrice: { type: 'number' },
+      sellPrice: { type: 'number' },
+      margin: { type: 'number' },
+      marginPercent: { type: 'number' },
+      quantity: { type: 'integer' },
+      availableQuantity: { type: 'integer' },
+      homeUnitsSold: { type: 'number' },
+      expectedProfit: { type: 'number' },
+    },
+    required: ['itemId', 'name', 'hq', 'buyWorld', 'sellWorld', 'buyPrice', 'sellPrice', 'expectedProfit'],
+  },
+
+  CatalogItem: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      name: { type: 'string' },
+      number: { type: 'array', items: { type: 'number' }, description: 'Quantity tiers' },
+      req: { type: 'array', items: { type: 'number' }, description: 'Required amount per quantity tier' },
+    },
+    required: ['id', 'name', 'number', 'req'],
+  },
+
+  CatalogItemInput: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer', minimum: 1 },
+      name: { type: 'string', minLength: 1 },
+      number: { type: 'array', items: { type: 'number' } },
+      req: { type: 'array', items: { type: 'number' } },
+    },
+    required: ['id', 'name'],
+    additionalProperties: false,
+  },
+
+  CatalogItemChanges: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      number: { type: 'array', items: { type: 'number' } },
+      req: { type: 'array', items: { type: 'number' } },
+    },
+    additionalProperties: false,
+  },
+
+  Group: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      name: { type: 'string' },
+      description: { type: ['string', 'null'] },
+      itemIds: { type: 'array', items: { type: 'integer' } },
+    },
+    required: ['id', 'name', 'itemIds'],
+  },
+
+  GroupInput: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      description: { type: ['string', 'null'] },
+      itemIds: { type: 'array', items: { type: 'integer', minimum: 1 } },
+    },
+    required: ['name'],
+    additionalProperties: false,
+  },
+
+  GroupChanges: {
+    type: 'object',
+    description: 'itemIds replaces the members',
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      description: { type: ['string', 'null'] },
+      itemIds: { type: 'array', items: { type: 'integer', minimum: 1 } },
+    },
+    additionalProperties: false,
+  },
+
+  Job: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      description: { type: 'string' },
+      schedule: { type: 'string', description: 'Cron expression' },
+      paused: { type: 'boolean' },
+      running: { type: 'boolean' },
+      currentRun: { type: ['object', 'null'] },
+      lastRun: { type: ['object', 'null'], description: '{ startedAt, finishedAt, durationMs, success, error, result }' },
+      runCount: { type: 'integer' },
+      failureCount: { type: 'integer' },
+      skippedCount: { type: 'integer' },
+      recentErrors: { type: 'array', items: { type: 'object' } },
+    },
+    required: ['name', 'schedule', 'paused', 'running'],
+  },
+};
+
+// Query and path parameters shared by several routes
+const PARAMETERS = {
+  world: {
+    description: 'Tracked world/data center (default: the first configured world)',
+    schema: { type: 'string' },
+  },
+  itemId: {
+    description: 'Item ID',
+    schema: { type: 'integer' },
+  },
+  view: {
+    description: "'summary' (prices and counts only) or 'full'",
+    schema: { enum: ITEM_VIEWS, default: 'full' },
+  },
+  fields: {
+    description: 'Comma-separated fields to return, nested ones in dot notation (e.g. marketData.minPrice); overrides view',
+    schema: { type: 'string' },
+  },
+  itemIds: {
+    description: 'Comma-separated item IDs',
+    schema: { type: 'string', pattern: '^\\s*\\d+\\s*(,\\s*\\d+\\s*)*$', description: 'comma-separated item IDs' },
+  },
+  limit: {
+    description: 'Page size',
+    schema: { type: 'integer', minimum: 1 },
+  },
+  offset: {
+    description: 'Number of entries to skip',
+    schema: { type: 'integer', minimum: 0 },
+  },
+  sort: {
+    description: 'Sort field',
+    schema: { enum: ITEM_SORT_FIELDS },
+  },
+  order: {
+    description: 'Sort order; items without a value come last either way',
+    schema: { enum: ['asc', 'desc'], default: 'asc' },
+  },
+};
+
+export {
+  ref,
+  successResponse,
+  COMPONENT_SCHEMAS,
+  ERROR_RESPONSE_SCHEMA,
+  PARAMETERS,
+};
@@ -0,0 +1,227 @@
+/**
+ * Cross-World Arbitrage
+ *
+ * Finds items that can be bought cheaper on another world than they
+ * recently sold for on a home world. Listings come from the stored market
+ * data of every tracked world (DC and region listings carry `worldName`),
+ * sell prices from the sales ledger. NQ and HQ are compared separately.
+ */
+
+import config from '../config.js';
+import { DAY_MS } from '../utils/timeseries.js';
+import { getStorage } from './storage/index.js';
+import { getAllItems } from './itemManager.js';
+import { getWorlds } from './worlds.js';
+
+const DEFAULT_ARBITRAGE_DAYS = 7;
+const MAX_ARBITRAGE_DAYS = 90;
+const DEFAULT_ARBITRAGE_LIMIT = 50;
+const MAX_ARBITRAGE_LIMIT = 500;
+
+/**
+ * Get the median of a list of numbers
+ * @param {number[]} values - Values (not empty)
+ * @returns {number} Median value
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0
+    ? (sorted[middle - 1] + sorted[middle]) / 2
+    : sorted[middle];
+}
+
+/**
+ * Collect the current listings of every item across the given tracked worlds
+ * Listings seen through more than one tracked world (e.g. a DC and one of its worlds) are counted once
+ * @param {string[]} worlds - Tracked worlds/data centers
+ * @returns {Map<number, Object>} Per item: { item, listings: [{ world, pricePerUnit, quantity, hq }] }
+ */
+function collectListings(worlds) {
+  const byItem = new Map();
+
+  for (const trackedWorld of worlds) {
+    for (const item of getAllItems(trackedWorld)) {
+      const listings = item.marketData?.hasData ? item.marketData.listings || [] : [];
+      if (!byItem.has(item.id)) {
+        byItem.set(item.id, { item, listings: [], seen: new Set() });
+      }
+      const entry = byItem.get(item.id);
+
+      for (const listing of listings) {
+        const world = listing.worldName || trackedWorld;
+        const key = listing.listingID || `${world}|${listing.retainerName}|${listing.pricePerUnit}|${listing.quantity}|${listing.hq}`;
+        if (entry.seen.has(key) || !(listing.pricePerUnit > 0) || !(listing.quantity > 0)) continue;
+
+        entry.seen.add(key);
+        entry.listings.push({
+          world,
+          pricePerUnit: listing.pricePerUnit,
+          quantity: listing.quantity,
+          hq: listing.hq === true,
+        });
+      }
+    }
+  }
+
+  return byItem;
+}
+
+/**
+ * Group recent home world sales by item and quality
+ * Sales recorded through more than one tracked world are counted once
+ * @param {string} home - Home world the sales happened on
+ * @param {number} from - Start timestamp (ms)
+ * @returns {Map<string, Object[]>} Sales keyed by "itemId|hq"
+ */
+function collectHomeSales(home, from) {
+  const byKey = new Map();
+  const seen = new Set();
+
+  for (const sale of getStorage().getSalesOnWorld(home, from)) {
+    const saleKey = `${sale.itemId}|${sale.timestamp}|${sale.buyerName}|${sale.quantity}|${sale.pricePerUnit}|${sale.hq}`;
+    if (seen.has(saleKey)) continue;
+    seen.add(saleKey);
+
+    const key = `${sale.itemId}|${sale.hq}`;
+    if (!byKey.has(key)) {
+      byKey.set(key, []);
+    }
+    byKey.get(key).push(sale);
+  }
+
+  return byKey;
+}
+
+/**
+ * Evaluate buying one quality of an item elsewhere and selling it on the home world
+ * Listings are bought cheapest first while they stay profitable, up to the
+ * number of units the home world sold in the window
+ * @param {Object[]} listings - Listings of this quality on other worlds
+ * @param {Object[]} sales - Home world sales of this quality in the window
+ * @param {number} taxRate - Market tax paid on purchases (0.05 = 5%)
+ * @returns {Object|null} Opportunity or null if nothing is profitable
+ */
+function evaluateOpportunity(listings, sales, taxRate) {
+  if (listings.length === 0 || sales.length === 0) {
+    return null;
+  }
+
+  const sellPrice = median(sales.map(sale => sale.pricePerUnit));
+  const demand = sales.reduce((sum, sale) => sum + sale.quantity, 0);
+  const sorted = [...listings].sort((a, b) => a.pricePerUnit - b.pricePerUnit);
+  const cheapest = sorted[0];
+  const buyCost = cheapest.pricePerUnit * (1 + taxRate);
+
+  if (buyCost >= sellPrice) {
+    return null;
+  }
+
+  let quantity = 0;
+  let totalCost = 0;
+  let availableQuantity = 0;
+  for (const listing of sorted) {
+    const unitCost = listing.pricePerUnit * (1 + taxRate);
+    if (unitCost >= sellPrice) break;
+
+    availableQuantity += listing.quantity;
+    const units = Math.min(listing.quantity, demand - quantity);
+    if (units > 0) {
+      quantity += units;
+      totalCost += units * unitCost;
+    }
+  }
+
+  const margin = sellPrice - buyCost;
+
+  return {
+    buyWorld: cheapest.world,
+    buyPrice: cheapest.pricePerUnit,
+    sellPrice,
+    margin: Math.round(margin),
+    marginPercent: Math.round((margin / buyCost) * 1000) / 10,
+    quantity,
+    availableQuantity,
+    homeUnitsSold: demand,
+    expectedProfit: Math.round(quantity * sellPrice - totalCost),
+  };
+}
+
+/**
+ * Find cross-world arbitrage opportunities for the tracked items
+ * @param {Object} options - Search options
+ * @param {string} options.home - World to sell on
+ * @param {string[]} options.worlds - Tracked worlds whose data is used (default: all)
+ * @param {number} options.days - Sales window for the home world sell price (default: 7, max: 90)
+ * @param {number} options.minProfit - Minimum expected profit (default: 0)
+ * @param {number} options.limit - Maximum number of results (default: 50, max: 500)
+ * @param {number} now - Current timestamp (default: Date.now())
+ * @returns {Object} { home, days, taxRate, opportunities } ranked by expected profit
+ */
+function findArbitrage({
+  home,
+  worlds = getWorlds(),
+  days = DEFAULT_ARBITRAGE_DAYS,
+  minProfit = 0,
+  limit = DEFAULT_ARBITRAGE_LIMIT,
+} = {}, now = Date.now()) {
+  const windowDays = Math.min(Math.max(days, 1), MAX_ARBITRAGE_DAYS);
+  const maxResults = Math.min(Math.max(limit, 1), MAX_ARBITRAGE_LIMIT);
+  const taxRate = config.arbitrage.taxPercent / 100;
+
+  const homeSales = collectHomeSales(home, now - windowDays * DAY_MS);
+  const opportunities = [];
+
+  for (const [itemID, { item, listings }] of collectListings(worlds)) {
+    const elsewhere = listings.filter(listing => listing.world !== home);
+    let best = null;
+
+    for (const hq of [false, true]) {
+      const opportunity = evaluateOpportunity(
+        elsewhere.filter(listing => listing.hq === hq),
+        homeSales.get(`${itemID}|${hq}`) || [],
+        taxRate
+      );
+      if (opportunity && (!best || opportunity.expectedProfit > best.expectedProfit)) {
+        best = { ...opportunity, hq };
+      }
+    }
+
+    if (best && best.expectedProfit > minProfit) {
+      opportunities.push({
+        itemId: itemID,
+        name: item.name,
+        metadata: item.metadata ?? null,
+        hq: best.hq,
+        buyWorld: best.buyWorld,
+        sellWorld: home,
+        buyPrice: best.buyPrice,
+        sellPrice: best.sellPrice,
+        margin: best.margin,
+        marginPercent: best.marginPercent,
+        quantity: best.quantity,
+        availableQuantity: best.availableQuantity,
+        homeUnitsSold: best.homeUnitsSold,
+        expectedProfit: best.expectedProfit,
+      });
+    }
+  }
+
+  opportunities.sort((a, b) => b.expectedProfit - a.expectedProfit || b.marginPercent - a.marginPercent);
+
+  return {
+    home,
+    days: windowDays,
+    taxRate,
+    opportunities: opportunities.slice(0, maxResults),
+  };
+}
+
+export {
+  findArbitrage,
+  evaluateOpportunity,
+  DEFAULT_ARBITRAGE_DAYS,
+  MAX_ARBITRAGE_DAYS,
+  DEFAULT_ARBITRAGE_LIMIT,
+  MAX_ARBITRAGE_LIMIT,
+};
@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { evaluateOpportunity } from './arbitrage.js';
+
+/**
+ * Create a listing on another world
+ * @param {string} world - World the listing is on
+ * @param {number} pricePerUnit - Price per unit
+ * @param {number} quantity - Units listed
+ * @returns {Object} Listing
+ */
+const listing = (world, pricePerUnit, quantity) => ({ world, pricePerUnit, quantity, hq: false });
+
+/**
+ * Create a home world sale
+ * @param {number} pricePerUnit - Price per unit
+ * @param {number} quantity - Units sold
+ * @returns {Object} Sale
+ */
+const sale = (pricePerUnit, quantity) => ({ pricePerUnit, quantity });
+
+describe('evaluateOpportunity', () => {
+  // Median sell price 120, 6 units sold
+  const sales = [sale(200, 3), sale(100, 2), sale(120, 1)];
+
+  it('should buy the cheapest listings while they are profitable, up to the units sold at home', () => {
+    const listings = [listing('B', 90, 5), listing('C', 115, 10), listing('A', 80, 4)];
+
+    // A: 4 units at 84 with tax, B: 2 of 5 units at 94.5, C: 120.75 is not below the sell price
+    expect(evaluateOpportunity(listings, sales, 0.05)).toEqual({
+      buyWorld: 'A',
+      buyPrice: 80,
+      sellPrice: 120,
+      margin: 36,
+      marginPercent: 42.9,
+      quantity: 6,
+      availableQuantity: 9,
+      homeUnitsSold: 6,
+      expectedProfit: 6 * 120 - (4 * 84 + 2 * 94.5),
+    });
+  });
+
+  it('should buy fewer units when not enough are listed profitably', () => {
+    const opportunity = evaluateOpportunity([listing('A', 100, 2)], sales, 0);
+
+    expect(opportunity).toMatchObject({ quantity: 2, availableQuantity: 2, expectedProfit: 40 });
+  });
+
+  it('should sell at the median price of the home world sales', () => {
+    const evenSales = [sale(100, 1), sale(300, 1), sale(200, 1), sale(1000, 1)];
+
+    expect(evaluateOpportunity([listing('A', 100, 1)], evenSales, 0).sellPrice).toBe(250);
+  });
+
+  it('should return null unless the cheapest listing with tax is below the sell price', () => {
+    expect(evaluateOpportunity([listing('A', 120, 1)], sales, 0)).toBeNull();
+    expect(evaluateOpportunity([listing('A', 115, 1)], sales, 0.05)).toBeNull();
+    expect(evaluateOpportunity([listing('A', 115, 1)], sales, 0)).not.toBeNull();
+  });
+
+  it('should return null without listings or home world sales', () => {
+    expect(evaluateOpportunity([], sales, 0.05)).toBeNull();
+    expect(evaluateOpportunity([listing('A', 80, 4)], [], 0.05)).toBeNull();
+  });
+});
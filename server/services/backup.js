@@ -0,0 +1,163 @@
+/**
+ * Backup Service
+ *
+ * Online backups of the SQLite database and JSON-lines export/import
+ * for moving data between instances
+ */
+
+import { join } from 'path';
+import { existsSync, mkdirSync, statSync } from 'fs';
+import config from '../config.js';
+import {
+  backupDatabase,
+  getDatabaseSchemaVersion,
+  getExportPage,
+  importRows,
+  EXPORT_TABLES,
+} from './database.js';
+
+const BACKUP_DIR = config.backupDir;
+
+// Export/import format identifier and batch sizes
+const EXPORT_FORMAT = 'mehrwert-export';
+const EXPORT_PAGE_SIZE = 1000;
+const IMPORT_BATCH_SIZE = 500;
+
+/**
+ * Write a timestamped copy of the database using the online backup API
+ * @returns {Promise<Object>} Backup file info
+ */
+async function createBackup() {
+  if (!existsSync(BACKUP_DIR)) {
+    mkdirSync(BACKUP_DIR, { recursive: true });
+  }
+
+  const startedAt = Date.now();
+  const timestamp = new Date(startedAt).toISOString().replace(/[:.]/g, '-');
+  const file = `items-${timestamp}.db`;
+  const path = join(BACKUP_DIR, file);
+
+  await backupDatabase(path);
+
+  const backup = {
+    file,
+    path,
+    sizeBytes: statSync(path).size,
+    createdAt: startedAt,
+    durationMs: Date.now() - startedAt,
+  };
+  console.log(`[Backup] Wrote ${path} (${backup.sizeBytes} bytes) in ${backup.durationMs}ms`);
+  return backup;
+}
+
+/**
+ * Export every table as JSON lines
+ * The first line is a header, each following line is { table, row }
+ * @param {Function} writeLine - async function(line) that writes one line
+ * @returns {Promise<Object>} Number of exported rows per table
+ */
+async function exportDatabase(writeLine) {
+  const counts = {};
+
+  await writeLine(JSON.stringify({
+    format: EXPORT_FORMAT,
+    schemaVersion: getDatabaseSchemaVersion(),
+    exportedAt: Date.now(),
+  }));
+
+  for (const table of Object.keys(EXPORT_TABLES)) {
+    counts[table] = 0;
+    let lastRowId = 0;
+
+    while (true) {
+      const page = getExportPage(table, lastRowId, EXPORT_PAGE_SIZE);
+      if (page.length === 0) break;
+
+      for (const { exportRowId, ...row } of page) {
+        await writeLine(JSON.stringify({ table, row }));
+        lastRowId = exportRowId;
+      }
+      counts[table] += page.length;
+    }
+  }
+
+  return counts;
+}
+
+/**
+ * Import a JSON-lines export, merging it into the current database
+ * Rows are written in batches as they are read, so rows before an invalid
+ * line have already been imported when an error is thrown
+ * @param {AsyncIterable<string>} lines - Lines of the export
+ * @returns {Promise<Object>} Number of read and written rows per table
+ */
+async function importDatabase(lines) {
+  const counts = {};
+  const pending = {};
+  let header = null;
+  let lineNumber = 0;
+
+  const flush = (table) => {
+    if (!pending[table] || pending[table].length === 0) return;
+    counts[table].written += importRows(table, pending[table]);
+    pending[table] = [];
+  };
+
+  for await (const line of lines) {
+    lineNumber++;
+    if (line.trim() === '') continue;
+
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      throw new Error(`Invalid JSON on line ${lineNumber}`);
+    }
+
+    if (!header) {
+      if (entry.format !== EXPORT_FORMAT) {
+        throw new Error(`Line 1 is not a ${EXPORT_FORMAT} header`);
+      }
+      if (entry.schemaVersion > getDatabaseSchemaVersion()) {
+        throw new Error(`Export schema version ${entry.schemaVersion} is newer than this database (${getDatabaseSchemaVersion()})`);
+      }
+      header = entry;
+      continue;
+    }
+
+    const { table, row } = entry;
+    if (!EXPORT_TABLES[table] || !row || typeof row !== 'object') {
+      throw new Error(`Invalid row on line ${lineNumber}`);
+    }
+
+    counts[table] = counts[table] || { read: 0, written: 0 };
+    counts[table].read++;
+    pending[table] = pending[table] || [];
+    // Exports from before data was keyed by world belong to the default world
+    pending[table].push(EXPORT_TABLES[table].includes('world') && row.world === undefined
+      ? { ...row, world: config.defaultWorld }
+      : row);
+
+    if (pending[table].length >= IMPORT_BATCH_SIZE) {
+      flush(table);
+    }
+  }
+
+  if (!header) {
+    throw new Error('Export is empty');
+  }
+
+  for (const table of Object.keys(pending)) {
+    flush(table);
+  }
+
+  console.log(`[Backup] Imported ${lineNumber} lines from export (schema version ${header.schemaVersion})`);
+  return counts;
+}
+
+export {
+  createBackup,
+  exportDatabase,
+  importDatabase,
+  BACKUP_DIR,
+};
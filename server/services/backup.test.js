@@ -0,0 +1,190 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import config from '../config.js';
+import { initializeStorage, getStorage, closeStorage } from './storage/index.js';
+import { exportDatabase, importDatabase } from './backup.js';
+
+const WORLD = 'China';
+const OTHER_WORLD = 'Japan';
+const ITEM_ID = 43983;
+const RECORDED_AT = 1760860800000;
+const MARKET_DATA = { hasData: true, minPrice: 1200, unitsSold: 150, lastUploadTime: RECORDED_AT };
+
+/**
+ * Store an item with some history in the current database
+ * @param {string} world - World/data center
+ */
+function storeItemWithHistory(world) {
+  const storage = getStorage();
+  storage.upsertItem({
+    id: ITEM_ID,
+    world,
+    name: 'Test item',
+    marketData: MARKET_DATA,
+    classification: 'mild',
+    lastUpdate: RECORDED_AT,
+    nextUpdate: RECORDED_AT + 3600 * 1000,
+    refresh: { intervalMs: 3600 * 1000, reason: 'classification' },
+  });
+  storage.insertPriceSnapshot({
+    itemId: ITEM_ID,
+    world,
+    recordedAt: RECORDED_AT,
+    minPrice: 1200,
+    minPriceNQ: 1200,
+    minPriceHQ: null,
+    avgPrice: 1300,
+    avgPriceNQ: 1300,
+    avgPriceHQ: null,
+    unitsForSale: 10,
+    unitsSold: 150,
+    listingsCount: 4,
+    lastUploadTime: RECORDED_AT,
+  });
+  storage.insertSales([{
+    itemId: ITEM_ID,
+    world,
+    worldName: world,
+    worldId: null,
+    timestamp: RECORDED_AT - 1000,
+    buyerName: 'Buyer',
+    quantity: 2,
+    pricePerUnit: 1250,
+    total: 2500,
+    hq: 0,
+    onMannequin: 0,
+  }]);
+  storage.insertClassificationChange({
+    itemId: ITEM_ID,
+    world,
+    changedAt: RECORDED_AT,
+    fromTier: 'cold',
+    toTier: 'mild',
+    metric: 'unitsSold',
+    metricValue: 150,
+  });
+}
+
+/**
+ * Export the current database
+ * @returns {Promise<string[]>} Export lines
+ */
+async function exportLines() {
+  const lines = [];
+  await exportDatabase(async line => lines.push(line));
+  return lines;
+}
+
+/**
+ * Get the exported rows of each table, ignoring the order they were written in
+ * @param {string[]} lines - Export lines
+ * @returns {Object} Sorted row JSON per table
+ */
+function getRowsByTable(lines) {
+  const tables = {};
+  for (const line of lines.slice(1)) {
+    const { table, row } = JSON.parse(line);
+    (tables[table] = tables[table] || []).push(JSON.stringify(row));
+  }
+  return Object.fromEntries(Object.entries(tables).map(([table, rows]) => [table, rows.sort()]));
+}
+
+describe('export and import', () => {
+  let tempDir;
+
+  /**
+   * Switch to a new, empty database
+   * @param {string} name - Database file name
+   */
+  const openDatabase = (name) => {
+    closeStorage();
+    initializeStorage({ adapter: 'sqlite', dbPath: join(tempDir, name) });
+  };
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    tempDir = mkdtempSync(join(tmpdir(), 'mehrwert-backup-'));
+    initializeStorage({ adapter: 'sqlite', dbPath: join(tempDir, 'source.db') });
+  });
+
+  afterEach(() => {
+    closeStorage();
+    rmSync(tempDir, { recursive: true, force: true });
+    vi.restoreAllMocks();
+  });
+
+  it('should restore every exported row into another database', async () => {
+    storeItemWithHistory(WORLD);
+    storeItemWithHistory(OTHER_WORLD);
+    getStorage().saveItemGroup({ name: 'Group', description: 'Exported group', itemIds: [ITEM_ID] });
+    const lines = await exportLines();
+
+    openDatabase('target.db');
+    const counts = await importDatabase(lines);
+
+    expect(counts.items).toEqual({ read: 2, written: 2 });
+    expect(counts.classification_history).toEqual({ read: 2, written: 2 });
+    expect(getRowsByTable(await exportLines())).toEqual(getRowsByTable(lines));
+    expect(getStorage().getItemById(ITEM_ID, OTHER_WORLD)).toMatchObject({
+      classification: 'mild',
+      marketData: MARKET_DATA,
+      refresh: { intervalMs: 3600 * 1000 },
+    });
+  });
+
+  it('should assign rows of exports from before worlds to the default world', async () => {
+    const lines = [
+      JSON.stringify({ format: 'mehrwert-export', schemaVersion: 7, exportedAt: RECORDED_AT }),
+      JSON.stringify({
+        table: 'items',
+        row: {
+          id: ITEM_ID,
+          name: 'Test item',
+          number: '[]',
+          req: '[]',
+          marketData: JSON.stringify(MARKET_DATA),
+          classification: 'mild',
+          lastUpdate: RECORDED_AT,
+          nextUpdate: RECORDED_AT + 3600 * 1000,
+          createdAt: 1760000000,
+          updatedAt: 1760000000,
+        },
+      }),
+      JSON.stringify({
+        table: 'sales',
+        row: { itemId: ITEM_ID, worldName: WORLD, timestamp: RECORDED_AT, buyerName: 'Buyer', quantity: 1, pricePerUnit: 1000, hq: 0, onMannequin: 0 },
+      }),
+    ];
+
+    expect(await importDatabase(lines)).toEqual({ items: { read: 1, written: 1 }, sales: { read: 1, written: 1 } });
+
+    const item = getStorage().getItemById(ITEM_ID, config.defaultWorld);
+    expect(item).toMatchObject({ classification: 'mild', marketData: MARKET_DATA });
+    expect(getStorage().queryItems(config.defaultWorld, { minPrice: 1000 }).rows.map(row => row.item.id)).toContain(ITEM_ID);
+    expect(getStorage().getSales(ITEM_ID, { world: config.defaultWorld, limit: 10, offset: 0 }).total).toBe(1);
+  });
+
+  it('should not duplicate ledger rows when the same export is imported twice', async () => {
+    storeItemWithHistory(WORLD);
+    const lines = await exportLines();
+
+    openDatabase('target.db');
+    await importDatabase(lines);
+    const counts = await importDatabase(lines);
+
+    expect(counts.classification_history).toEqual({ read: 1, written: 0 });
+    expect(counts.sales).toEqual({ read: 1, written: 0 });
+    expect(counts.price_snapshots).toEqual({ read: 1, written: 0 });
+    expect(getStorage().getClassificationHistory(ITEM_ID, { world: WORLD, limit: 10, offset: 0 }).total).toBe(1);
+    expect(getRowsByTable(await exportLines())).toEqual(getRowsByTable(lines));
+  });
+
+  it('should reject exports without a header or from a newer schema', async () => {
+    await expect(importDatabase([])).rejects.toThrow('Export is empty');
+    await expect(importDatabase(['{"table":"items","row":{}}'])).rejects.toThrow('Line 1 is not a mehrwert-export header');
+    await expect(importDatabase([JSON.stringify({ format: 'mehrwert-export', schemaVersion: 999 })]))
+      .rejects.toThrow(/^Export schema version 999 is newer than this database/);
+  });
+});
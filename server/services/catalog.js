@@ -0,0 +1,154 @@
+/**
+ * Catalog Service
+ *
+ * The list of tracked items. Stored in the database (seeded from the
+ * bundled item list) and managed through the catalog API, so changes are
+ * picked up by the scheduler without a restart.
+ */
+
+import { getStorage } from './storage/index.js';
+
+/**
+ * Check that a value is an array of non-negative numbers
+ * @param {*} value - Value to check
+ * @returns {boolean} True if valid
+ */
+function isNumberArray(value) {
+  return Array.isArray(value) && value.every(entry => typeof entry === 'number' && Number.isFinite(entry) && entry >= 0);
+}
+
+/**
+ * Validate catalog item data from a request body
+ * @param {Object} data - Item data { id, name, number, req }
+ * @param {Object} options - Validation options
+ * @param {boolean} options.partial - Allow missing fields (for updates)
+ * @param {Object|null} options.existing - Stored item the changes apply to (its tiers count for missing fields)
+ * @returns {string|null} Error message or null if valid
+ */
+function validateCatalogItem(data, { partial = false, existing = null } = {}) {
+  if (!data || typeof data !== 'object') {
+    return 'Request body must be an object';
+  }
+
+  if (!partial && !(Number.isInteger(data.id) && data.id > 0)) {
+    return 'id must be a positive integer';
+  }
+
+  if (data.name !== undefined || !partial) {
+    if (typeof data.name !== 'string' || data.name.trim() === '') {
+      return 'name must be a non-empty string';
+    }
+  }
+
+  if (data.number !== undefined && !isNumberArray(data.number)) {
+    return 'number must be an array of non-negative numbers';
+  }
+
+  if (data.req !== undefined && !isNumberArray(data.req)) {
+    return 'req must be an array of non-negative numbers';
+  }
+
+  const number = data.number ?? existing?.number;
+  const req = data.req ?? existing?.req;
+  if (number !== undefined && req !== undefined && number.length !== req.length) {
+    return 'number and req must have the same length';
+  }
+
+  return null;
+}
+
+/**
+ * Get all tracked items
+ * @returns {Array} Array of catalog items { id, name, number, req }
+ */
+function getCatalogItems() {
+  return getStorage().getCatalogItems();
+}
+
+/**
+ * Get tracked items keyed by ID
+ * @returns {Map<number, Object>} Catalog items by ID
+ */
+function getCatalogMap() {
+  return new Map(getCatalogItems().map(item => [item.id, item]));
+}
+
+/**
+ * Get a tracked item by ID
+ * @param {number} itemID - Item ID
+ * @returns {Object|null} Catalog item or null if not tracked
+ */
+function getCatalogItem(itemID) {
+  return getStorage().getCatalogItem(itemID);
+}
+
+/**
+ * Add an item to the catalog
+ * @param {Object} data - Validated item data { id, name, number, req }
+ * @returns {Object} Stored catalog item
+ */
+function addCatalogItem(data) {
+  const item = {
+    id: data.id,
+    name: data.name.trim(),
+    number: data.number || [],
+    req: data.req || [],
+  };
+  getStorage().upsertCatalogItem(item);
+  console.log(`[Catalog] Added item ${item.id} (${item.name})`);
+  return item;
+}
+
+/**
+ * Update fields of a tracked item
+ * @param {number} itemID - Item ID
+ * @param {Object} changes - Validated fields to change { name, number, req }
+ * @returns {Object|null} Updated catalog item or null if not tracked
+ * @throws {Error} If the updated item would be invalid (e.g. number and req of different lengths)
+ */
+function updateCatalogItem(itemID, changes) {
+  const existing = getCatalogItem(itemID);
+  if (!existing) {
+    return null;
+  }
+
+  const item = {
+    ...existing,
+    ...(changes.name !== undefined && { name: changes.name.trim() }),
+    ...(changes.number !== undefined && { number: changes.number }),
+    ...(changes.req !== undefined && { req: changes.req }),
+  };
+
+  const validationError = validateCatalogItem(item);
+  if (validationError) {
+    throw new Error(`Invalid update of item ${itemID}: ${validationError}`);
+  }
+
+  getStorage().upsertCatalogItem(item);
+  console.log(`[Catalog] Updated item ${itemID}`);
+  return item;
+}
+
+/**
+ * Stop tracking an item
+ * Stored market data and history are kept
+ * @param {number} itemID - Item ID
+ * @returns {boolean} True if the item was removed
+ */
+function removeCatalogItem(itemID) {
+  const removed = getStorage().deleteCatalogItem(itemID);
+  if (removed) {
+    console.log(`[Catalog] Removed item ${itemID}`);
+  }
+  return removed;
+}
+
+export {
+  validateCatalogItem,
+  getCatalogItems,
+  getCatalogMap,
+  getCatalogItem,
+  addCatalogItem,
+  updateCatalogItem,
+  removeCatalogItem,
+};
@@ -0,0 +1,60 @@
+import { describe, it, expect, beforeEach, afterAll, vi } from 'vitest';
+import { initializeStorage, closeStorage } from './storage/index.js';
+import { validateCatalogItem, getCatalogItem, addCatalogItem, updateCatalogItem } from './catalog.js';
+
+const ITEM = { id: 900001, name: 'Test item', number: [10, 20, 30], req: [100, 200, 300] };
+
+beforeEach(() => {
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  initializeStorage({ adapter: 'memory' });
+  addCatalogItem(ITEM);
+});
+
+afterAll(() => {
+  closeStorage();
+  vi.restoreAllMocks();
+});
+
+describe('validateCatalogItem', () => {
+  it('should accept complete items and reject missing or invalid fields', () => {
+    expect(validateCatalogItem(ITEM)).toBeNull();
+    expect(validateCatalogItem({ ...ITEM, id: 0 })).toBe('id must be a positive integer');
+    expect(validateCatalogItem({ ...ITEM, name: ' ' })).toBe('name must be a non-empty string');
+    expect(validateCatalogItem({ ...ITEM, number: [-1, 20, 30] })).toBe('number must be an array of non-negative numbers');
+    expect(validateCatalogItem({ ...ITEM, req: [100] })).toBe('number and req must have the same length');
+  });
+
+  it('should allow missing fields in updates', () => {
+    expect(validateCatalogItem({}, { partial: true })).toBeNull();
+    expect(validateCatalogItem({ name: 'Renamed' }, { partial: true })).toBeNull();
+  });
+
+  it('should check changed tiers against the current ones', () => {
+    const existing = getCatalogItem(ITEM.id);
+
+    expect(validateCatalogItem({ number: [10, 20] }, { partial: true, existing }))
+      .toBe('number and req must have the same length');
+    expect(validateCatalogItem({ req: [1, 2, 3, 4] }, { partial: true, existing }))
+      .toBe('number and req must have the same length');
+    expect(validateCatalogItem({ number: [1, 2, 3] }, { partial: true, existing })).toBeNull();
+    expect(validateCatalogItem({ number: [10, 20], req: [1, 2] }, { partial: true, existing })).toBeNull();
+  });
+});
+
+describe('updateCatalogItem', () => {
+  it('should merge the changes into the stored item', () => {
+    expect(updateCatalogItem(ITEM.id, { name: ' Renamed ', req: [1, 2, 3] }))
+      .toEqual({ ...ITEM, name: 'Renamed', req: [1, 2, 3] });
+    expect(getCatalogItem(ITEM.id)).toEqual({ ...ITEM, name: 'Renamed', req: [1, 2, 3] });
+  });
+
+  it('should not store tiers that no longer match the current ones', () => {
+    expect(() => updateCatalogItem(ITEM.id, { number: [10, 20] }))
+      .toThrow(`Invalid update of item ${ITEM.id}: number and req must have the same length`);
+    expect(getCatalogItem(ITEM.id)).toEqual(ITEM);
+  });
+
+  it('should return null for items that are not tracked', () => {
+    expect(updateCatalogItem(1, { name: 'Missing' })).toBeNull();
+  });
+});
@@ -0,0 +1,24 @@
+/**
+ * Catalog Seed
+ *
+ * Initial list of tracked items, loaded from the bundled item list.
+ * Only used to seed an empty catalog; afterwards the catalog is managed
+ * through the API.
+ */
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const CATALOG_SEED_PATH = join(__dirname, '../../src/assets/itemlist.json');
+
+/**
+ * Load the seed item list
+ * @returns {Array} Array of { id, name, number, req }
+ */
+export function loadCatalogSeed() {
+  return JSON.parse(readFileSync(CATALOG_SEED_PATH, 'utf-8'));
+}
@@ -0,0 +1,144 @@
+/**
+ * History Compaction
+ *
+ * Downsamples old price history so the database doesn't grow without bound:
+ * raw snapshots older than the raw retention window become hourly rollups,
+ * hourly rollups older than the hourly retention window become daily rollups.
+ * Daily rollups and sales can optionally be expired as well.
+ */
+
+import config from '../config.js';
+import {
+  HOUR_MS,
+  DAY_MS,
+  getBucketStart,
+  snapshotToBucketRow,
+  mergeBuckets,
+} from '../utils/timeseries.js';
+import {
+  getPriceSnapshots,
+  getPriceRollups,
+  getSalesVolume,
+  getItemIdsWithSnapshotsBefore,
+  getItemIdsWithRollupsBefore,
+  replacePriceRollups,
+  deletePriceRollupsBefore,
+  deleteSalesBefore,
+} from './database.js';
+import { getStorage } from './storage/index.js';
+
+const RETENTION = config.retention;
+
+let lastCompaction = null;
+
+/**
+ * Roll raw snapshots older than the cutoff into hourly rollups for one item and world
+ * @param {number} itemID - Item ID
+ * @param {string} world - World/data center
+ * @param {number} cutoff - Hour-aligned cutoff timestamp (ms, exclusive)
+ * @returns {number} Number of snapshots compacted
+ */
+function compactItemSnapshots(itemID, world, cutoff) {
+  const snapshots = getPriceSnapshots(itemID, world, 0, cutoff - 1);
+  if (snapshots.length === 0) {
+    return 0;
+  }
+
+  const rangeStart = getBucketStart(snapshots[0].recordedAt, HOUR_MS);
+  const volumeRows = getSalesVolume(itemID, world, rangeStart, cutoff, HOUR_MS)
+    .map(row => ({ recordedAt: row.recordedAt, volume: row.volume, samples: 0 }));
+  const existing = getPriceRollups(itemID, world, 'hour', rangeStart, cutoff - 1);
+
+  const rows = mergeBuckets([
+    ...existing,
+    ...snapshots.map(snapshotToBucketRow),
+    // Hours that are already rolled up carry their volume with them
+    ...volumeRows.filter(row => !existing.some(rollup => rollup.recordedAt === row.recordedAt)),
+  ], HOUR_MS);
+
+  replacePriceRollups(itemID, world, 'hour', rows, { table: 'snapshots', before: cutoff });
+  return snapshots.length;
+}
+
+/**
+ * Roll hourly rollups older than the cutoff into daily rollups for one item and world
+ * @param {number} itemID - Item ID
+ * @param {string} world - World/data center
+ * @param {number} cutoff - Day-aligned cutoff timestamp (ms, exclusive)
+ * @returns {number} Number of hourly rollups compacted
+ */
+function compactItemHourly(itemID, world, cutoff) {
+  const hourly = getPriceRollups(itemID, world, 'hour', 0, cutoff - 1);
+  if (hourly.length === 0) {
+    return 0;
+  }
+
+  const rangeStart = getBucketStart(hourly[0].recordedAt, DAY_MS);
+  const existing = getPriceRollups(itemID, world, 'day', rangeStart, cutoff - 1);
+  const rows = mergeBuckets([...existing, ...hourly], DAY_MS);
+
+  replacePriceRollups(itemID, world, 'day', rows, { table: 'hour', before: cutoff });
+  return hourly.length;
+}
+
+/**
+ * Run one compaction pass over all items
+ * Does nothing for storage adapters without maintenance support
+ * @param {number} now - Current timestamp (default: Date.now())
+ * @returns {Object|null} Summary of what was compacted and deleted, or null if skipped
+ */
+function compactHistory(now = Date.now()) {
+  if (!getStorage().supportsMaintenance) {
+    return null;
+  }
+
+  const startedAt = Date.now();
+  const result = {
+    snapshotsCompacted: 0,
+    hourlyCompacted: 0,
+    dailyDeleted: 0,
+    salesDeleted: 0,
+  };
+
+  // Only whole buckets are compacted so a bucket is never split across tiers
+  const rawCutoff = getBucketStart(now - RETENTION.rawDays * DAY_MS, HOUR_MS);
+  for (const { itemId, world } of getItemIdsWithSnapshotsBefore(rawCutoff)) {
+    result.snapshotsCompacted += compactItemSnapshots(itemId, world, rawCutoff);
+  }
+
+  const hourlyCutoff = getBucketStart(now - RETENTION.hourlyDays * DAY_MS, DAY_MS);
+  for (const { itemId, world } of getItemIdsWithRollupsBefore('hour', hourlyCutoff)) {
+    result.hourlyCompacted += compactItemHourly(itemId, world, hourlyCutoff);
+  }
+
+  if (RETENTION.dailyDays > 0) {
+    result.dailyDeleted = deletePriceRollupsBefore('day', now - RETENTION.dailyDays * DAY_MS);
+  }
+
+  if (RETENTION.salesDays > 0) {
+    result.salesDeleted = deleteSalesBefore(now - RETENTION.salesDays * DAY_MS);
+  }
+
+  lastCompaction = {
+    ...result,
+    ranAt: startedAt,
+    durationMs: Date.now() - startedAt,
+  };
+
+  console.log(`[Compaction] Compacted ${result.snapshotsCompacted} snapshots, ${result.hourlyCompacted} hourly rollups in ${lastCompaction.durationMs}ms`);
+  return lastCompaction;
+}
+
+/**
+ * Get the result of the most recent compaction pass
+ * @returns {Object|null} Last compaction summary or null if it hasn't run yet
+ */
+function getLastCompaction() {
+  return lastCompaction;
+}
+
+export {
+  compactHistory,
+  getLastCompaction,
+  RETENTION,
+};
@@ -0,0 +1,199 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+// The retention windows are read when the configuration is imported
+vi.hoisted(() => {
+  Object.assign(process.env, {
+    RETENTION_RAW_DAYS: '7',
+    RETENTION_HOURLY_DAYS: '30',
+    RETENTION_DAILY_DAYS: '365',
+    RETENTION_SALES_DAYS: '400',
+  });
+});
+
+import { HOUR_MS, DAY_MS } from '../utils/timeseries.js';
+import { initializeStorage, getStorage, closeStorage } from './storage/index.js';
+import { compactHistory } from './compaction.js';
+
+const WORLD = 'China';
+const ITEM_ID = 1;
+const MINUTE_MS = 60 * 1000;
+
+// 2025-10-19 12:30 UTC
+const NOW = 1760877000000;
+// Raw snapshots before 2025-10-12 12:00 and hourly rollups before 2025-09-19 are compacted
+const RAW_CUTOFF = NOW - 7 * DAY_MS - 30 * MINUTE_MS;
+const HOURLY_CUTOFF = NOW - 30 * DAY_MS - 12 * HOUR_MS - 30 * MINUTE_MS;
+
+/**
+ * Record a snapshot of the test item
+ * @param {number} recordedAt - Snapshot time
+ * @param {number} minPrice - Minimum price
+ */
+function snapshot(recordedAt, minPrice) {
+  getStorage().insertPriceSnapshot({
+    itemId: ITEM_ID,
+    world: WORLD,
+    recordedAt,
+    minPrice,
+    minPriceNQ: null,
+    minPriceHQ: null,
+    avgPrice: null,
+    avgPriceNQ: null,
+    avgPriceHQ: null,
+    unitsForSale: null,
+    unitsSold: null,
+    listingsCount: null,
+    lastUploadTime: null,
+  });
+}
+
+/**
+ * Record a sale of the test item
+ * @param {number} timestamp - Sale time
+ * @param {number} quantity - Units sold
+ */
+function sale(timestamp, quantity) {
+  getStorage().insertSales([{
+    itemId: ITEM_ID,
+    world: WORLD,
+    worldName: WORLD,
+    worldId: null,
+    timestamp,
+    buyerName: `Buyer ${timestamp}`,
+    quantity,
+    pricePerUnit: 100,
+    total: 100 * quantity,
+    hq: 0,
+    onMannequin: 0,
+  }]);
+}
+
+const getSnapshotTimes = () => getStorage()
+  .getPriceSnapshots(ITEM_ID, WORLD, 0, Number.MAX_SAFE_INTEGER)
+  .map(row => row.recordedAt);
+
+const getRollups = resolution => getStorage()
+  .getPriceRollups(ITEM_ID, WORLD, resolution, 0, Number.MAX_SAFE_INTEGER);
+
+describe('compactHistory', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    tempDir = mkdtempSync(join(tmpdir(), 'mehrwert-compaction-'));
+    initializeStorage({ adapter: 'sqlite', dbPath: join(tempDir, 'items.db') });
+  });
+
+  afterEach(() => {
+    closeStorage();
+    rmSync(tempDir, { recursive: true, force: true });
+    vi.restoreAllMocks();
+  });
+
+  it('should roll snapshots before the hour-aligned raw cutoff into hourly rollups', () => {
+    snapshot(RAW_CUTOFF - 50 * MINUTE_MS, 100);
+    snapshot(RAW_CUTOFF - 1, 90);
+    snapshot(RAW_CUTOFF, 80);
+    snapshot(NOW - 7 * DAY_MS, 70);
+
+    expect(compactHistory(NOW)).toMatchObject({ snapshotsCompacted: 2, hourlyCompacted: 0 });
+    expect(getSnapshotTimes()).toEqual([RAW_CUTOFF, NOW - 7 * DAY_MS]);
+    expect(getRollups('hour')).toEqual([expect.objectContaining({
+      recordedAt: RAW_CUTOFF - HOUR_MS,
+      open: 100,
+      close: 90,
+      samples: 2,
+    })]);
+  });
+
+  it('should merge late snapshots into hours that are already rolled up', () => {
+    const hour = RAW_CUTOFF - 2 * HOUR_MS;
+    snapshot(hour + 10 * MINUTE_MS, 100);
+    snapshot(hour + 40 * MINUTE_MS, 120);
+    sale(hour + 20 * MINUTE_MS, 3);
+    compactHistory(NOW);
+
+    snapshot(hour + 50 * MINUTE_MS, 80);
+    expect(compactHistory(NOW).snapshotsCompacted).toBe(1);
+
+    // The sales of the hour were already counted by the first pass
+    expect(getRollups('hour')).toEqual([expect.objectContaining({
+      recordedAt: hour,
+      open: 100,
+      high: 120,
+      low: 80,
+      close: 80,
+      volume: 3,
+      samples: 3,
+    })]);
+    expect(getSnapshotTimes()).toEqual([]);
+  });
+
+  it('should carry the sales volume into hourly and then daily rollups', () => {
+    const hour = RAW_CUTOFF - 3 * HOUR_MS;
+    snapshot(hour + 10 * MINUTE_MS, 100);
+    sale(hour + 20 * MINUTE_MS, 2);
+    sale(hour + 30 * MINUTE_MS, 3);
+    // An hour with sales but no snapshot
+    sale(hour + HOUR_MS + 5 * MINUTE_MS, 4);
+    compactHistory(NOW);
+
+    expect(getRollups('hour').map(({ recordedAt, open, volume, samples }) => ({ recordedAt, open, volume, samples }))).toEqual([
+      { recordedAt: hour, open: 100, volume: 5, samples: 1 },
+      { recordedAt: hour + HOUR_MS, open: null, volume: 4, samples: 0 },
+    ]);
+
+    // A month later both hours are past the hourly retention
+    expect(compactHistory(NOW + 31 * DAY_MS).hourlyCompacted).toBe(2);
+    expect(getRollups('hour')).toEqual([]);
+    expect(getRollups('day')).toEqual([expect.objectContaining({
+      recordedAt: RAW_CUTOFF - 12 * HOUR_MS,
+      open: 100,
+      volume: 9,
+      samples: 1,
+    })]);
+  });
+
+  it('should only roll whole days of hourly rollups into daily rollups', () => {
+    snapshot(HOURLY_CUTOFF - HOUR_MS + 10 * MINUTE_MS, 100);
+    snapshot(HOURLY_CUTOFF + 10 * MINUTE_MS, 200);
+
+    expect(compactHistory(NOW)).toMatchObject({ snapshotsCompacted: 2, hourlyCompacted: 1 });
+    expect(getRollups('hour').map(row => row.recordedAt)).toEqual([HOURLY_CUTOFF]);
+    expect(getRollups('day')).toEqual([expect.objectContaining({ recordedAt: HOURLY_CUTOFF - DAY_MS, close: 100, samples: 1 })]);
+
+    // Later hours of a day that is already rolled up join its daily rollup
+    snapshot(HOURLY_CUTOFF - 5 * HOUR_MS, 50);
+    expect(compactHistory(NOW)).toMatchObject({ snapshotsCompacted: 1, hourlyCompacted: 1 });
+    expect(getRollups('day')).toEqual([expect.objectContaining({
+      recordedAt: HOURLY_CUTOFF - DAY_MS,
+      high: 100,
+      low: 50,
+      samples: 2,
+    })]);
+  });
+
+  it('should expire daily rollups that start before the daily cutoff and sales before the sales cutoff', () => {
+    const dailyCutoff = NOW - 365 * DAY_MS;
+    const salesCutoff = NOW - 400 * DAY_MS;
+    // The day of the cutoff starts before it, so it expires as a whole
+    snapshot(dailyCutoff + HOUR_MS, 100);
+    snapshot(dailyCutoff + DAY_MS, 200);
+    sale(salesCutoff - 1, 1);
+    sale(salesCutoff, 2);
+
+    expect(compactHistory(NOW)).toMatchObject({ hourlyCompacted: 2, dailyDeleted: 1, salesDeleted: 1 });
+    expect(getRollups('day')).toEqual([expect.objectContaining({ recordedAt: dailyCutoff + 11.5 * HOUR_MS, open: 200 })]);
+    expect(getStorage().getSalesVolume(ITEM_ID, WORLD, 0, NOW, DAY_MS)).toEqual([{ recordedAt: salesCutoff - 12.5 * HOUR_MS, volume: 2 }]);
+  });
+
+  it('should skip storage without maintenance support', () => {
+    closeStorage();
+    initializeStorage({ adapter: 'memory' });
+
+    expect(compactHistory(NOW)).toBeNull();
+  });
+});
@@ -3,20 +3,65 @@
  * 
  * SQLite database operations for persistent item storage
  * Handles missing database files gracefully
+ * The database is opened lazily on first use (or by openDatabase)
  */
 
 import Database from 'better-sqlite3';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-import { existsSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { existsSync, mkdirSync, statSync } from 'fs';
 import { parseDbRow } from '../utils/common.js';
+import { getItemMetrics } from '../utils/marketData.js';
+import { migrateUp, getSchemaVersion } from './migrator.js';
+import { getDefaultTier } from './tiers.js';
+import config from '../config.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+// Tables included in exports, with the columns that are exported/imported.
+// Surrogate ids are left out so imports can be merged into an existing database.
+export const EXPORT_TABLES = {
+  catalog: ['id', 'name', 'number', 'req', 'createdAt', 'updatedAt'],
+  item_groups: ['id', 'name', 'description', 'createdAt', 'updatedAt'],
+  item_group_members: ['groupId', 'itemId', 'position'],
+  items: [
+    'id', 'world', 'name', 'number', 'req', 'marketData', 'classification',
+    'lastUpdate', 'nextUpdate', 'refresh', 'contentHash', 'lastChangedAt', 'unchangedCount',
+    'createdAt', 'updatedAt',
+  ],
+  price_snapshots: [
+    'itemId', 'world', 'recordedAt', 'minPrice', 'minPriceNQ', 'minPriceHQ',
+    'avgPrice', 'avgPriceNQ', 'avgPriceHQ',
+    'unitsForSale', 'unitsSold', 'listingsCount', 'lastUploadTime',
+  ],
+  price_rollups: [
+    'itemId', 'world', 'resolution', 'bucketStart', 'open', 'high', 'low', 'close',
+    'avgPrice', 'unitsForSale', 'listingsCount', 'unitsSold', 'volume', 'samples',
+  ],
+  sales: [
+    'itemId', 'world', 'worldName', 'worldId', 'timestamp', 'buyerName',
+    'quantity', 'pricePerUnit', 'total', 'hq', 'onMannequin',
+  ],
+  classification_history: [
+    'itemId', 'world', 'changedAt', 'fromTier', 'toTier', 'metric', 'metricValue',
+  ],
+};
 
-// Database file path
-const DB_PATH = join(__dirname, '../../data/items.db');
-const DB_DIR = join(__dirname, '../../data');
+// Item fields queryItems can sort by, with the columns they are read from
+const ITEM_SORT_COLUMNS = {
+  id: 'c.id',
+  name: 'c.name',
+  minPrice: 'i.minPrice',
+  avgPrice: 'i.avgPrice',
+  unitsSold: 'i.unitsSold',
+  unitsForSale: 'i.unitsForSale',
+  listingsCount: 'i.listingsCount',
+  lastUploadTime: 'i.lastUploadTime',
+  lastUpdate: 'i.lastUpdate',
+};
+
+// Metric columns of the items table, derived from marketData on every write
+const ITEM_METRIC_COLUMNS = ['hasData', 'minPrice', 'avgPrice', 'unitsSold', 'unitsForSale', 'listingsCount', 'lastUploadTime'];
+
+// Database file path (see openDatabase)
+let dbPath = config.storage.dbPath;
 
 let db = null;
 let dbInitialized = false;
@@ -32,21 +77,22 @@ function initializeDatabase() {
 
   try {
     // Create data directory if it doesn't exist
-    if (!existsSync(DB_DIR)) {
-      mkdirSync(DB_DIR, { recursive: true });
+    const dbDir = dirname(dbPath);
+    if (!existsSync(dbDir)) {
+      mkdirSync(dbDir, { recursive: true });
     }
 
     // Open database (creates file if it doesn't exist)
-    db = new Database(DB_PATH);
+    db = new Database(dbPath);
     
     // Enable WAL mode for better concurrency
     db.pragma('journal_mode = WAL');
     
-    // Create schema if tables don't exist
+    // Apply pending schema migrations
     createSchema();
     
     dbInitialized = true;
-    console.log(`[Database] Connected to ${DB_PATH}`);
+    console.log(`[Database] Connected to ${dbPath}`);
     return db;
   } catch (error) {
     console.error(`[Database] Failed to initialize database:`, error.message);
@@ -57,37 +103,33 @@ function initializeDatabase() {
 }
 
 /**
- * Create database schema
+ * Bring the database schema up to date by applying pending migrations
  */
 function createSchema() {
   if (!db) return;
 
   try {
-    db.exec(`
-      CREATE TABLE IF NOT EXISTS items (
-        id INTEGER PRIMARY KEY,
-        name TEXT NOT NULL,
-        number TEXT NOT NULL DEFAULT '[]',
-        req TEXT NOT NULL DEFAULT '[]',
-        marketData TEXT NOT NULL DEFAULT '{}',
-        classification TEXT NOT NULL DEFAULT 'cold',
-        lastUpdate INTEGER,
-        nextUpdate INTEGER,
-        createdAt INTEGER NOT NULL DEFAULT (strftime('%s', 'now')),
-        updatedAt INTEGER NOT NULL DEFAULT (strftime('%s', 'now'))
-      );
-
-      CREATE INDEX IF NOT EXISTS idx_classification ON items(classification);
-      CREATE INDEX IF NOT EXISTS idx_nextUpdate ON items(nextUpdate);
-    `);
-    
-    console.log(`[Database] Schema initialized`);
+    const applied = migrateUp(db);
+    console.log(`[Database] Schema at version ${getSchemaVersion(db)} (${applied.length} migration(s) applied)`);
   } catch (error) {
-    console.error(`[Database] Failed to create schema:`, error.message);
+    console.error(`[Database] Failed to migrate schema:`, error.message);
     throw error;
   }
 }
 
+/**
+ * Open the database at the given path, closing any previously opened database
+ * @param {string} path - Database file path (default: configured DB_PATH)
+ * @returns {boolean} True if the database was opened
+ */
+export function openDatabase(path = config.storage.dbPath) {
+  if (db && path !== dbPath) {
+    closeDatabase();
+  }
+  dbPath = path;
+  return initializeDatabase() !== null;
+}
+
 /**
  * Get database instance, initializing if needed
  * @returns {Database|null} Database instance or null if unavailable
@@ -137,18 +179,30 @@ function safeDbOperation(operation, defaultValue = null) {
   }
 }
 
+/**
+ * Get the metric column values of an item
+ * @param {Object} marketData - Item market data
+ * @returns {Object} Values keyed by ITEM_METRIC_COLUMNS
+ */
+function getItemMetricValues(marketData) {
+  const metrics = getItemMetrics(marketData);
+  return { ...metrics, hasData: metrics.hasData ? 1 : 0 };
+}
+
 /**
  * Upsert (insert or update) an item in the database
- * @param {Object} itemData - Item data object
+ * @param {Object} itemData - Item data object (keyed by id and world)
  * @returns {boolean} Success status
  */
 export function upsertItem(itemData) {
   return safeDbOperation((db) => {
     const stmt = db.prepare(`
       INSERT INTO items (
-        id, name, number, req, marketData, classification, lastUpdate, nextUpdate, updatedAt
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, strftime('%s', 'now'))
-      ON CONFLICT(id) DO UPDATE SET
+        id, world, name, number, req, marketData, classification, lastUpdate, nextUpdate, refresh,
+        contentHash, lastChangedAt, unchangedCount,
+        hasData, minPrice, avgPrice, unitsSold, unitsForSale, listingsCount, lastUploadTime, updatedAt
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, strftime('%s', 'now'))
+      ON CONFLICT(id, world) DO UPDATE SET
         name = excluded.name,
         number = excluded.number,
         req = excluded.req,
@@ -156,181 +210,1009 @@ export function upsertItem(itemData) {
         classification = excluded.classification,
         lastUpdate = excluded.lastUpdate,
         nextUpdate = excluded.nextUpdate,
+        refresh = excluded.refresh,
+        contentHash = excluded.contentHash,
+        lastChangedAt = excluded.lastChangedAt,
+        unchangedCount = excluded.unchangedCount,
+        hasData = excluded.hasData,
+        minPrice = excluded.minPrice,
+        avgPrice = excluded.avgPrice,
+        unitsSold = excluded.unitsSold,
+        unitsForSale = excluded.unitsForSale,
+        listingsCount = excluded.listingsCount,
+        lastUploadTime = excluded.lastUploadTime,
         updatedAt = strftime('%s', 'now')
     `);
 
+    // Metrics are kept as columns so items can be filtered and sorted in SQL
+    const metrics = getItemMetricValues(itemData.marketData);
+
     stmt.run(
       itemData.id,
+      itemData.world,
       itemData.name || `Item ${itemData.id}`,
       JSON.stringify(itemData.number || []),
       JSON.stringify(itemData.req || []),
       JSON.stringify(itemData.marketData || {}),
-      itemData.classification || 'cold',
+      itemData.classification || getDefaultTier(),
       itemData.lastUpdate || null,
-      itemData.nextUpdate || null
+      itemData.nextUpdate || null,
+      itemData.refresh ? JSON.stringify(itemData.refresh) : null,
+      itemData.contentHash || null,
+      itemData.lastChangedAt || null,
+      itemData.unchangedCount || 0,
+      metrics.hasData,
+      metrics.minPrice,
+      metrics.avgPrice,
+      metrics.unitsSold,
+      metrics.unitsForSale,
+      metrics.listingsCount,
+      metrics.lastUploadTime
     );
 
     return true;
   }, false);
 }
 
+/**
+ * Record a fetch that found an item's upstream data unchanged
+ * Only the schedule is written; the market data and updatedAt stay as they are
+ * @param {number} itemID - Item ID
+ * @param {string} world - World/data center
+ * @param {Object} update - { lastUpdate, nextUpdate, refresh }
+ * @returns {boolean} True if the item exists and was updated
+ */
+export function markItemUnchanged(itemID, world, { lastUpdate, nextUpdate, refresh }) {
+  return safeDbOperation((db) => {
+    const stmt = db.prepare(`
+      UPDATE items
+      SET lastUpdate = ?, nextUpdate = ?, refresh = ?, unchangedCount = COALESCE(unchangedCount, 0) + 1
+      WHERE id = ? AND world = ?
+    `);
+    const result = stmt.run(lastUpdate, nextUpdate, refresh ? JSON.stringify(refresh) : null, itemID, world);
+    return result.changes > 0;
+  }, false);
+}
+
+/**
+ * Reschedule an item's next fetch
+ * Only nextUpdate is written; the market data and updatedAt stay as they are
+ * @param {number} itemID - Item ID
+ * @param {string} world - World/data center
+ * @param {number} nextUpdate - Next update time (epoch ms)
+ * @returns {boolean} True if the item exists and was updated
+ */
+export function setNextUpdate(itemID, world, nextUpdate) {
+  return safeDbOperation((db) => {
+    const result = db.prepare('UPDATE items SET nextUpdate = ? WHERE id = ? AND world = ?')
+      .run(nextUpdate, itemID, world);
+    return result.changes > 0;
+  }, false);
+}
+
+/**
+ * Parse an items row into an item
+ * @param {Object} row - Row from the items table
+ * @returns {Object} Item data
+ */
+function parseItemRow(row) {
+  // Parse JSON fields using utility function
+  const parsed = parseDbRow(row, ['number', 'req', 'marketData']);
+  return {
+    id: parsed.id,
+    world: parsed.world,
+    name: parsed.name,
+    number: parsed.number,
+    req: parsed.req,
+    marketData: parsed.marketData,
+    classification: parsed.classification,
+    lastUpdate: parsed.lastUpdate,
+    nextUpdate: parsed.nextUpdate,
+    // Items stored before adaptive intervals have no refresh details
+    refresh: row.refresh ? JSON.parse(row.refresh) : null,
+    contentHash: parsed.contentHash ?? null,
+    lastChangedAt: parsed.lastChangedAt ?? null,
+    unchangedCount: parsed.unchangedCount ?? 0,
+  };
+}
+
 /**
  * Get item by ID
  * @param {number} itemID - Item ID
+ * @param {string} world - World/data center
  * @returns {Object|null} Item data or null if not found
  */
-export function getItemById(itemID) {
+export function getItemById(itemID, world) {
   return safeDbOperation((db) => {
-    const stmt = db.prepare('SELECT * FROM items WHERE id = ?');
-    const row = stmt.get(itemID);
+    const stmt = db.prepare('SELECT * FROM items WHERE id = ? AND world = ?');
+    const row = stmt.get(itemID, world);
     
     if (!row) {
       return null;
     }
 
-    // Parse JSON fields using utility function
-    const parsed = parseDbRow(row, ['number', 'req', 'marketData']);
-    return {
-      id: parsed.id,
-      name: parsed.name,
-      number: parsed.number,
-      req: parsed.req,
-      marketData: parsed.marketData,
-      classification: parsed.classification,
-      lastUpdate: parsed.lastUpdate,
-      nextUpdate: parsed.nextUpdate,
-    };
+    return parseItemRow(row);
   }, null);
 }
 
 /**
- * Get all items from database
+ * Get all items of a world from database
+ * @param {string} world - World/data center
  * @returns {Array} Array of item data
  */
-export function getAllItems() {
+export function getAllItems(world) {
   return safeDbOperation((db) => {
-    const stmt = db.prepare('SELECT * FROM items');
-    const rows = stmt.all();
+    const stmt = db.prepare('SELECT * FROM items WHERE world = ?');
+    const rows = stmt.all(world);
     
-    return rows.map(row => {
-      const parsed = parseDbRow(row, ['number', 'req', 'marketData']);
-      return {
-        id: parsed.id,
-        name: parsed.name,
-        number: parsed.number,
-        req: parsed.req,
-        marketData: parsed.marketData,
-        classification: parsed.classification,
-        lastUpdate: parsed.lastUpdate,
-        nextUpdate: parsed.nextUpdate,
-      };
-    });
+    return rows.map(parseItemRow);
   }, []);
 }
 
 /**
- * Get items by classification
- * @param {string} classification - 'hot', 'mild', or 'cold'
+ * Get items of a world by classification
+ * @param {string} classification - Tier name
+ * @param {string} world - World/data center
  * @returns {Array} Array of items with the specified classification
  */
-export function getItemsByClassification(classification) {
+export function getItemsByClassification(classification, world) {
   return safeDbOperation((db) => {
-    const stmt = db.prepare('SELECT * FROM items WHERE classification = ?');
-    const rows = stmt.all(classification);
+    const stmt = db.prepare('SELECT * FROM items WHERE world = ? AND classification = ?');
+    const rows = stmt.all(world, classification);
     
-    return rows.map(row => {
-      const parsed = parseDbRow(row, ['number', 'req', 'marketData']);
-      return {
-        id: parsed.id,
-        name: parsed.name,
-        number: parsed.number,
-        req: parsed.req,
-        marketData: parsed.marketData,
-        classification: parsed.classification,
-        lastUpdate: parsed.lastUpdate,
-        nextUpdate: parsed.nextUpdate,
-      };
-    });
+    return rows.map(parseItemRow);
   }, []);
 }
 
 /**
- * Get all item IDs from database
+ * Query the tracked items of a world with filters, sorting and keyset pagination
+ * Catalog items that haven't been fetched yet are included without stored data
+ * (they have no metrics and belong to the default tier)
+ * @param {string} world - World/data center
+ * @param {Object} query - Query options
+ * @param {string} query.classification - Only items of this tier
+ * @param {number} query.groupId - Only members of this group (default order: group order)
+ * @param {string} query.category - Only items of this UI category (case-insensitive)
+ * @param {boolean} query.stale - Only stale (true) or fresh (false) items, by query.staleBefore
+ * @param {number} query.staleBefore - Items whose newest upload is older than this are stale
+ * @param {number} query.minPrice - Lowest listing price at least
+ * @param {number} query.maxPrice - Lowest listing price at most
+ * @param {number} query.minVelocity - Units sold at least
+ * @param {boolean} query.hasData - Only items with (true) or without (false) market data
+ * @param {string} query.name - Name contains (case-insensitive)
+ * @param {string} query.sort - One of ITEM_SORT_COLUMNS (default: catalog order)
+ * @param {string} query.order - 'asc' or 'desc', items without a value come last either way
+ * @param {number} query.limit - Page size (default: no limit)
+ * @param {Object} query.after - Position to continue after ({ isNull, value, key } from a previous page)
+ * @returns {Object} { rows: [{ itemInfo, item }], total, next } with next null on the last page
+ */
+export function queryItems(world, {
+  classification = null, groupId = null, category = null, stale = null, staleBefore = null,
+  minPrice = null, maxPrice = null, minVelocity = null, hasData = null, name = null,
+  sort = null, order = 'asc', limit = null, after = null,
+} = {}) {
+  return safeDbOperation((db) => {
+    const params = { world, defaultTier: getDefaultTier() };
+    const joins = ['LEFT JOIN items i ON i.id = c.id AND i.world = @world'];
+    const conditions = [];
+
+    if (groupId !== null) {
+      joins.push('JOIN item_group_members g ON g.itemId = c.id AND g.groupId = @groupId');
+      params.groupId = groupId;
+    }
+    if (category !== null) {
+      joins.push('JOIN item_metadata m ON m.itemId = c.id');
+      conditions.push('m.uiCategory = @category COLLATE NOCASE');
+      params.category = category;
+    }
+    if (classification !== null) {
+      conditions.push('COALESCE(i.classification, @defaultTier) = @classification');
+      params.classification = classification;
+    }
+    if (stale !== null) {
+      conditions.push(stale
+        ? 'i.lastUploadTime < @staleBefore'
+        : '(i.lastUploadTime IS NULL OR i.lastUploadTime >= @staleBefore)');
+      params.staleBefore = staleBefore;
+    }
+    if (minPrice !== null) {
+      conditions.push('i.minPrice >= @minPrice');
+      params.minPrice = minPrice;
+    }
+    if (maxPrice !== null) {
+      conditions.push('i.minPrice <= @maxPrice');
+      params.maxPrice = maxPrice;
+    }
+    if (minVelocity !== null) {
+      conditions.push('i.unitsSold >= @minVelocity');
+      params.minVelocity = minVelocity;
+    }
+    if (hasData !== null) {
+      conditions.push(hasData ? 'i.hasData = 1' : 'COALESCE(i.hasData, 0) = 0');
+    }
+    if (name !== null) {
+      conditions.push("c.name LIKE @name ESCAPE '\\'");
+      params.name = `%${name.replace(/[\\%_]/g, char => `\\${char}`)}%`;
+    }
+
+    const from = `FROM catalog c ${joins.join(' ')}${conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : ''}`;
+    const total = db.prepare(`SELECT COUNT(*) AS count ${from}`).get(params).count;
+
+    // Without a sort field items keep catalog (or group) order; rowid breaks ties
+    const column = sort ? ITEM_SORT_COLUMNS[sort] : (groupId !== null ? 'g.position' : 'c.createdAt');
+    const direction = order === 'desc' ? 'DESC' : 'ASC';
+    const pageConditions = [...conditions];
+
+    if (after) {
+      pageConditions.push(after.isNull
+        ? `(${column} IS NULL AND c.rowid > @afterKey)`
+        : `(${column} IS NULL OR ${column} ${direction === 'DESC' ? '<' : '>'} @afterValue
+            OR (${column} = @afterValue AND c.rowid > @afterKey))`);
+      params.afterValue = after.value;
+      params.afterKey = after.key;
+    }
+
+    // One extra row tells whether there is another page
+    params.pageLimit = limit !== null ? limit + 1 : -1;
+    const rows = db.prepare(`
+      SELECT c.id AS catalogId, c.name AS catalogName, c.number AS catalogNumber, c.req AS catalogReq,
+             c.rowid AS sortKey, ${column} AS sortValue, i.*
+      FROM catalog c ${joins.join(' ')}
+      ${pageConditions.length > 0 ? `WHERE ${pageConditions.join(' AND ')}` : ''}
+      ORDER BY ${column} IS NULL, ${column} ${direction}, c.rowid ASC
+      LIMIT @pageLimit
+    `).all(params);
+
+    const hasMore = limit !== null && rows.length > limit;
+    const page = hasMore ? rows.slice(0, limit) : rows;
+    const last = page[page.length - 1];
+
+    return {
+      rows: page.map(row => ({
+        itemInfo: {
+          id: row.catalogId,
+          name: row.catalogName,
+          number: JSON.parse(row.catalogNumber),
+          req: JSON.parse(row.catalogReq),
+        },
+        // Catalog items without a row for this world haven't been fetched yet
+        item: row.world !== null ? parseItemRow(row) : null,
+      })),
+      total,
+      next: hasMore ? { isNull: last.sortValue === null, value: last.sortValue, key: last.sortKey } : null,
+    };
+  }, { rows: [], total: 0, next: null });
+}
+
+/**
+ * Get the IDs of all items fetched for a world
+ * @param {string} world - World/data center
  * @returns {Set} Set of item IDs
  */
-export function getAllItemIds() {
+export function getAllItemIds(world) {
   return safeDbOperation((db) => {
-    const stmt = db.prepare('SELECT id FROM items');
-    const rows = stmt.all();
+    const stmt = db.prepare('SELECT id FROM items WHERE world = ?');
+    const rows = stmt.all(world);
     return new Set(rows.map(row => row.id));
   }, new Set());
 }
 
 /**
- * Get items that need updating based on nextUpdate timestamp
+ * Get items of a world that need updating based on nextUpdate timestamp
  * @param {number} now - Current timestamp
- * @returns {Object} Items grouped by classification that need updating
+ * @param {string} world - World/data center
+ * @returns {Object} Item IDs that need updating, keyed by classification, most overdue first
  */
-export function getItemsNeedingUpdate(now) {
+export function getItemsNeedingUpdate(now, world) {
   return safeDbOperation((db) => {
     const stmt = db.prepare(`
       SELECT id, classification 
       FROM items 
-      WHERE nextUpdate IS NOT NULL AND nextUpdate <= ?
+      WHERE world = ? AND nextUpdate IS NOT NULL AND nextUpdate <= ?
+      ORDER BY nextUpdate ASC
     `);
-    const rows = stmt.all(now);
-    
-    const hotItems = [];
-    const mildItems = [];
-    const coldItems = [];
+    const rows = stmt.all(world, now);
     
+    const result = {};
     for (const row of rows) {
-      switch (row.classification) {
-        case 'hot':
-          hotItems.push(row.id);
-          break;
-        case 'mild':
-          mildItems.push(row.id);
-          break;
-        case 'cold':
-          coldItems.push(row.id);
-          break;
-      }
+      result[row.classification] = result[row.classification] || [];
+      result[row.classification].push(row.id);
     }
     
+    return result;
+  }, {});
+}
+
+/**
+ * Record a price/volume snapshot for an item
+ * @param {Object} snapshot - Snapshot values (see price_snapshots columns)
+ * @returns {boolean} Success status
+ */
+export function insertPriceSnapshot(snapshot) {
+  return safeDbOperation((db) => {
+    const stmt = db.prepare(`
+      INSERT INTO price_snapshots (
+        itemId, world, recordedAt, minPrice, minPriceNQ, minPriceHQ,
+        avgPrice, avgPriceNQ, avgPriceHQ,
+        unitsForSale, unitsSold, listingsCount, lastUploadTime
+      ) VALUES (
+        @itemId, @world, @recordedAt, @minPrice, @minPriceNQ, @minPriceHQ,
+        @avgPrice, @avgPriceNQ, @avgPriceHQ,
+        @unitsForSale, @unitsSold, @listingsCount, @lastUploadTime
+      )
+    `);
+
+    stmt.run(snapshot);
+    return true;
+  }, false);
+}
+
+/**
+ * Get raw price snapshots for an item within a time range
+ * @param {number} itemID - Item ID
+ * @param {string} world - World/data center
+ * @param {number} from - Range start timestamp (ms, inclusive)
+ * @param {number} to - Range end timestamp (ms, inclusive)
+ * @returns {Array} Array of snapshots ordered by time
+ */
+export function getPriceSnapshots(itemID, world, from, to) {
+  return safeDbOperation((db) => {
+    const stmt = db.prepare(`
+      SELECT recordedAt, minPrice, minPriceNQ, minPriceHQ,
+             avgPrice, avgPriceNQ, avgPriceHQ,
+             unitsForSale, unitsSold, listingsCount, lastUploadTime
+      FROM price_snapshots
+      WHERE itemId = ? AND world = ? AND recordedAt BETWEEN ? AND ?
+      ORDER BY recordedAt ASC
+    `);
+    return stmt.all(itemID, world, from, to);
+  }, []);
+}
+
+/**
+ * Get compacted price rollups for an item within a time range
+ * @param {number} itemID - Item ID
+ * @param {string} world - World/data center
+ * @param {string} resolution - 'hour' or 'day'
+ * @param {number} from - Range start timestamp (ms, inclusive)
+ * @param {number} to - Range end timestamp (ms, inclusive)
+ * @returns {Array} Bucket rows ordered by time
+ */
+export function getPriceRollups(itemID, world, resolution, from, to) {
+  return safeDbOperation((db) => {
+    const stmt = db.prepare(`
+      SELECT bucketStart AS recordedAt, open, high, low, close,
+             avgPrice, unitsForSale, listingsCount, unitsSold, volume, samples
+      FROM price_rollups
+      WHERE itemId = ? AND world = ? AND resolution = ? AND bucketStart BETWEEN ? AND ?
+      ORDER BY bucketStart ASC
+    `);
+    return stmt.all(itemID, world, resolution, from, to);
+  }, []);
+}
+
+/**
+ * Get traded volume from the sales ledger, summed per time bucket
+ * @param {number} itemID - Item ID
+ * @param {string} world - World/data center
+ * @param {number} from - Range start timestamp (ms, inclusive)
+ * @param {number} to - Range end timestamp (ms, exclusive)
+ * @param {number} bucketMs - Bucket size in milliseconds
+ * @returns {Array} Array of { recordedAt, volume } ordered by time
+ */
+export function getSalesVolume(itemID, world, from, to, bucketMs) {
+  return safeDbOperation((db) => {
+    const stmt = db.prepare(`
+      SELECT CAST(timestamp / @bucketMs AS INTEGER) * @bucketMs AS recordedAt,
+             SUM(quantity) AS volume
+      FROM sales
+      WHERE itemId = @itemID AND world = @world AND timestamp >= @from AND timestamp < @to
+      GROUP BY CAST(timestamp / @bucketMs AS INTEGER)
+      ORDER BY recordedAt ASC
+    `);
+    return stmt.all({ itemID, world, from, to, bucketMs });
+  }, []);
+}
+
+/**
+ * Get the (item, world) pairs that have raw snapshots older than a cutoff
+ * @param {number} before - Cutoff timestamp (ms, exclusive)
+ * @returns {Object[]} Array of { itemId, world }
+ */
+export function getItemIdsWithSnapshotsBefore(before) {
+  return safeDbOperation((db) => {
+    return db.prepare('SELECT DISTINCT itemId, world FROM price_snapshots WHERE recordedAt < ?').all(before);
+  }, []);
+}
+
+/**
+ * Get the (item, world) pairs that have rollups of a resolution older than a cutoff
+ * @param {string} resolution - 'hour' or 'day'
+ * @param {number} before - Cutoff timestamp (ms, exclusive)
+ * @returns {Object[]} Array of { itemId, world }
+ */
+export function getItemIdsWithRollupsBefore(resolution, before) {
+  return safeDbOperation((db) => {
+    return db.prepare(`
+      SELECT DISTINCT itemId, world FROM price_rollups WHERE resolution = ? AND bucketStart < ?
+    `).all(resolution, before);
+  }, []);
+}
+
+/**
+ * Replace an item's rollup rows and delete the rows they were built from
+ * Runs in a single transaction so a failed compaction loses no data
+ * @param {number} itemID - Item ID
+ * @param {string} world - World/data center
+ * @param {string} resolution - Resolution of the rows being written ('hour' or 'day')
+ * @param {Object[]} rows - Merged bucket rows to write
+ * @param {Object} source - Rows to delete: { table: 'snapshots'|'hour', before }
+ * @returns {boolean} Success status
+ */
+export function replacePriceRollups(itemID, world, resolution, rows, source) {
+  return safeDbOperation((db) => {
+    const insert = db.prepare(`
+      INSERT OR REPLACE INTO price_rollups (
+        itemId, world, resolution, bucketStart, open, high, low, close,
+        avgPrice, unitsForSale, listingsCount, unitsSold, volume, samples
+      ) VALUES (
+        @itemId, @world, @resolution, @recordedAt, @open, @high, @low, @close,
+        @avgPrice, @unitsForSale, @listingsCount, @unitsSold, @volume, @samples
+      )
+    `);
+    const deleteSource = source.table === 'snapshots'
+      ? db.prepare('DELETE FROM price_snapshots WHERE itemId = ? AND world = ? AND recordedAt < ?')
+      : db.prepare('DELETE FROM price_rollups WHERE itemId = ? AND world = ? AND resolution = \'hour\' AND bucketStart < ?');
+
+    const replace = db.transaction(() => {
+      deleteSource.run(itemID, world, source.before);
+      for (const row of rows) {
+        insert.run({ ...row, itemId: itemID, world, resolution });
+      }
+    });
+
+    replace();
+    return true;
+  }, false);
+}
+
+/**
+ * Delete rollups of a resolution older than a cutoff
+ * @param {string} resolution - 'hour' or 'day'
+ * @param {number} before - Cutoff timestamp (ms, exclusive)
+ * @returns {number} Number of deleted rows
+ */
+export function deletePriceRollupsBefore(resolution, before) {
+  return safeDbOperation((db) => {
+    return db.prepare('DELETE FROM price_rollups WHERE resolution = ? AND bucketStart < ?')
+      .run(resolution, before).changes;
+  }, 0);
+}
+
+/**
+ * Delete sales older than a cutoff
+ * @param {number} before - Cutoff timestamp (ms, exclusive)
+ * @returns {number} Number of deleted rows
+ */
+export function deleteSalesBefore(before) {
+  return safeDbOperation((db) => {
+    return db.prepare('DELETE FROM sales WHERE timestamp < ?').run(before).changes;
+  }, 0);
+}
+
+/**
+ * Insert sale entries into the sales ledger
+ * Entries already present (same item, tracked world, sale world, timestamp, buyer, quantity and price) are ignored
+ * @param {Object[]} sales - Normalized sale rows (see sales columns)
+ * @returns {number} Number of newly inserted sales
+ */
+export function insertSales(sales) {
+  return safeDbOperation((db) => {
+    const stmt = db.prepare(`
+      INSERT OR IGNORE INTO sales (
+        itemId, world, worldName, worldId, timestamp, buyerName,
+        quantity, pricePerUnit, total, hq, onMannequin
+      ) VALUES (
+        @itemId, @world, @worldName, @worldId, @timestamp, @buyerName,
+        @quantity, @pricePerUnit, @total, @hq, @onMannequin
+      )
+    `);
+
+    const insertAll = db.transaction((rows) => {
+      let inserted = 0;
+      for (const row of rows) {
+        inserted += stmt.run(row).changes;
+      }
+      return inserted;
+    });
+
+    return insertAll(sales);
+  }, 0);
+}
+
+/**
+ * Get a page of sales for an item, newest first
+ * @param {number} itemID - Item ID
+ * @param {Object} options - Query options
+ * @param {string} options.world - Tracked world/data center the sales were fetched for
+ * @param {number} options.limit - Page size
+ * @param {number} options.offset - Number of sales to skip
+ * @param {string|null} options.worldName - Optional filter on the world the sale happened on
+ * @returns {Object} Total matching count and the requested page of sales
+ */
+export function getSales(itemID, { world, limit, offset, worldName = null }) {
+  return safeDbOperation((db) => {
+    const where = worldName
+      ? 'WHERE itemId = @itemID AND world = @world AND worldName = @worldName'
+      : 'WHERE itemId = @itemID AND world = @world';
+    const params = { itemID, world, worldName, limit, offset };
+
+    const { count } = db.prepare(`SELECT COUNT(*) as count FROM sales ${where}`).get(params);
+    const rows = db.prepare(`
+      SELECT worldName, worldId, timestamp, buyerName, quantity, pricePerUnit, total, hq, onMannequin
+      FROM sales
+      ${where}
+      ORDER BY timestamp DESC, id DESC
+      LIMIT @limit OFFSET @offset
+    `).all(params);
+
     return {
-      hot: hotItems,
-      mild: mildItems,
-      cold: coldItems,
+      total: count,
+      sales: rows.map(row => ({
+        ...row,
+        hq: row.hq === 1,
+        onMannequin: row.onMannequin === 1,
+      })),
     };
-  }, { hot: [], mild: [], cold: [] });
+  }, { total: 0, sales: [] });
 }
 
 /**
- * Check if item exists in database
+ * Get all sales made on a world since a timestamp, across items and tracked worlds
+ * @param {string} worldName - World the sales happened on
+ * @param {number} from - Start timestamp (ms, inclusive)
+ * @returns {Object[]} Array of { itemId, world, timestamp, buyerName, quantity, pricePerUnit, hq }
+ */
+export function getSalesOnWorld(worldName, from) {
+  return safeDbOperation((db) => {
+    const rows = db.prepare(`
+      SELECT itemId, world, timestamp, buyerName, quantity, pricePerUnit, hq
+      FROM sales
+      WHERE worldName = ? AND timestamp >= ?
+    `).all(worldName, from);
+
+    return rows.map(row => ({ ...row, hq: row.hq === 1 }));
+  }, []);
+}
+
+/**
+ * Record a change of an item's classification tier
+ * @param {Object} change - { itemId, world, changedAt, fromTier, toTier, metric, metricValue }
+ * @returns {boolean} Success status
+ */
+export function insertClassificationChange(change) {
+  return safeDbOperation((db) => {
+    db.prepare(`
+      INSERT OR IGNORE INTO classification_history (
+        itemId, world, changedAt, fromTier, toTier, metric, metricValue
+      ) VALUES (
+        @itemId, @world, @changedAt, @fromTier, @toTier, @metric, @metricValue
+      )
+    `).run(change);
+    return true;
+  }, false);
+}
+
+/**
+ * Get a page of an item's classification changes, newest first
+ * @param {number} itemID - Item ID
+ * @param {Object} options - Query options
+ * @param {string} options.world - World/data center
+ * @param {number} options.limit - Page size
+ * @param {number} options.offset - Number of changes to skip
+ * @returns {Object} Total count and the requested page of changes
+ */
+export function getClassificationHistory(itemID, { world, limit, offset }) {
+  return safeDbOperation((db) => {
+    const params = { itemID, world, limit, offset };
+    const { count } = db.prepare(`
+      SELECT COUNT(*) as count FROM classification_history WHERE itemId = @itemID AND world = @world
+    `).get(params);
+    const changes = db.prepare(`
+      SELECT changedAt, fromTier, toTier, metric, metricValue
+      FROM classification_history
+      WHERE itemId = @itemID AND world = @world
+      ORDER BY changedAt DESC
+      LIMIT @limit OFFSET @offset
+    `).all(params);
+
+    return { total: count, changes };
+  }, { total: 0, changes: [] });
+}
+
+/**
+ * Parse a catalog row into a catalog item
+ * @param {Object} row - Row from the catalog table
+ * @returns {Object} Catalog item { id, name, number, req }
+ */
+function parseCatalogRow(row) {
+  const parsed = parseDbRow(row, ['number', 'req']);
+  return {
+    id: parsed.id,
+    name: parsed.name,
+    number: parsed.number,
+    req: parsed.req,
+  };
+}
+
+/**
+ * Get all catalog items
+ * @returns {Array} Array of catalog items ordered by insertion
+ */
+export function getCatalogItems() {
+  return safeDbOperation((db) => {
+    const rows = db.prepare('SELECT * FROM catalog ORDER BY createdAt, rowid').all();
+    return rows.map(parseCatalogRow);
+  }, []);
+}
+
+/**
+ * Get a catalog item by ID
+ * @param {number} itemID - Item ID
+ * @returns {Object|null} Catalog item or null if not tracked
+ */
+export function getCatalogItem(itemID) {
+  return safeDbOperation((db) => {
+    const row = db.prepare('SELECT * FROM catalog WHERE id = ?').get(itemID);
+    return row ? parseCatalogRow(row) : null;
+  }, null);
+}
+
+/**
+ * Insert or update a catalog item
+ * @param {Object} item - Catalog item { id, name, number, req }
+ * @returns {boolean} Success status
+ */
+export function upsertCatalogItem(item) {
+  return safeDbOperation((db) => {
+    const now = Date.now();
+    db.prepare(`
+      INSERT INTO catalog (id, name, number, req, createdAt, updatedAt)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET
+        name = excluded.name,
+        number = excluded.number,
+        req = excluded.req,
+        updatedAt = excluded.updatedAt
+    `).run(item.id, item.name, JSON.stringify(item.number || []), JSON.stringify(item.req || []), now, now);
+    return true;
+  }, false);
+}
+
+/**
+ * Remove an item from the catalog
+ * Stored market data and history are kept
+ * @param {number} itemID - Item ID
+ * @returns {boolean} True if the item was removed
+ */
+export function deleteCatalogItem(itemID) {
+  return safeDbOperation((db) => {
+    return db.prepare('DELETE FROM catalog WHERE id = ?').run(itemID).changes > 0;
+  }, false);
+}
+
+/**
+ * Get all item groups with their member item IDs
+ * @returns {Array} Array of { id, name, description, itemIds } ordered by name
+ */
+export function getItemGroups() {
+  return safeDbOperation((db) => {
+    const groups = db.prepare('SELECT id, name, description FROM item_groups ORDER BY name').all();
+    const members = db.prepare('SELECT groupId, itemId FROM item_group_members ORDER BY groupId, position').all();
+
+    const itemIdsByGroup = new Map(groups.map(group => [group.id, []]));
+    for (const member of members) {
+      itemIdsByGroup.get(member.groupId)?.push(member.itemId);
+    }
+
+    return groups.map(group => ({ ...group, itemIds: itemIdsByGroup.get(group.id) }));
+  }, []);
+}
+
+/**
+ * Get an item group with its member item IDs
+ * @param {number} groupID - Group ID
+ * @returns {Object|null} Group or null if not found
+ */
+export function getItemGroup(groupID) {
+  return safeDbOperation((db) => {
+    const group = db.prepare('SELECT id, name, description FROM item_groups WHERE id = ?').get(groupID);
+    if (!group) {
+      return null;
+    }
+
+    const members = db.prepare('SELECT itemId FROM item_group_members WHERE groupId = ? ORDER BY position').all(groupID);
+    return { ...group, itemIds: members.map(member => member.itemId) };
+  }, null);
+}
+
+/**
+ * Insert or update an item group and replace its members
+ * @param {Object} group - Group data { id?, name, description, itemIds }
+ * @returns {number|null} Group ID or null on failure
+ */
+export function saveItemGroup(group) {
+  return safeDbOperation((db) => {
+    const save = db.transaction(() => {
+      const now = Date.now();
+      let groupID = group.id;
+
+      if (groupID) {
+        db.prepare('UPDATE item_groups SET name = ?, description = ?, updatedAt = ? WHERE id = ?')
+          .run(group.name, group.description, now, groupID);
+      } else {
+        groupID = Number(db.prepare(`
+          INSERT INTO item_groups (name, description, createdAt, updatedAt) VALUES (?, ?, ?, ?)
+        `).run(group.name, group.description, now, now).lastInsertRowid);
+      }
+
+      db.prepare('DELETE FROM item_group_members WHERE groupId = ?').run(groupID);
+      const insertMember = db.prepare('INSERT OR IGNORE INTO item_group_members (groupId, itemId, position) VALUES (?, ?, ?)');
+      group.itemIds.forEach((itemID, position) => insertMember.run(groupID, itemID, position));
+
+      return groupID;
+    });
+
+    return save();
+  }, null);
+}
+
+/**
+ * Delete an item group and its memberships
+ * @param {number} groupID - Group ID
+ * @returns {boolean} True if the group was deleted
+ */
+export function deleteItemGroup(groupID) {
+  return safeDbOperation((db) => {
+    const remove = db.transaction(() => {
+      db.prepare('DELETE FROM item_group_members WHERE groupId = ?').run(groupID);
+      return db.prepare('DELETE FROM item_groups WHERE id = ?').run(groupID).changes > 0;
+    });
+    return remove();
+  }, false);
+}
+
+/**
+ * Insert or replace imported item metadata
+ * @param {Object[]} rows - Metadata rows (see item_metadata columns, without importedAt)
+ * @returns {number} Number of rows written
+ */
+export function upsertItemMetadata(rows) {
+  return safeDbOperation((db) => {
+    const stmt = db.prepare(`
+      INSERT OR REPLACE INTO item_metadata (
+        itemId, nameEn, nameJa, nameZh, uiCategoryId, uiCategory,
+        itemLevel, stackSize, iconPath, importedAt
+      ) VALUES (
+        @itemId, @nameEn, @nameJa, @nameZh, @uiCategoryId, @uiCategory,
+        @itemLevel, @stackSize, @iconPath, @importedAt
+      )
+    `);
+
+    const upsertAll = db.transaction((batch) => {
+      const importedAt = Date.now();
+      for (const row of batch) {
+        stmt.run({ ...row, importedAt });
+      }
+      return batch.length;
+    });
+
+    return upsertAll(rows);
+  }, 0);
+}
+
+/**
+ * Get imported metadata for a set of items
+ * @param {number[]} itemIDs - Item IDs
+ * @returns {Map<number, Object>} Metadata keyed by item ID (items without metadata are missing)
+ */
+export function getItemMetadata(itemIDs) {
+  return safeDbOperation((db) => {
+    const rows = db.prepare(`
+      SELECT itemId, nameEn, nameJa, nameZh, uiCategoryId, uiCategory, itemLevel, stackSize, iconPath
+      FROM item_metadata
+      WHERE itemId IN (SELECT value FROM json_each(?))
+    `).all(JSON.stringify(itemIDs));
+
+    return new Map(rows.map(({ itemId, ...metadata }) => [itemId, metadata]));
+  }, new Map());
+}
+
+/**
+ * Get the number of items with imported metadata
+ * @returns {number} Metadata row count
+ */
+export function getItemMetadataCount() {
+  return safeDbOperation((db) => {
+    return db.prepare('SELECT COUNT(*) as count FROM item_metadata').get().count;
+  }, 0);
+}
+
+/**
+ * Check if item exists in database for a world
  * @param {number} itemID - Item ID
+ * @param {string} world - World/data center
  * @returns {boolean} True if item exists
  */
-export function hasItem(itemID) {
+export function hasItem(itemID, world) {
   return safeDbOperation((db) => {
-    const stmt = db.prepare('SELECT COUNT(*) as count FROM items WHERE id = ?');
-    const result = stmt.get(itemID);
+    const stmt = db.prepare('SELECT COUNT(*) as count FROM items WHERE id = ? AND world = ?');
+    const result = stmt.get(itemID, world);
     return result.count > 0;
   }, false);
 }
 
 /**
  * Get total count of items in database
+ * @param {string|null} world - Only count items of this world (default: all worlds)
  * @returns {number} Item count
  */
-export function getItemCount() {
+export function getItemCount(world = null) {
   return safeDbOperation((db) => {
-    const stmt = db.prepare('SELECT COUNT(*) as count FROM items');
-    const result = stmt.get();
+    const stmt = world
+      ? db.prepare('SELECT COUNT(*) as count FROM items WHERE world = ?')
+      : db.prepare('SELECT COUNT(*) as count FROM items');
+    const result = world ? stmt.get(world) : stmt.get();
     return result.count;
   }, 0);
 }
 
+/**
+ * Get row counts and on-disk size of the database
+ * @returns {Object|null} Storage report or null if the database is unavailable
+ */
+export function getStorageStats() {
+  return safeDbOperation((db) => {
+    const count = (sql) => db.prepare(sql).get().count;
+    const pageSize = db.pragma('page_size', { simple: true });
+    const pageCount = db.pragma('page_count', { simple: true });
+    const freelistCount = db.pragma('freelist_count', { simple: true });
+    const walPath = `${dbPath}-wal`;
+
+    return {
+      path: dbPath,
+      sizeBytes: pageSize * pageCount,
+      freeBytes: pageSize * freelistCount,
+      walSizeBytes: existsSync(walPath) ? statSync(walPath).size : 0,
+      rows: {
+        items: count('SELECT COUNT(*) as count FROM items'),
+        priceSnapshots: count('SELECT COUNT(*) as count FROM price_snapshots'),
+        hourlyRollups: count("SELECT COUNT(*) as count FROM price_rollups WHERE resolution = 'hour'"),
+        dailyRollups: count("SELECT COUNT(*) as count FROM price_rollups WHERE resolution = 'day'"),
+        sales: count('SELECT COUNT(*) as count FROM sales'),
+        itemMetadata: count('SELECT COUNT(*) as count FROM item_metadata'),
+        classificationHistory: count('SELECT COUNT(*) as count FROM classification_history'),
+      },
+    };
+  }, null);
+}
+
+/**
+ * Copy the live database to a file using SQLite's online backup API
+ * The server keeps reading and writing while the backup runs
+ * @param {string} destination - Path of the backup file
+ * @returns {Promise<Object>} Backup progress info ({ totalPages, remainingPages })
+ */
+export async function backupDatabase(destination) {
+  const database = getDb();
+  if (!database) {
+    throw new Error('Database unavailable');
+  }
+  return database.backup(destination);
+}
+
+/**
+ * Get the current schema version of the database
+ * @returns {number} Schema version (0 if unavailable)
+ */
+export function getDatabaseSchemaVersion() {
+  return safeDbOperation((db) => getSchemaVersion(db), 0);
+}
+
+/**
+ * Read one page of a table for export, in rowid order
+ * Pages are read with separate queries so no statement stays open between pages
+ * @param {string} table - Table name (one of EXPORT_TABLES)
+ * @param {number} afterRowId - Only return rows with a greater rowid
+ * @param {number} limit - Maximum number of rows
+ * @returns {Array} Rows including an `exportRowId` field for paging
+ */
+export function getExportPage(table, afterRowId, limit) {
+  const columns = EXPORT_TABLES[table];
+  if (!columns) {
+    throw new Error(`Unknown export table: ${table}`);
+  }
+
+  return safeDbOperation((db) => {
+    return db.prepare(`
+      SELECT rowid AS exportRowId, ${columns.join(', ')} FROM ${table}
+      WHERE rowid > ? ORDER BY rowid LIMIT ?
+    `).all(afterRowId, limit);
+  }, []);
+}
+
+/**
+ * Import rows into a table, merging with existing data
+ * Items and rollups are replaced by key, snapshots are skipped if one exists
+ * for the same item and time, and sales and classification changes are
+ * deduplicated by their unique keys
+ * @param {string} table - Table name (one of EXPORT_TABLES)
+ * @param {Object[]} rows - Rows to import (unknown fields are ignored)
+ * @returns {number} Number of rows written
+ */
+export function importRows(table, rows) {
+  const columns = EXPORT_TABLES[table];
+  if (!columns) {
+    throw new Error(`Unknown import table: ${table}`);
+  }
+
+  const database = getDb();
+  if (!database) {
+    throw new Error('Database unavailable');
+  }
+
+  const placeholders = columns.map(column => `@${column}`).join(', ');
+  let sql;
+  switch (table) {
+    case 'price_snapshots':
+      sql = `
+        INSERT INTO price_snapshots (${columns.join(', ')})
+        SELECT ${placeholders}
+        WHERE NOT EXISTS (
+          SELECT 1 FROM price_snapshots WHERE itemId = @itemId AND world = @world AND recordedAt = @recordedAt
+        )
+      `;
+      break;
+    case 'sales':
+    case 'classification_history':
+      sql = `INSERT OR IGNORE INTO ${table} (${columns.join(', ')}) VALUES (${placeholders})`;
+      break;
+    case 'items':
+      // Metric columns aren't exported, they are derived from marketData again
+      sql = `
+        INSERT OR REPLACE INTO items (${[...columns, ...ITEM_METRIC_COLUMNS].join(', ')})
+        VALUES (${placeholders}, ${ITEM_METRIC_COLUMNS.map(column => `@${column}`).join(', ')})
+      `;
+      break;
+    default:
+      sql = `INSERT OR REPLACE INTO ${table} (${columns.join(', ')}) VALUES (${placeholders})`;
+  }
+
+  const stmt = database.prepare(sql);
+  const insertAll = database.transaction((batch) => {
+    let written = 0;
+    for (const row of batch) {
+      const values = {};
+      for (const column of columns) {
+        values[column] = row[column] ?? null;
+      }
+      if (table === 'items') {
+        let marketData = {};
+        try {
+          marketData = JSON.parse(values.marketData);
+        } catch {
+          // Unreadable market data leaves the metrics empty until the next fetch
+        }
+        Object.assign(values, getItemMetricValues(marketData));
+      }
+      written += stmt.run(values).changes;
+    }
+    return written;
+  });
+
+  return insertAll(rows);
+}
+
 /**
  * Close database connection
  */
@@ -346,17 +1228,3 @@ export function closeDatabase() {
     dbInitialized = false;
   }
 }
-
-// Initialize database on module load
-initializeDatabase();
-
-// Handle graceful shutdown
-process.on('SIGINT', () => {
-  closeDatabase();
-  process.exit(0);
-});
-
-process.on('SIGTERM', () => {
-  closeDatabase();
-  process.exit(0);
-});
@@ -0,0 +1,157 @@
+/**
+ * Upstream Freshness
+ *
+ * Tracks how old the Universalis data behind each item is. Universalis
+ * reports when an item was last uploaded (`lastUploadTime`, plus
+ * `worldUploadTimes` for data centers and regions); items whose newest
+ * upload is older than STALE_AFTER_HOURS are flagged as stale.
+ *
+ * Before a scheduled refetch the most-recently-updated feed is checked, and
+ * items without an upload since our last fetch are rescheduled instead of
+ * refetched, since their upstream data cannot have changed.
+ */
+
+import config from '../config.js';
+import { getNewestUploadTime } from '../utils/marketData.js';
+import { getStorage } from './storage/index.js';
+import { fetchRecentlyUpdated } from './universalisClient.js';
+import { getTierInterval } from './tiers.js';
+import { clampInterval } from './refreshPolicy.js';
+
+const STALE_AFTER_MS = config.freshness.staleAfterHours * 60 * 60 * 1000;
+
+// Last time the feed confirmed an item had no new uploads, by "itemId|world"
+const verifiedAt = new Map();
+
+const skipStats = {
+  checks: 0,
+  skipped: 0,
+  lastCheckAt: null,
+};
+
+/**
+ * Describe how fresh an item's upstream data is
+ * Items without an upload time (no data yet) are not flagged as stale
+ * @param {Object} item - Item with marketData
+ * @param {number} now - Current timestamp (default: Date.now())
+ * @returns {Object} { lastUploadTime, ageMs, stale }
+ */
+function getFreshness(item, now = Date.now()) {
+  const lastUploadTime = getNewestUploadTime(item.marketData);
+  const ageMs = lastUploadTime !== null ? Math.max(0, now - lastUploadTime) : null;
+
+  return {
+    lastUploadTime,
+    ageMs,
+    stale: ageMs !== null && ageMs > STALE_AFTER_MS,
+  };
+}
+
+/**
+ * Attach freshness information to items
+ * @param {Object[]} items - Items with marketData
+ * @param {number} now - Current timestamp (default: Date.now())
+ * @returns {Object[]} Items with a `freshness` field
+ */
+function withFreshness(items, now = Date.now()) {
+  return items.map(item => ({
+    ...item,
+    freshness: getFreshness(item, now),
+  }));
+}
+
+/**
+ * Drop items whose upstream data hasn't changed since our last fetch and reschedule them
+ * The most-recently-updated feed lists every item uploaded since its oldest
+ * entry, so an item missing from it (or listed with an upload we already have)
+ * has no new data if we fetched or verified it after that entry.
+ * Falls back to refetching everything if the feed can't be read
+ * @param {number[]} itemIDs - Item IDs due for an update
+ * @param {string} world - World/data center
+ * @param {number} now - Current timestamp (default: Date.now())
+ * @returns {Promise<number[]>} Item IDs that still need to be fetched
+ */
+async function filterChangedItems(itemIDs, world, now = Date.now()) {
+  if (!config.freshness.skipUnchanged || itemIDs.length === 0) {
+    return itemIDs;
+  }
+
+  let feed;
+  try {
+    feed = await fetchRecentlyUpdated(world);
+  } catch (error) {
+    console.error(`[Freshness] Could not read recent uploads for ${world}:`, error.message);
+    return itemIDs;
+  }
+
+  if (!feed || feed.length === 0) {
+    return itemIDs;
+  }
+
+  const feedTimes = new Map();
+  for (const entry of feed) {
+    feedTimes.set(entry.itemID, Math.max(feedTimes.get(entry.itemID) || 0, entry.lastUploadTime));
+  }
+  const feedStart = Math.min(...feed.map(entry => entry.lastUploadTime));
+
+  const storage = getStorage();
+  const changed = [];
+
+  for (const itemID of itemIDs) {
+    const item = storage.getItemById(itemID, world);
+    const knownUpload = item ? getNewestUploadTime(item.marketData) : null;
+
+    if (knownUpload === null) {
+      changed.push(itemID);
+      continue;
+    }
+
+    const key = `${itemID}|${world}`;
+    const lastSeen = Math.max(item.lastUpdate, verifiedAt.get(key) || 0);
+    const feedTime = feedTimes.get(itemID);
+    const unchanged = feedTime !== undefined
+      ? feedTime <= knownUpload
+      : feedStart <= lastSeen;
+
+    if (!unchanged) {
+      changed.push(itemID);
+      continue;
+    }
+
+    // Wait the item's current interval again, counted from now (lastUpdate stays at the last fetch)
+    verifiedAt.set(key, now);
+    const interval = item.refresh?.intervalMs ?? getTierInterval(item.classification);
+    storage.setNextUpdate(itemID, world, now + clampInterval(interval));
+  }
+
+  const skipped = itemIDs.length - changed.length;
+  skipStats.checks++;
+  skipStats.skipped += skipped;
+  skipStats.lastCheckAt = now;
+
+  if (skipped > 0) {
+    console.log(`[Freshness] Skipped ${skipped} of ${itemIDs.length} items for ${world} with no new uploads`);
+  }
+
+  return changed;
+}
+
+/**
+ * Get freshness settings and scheduler skip counters
+ * @returns {Object} { staleAfterHours, skipUnchanged, checks, skipped, lastCheckAt }
+ */
+function getFreshnessStats() {
+  return {
+    staleAfterHours: config.freshness.staleAfterHours,
+    skipUnchanged: config.freshness.skipUnchanged,
+    ...skipStats,
+  };
+}
+
+export {
+  getFreshness,
+  withFreshness,
+  filterChangedItems,
+  getFreshnessStats,
+  STALE_AFTER_MS,
+};
@@ -0,0 +1,130 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { HOUR_MS } from '../utils/timeseries.js';
+import { initializeStorage, getStorage, closeStorage } from './storage/index.js';
+import { fetchRecentlyUpdated } from './universalisClient.js';
+import { filterChangedItems } from './freshness.js';
+
+vi.mock('./universalisClient.js', async (importOriginal) => ({
+  ...await importOriginal(),
+  fetchRecentlyUpdated: vi.fn(),
+}));
+
+const WORLD = 'China';
+const FETCHED_AT = 1760860800000;
+const UPLOADED_AT = FETCHED_AT - HOUR_MS;
+const INTERVAL = 2 * HOUR_MS;
+
+/**
+ * Store an item as fetched at FETCHED_AT with data uploaded at UPLOADED_AT
+ * @param {number} itemID - Item ID
+ * @param {Object} fields - Fields to override
+ */
+function storeItem(itemID, fields = {}) {
+  getStorage().upsertItem({
+    id: itemID,
+    world: WORLD,
+    marketData: { hasData: true, lastUploadTime: UPLOADED_AT },
+    classification: 'mild',
+    lastUpdate: FETCHED_AT,
+    nextUpdate: FETCHED_AT + INTERVAL,
+    refresh: { intervalMs: INTERVAL },
+    ...fields,
+  });
+}
+
+/**
+ * Answer the next feed request with uploads
+ * @param {Array<[number, number]>} uploads - [item ID, upload time] per feed entry
+ */
+function mockFeed(uploads) {
+  fetchRecentlyUpdated.mockResolvedValueOnce(uploads.map(([itemID, lastUploadTime]) => ({ itemID, lastUploadTime })));
+}
+
+const getNextUpdate = itemID => getStorage().getItemById(itemID, WORLD).nextUpdate;
+
+beforeAll(() => {
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+  initializeStorage({ adapter: 'memory' });
+});
+
+afterAll(() => {
+  closeStorage();
+  vi.restoreAllMocks();
+});
+
+describe('filterChangedItems', () => {
+  const now = FETCHED_AT + INTERVAL;
+
+  it('should skip items listed with an upload we already have and fetch newer uploads', async () => {
+    storeItem(1);
+    storeItem(2);
+    mockFeed([[1, UPLOADED_AT], [2, UPLOADED_AT + 1], [3, FETCHED_AT - 2 * HOUR_MS]]);
+
+    expect(await filterChangedItems([1, 2], WORLD, now)).toEqual([2]);
+    expect(getNextUpdate(1)).toBe(now + INTERVAL);
+    expect(getNextUpdate(2)).toBe(FETCHED_AT + INTERVAL);
+  });
+
+  it('should skip unlisted items only if the feed starts before they were last seen', async () => {
+    storeItem(11);
+    storeItem(12, { lastUpdate: FETCHED_AT - 3 * HOUR_MS });
+    mockFeed([[99, FETCHED_AT - 2 * HOUR_MS], [98, now]]);
+
+    expect(await filterChangedItems([11, 12], WORLD, now)).toEqual([12]);
+  });
+
+  it('should count a previous skip as having seen the item', async () => {
+    storeItem(21);
+    mockFeed([[21, UPLOADED_AT]]);
+    await filterChangedItems([21], WORLD, now);
+
+    // The feed now starts after the last fetch, but not after the item was last verified
+    mockFeed([[99, now - 1]]);
+    expect(await filterChangedItems([21], WORLD, now + HOUR_MS)).toEqual([]);
+  });
+
+  it('should fetch items without data', async () => {
+    storeItem(31, { marketData: { hasData: false } });
+    mockFeed([[99, FETCHED_AT - 2 * HOUR_MS]]);
+
+    expect(await filterChangedItems([31, 32], WORLD, now)).toEqual([31, 32]);
+  });
+
+  it('should fetch everything when the feed fails or is empty', async () => {
+    storeItem(41);
+    fetchRecentlyUpdated.mockRejectedValueOnce(new Error('Universalis API error: 503'));
+    expect(await filterChangedItems([41], WORLD, now)).toEqual([41]);
+
+    fetchRecentlyUpdated.mockResolvedValueOnce(null);
+    expect(await filterChangedItems([41], WORLD, now)).toEqual([41]);
+
+    mockFeed([]);
+    expect(await filterChangedItems([41], WORLD, now)).toEqual([41]);
+    expect(getNextUpdate(41)).toBe(FETCHED_AT + INTERVAL);
+  });
+
+  it('should keep the same interval across consecutive skips', async () => {
+    storeItem(51);
+    let checkedAt = now;
+    for (let i = 0; i < 4; i++) {
+      mockFeed([[51, UPLOADED_AT]]);
+      expect(await filterChangedItems([51], WORLD, checkedAt)).toEqual([]);
+      expect(getNextUpdate(51)).toBe(checkedAt + INTERVAL);
+      checkedAt = getNextUpdate(51);
+    }
+  });
+
+  it('should fall back to the tier interval and keep within the refresh bounds', async () => {
+    // Hot items are refreshed every minute, the shortest interval allowed
+    storeItem(61, { classification: 'hot', refresh: null });
+    storeItem(62, { refresh: { intervalMs: 10 } });
+    storeItem(63, { refresh: { intervalMs: 30 * 24 * HOUR_MS } });
+    mockFeed([[61, UPLOADED_AT], [62, UPLOADED_AT], [63, UPLOADED_AT]]);
+
+    expect(await filterChangedItems([61, 62, 63], WORLD, now)).toEqual([]);
+    expect(getNextUpdate(61)).toBe(now + 60 * 1000);
+    expect(getNextUpdate(62)).toBe(now + 60 * 1000);
+    expect(getNextUpdate(63)).toBe(now + 24 * HOUR_MS);
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * Item Groups Service
+ *
+ * Named watchlists of tracked items, independent of the hot/mild/cold
+ * classification. Group members keep the order they were added in.
+ */
+
+import { getStorage } from './storage/index.js';
+import { getCatalogMap } from './catalog.js';
+
+/**
+ * Validate group data from a request body
+ * @param {Object} data - Group data { name, description, itemIds }
+ * @param {Object} options - Validation options
+ * @param {boolean} options.partial - Allow missing fields (for updates)
+ * @returns {string|null} Error message or null if valid
+ */
+function validateGroup(data, { partial = false } = {}) {
+  if (!data || typeof data !== 'object') {
+    return 'Request body must be an object';
+  }
+
+  if (data.name !== undefined || !partial) {
+    if (typeof data.name !== 'string' || data.name.trim() === '') {
+      return 'name must be a non-empty string';
+    }
+    if (/^\d+$/.test(data.name.trim())) {
+      return 'name must not be numeric';
+    }
+  }
+
+  if (data.description !== undefined && typeof data.description !== 'string') {
+    return 'description must be a string';
+  }
+
+  if (data.itemIds !== undefined) {
+    return validateItemIds(data.itemIds);
+  }
+
+  return null;
+}
+
+/**
+ * Validate a list of item IDs to add to a group
+ * Every item must be tracked in the catalog
+ * @param {*} itemIds - Item IDs from a request body
+ * @returns {string|null} Error message or null if valid
+ */
+function validateItemIds(itemIds) {
+  if (!Array.isArray(itemIds) || !itemIds.every(id => Number.isInteger(id) && id > 0)) {
+    return 'itemIds must be an array of positive integers';
+  }
+
+  const catalog = getCatalogMap();
+  const untracked = itemIds.filter(id => !catalog.has(id));
+  if (untracked.length > 0) {
+    return `Items are not tracked: ${untracked.join(', ')}`;
+  }
+
+  return null;
+}
+
+/**
+ * Get all groups
+ * @returns {Array} Array of groups { id, name, description, itemIds }
+ */
+function getGroups() {
+  return getStorage().getItemGroups();
+}
+
+/**
+ * Get a group by ID
+ * @param {number} groupID - Group ID
+ * @returns {Object|null} Group or null if not found
+ */
+function getGroup(groupID) {
+  return getStorage().getItemGroup(groupID);
+}
+
+/**
+ * Find a group by ID or by name (case-insensitive)
+ * @param {string|number} ref - Group ID or name
+ * @returns {Object|null} Group or null if not found
+ */
+function findGroup(ref) {
+  const value = String(ref).trim();
+  if (/^\d+$/.test(value)) {
+    return getGroup(parseInt(value, 10));
+  }
+
+  const name = value.toLowerCase();
+  return getGroups().find(group => group.name.toLowerCase() === name) || null;
+}
+
+/**
+ * Check whether another group already uses a name
+ * @param {string} name - Group name
+ * @param {number|null} exceptID - Group ID to ignore (the one being renamed)
+ * @returns {boolean} True if the name is taken
+ */
+function isGroupNameTaken(name, exceptID = null) {
+  const existing = findGroup(name);
+  return existing !== null && existing.id !== exceptID;
+}
+
+/**
+ * Create a group
+ * @param {Object} data - Validated group data { name, description, itemIds }
+ * @returns {Object} Stored group
+ */
+function createGroup(data) {
+  const groupID = getStorage().saveItemGroup({
+    name: data.name.trim(),
+    description: data.description || '',
+    itemIds: [...new Set(data.itemIds || [])],
+  });
+
+  const group = getGroup(groupID);
+  console.log(`[Groups] Created group ${group.id} (${group.name}) with ${group.itemIds.length} items`);
+  return group;
+}
+
+/**
+ * Update a group's name, description or members
+ * @param {number} groupID - Group ID
+ * @param {Object} changes - Validated fields to change { name, description, itemIds }
+ * @returns {Object|null} Updated group or null if not found
+ */
+function updateGroup(groupID, changes) {
+  const existing = getGroup(groupID);
+  if (!existing) {
+    return null;
+  }
+
+  getStorage().saveItemGroup({
+    id: groupID,
+    name: changes.name !== undefined ? changes.name.trim() : existing.name,
+    description: changes.description !== undefined ? changes.description : existing.description,
+    itemIds: changes.itemIds !== undefined ? [...new Set(changes.itemIds)] : existing.itemIds,
+  });
+
+  console.log(`[Groups] Updated group ${groupID}`);
+  return getGroup(groupID);
+}
+
+/**
+ * Append items to a group (items already in the group keep their position)
+ * @param {number} groupID - Group ID
+ * @param {Array<number>} itemIds - Validated item IDs
+ * @returns {Object|null} Updated group or null if not found
+ */
+function addGroupItems(groupID, itemIds) {
+  const existing = getGroup(groupID);
+  if (!existing) {
+    return null;
+  }
+
+  return updateGroup(groupID, { itemIds: [...existing.itemIds, ...itemIds] });
+}
+
+/**
+ * Remove an item from a group
+ * @param {number} groupID - Group ID
+ * @param {number} itemID - Item ID
+ * @returns {Object|null} Updated group or null if the group or member wasn't found
+ */
+function removeGroupItem(groupID, itemID) {
+  const existing = getGroup(groupID);
+  if (!existing || !existing.itemIds.includes(itemID)) {
+    return null;
+  }
+
+  return updateGroup(groupID, { itemIds: existing.itemIds.filter(id => id !== itemID) });
+}
+
+/**
+ * Delete a group (the items themselves stay tracked)
+ * @param {number} groupID - Group ID
+ * @returns {boolean} True if the group was deleted
+ */
+function deleteGroup(groupID) {
+  const deleted = getStorage().deleteItemGroup(groupID);
+  if (deleted) {
+    console.log(`[Groups] Deleted group ${groupID}`);
+  }
+  return deleted;
+}
+
+export {
+  validateGroup,
+  validateItemIds,
+  getGroups,
+  getGroup,
+  findGroup,
+  isGroupNameTaken,
+  createGroup,
+  updateGroup,
+  addGroupItems,
+  removeGroupItem,
+  deleteGroup,
+};
@@ -4,37 +4,60 @@
  * Manages item data, classification, and update scheduling
  */
 
-import { readFileSync } from 'fs';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { createHash } from 'crypto';
 import { deepCopy } from '../utils/common.js';
+import { toNumberOrNull } from '../utils/marketData.js';
 import {
-  upsertItem,
-  getItemById,
-  getAllItems as dbGetAllItems,
-  getItemsByClassification as dbGetItemsByClassification,
-  getAllItemIds,
-  getItemsNeedingUpdate as dbGetItemsNeedingUpdate,
-  hasItem,
-  getItemCount,
-} from './database.js';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-// Classification thresholds
-const COLD_THRESHOLD = 100; // saleVelocity < 100
-const MILD_THRESHOLD = 1000; // saleVelocity < 1000
-
-// Update intervals in milliseconds
-const HOT_UPDATE_INTERVAL = 60 * 1000; // 1 minute
-const MILD_UPDATE_INTERVAL = 60 * 60 * 1000; // 1 hour
-const COLD_UPDATE_INTERVAL = 24 * 60 * 60 * 1000; // 1 day
-
-// Item list from JSON file
-const itemList = JSON.parse(
-  readFileSync(join(__dirname, '../../src/assets/itemlist.json'), 'utf-8')
-);
+  HOUR_MS,
+  DAY_MS,
+  getBucketStart,
+  snapshotToBucketRow,
+  mergeBuckets,
+} from '../utils/timeseries.js';
+import { getStorage } from './storage/index.js';
+import { getCatalogItems, getCatalogMap, getCatalogItem } from './catalog.js';
+import { withMetadata } from './metadata.js';
+import { withFreshness, STALE_AFTER_MS } from './freshness.js';
+import { computeRefresh } from './refreshPolicy.js';
+import { publishItemUpdate, publishClassificationChange } from './itemStream.js';
+import { classify, getDefaultTier, getTierConfig, getTierInterval, getTierNames, isTier } from './tiers.js';
+import { addFailedItems, clearItems, isWaitingForRetry, getDueRetries } from './retryQueue.js';
+import config from '../config.js';
+
+// History resolutions (bucket size in milliseconds, null = raw snapshots)
+const HISTORY_RESOLUTIONS = {
+  raw: null,
+  hour: HOUR_MS,
+  day: DAY_MS,
+};
+const DEFAULT_HISTORY_RANGE = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// Sales ledger paging
+const DEFAULT_SALES_PAGE_SIZE = 50;
+const MAX_SALES_PAGE_SIZE = 500;
+
+// Classification history paging
+const DEFAULT_CLASSIFICATION_PAGE_SIZE = 50;
+const MAX_CLASSIFICATION_PAGE_SIZE = 500;
+
+// Fields items can be sorted by, and the largest page of items returned at once
+const ITEM_SORT_FIELDS = [
+  'id', 'name', 'minPrice', 'avgPrice', 'unitsSold', 'unitsForSale', 'listingsCount', 'lastUploadTime', 'lastUpdate',
+];
+const MAX_ITEMS_PAGE_SIZE = 500;
+
+// Listings and history entries kept per item (requested from Universalis and kept when applying events)
+const LISTINGS_LIMIT = 5;
+const HISTORY_ENTRIES_LIMIT = 20;
+
+// Items stored from each Universalis response, so a response shared by coalesced requests is stored once
+const storedResponses = new WeakMap();
+
+// Fetches that changed an item's data and fetches that found it unchanged
+const writeStats = {
+  changed: 0,
+  unchanged: 0,
+};
 
 /**
  * Create a placeholder market data object with "NA" values
@@ -54,39 +77,59 @@ function createNAMarketData() {
 }
 
 /**
- * Classify item based on sale velocity (using unitsSold)
- * @param {Object} marketData - Market data for the item
- * @returns {string} Classification: 'cold', 'mild', or 'hot'
+ * Create a placeholder item for a tracked item that hasn't been fetched yet
+ * @param {Object} itemInfo - Catalog item
+ * @param {string} world - World/data center
+ * @returns {Object} Item data with NA market data
  */
-function classifyItem(marketData) {
-  if (!marketData) {
-    return 'cold'; // Default to cold if no data
-  }
-
-  // Check if we have actual data (not NA placeholder)
-  // The API doesn't always include hasData field, so check for actual data fields
-  const hasActualData = marketData.hasData === true || 
-                       (marketData.unitsSold !== undefined && 
-                        marketData.unitsSold !== null && 
-                        marketData.unitsSold !== 'NA');
+function createPlaceholderItem(itemInfo, world) {
+  return {
+    id: itemInfo.id,
+    world,
+    name: itemInfo.name || `Item ${itemInfo.id}`,
+    number: itemInfo.number || [],
+    req: itemInfo.req || [],
+    marketData: createNAMarketData(),
+    classification: getDefaultTier(),
+    lastUpdate: null,
+    nextUpdate: Date.now(),
+    refresh: null,
+  };
+}
 
-  if (!hasActualData) {
-    return 'cold'; // Default to cold if no actual data
-  }
+/**
+ * Apply the current catalog name/tiers to a stored item
+ * Catalog edits take effect immediately, not only after the next fetch
+ * @param {Object} item - Stored item data
+ * @param {Object} itemInfo - Catalog item
+ * @returns {Object} Item data with catalog fields
+ */
+function withCatalogInfo(item, itemInfo) {
+  return {
+    ...item,
+    name: itemInfo.name || item.name,
+    number: itemInfo.number,
+    req: itemInfo.req,
+  };
+}
 
-  // Use unitsSold as velocity
-  const unitsSold = marketData.unitsSold || 0;
-  
-  // Ensure unitsSold is a number for comparison
-  const velocity = typeof unitsSold === 'number' ? unitsSold : parseFloat(unitsSold) || 0;
+/**
+ * Attach imported metadata and upstream freshness to items for API responses
+ * @param {Object[]} items - Items
+ * @returns {Object[]} Items with `metadata` and `freshness` fields
+ */
+function withItemDetails(items) {
+  return withFreshness(withMetadata(items));
+}
 
-  if (velocity < COLD_THRESHOLD) {
-    return 'cold';
-  } else if (velocity < MILD_THRESHOLD) {
-    return 'mild';
-  } else {
-    return 'hot';
-  }
+/**
+ * Classify item by the configured tier metric (see tiers.json)
+ * @param {Object} marketData - Market data for the item
+ * @param {string|null} currentClassification - The item's current tier, for hysteresis (default: null)
+ * @returns {string} Tier name
+ */
+function classifyItem(marketData, currentClassification = null) {
+  return classify(marketData, currentClassification).tier;
 }
 
 /**
@@ -95,26 +138,106 @@ function classifyItem(marketData) {
  * @returns {number} Update interval in milliseconds
  */
 function getUpdateInterval(classification) {
-  switch (classification) {
-    case 'hot':
-      return HOT_UPDATE_INTERVAL;
-    case 'mild':
-      return MILD_UPDATE_INTERVAL;
-    case 'cold':
-      return COLD_UPDATE_INTERVAL;
-    default:
-      return COLD_UPDATE_INTERVAL;
+  return getTierInterval(classification);
+}
+
+/**
+ * Build a price snapshot row from market data
+ * @param {number} itemID - Item ID
+ * @param {string} world - World/data center the data was fetched for
+ * @param {Object} marketData - Market data from API
+ * @param {number} recordedAt - Timestamp of the observation
+ * @returns {Object} Snapshot data for price_snapshots
+ */
+function createPriceSnapshot(itemID, world, marketData, recordedAt) {
+  return {
+    itemId: itemID,
+    world,
+    recordedAt,
+    minPrice: toNumberOrNull(marketData.minPrice),
+    minPriceNQ: toNumberOrNull(marketData.minPriceNQ),
+    minPriceHQ: toNumberOrNull(marketData.minPriceHQ),
+    avgPrice: toNumberOrNull(marketData.currentAveragePrice),
+    avgPriceNQ: toNumberOrNull(marketData.currentAveragePriceNQ),
+    avgPriceHQ: toNumberOrNull(marketData.currentAveragePriceHQ),
+    unitsForSale: toNumberOrNull(marketData.unitsForSale),
+    unitsSold: toNumberOrNull(marketData.unitsSold),
+    listingsCount: toNumberOrNull(marketData.listingsCount),
+    lastUploadTime: toNumberOrNull(marketData.lastUploadTime),
+  };
+}
+
+/**
+ * Normalize recentHistory entries into sales ledger rows
+ * @param {number} itemID - Item ID
+ * @param {string} world - World/data center the data was fetched for
+ * @param {Object[]} recentHistory - Sale entries from API
+ * @returns {Object[]} Rows for the sales table
+ */
+function createSaleRows(itemID, world, recentHistory) {
+  return recentHistory
+    .filter(entry => entry && entry.timestamp && entry.pricePerUnit !== undefined)
+    .map(entry => ({
+      itemId: itemID,
+      world,
+      // Entries only carry worldName when fetched for a DC/region
+      worldName: entry.worldName || world || '',
+      worldId: entry.worldID ?? null,
+      // Universalis reports sale timestamps in seconds
+      timestamp: entry.timestamp * 1000,
+      buyerName: entry.buyerName || '',
+      quantity: entry.quantity || 0,
+      pricePerUnit: entry.pricePerUnit,
+      total: entry.total ?? null,
+      hq: entry.hq ? 1 : 0,
+      onMannequin: entry.onMannequin ? 1 : 0,
+    }));
+}
+
+/**
+ * Check whether an item was already stored from a response, and mark it as stored
+ * @param {Object} response - Universalis response object
+ * @param {number} itemID - Item ID
+ * @returns {boolean} True if the item was stored from this response before
+ */
+function isStoredFrom(response, itemID) {
+  let itemIDs = storedResponses.get(response);
+  if (!itemIDs) {
+    itemIDs = new Set();
+    storedResponses.set(response, itemIDs);
   }
+
+  if (itemIDs.has(itemID)) {
+    return true;
+  }
+  itemIDs.add(itemID);
+  return false;
+}
+
+/**
+ * Hash the listings and sales of market data
+ * @param {Object} marketData - Market data from API
+ * @returns {string} Content hash
+ */
+function hashMarketContent(marketData) {
+  return createHash('sha1')
+    .update(JSON.stringify([marketData.listings || [], marketData.recentHistory || []]))
+    .digest('hex');
 }
 
 /**
  * Process and store a single item's market data immediately
+ * A fetch that brings the same upload, listings and sales as the stored data
+ * only reschedules the item and counts it as unchanged; the market data,
+ * price history, sales and classification are not rewritten. Changed items and tier changes
+ * are published to the item stream
  * @param {number} itemID - Item ID
  * @param {Object} marketInfo - Market data from API
- * @param {Object} itemInfo - Item info from itemList
- * @returns {void}
+ * @param {Object} itemInfo - Catalog item
+ * @param {string} world - World/data center name the data was fetched for
+ * @returns {boolean} True if the item's data changed
  */
-function processAndStoreItem(itemID, marketInfo, itemInfo) {
+function processAndStoreItem(itemID, marketInfo, itemInfo, world) {
   // Ensure hasData is set correctly
   const hasActualData = (marketInfo.hasData === true) || 
                         (marketInfo.unitsSold !== undefined && 
@@ -124,59 +247,237 @@ function processAndStoreItem(itemID, marketInfo, itemInfo) {
   
   marketInfo.hasData = hasActualData;
   
-  // Use unitsSold directly as velocity
-  const classification = classifyItem(marketInfo);
-  const updateInterval = getUpdateInterval(classification);
+  // Items near a threshold keep their tier until they clear the hysteresis band
+  const previous = getStorage().getItemById(itemID, world);
+  const { tier: classification, metricValue } = classify(marketInfo, previous?.classification ?? null);
   const lastUpdate = Date.now();
 
   // Create a deep copy of marketInfo to avoid reference issues
   const marketDataCopy = deepCopy(marketInfo);
   marketDataCopy.hasData = marketInfo.hasData;
-  
+
+  const contentHash = hashMarketContent(marketDataCopy);
+  const unchanged = previous !== null
+    && previous.contentHash === contentHash
+    && previous.classification === classification
+    && toNumberOrNull(previous.marketData?.lastUploadTime) === toNumberOrNull(marketDataCopy.lastUploadTime);
+  const changes = unchanged
+    ? { unchangedCount: previous.unchangedCount + 1, lastChangedAt: previous.lastChangedAt ?? previous.lastUpdate }
+    : { unchangedCount: 0, lastChangedAt: lastUpdate };
+
+  // Append to the price history so previous observations are kept; an unchanged
+  // fetch would only repeat the latest snapshot
+  if (!unchanged && marketDataCopy.hasData) {
+    getStorage().insertPriceSnapshot(createPriceSnapshot(itemID, world, marketDataCopy, lastUpdate));
+  }
+
+  // The next fetch is timed from the item's recent history, including this snapshot
+  const refresh = computeRefresh(itemID, world, marketDataCopy, getUpdateInterval(classification), lastUpdate, changes);
+  const nextUpdate = lastUpdate + refresh.intervalMs;
+
+  if (unchanged) {
+    getStorage().markItemUnchanged(itemID, world, { lastUpdate, nextUpdate, refresh });
+    writeStats.unchanged++;
+    return false;
+  }
+
   const itemData = {
     id: itemID,
+    world,
     name: itemInfo?.name || `Item ${itemID}`,
     number: itemInfo?.number || [],
     req: itemInfo?.req || [],
     marketData: marketDataCopy,
     classification,
     lastUpdate,
-    nextUpdate: lastUpdate + updateInterval,
+    nextUpdate,
+    refresh,
+    contentHash,
+    ...changes,
   };
   
   // Store immediately in database - this updates the state as soon as data is fetched
-  upsertItem(itemData);
+  getStorage().upsertItem(itemData);
+  writeStats.changed++;
+
+  publishItemUpdate(world, getItem(itemID, world));
+
+  // Items that were never stored start out in the default tier, so their first classification is recorded too
+  const fromTier = previous?.classification ?? getDefaultTier();
+  if (fromTier !== classification) {
+    const change = {
+      itemId: itemID,
+      world,
+      changedAt: lastUpdate,
+      fromTier,
+      toTier: classification,
+      metric: getTierConfig().metric,
+      metricValue,
+    };
+    getStorage().insertClassificationChange(change);
+    publishClassificationChange(world, change);
+  }
+
+  // Add individual sales to the ledger (overlapping fetches are deduplicated)
+  if (Array.isArray(marketDataCopy.recentHistory) && marketDataCopy.recentHistory.length > 0) {
+    getStorage().insertSales(createSaleRows(itemID, world, marketDataCopy.recentHistory));
+  }
+
+  return true;
 }
 
 /**
- * Update item data from Universalis API
- * Updates items incrementally as batches are fetched (doesn't wait for all batches)
- * Uses unitsSold from market data as velocity
- * @param {number[]} itemIDs - Item IDs to update
- * @param {string} worldName - World/data center name
- * @param {number} entriesLimit - Limit for history entries (default: 20)
- * @returns {Promise<void>}
+ * Get the cheapest price among listings sorted by price
+ * @param {Object[]} listings - Listings, cheapest first
+ * @param {boolean|null} hq - Only HQ (true) or NQ (false) listings, null for both
+ * @returns {number|null} Lowest price per unit or null if there is no such listing
  */
-async function updateItems(itemIDs, worldName = 'China', entriesLimit = 20) {
-  if (itemIDs.length === 0) {
-    return;
+function getCheapestPrice(listings, hq) {
+  const listing = listings.find(entry => hq === null || Boolean(entry.hq) === hq);
+  return listing ? listing.pricePerUnit : null;
+}
+
+// Minimum price fields and the listings they are taken from
+const MIN_PRICE_FIELDS = [
+  ['minPrice', null],
+  ['minPriceNQ', false],
+  ['minPriceHQ', true],
+];
+
+/**
+ * Apply added or removed listings to market data
+ * Only the cheapest listings are stored, so a removed minimum can only be
+ * replaced from them; when none of the stored listings qualifies the minimum
+ * is left as it is and `true` is returned so the item is refetched
+ * @param {Object} marketData - Market data copy to update
+ * @param {Object[]} added - Added listings
+ * @param {Object[]} removed - Removed listings
+ * @returns {boolean} True if the market data can't be brought up to date from the event
+ */
+function applyListingChanges(marketData, added, removed) {
+  const removedIDs = new Set(removed.map(listing => listing.listingID));
+  const listings = [...(marketData.listings || []), ...added]
+    .filter((listing, index, all) => !removedIDs.has(listing.listingID)
+      && all.findIndex(entry => entry.listingID === listing.listingID) === index)
+    .sort((a, b) => a.pricePerUnit - b.pricePerUnit);
+  const sortedAdded = [...added].sort((a, b) => a.pricePerUnit - b.pricePerUnit);
+  let needsRefetch = false;
+
+  for (const [field, hq] of MIN_PRICE_FIELDS) {
+    const current = toNumberOrNull(marketData[field]);
+    const cheapestAdded = getCheapestPrice(sortedAdded, hq);
+    const removedMinimum = current !== null
+      && removed.some(listing => (hq === null || Boolean(listing.hq) === hq) && listing.pricePerUnit <= current);
+
+    if (removedMinimum) {
+      const cheapest = getCheapestPrice(listings, hq);
+      if (cheapest !== null) {
+        marketData[field] = cheapest;
+      } else {
+        needsRefetch = true;
+      }
+    } else if (cheapestAdded !== null && (current === null || cheapestAdded < current)) {
+      marketData[field] = cheapestAdded;
+    }
   }
 
-  try {
-    const { fetchMarketData, MAX_ITEMS_PER_CALL } = await import('./universalisClient.js');
-    
-    // Split into batches
-    const batches = [];
-    for (let i = 0; i < itemIDs.length; i += MAX_ITEMS_PER_CALL) {
-      batches.push(itemIDs.slice(i, i + MAX_ITEMS_PER_CALL));
+  const countOf = value => toNumberOrNull(value) ?? 0;
+  const quantityOf = entries => entries.reduce((sum, listing) => sum + (listing.quantity || 0), 0);
+  marketData.listings = listings.slice(0, LISTINGS_LIMIT);
+  marketData.listingsCount = Math.max(countOf(marketData.listingsCount) + added.length - removedIDs.size, 0);
+  marketData.unitsForSale = Math.max(countOf(marketData.unitsForSale) + quantityOf(added) - quantityOf(removed), 0);
+
+  return needsRefetch;
+}
+
+/**
+ * Apply a real-time listing or sale event to a stored item
+ * Listings are merged into the stored cheapest listings with the counts and
+ * minimum prices adjusted; sales are added to the recent history and the
+ * sales ledger. The classification and price history are left to the
+ * reconciliation fetches. Items that haven't been fetched yet are skipped.
+ * @param {number} itemID - Item ID
+ * @param {string} world - Tracked world/data center/region the event belongs to
+ * @param {Object} event - { type: 'listings/add'|'listings/remove'|'sales/add', worldId, worldName, listings, sales }
+ * @param {number} now - Current timestamp (default: Date.now())
+ * @returns {boolean} True if the stored item was updated
+ */
+function applyMarketEvent(itemID, world, event, now = Date.now()) {
+  const itemInfo = getCatalogItem(itemID);
+  const item = itemInfo ? getStorage().getItemById(itemID, world) : null;
+  if (!item || !item.marketData?.hasData) {
+    return false;
+  }
+
+  const marketData = deepCopy(item.marketData);
+  // Entries of data centers and regions carry the world they come from
+  const withWorld = entries => (event.worldName === world
+    ? entries
+    : entries.map(entry => ({ ...entry, worldName: event.worldName, worldID: event.worldId })));
+  let nextUpdate = item.nextUpdate;
+
+  if (event.type === 'listings/add' || event.type === 'listings/remove') {
+    const listings = withWorld(event.listings);
+    const needsRefetch = event.type === 'listings/add'
+      ? applyListingChanges(marketData, listings, [])
+      : applyListingChanges(marketData, [], listings);
+
+    if (needsRefetch) {
+      nextUpdate = Math.min(nextUpdate ?? now, now);
     }
+  } else if (event.type === 'sales/add') {
+    const sales = withWorld(event.sales);
+    marketData.recentHistory = [...sales, ...(marketData.recentHistory || [])]
+      .sort((a, b) => b.timestamp - a.timestamp)
+      .slice(0, HISTORY_ENTRIES_LIMIT);
+    marketData.unitsSold = (toNumberOrNull(marketData.unitsSold) ?? 0)
+      + sales.reduce((sum, sale) => sum + (sale.quantity || 0), 0);
+    getStorage().insertSales(createSaleRows(itemID, world, sales));
+  } else {
+    return false;
+  }
+
+  // Every event comes from an upload to Universalis
+  marketData.lastUploadTime = now;
+  if (marketData.worldUploadTimes && event.worldId !== undefined) {
+    marketData.worldUploadTimes[event.worldId] = now;
+  }
+
+  getStorage().upsertItem({
+    ...withCatalogInfo(item, itemInfo),
+    marketData,
+    nextUpdate,
+    lastChangedAt: now,
+    unchangedCount: 0,
+  });
+  publishItemUpdate(world, getItem(itemID, world));
+  return true;
+}
+
+/**
+ * Fetch batches of items from Universalis API and store them
+ * All batches are queued at once so the request queue can order them by
+ * priority; items are stored as soon as their batch arrives. Items of
+ * batches that failed go to the retry queue
+ * Uses unitsSold from market data as velocity
+ * @param {Object[]} batches - Array of { itemIDs, priority }, at most MAX_ITEMS_PER_CALL items each
+ * @param {string} world - World/data center name
+ * @param {number} entriesLimit - Limit for history entries
+ * @returns {Promise<number>} Number of items stored
+ */
+async function fetchBatches(batches, world, entriesLimit) {
+  try {
+    const { fetchMarketData } = await import('./universalisClient.js');
 
-    // Process batches sequentially and update items immediately as each batch completes
-    for (let i = 0; i < batches.length; i++) {
-      const batch = batches[i];
-      
+    // Read the catalog once so changes made during the run apply to the next one
+    const catalog = getCatalogMap();
+    let stored = 0;
+    let deferredBatches = 0;
+
+    // Update items immediately as each batch completes
+    await Promise.all(batches.map(async ({ itemIDs: batch, priority }, i) => {
       try {
-        const batchData = await fetchMarketData(batch, worldName, 5, entriesLimit);
+        const batchData = await fetchMarketData(batch, world, LISTINGS_LIMIT, entriesLimit, { priority });
         
         // Process items immediately from this batch
         const itemsToProcess = batchData.itemID !== undefined
@@ -184,19 +485,36 @@ async function updateItems(itemIDs, worldName = 'China', entriesLimit = 20) {
           : (batchData.items || {});
         
         // Update each item immediately as soon as batch data is received
+        clearItems(batch, world);
         for (const itemID of batch) {
-          const itemInfo = itemList.find(item => item.id === itemID);
+          const itemInfo = catalog.get(itemID);
           const marketInfo = itemsToProcess[itemID] || itemsToProcess[String(itemID)] || itemsToProcess[Number(itemID)];
           
           if (marketInfo) {
-            processAndStoreItem(itemID, marketInfo, itemInfo);
+            // Coalesced requests share one response, each item is stored from it once
+            if (!isStoredFrom(batchData, itemID)) {
+              processAndStoreItem(itemID, marketInfo, itemInfo, world);
+            }
+            stored++;
           }
         }
       } catch (error) {
-        console.error(`[Item Manager] Error processing batch ${i + 1}:`, error.message);
-        // Continue with next batch even if this one fails
+        // While the circuit is open every batch fails the same way, they're reported once below
+        if (error.circuitOpen) {
+          deferredBatches++;
+        } else {
+          console.error(`[Item Manager] Error processing batch ${i + 1} for ${world}:`, error.message);
+        }
+        // Retry the batch's items soon instead of waiting for their next update
+        addFailedItems(batch, world, priority, error);
       }
+    }));
+
+    if (deferredBatches > 0) {
+      console.warn(`[Item Manager] Fetching is paused, ${deferredBatches} batch(es) for ${world} moved to the retry queue`);
     }
+
+    return stored;
   } catch (error) {
     console.error(`[Item Manager] Error updating items:`, error.message);
     throw error;
@@ -204,157 +522,432 @@ async function updateItems(itemIDs, worldName = 'China', entriesLimit = 20) {
 }
 
 /**
- * Get items that need updating based on their classification
- * @returns {Object} Items grouped by classification that need updating
+ * Split items into batches of the configured size (UNIVERSALIS_BATCH_SIZE)
+ * @param {Object[]} entries - Array of { id, priority } in fetch order
+ * @param {number} batchSize - Items per batch
+ * @returns {Object[]} Array of { itemIDs, priority }, each at the priority of its first item
+ */
+function packBatches(entries, batchSize) {
+  const batches = [];
+  for (let i = 0; i < entries.length; i += batchSize) {
+    const batch = entries.slice(i, i + batchSize);
+    batches.push({ itemIDs: batch.map(entry => entry.id), priority: batch[0].priority });
+  }
+  return batches;
+}
+
+/**
+ * Update item data from Universalis API
+ * @param {number[]} itemIDs - Item IDs to update
+ * @param {string} world - World/data center name (default: config.defaultWorld)
+ * @param {Object} options - Update options
+ * @param {string} options.priority - Request queue priority, 'interactive', a tier name or 'backfill' (default: the lowest tier)
+ * @param {number} options.entriesLimit - Limit for history entries (default: 20)
+ * @returns {Promise<number>} Number of items stored
+ */
+async function updateItems(itemIDs, world = config.defaultWorld, { priority = getDefaultTier(), entriesLimit = HISTORY_ENTRIES_LIMIT } = {}) {
+  if (itemIDs.length === 0) {
+    return 0;
+  }
+
+  const { MAX_ITEMS_PER_CALL } = await import('./universalisClient.js');
+  const batches = packBatches(itemIDs.map(id => ({ id, priority })), MAX_ITEMS_PER_CALL);
+  return fetchBatches(batches, world, entriesLimit);
+}
+
+/**
+ * Update due items of every tier, packed into as few requests as possible
+ * Items are ordered by tier (highest first), then by how long they have been
+ * due, and cut into full batches. Each batch is queued at the priority of its
+ * most urgent item, so the items due soonest share requests and a partly
+ * filled batch of one tier is topped up with items of the next
+ * @param {Object} itemsByTier - Item IDs keyed by classification, most overdue first
+ * @param {string} world - World/data center name
+ * @param {Object} options - Update options
+ * @param {number} options.entriesLimit - Limit for history entries (default: 20)
+ * @returns {Promise<number>} Number of items stored
  */
-function getItemsNeedingUpdate() {
+async function updateDueItems(itemsByTier, world, { entriesLimit = HISTORY_ENTRIES_LIMIT } = {}) {
+  const tierNames = getTierNames();
+
+  // Items still in tiers that were removed from the config go with the lowest tier
+  const entries = Object.entries(itemsByTier)
+    .map(([tier, ids]) => ({ priority: isTier(tier) ? tier : getDefaultTier(), ids }))
+    .sort((a, b) => tierNames.indexOf(a.priority) - tierNames.indexOf(b.priority))
+    .flatMap(({ priority, ids }) => ids.map(id => ({ id, priority })));
+
+  if (entries.length === 0) {
+    return 0;
+  }
+
+  const { MAX_ITEMS_PER_CALL } = await import('./universalisClient.js');
+  return fetchBatches(packBatches(entries, MAX_ITEMS_PER_CALL), world, entriesLimit);
+}
+
+/**
+ * Get items of a world that need updating based on their classification
+ * @param {string} world - World/data center
+ * @returns {Object} Item IDs that need updating, keyed by classification, most overdue first
+ */
+function getItemsNeedingUpdate(world) {
   const now = Date.now();
   
-  // Get items from database that need updating
-  const dbItems = dbGetItemsNeedingUpdate(now);
+  // Get items from database that need updating, skipping items removed from the catalog
+  const catalog = getCatalogMap();
+  const dbItems = getStorage().getItemsNeedingUpdate(now, world);
+  // Items that failed recently are fetched by the retry job once their backoff has passed
+  const isDue = id => catalog.has(id) && !isWaitingForRetry(id, world, now);
 
   // Also include items that haven't been fetched yet
-  const fetchedItemIDs = getAllItemIds();
-  const unfetchedItems = itemList
-    .map(item => item.id)
-    .filter(id => !fetchedItemIDs.has(id));
+  const fetchedItemIDs = getStorage().getAllItemIds(world);
+  const unfetchedItems = [...catalog.keys()].filter(id => !fetchedItemIDs.has(id) && isDue(id));
+
+  const result = {};
+  for (const [classification, ids] of Object.entries(dbItems)) {
+    result[classification] = ids.filter(isDue);
+  }
+
+  // Add unfetched items to the default tier (will be classified after first fetch),
+  // ahead of the fetched ones since they have no data at all
+  const defaultTier = getDefaultTier();
+  result[defaultTier] = [...unfetchedItems, ...(result[defaultTier] || [])];
+
+  return result;
+}
+
+/**
+ * Refetch items from the retry queue whose backoff has passed
+ * Items are fetched in the lane they originally failed in
+ * @returns {Promise<Object>} Number of retried and stored items
+ */
+async function retryFailedItems() {
+  const catalog = getCatalogMap();
+  const groups = new Map(); // "world|priority" -> { world, priority, ids }
+
+  for (const entry of getDueRetries()) {
+    // Items removed from the catalog aren't retried
+    if (!catalog.has(entry.itemId)) {
+      clearItems([entry.itemId], entry.world);
+      continue;
+    }
+
+    const key = `${entry.world}|${entry.priority}`;
+    if (!groups.has(key)) {
+      groups.set(key, { world: entry.world, priority: entry.priority, ids: [] });
+    }
+    groups.get(key).ids.push(entry.itemId);
+  }
+
+  const batches = [...groups.values()];
+  const stored = await Promise.all(batches.map(({ world, priority, ids }) => updateItems(ids, world, { priority })));
 
-  // Add unfetched items to cold items (will be classified after first fetch)
   return {
-    hot: dbItems.hot,
-    mild: dbItems.mild,
-    cold: [...dbItems.cold, ...unfetchedItems],
+    retried: batches.reduce((sum, batch) => sum + batch.ids.length, 0),
+    stored: stored.reduce((sum, count) => sum + count, 0),
   };
 }
 
-
 /**
  * Fetch all items in the background (first-time fetch)
- * Updates store immediately as data is fetched
- * @param {string} worldName - World/data center name
+ * Updates store immediately as data is fetched, one world after another, at backfill
+ * priority so scheduled and interactive fetches are served first
+ * @param {string[]} worlds - Worlds/data centers to fetch (default: config.worlds)
  * @returns {Promise<void>}
  */
-async function initializeItems(worldName = 'China') {
-  const allItemIDs = itemList.map(item => item.id);
-  try {
-    await updateItems(allItemIDs, worldName);
-  } catch (error) {
-    console.error(`[Item Manager] Background initialization error:`, error.message);
+async function initializeItems(worlds = config.worlds) {
+  const allItemIDs = getCatalogItems().map(item => item.id);
+  for (const world of worlds) {
+    try {
+      await updateItems(allItemIDs, world, { priority: 'backfill' });
+    } catch (error) {
+      console.error(`[Item Manager] Background initialization error for ${world}:`, error.message);
+    }
   }
 }
 
 /**
  * Get item data by ID
- * Returns item with NA values if not in database but exists in itemList
+ * Returns item with NA values if tracked but not yet fetched
  * @param {number} itemID - Item ID
- * @returns {Object|null} Item data or null if not found
+ * @param {string} world - World/data center (default: config.defaultWorld)
+ * @returns {Object|null} Item data or null if not tracked
  */
-function getItem(itemID) {
-  const item = getItemById(itemID);
+function getItem(itemID, world = config.defaultWorld) {
+  const itemInfo = getCatalogItem(itemID);
+  if (!itemInfo) {
+    return null;
+  }
+
+  const item = getStorage().getItemById(itemID, world);
   if (item) {
     // Return a copy to avoid reference issues
-    return deepCopy(item);
+    return withItemDetails([withCatalogInfo(deepCopy(item), itemInfo)])[0];
   }
-  
-  // If not in database, check if it exists in itemList and return with NA values
-  const itemInfo = itemList.find(item => item.id === itemID);
-  if (itemInfo) {
-    return {
-      id: itemID,
-      name: itemInfo.name || `Item ${itemID}`,
-      number: itemInfo.number || [],
-      req: itemInfo.req || [],
-      marketData: createNAMarketData(),
-      classification: 'cold',
-      lastUpdate: null,
-      nextUpdate: Date.now(),
-    };
-  }
-  
-  return null;
+
+  return withItemDetails([createPlaceholderItem(itemInfo, world)])[0];
 }
 
 /**
- * Get all items
- * Returns all items from itemList, with fetched data or NA values
+ * Get all items of a world
+ * Returns all tracked items, with fetched data or NA values
+ * @param {string} world - World/data center (default: config.defaultWorld)
  * @returns {Array} Array of all item data
  */
-function getAllItems() {
-  const dbItems = dbGetAllItems();
+function getAllItems(world = config.defaultWorld) {
+  const dbItems = getStorage().getAllItems(world);
   const dbItemsMap = new Map(dbItems.map(item => [item.id, item]));
-  const items = [];
-  
-  // Return all items from itemList, using database data or creating with NA values
-  for (const itemInfo of itemList) {
-    const itemID = itemInfo.id;
-    const dbItem = dbItemsMap.get(itemID);
-    
-    if (dbItem) {
-      items.push(dbItem);
-    } else {
-      items.push({
-        id: itemID,
-        name: itemInfo.name || `Item ${itemID}`,
-        number: itemInfo.number || [],
-        req: itemInfo.req || [],
-        marketData: createNAMarketData(),
-        classification: 'cold',
-        lastUpdate: null,
-        nextUpdate: Date.now(),
-      });
-    }
-  }
-  
-  return items;
+
+  // Return all catalog items, using database data or creating with NA values
+  return withItemDetails(getCatalogItems().map(itemInfo => {
+    const dbItem = dbItemsMap.get(itemInfo.id);
+    return dbItem ? withCatalogInfo(dbItem, itemInfo) : createPlaceholderItem(itemInfo, world);
+  }));
 }
 
 /**
- * Get items by classification
- * Returns items with fetched data or NA values that match the classification
- * @param {string} classification - 'hot', 'mild', or 'cold'
+ * Get items of a world by classification
+ * Returns tracked items with fetched data or NA values that match the classification
+ * @param {string} classification - Tier name
+ * @param {string} world - World/data center (default: config.defaultWorld)
  * @returns {Array} Array of items with the specified classification
  */
-function getItemsByClassification(classification) {
-  const dbItems = dbGetItemsByClassification(classification);
-  const dbItemsMap = new Map(dbItems.map(item => [item.id, item]));
-  const items = [];
-  
-  // Get items from database with the classification
-  items.push(...dbItems);
-  
-  // Also include items from itemList that haven't been fetched yet (default to 'cold')
-  if (classification === 'cold') {
-    const fetchedItemIDs = getAllItemIds();
-    for (const itemInfo of itemList) {
-      const itemID = itemInfo.id;
-      if (!fetchedItemIDs.has(itemID)) {
-        items.push({
-          id: itemID,
-          name: itemInfo.name || `Item ${itemID}`,
-          number: itemInfo.number || [],
-          req: itemInfo.req || [],
-          marketData: createNAMarketData(),
-          classification: 'cold',
-          lastUpdate: null,
-          nextUpdate: Date.now(),
-        });
+function getItemsByClassification(classification, world = config.defaultWorld) {
+  const catalog = getCatalogMap();
+  const items = getStorage().getItemsByClassification(classification, world)
+    .filter(item => catalog.has(item.id))
+    .map(item => withCatalogInfo(item, catalog.get(item.id)));
+
+  // Also include catalog items that haven't been fetched yet (they start in the default tier)
+  if (classification === getDefaultTier()) {
+    const fetchedItemIDs = getStorage().getAllItemIds(world);
+    for (const itemInfo of catalog.values()) {
+      if (!fetchedItemIDs.has(itemInfo.id)) {
+        items.push(createPlaceholderItem(itemInfo, world));
       }
     }
   }
-  
-  return items;
+
+  return withItemDetails(items);
+}
+
+/**
+ * Encode where the next page of items starts as an opaque cursor
+ * @param {Object} query - { sort, order } of the page
+ * @param {Object} after - Position from the storage adapter ({ isNull, value, key })
+ * @returns {string} base64url cursor
+ */
+function encodeItemsCursor({ sort, order }, after) {
+  return Buffer.from(JSON.stringify({ sort, order, after })).toString('base64url');
+}
+
+/**
+ * Decode a cursor from a previous page of items
+ * @param {string} cursor - Cursor from encodeItemsCursor
+ * @returns {Object|null} { sort, order, after } or null if the cursor is malformed
+ */
+function decodeItemsCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const { after } = decoded;
+    if (typeof after?.isNull !== 'boolean' || !Number.isInteger(after.key)) {
+      return null;
+    }
+    return { sort: decoded.sort ?? null, order: decoded.order, after };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Query the items of a world with filters, sorting and cursor pagination
+ * Filtering and sorting run in storage on the stored metric columns
+ * @param {string} world - World/data center (default: config.defaultWorld)
+ * @param {Object} query - Filters (see storage queryItems) plus paging options
+ * @param {string|null} query.sort - One of ITEM_SORT_FIELDS (default: catalog or group order)
+ * @param {string} query.order - 'asc' or 'desc' (default: 'asc')
+ * @param {number|null} query.limit - Page size (default: all items, max: 500 when set)
+ * @param {string|null} query.cursor - nextCursor of the previous page
+ * @returns {Object} { items, total, nextCursor } with nextCursor null on the last page
+ */
+function queryItems(world = config.defaultWorld, { sort = null, order = 'asc', limit = null, cursor = null, ...filters } = {}) {
+  if (sort !== null && !ITEM_SORT_FIELDS.includes(sort)) {
+    throw new Error(`Invalid sort field: ${sort}`);
+  }
+
+  let after = null;
+  if (cursor !== null) {
+    const decoded = decodeItemsCursor(cursor);
+    if (!decoded || decoded.sort !== sort || decoded.order !== order) {
+      throw new Error('Invalid cursor for this sort order');
+    }
+    after = decoded.after;
+  }
+
+  const pageSize = limit !== null ? Math.min(Math.max(limit, 1), MAX_ITEMS_PAGE_SIZE) : null;
+  const { rows, total, next } = getStorage().queryItems(world, {
+    ...filters,
+    staleBefore: Date.now() - STALE_AFTER_MS,
+    sort,
+    order,
+    limit: pageSize,
+    after,
+  });
+
+  const items = rows.map(({ itemInfo, item }) => (
+    item ? withCatalogInfo(item, itemInfo) : createPlaceholderItem(itemInfo, world)
+  ));
+
+  return {
+    items: withItemDetails(items),
+    total,
+    nextCursor: next ? encodeItemsCursor({ sort, order }, next) : null,
+  };
+}
+
+/**
+ * Build hourly and daily bucket rows for an item from every history tier
+ * Combines compacted rollups with raw snapshots and sales that haven't been compacted yet
+ * @param {number} itemID - Item ID
+ * @param {string} world - World/data center
+ * @param {number} from - Range start timestamp (ms)
+ * @param {number} to - Range end timestamp (ms)
+ * @param {number} bucketMs - HOUR_MS or DAY_MS
+ * @returns {Array} Bucket rows ordered by time
+ */
+function getBucketedHistory(itemID, world, from, to, bucketMs) {
+  const storage = getStorage();
+  const hourlyRollups = storage.getPriceRollups(itemID, world, 'hour', getBucketStart(from, HOUR_MS), to);
+  const dailyRollups = storage.getPriceRollups(itemID, world, 'day', getBucketStart(from, DAY_MS), to);
+
+  // Volume of compacted buckets is stored with the rollup, so only count
+  // sales from the ledger for hours that haven't been compacted
+  const compactedHours = new Set(hourlyRollups.map(row => row.recordedAt));
+  const compactedDays = new Set(dailyRollups.map(row => row.recordedAt));
+  const volumeRows = storage.getSalesVolume(itemID, world, from, to + 1, HOUR_MS)
+    .filter(row => !compactedHours.has(row.recordedAt) && !compactedDays.has(getBucketStart(row.recordedAt, DAY_MS)))
+    .map(row => ({ recordedAt: row.recordedAt, volume: row.volume, samples: 0 }));
+
+  const hourlyRows = mergeBuckets([
+    ...hourlyRollups,
+    ...storage.getPriceSnapshots(itemID, world, from, to).map(snapshotToBucketRow),
+    ...volumeRows,
+  ], HOUR_MS);
+
+  return bucketMs === HOUR_MS
+    ? hourlyRows
+    : mergeBuckets([...dailyRollups, ...hourlyRows], DAY_MS);
+}
+
+/**
+ * Get price/volume history for an item
+ * Raw snapshots are only kept for the raw retention window; hourly/daily
+ * resolutions also include compacted history
+ * @param {number} itemID - Item ID
+ * @param {Object} options - History options
+ * @param {string} options.world - World/data center (default: config.defaultWorld)
+ * @param {number} options.from - Range start timestamp in ms (default: 7 days before `to`)
+ * @param {number} options.to - Range end timestamp in ms (default: now)
+ * @param {string} options.resolution - 'raw', 'hour', or 'day' (default: 'raw')
+ * @returns {Object} History with the resolved range and snapshots
+ */
+function getItemHistory(itemID, { world = config.defaultWorld, from, to, resolution = 'raw' } = {}) {
+  if (!Object.prototype.hasOwnProperty.call(HISTORY_RESOLUTIONS, resolution)) {
+    throw new Error(`Invalid resolution: ${resolution}`);
+  }
+
+  const rangeEnd = to ?? Date.now();
+  const rangeStart = from ?? rangeEnd - DEFAULT_HISTORY_RANGE;
+  const bucketMs = HISTORY_RESOLUTIONS[resolution];
+  const snapshots = bucketMs
+    ? getBucketedHistory(itemID, world, rangeStart, rangeEnd, bucketMs)
+    : getStorage().getPriceSnapshots(itemID, world, rangeStart, rangeEnd);
+
+  return {
+    itemID,
+    world,
+    from: rangeStart,
+    to: rangeEnd,
+    resolution,
+    snapshots,
+  };
+}
+
+/**
+ * Get a page of recorded sales for an item
+ * @param {number} itemID - Item ID
+ * @param {Object} options - Paging options
+ * @param {string} options.world - Tracked world/data center (default: config.defaultWorld)
+ * @param {number} options.limit - Page size (default: 50, max: 500)
+ * @param {number} options.offset - Number of sales to skip (default: 0)
+ * @param {string|null} options.worldName - Optional filter on the world the sale happened on
+ * @returns {Object} Paged sales with total count
+ */
+function getItemSales(itemID, { world = config.defaultWorld, limit = DEFAULT_SALES_PAGE_SIZE, offset = 0, worldName = null } = {}) {
+  const pageSize = Math.min(Math.max(limit, 1), MAX_SALES_PAGE_SIZE);
+  const pageOffset = Math.max(offset, 0);
+  const { total, sales } = getStorage().getSales(itemID, { world, limit: pageSize, offset: pageOffset, worldName });
+
+  return {
+    itemID,
+    world,
+    total,
+    limit: pageSize,
+    offset: pageOffset,
+    sales,
+  };
+}
+
+/**
+ * Get a page of an item's classification changes, newest first
+ * @param {number} itemID - Item ID
+ * @param {Object} options - Paging options
+ * @param {string} options.world - World/data center (default: config.defaultWorld)
+ * @param {number} options.limit - Page size (default: 50, max: 500)
+ * @param {number} options.offset - Number of changes to skip (default: 0)
+ * @returns {Object} Paged classification changes with total count
+ */
+function getClassificationHistory(itemID, { world = config.defaultWorld, limit = DEFAULT_CLASSIFICATION_PAGE_SIZE, offset = 0 } = {}) {
+  const pageSize = Math.min(Math.max(limit, 1), MAX_CLASSIFICATION_PAGE_SIZE);
+  const pageOffset = Math.max(offset, 0);
+  const { total, changes } = getStorage().getClassificationHistory(itemID, { world, limit: pageSize, offset: pageOffset });
+
+  return {
+    itemID,
+    world,
+    total,
+    limit: pageSize,
+    offset: pageOffset,
+    changes,
+  };
+}
+
+/**
+ * Get how many fetches changed item data and how many found it unchanged
+ * @returns {Object} { changed, unchanged }
+ */
+function getWriteStats() {
+  return { ...writeStats };
 }
 
 export {
   initializeItems,
   updateItems,
+  updateDueItems,
+  retryFailedItems,
+  applyMarketEvent,
   getItemsNeedingUpdate,
   getItem,
   getAllItems,
   getItemsByClassification,
+  queryItems,
+  decodeItemsCursor,
+  getItemHistory,
+  getItemSales,
+  getClassificationHistory,
+  getWriteStats,
   classifyItem,
   getUpdateInterval,
-  HOT_UPDATE_INTERVAL,
-  MILD_UPDATE_INTERVAL,
-  COLD_UPDATE_INTERVAL,
+  HISTORY_RESOLUTIONS,
+  ITEM_SORT_FIELDS,
+  MAX_ITEMS_PAGE_SIZE,
 };
@@ -0,0 +1,296 @@
+import { describe, it, expect, beforeAll, beforeEach, afterAll, afterEach, vi } from 'vitest';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { loadCatalogSeed } from './catalogSeed.js';
+
+const WORLD = 'China';
+const ITEM_ID = 43983;
+
+// Units sold and recent sales by item ID, served as Universalis market data by the fetch mock
+const unitsSold = new Map();
+const recentSales = new Map();
+
+/**
+ * Build Universalis market data for an item
+ * @param {number} itemID - Item ID
+ * @returns {Object} Market data
+ */
+function createMarketData(itemID) {
+  const sold = unitsSold.get(itemID) ?? 0;
+  return {
+    itemID,
+    lastUploadTime: 1760860000000 + sold,
+    listings: [{ listingID: `${itemID}-1`, pricePerUnit: 1000 + sold, quantity: 1, hq: false }],
+    recentHistory: recentSales.get(itemID) ?? [],
+    minPrice: 1000 + sold,
+    unitsSold: sold,
+    hasData: true,
+  };
+}
+
+/**
+ * Answer a Universalis market data request
+ * @param {string} url - Request URL ({base}/{world}/{itemIDs}?...)
+ * @returns {Promise<Object>} Fetch response
+ */
+async function fetchUniversalis(url) {
+  const itemIDs = new URL(url).pathname.split('/').pop().split(',').map(Number);
+  const body = itemIDs.length === 1
+    ? createMarketData(itemIDs[0])
+    : { itemIDs, items: Object.fromEntries(itemIDs.map(itemID => [itemID, createMarketData(itemID)])) };
+  return { ok: true, status: 200, json: async () => body };
+}
+
+let storage;
+let itemManager;
+
+beforeAll(async () => {
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.stubGlobal('fetch', vi.fn(fetchUniversalis));
+
+  // The configuration is read when the server modules are first imported
+  Object.assign(process.env, {
+    WORLDS: WORLD,
+    UNIVERSALIS_DELAY_MS: '0',
+    UNIVERSALIS_DELAY_JITTER_MS: '0',
+  });
+  storage = await import('./storage/index.js');
+  itemManager = await import('./itemManager.js');
+});
+
+afterAll(() => {
+  storage.closeStorage();
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe('classification history', () => {
+  /**
+   * Fetch the item with the given units sold
+   * @param {number} sold - Units sold
+   * @returns {Promise<string>} The item's tier afterwards
+   */
+  const fetchWithUnitsSold = async (sold) => {
+    unitsSold.set(ITEM_ID, sold);
+    await itemManager.updateItems([ITEM_ID], WORLD);
+    return itemManager.getItem(ITEM_ID, WORLD).classification;
+  };
+
+  const getChanges = () => itemManager.getClassificationHistory(ITEM_ID, { world: WORLD }).changes
+    .map(({ fromTier, toTier, metricValue }) => ({ fromTier, toTier, metricValue }));
+
+  beforeEach(() => {
+    storage.initializeStorage({ adapter: 'memory' });
+  });
+
+  it('should record the first classification of an item above the default tier', async () => {
+    expect(await fetchWithUnitsSold(1500)).toBe('hot');
+
+    expect(getChanges()).toEqual([{ fromTier: 'cold', toTier: 'hot', metricValue: 1500 }]);
+  });
+
+  it('should not record a first classification in the default tier', async () => {
+    expect(await fetchWithUnitsSold(5)).toBe('cold');
+
+    expect(getChanges()).toEqual([]);
+  });
+
+  it('should record moves between tiers once they clear the hysteresis band', async () => {
+    await fetchWithUnitsSold(1500);
+
+    // Within 10% below the hot threshold the item stays hot
+    expect(await fetchWithUnitsSold(950)).toBe('hot');
+    expect(getChanges()).toHaveLength(1);
+
+    expect(await fetchWithUnitsSold(850)).toBe('mild');
+    expect(getChanges()[0]).toEqual({ fromTier: 'hot', toTier: 'mild', metricValue: 850 });
+    expect(getChanges()).toHaveLength(2);
+  });
+});
+
+describe('queryItems', () => {
+  // Ties in units sold and price, and catalog items that were never fetched
+  const UNITS_SOLD = [5, 20, 5, 0, 20, 5, 100];
+  const UNFETCHED_COUNT = 3;
+  const SORTS = [null, 'id', 'name', 'unitsSold', 'minPrice', 'avgPrice', 'lastUploadTime'];
+  const PAGE_SIZE = 3;
+
+  // Item IDs in query order by adapter and "sort order"
+  const results = { memory: {}, sqlite: {} };
+  let groupID;
+  let memberIDs;
+
+  /**
+   * Query every page of the group's items
+   * @param {Object} query - Sort and paging options
+   * @returns {number[]} Item IDs of all pages in order
+   */
+  const queryAllPages = (query) => {
+    const itemIDs = [];
+    let cursor = null;
+    do {
+      const page = itemManager.queryItems(WORLD, { ...query, groupId: groupID, limit: PAGE_SIZE, cursor });
+      expect(page.items.length).toBeLessThanOrEqual(PAGE_SIZE);
+      expect(page.total).toBe(memberIDs.length);
+      itemIDs.push(...page.items.map(item => item.id));
+      cursor = page.nextCursor;
+    } while (cursor !== null);
+    return itemIDs;
+  };
+
+  describe.each(['memory', 'sqlite'])('with %s storage', (adapter) => {
+    let tempDir;
+
+    beforeAll(async () => {
+      tempDir = mkdtempSync(join(tmpdir(), 'mehrwert-query-'));
+      storage.initializeStorage({ adapter, dbPath: join(tempDir, 'items.db') });
+
+      const catalogIDs = loadCatalogSeed()
+        .slice(0, UNITS_SOLD.length + UNFETCHED_COUNT)
+        .map(item => item.id);
+      const fetchedIDs = catalogIDs.slice(0, UNITS_SOLD.length);
+      fetchedIDs.forEach((itemID, index) => unitsSold.set(itemID, UNITS_SOLD[index]));
+      await itemManager.updateItems(fetchedIDs, WORLD);
+
+      // Group order differs from catalog order
+      memberIDs = [...catalogIDs].reverse();
+      groupID = storage.getStorage().saveItemGroup({ name: 'Query', description: '', itemIds: memberIDs });
+    });
+
+    afterAll(() => {
+      storage.closeStorage();
+      rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it.each(SORTS.flatMap(sort => [[sort, 'asc'], [sort, 'desc']]))('should page through items sorted by %s %s', (sort, order) => {
+      const all = itemManager.queryItems(WORLD, { groupId: groupID, sort, order });
+      const allIDs = all.items.map(item => item.id);
+      expect(all.nextCursor).toBeNull();
+      expect(new Set(allIDs).size).toBe(memberIDs.length);
+
+      const pagedIDs = queryAllPages({ sort, order });
+      expect(pagedIDs).toEqual(allIDs);
+      results[adapter][`${sort} ${order}`] = pagedIDs;
+    });
+
+    it('should keep group order without a sort field', () => {
+      expect(results[adapter]['null asc']).toEqual(memberIDs);
+    });
+
+    it('should break ties by item ID and put items without a value last', () => {
+      const fetchedIDs = memberIDs.slice(UNFETCHED_COUNT).reverse();
+      const unfetchedIDs = memberIDs.slice(0, UNFETCHED_COUNT).sort((a, b) => a - b);
+      const byUnitsSold = (direction) => [...fetchedIDs].sort((a, b) => (
+        (unitsSold.get(a) - unitsSold.get(b)) * direction || a - b
+      ));
+
+      expect(results[adapter]['unitsSold desc']).toEqual([...byUnitsSold(-1), ...unfetchedIDs]);
+      expect(results[adapter]['unitsSold asc']).toEqual([...byUnitsSold(1), ...unfetchedIDs]);
+    });
+
+    it('should reject cursors of another sort order and malformed cursors', () => {
+      const { nextCursor } = itemManager.queryItems(WORLD, { groupId: groupID, sort: 'unitsSold', limit: PAGE_SIZE });
+
+      expect(() => itemManager.queryItems(WORLD, { groupId: groupID, sort: 'unitsSold', order: 'desc', cursor: nextCursor }))
+        .toThrow('Invalid cursor for this sort order');
+      expect(() => itemManager.queryItems(WORLD, { groupId: groupID, sort: 'minPrice', cursor: nextCursor }))
+        .toThrow('Invalid cursor for this sort order');
+      expect(() => itemManager.queryItems(WORLD, { groupId: groupID, sort: 'unitsSold', cursor: 'not-a-cursor' }))
+        .toThrow('Invalid cursor for this sort order');
+    });
+  });
+
+  it('should return the same pages from both storage adapters', () => {
+    expect(Object.keys(results.sqlite)).toHaveLength(SORTS.length * 2);
+    expect(results.sqlite).toEqual(results.memory);
+  });
+});
+
+describe('unchanged fetches', () => {
+  const SALE = { timestamp: 1760859000, pricePerUnit: 1000, quantity: 2, buyerName: 'Buyer', hq: false };
+
+  const getSnapshotCount = () => storage.getStorage()
+    .getPriceSnapshots(ITEM_ID, WORLD, 0, Number.MAX_SAFE_INTEGER).length;
+  const getSalesCount = () => storage.getStorage()
+    .getSales(ITEM_ID, { world: WORLD, limit: 10, offset: 0 }).total;
+
+  /**
+   * Fetch the test item again
+   * @returns {Promise<Object>} The stored item afterwards
+   */
+  const fetchItem = async () => {
+    await itemManager.updateItems([ITEM_ID], WORLD);
+    return storage.getStorage().getItemById(ITEM_ID, WORLD);
+  };
+
+  describe.each(['memory', 'sqlite'])('with %s storage', (adapter) => {
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = mkdtempSync(join(tmpdir(), 'mehrwert-unchanged-'));
+      storage.initializeStorage({ adapter, dbPath: join(tempDir, 'items.db') });
+      unitsSold.set(ITEM_ID, 50);
+      recentSales.set(ITEM_ID, [SALE]);
+    });
+
+    afterEach(() => {
+      storage.closeStorage();
+      rmSync(tempDir, { recursive: true, force: true });
+      recentSales.clear();
+    });
+
+    it('should only reschedule an item that comes back unchanged', async () => {
+      const first = await fetchItem();
+      expect(first).toMatchObject({ unchangedCount: 0, lastChangedAt: first.lastUpdate });
+      expect(getSnapshotCount()).toBe(1);
+      expect(getSalesCount()).toBe(1);
+
+      const adapterStorage = storage.getStorage();
+      const writes = ['upsertItem', 'insertPriceSnapshot', 'insertSales', 'insertClassificationChange']
+        .map(method => vi.spyOn(adapterStorage, method));
+      const markItemUnchanged = vi.spyOn(adapterStorage, 'markItemUnchanged');
+      const { unchanged } = itemManager.getWriteStats();
+
+      await fetchItem();
+      const third = await fetchItem();
+
+      expect(markItemUnchanged).toHaveBeenCalledTimes(2);
+      writes.forEach(write => expect(write).not.toHaveBeenCalled());
+      expect(itemManager.getWriteStats().unchanged).toBe(unchanged + 2);
+      expect(third).toMatchObject({
+        unchangedCount: 2,
+        lastChangedAt: first.lastChangedAt,
+        marketData: first.marketData,
+        classification: first.classification,
+        refresh: expect.any(Object),
+      });
+      expect(third.lastUpdate).toBeGreaterThanOrEqual(first.lastUpdate);
+      expect(third.nextUpdate).toBe(third.lastUpdate + third.refresh.intervalMs);
+      expect(getSnapshotCount()).toBe(1);
+      expect(getSalesCount()).toBe(1);
+    });
+
+    it('should reset the count once the upload or the sales change', async () => {
+      await fetchItem();
+      await fetchItem();
+      expect((await fetchItem()).unchangedCount).toBe(2);
+
+      // A new sale with the same upload time
+      recentSales.set(ITEM_ID, [{ ...SALE, timestamp: SALE.timestamp + 60 }, SALE]);
+      const afterSale = await fetchItem();
+      expect(afterSale).toMatchObject({ unchangedCount: 0, lastChangedAt: afterSale.lastUpdate });
+      expect(getSalesCount()).toBe(2);
+      expect(getSnapshotCount()).toBe(2);
+
+      expect((await fetchItem()).unchangedCount).toBe(1);
+
+      // A new upload
+      unitsSold.set(ITEM_ID, 60);
+      const afterUpload = await fetchItem();
+      expect(afterUpload).toMatchObject({ unchangedCount: 0, lastChangedAt: afterUpload.lastUpdate });
+      expect(afterUpload.marketData.unitsSold).toBe(60);
+      expect(getSnapshotCount()).toBe(3);
+    });
+  });
+});
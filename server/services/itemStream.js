@@ -0,0 +1,158 @@
+/**
+ * Item Update Stream
+ *
+ * Publishes stored item changes and reclassifications to the Server-Sent
+ * Events subscribers of GET /api/stream. The most recent events are kept so
+ * a client reconnecting with Last-Event-ID receives what it missed; event
+ * IDs carry the server start time, so IDs from before a restart are
+ * recognised and answered with a `resync` event instead.
+ */
+
+import config from '../config.js';
+import { projectItem } from '../utils/projection.js';
+
+const BUFFER_SIZE = Math.max(config.stream.bufferSize, 0);
+
+// Prefix of every event ID, so IDs of a previous server run can't be mistaken for current ones
+const RUN_ID = Date.now().toString(36);
+
+const buffer = []; // Recent events, oldest first
+const subscribers = new Set(); // { filter, send }
+let sequence = 0;
+let published = 0;
+
+/**
+ * Check whether an event passes a subscriber's filter
+ * Classification events match a classification filter on either side of the
+ * change, so subscribers see items leave their tier as well as join it
+ * @param {Object} event - { type, world, itemId, classifications }
+ * @param {Object} filter - { world, itemIds, classification }
+ * @returns {boolean} True if the subscriber wants the event
+ */
+function matchesFilter(event, filter) {
+  return event.world === filter.world
+    && (!filter.itemIds || filter.itemIds.has(event.itemId))
+    && (!filter.classification || event.classifications.includes(filter.classification));
+}
+
+/**
+ * Record an event and send it to every matching subscriber
+ * @param {string} type - Event name
+ * @param {string} world - World/data center
+ * @param {number} itemId - Item ID
+ * @param {string[]} classifications - Tiers the event concerns
+ * @param {Object} data - Event payload
+ */
+function publish(type, world, itemId, classifications, data) {
+  const event = {
+    id: `${RUN_ID}-${++sequence}`,
+    sequence,
+    type,
+    world,
+    itemId,
+    classifications,
+    data: { world, ...data },
+  };
+
+  buffer.push(event);
+  if (buffer.length > BUFFER_SIZE) {
+    buffer.shift();
+  }
+  published++;
+
+  for (const subscriber of subscribers) {
+    if (matchesFilter(event, subscriber.filter)) {
+      subscriber.send(event);
+    }
+  }
+}
+
+/**
+ * Publish a stored item change
+ * Items are sent in the summary view (see utils/projection.js)
+ * @param {string} world - World/data center
+ * @param {Object} item - Item as returned by the item manager
+ */
+function publishItemUpdate(world, item) {
+  publish('item', world, item.id, [item.classification], {
+    item: projectItem(item, { view: 'summary' }),
+  });
+}
+
+/**
+ * Publish an item's move to another tier
+ * @param {string} world - World/data center
+ * @param {Object} change - { itemId, changedAt, fromTier, toTier }
+ */
+function publishClassificationChange(world, { itemId, changedAt, fromTier, toTier }) {
+  publish('classification', world, itemId, [fromTier, toTier], {
+    itemId,
+    changedAt,
+    fromTier,
+    toTier,
+  });
+}
+
+/**
+ * Parse an event ID from Last-Event-ID
+ * @param {string} eventID - Event ID sent by the client
+ * @returns {number|null} Sequence number, or null if the ID is from another server run or malformed
+ */
+function parseEventId(eventID) {
+  const match = /^([0-9a-z]+)-(\d+)$/.exec(String(eventID).trim());
+  if (!match || match[1] !== RUN_ID) {
+    return null;
+  }
+  return parseInt(match[2], 10);
+}
+
+/**
+ * Subscribe to item events
+ * With a Last-Event-ID, buffered events after it are sent first; if they are
+ * no longer all buffered (or the ID is unknown), a single `resync` event
+ * tells the client to reload instead
+ * @param {Object} filter - { world, itemIds: Set|null, classification: string|null }
+ * @param {Function} send - Called with each event ({ id, type, data })
+ * @param {string|null} lastEventID - Last-Event-ID of a reconnecting client (default: null)
+ * @returns {Function} Unsubscribe function
+ */
+function subscribe(filter, send, lastEventID = null) {
+  if (lastEventID !== null) {
+    const after = parseEventId(lastEventID);
+    const oldest = buffer.length > 0 ? buffer[0].sequence : sequence + 1;
+
+    if (after === null || after > sequence || after < oldest - 1) {
+      send({ id: `${RUN_ID}-${sequence}`, type: 'resync', data: { world: filter.world } });
+    } else {
+      for (const event of buffer) {
+        if (event.sequence > after && matchesFilter(event, filter)) {
+          send(event);
+        }
+      }
+    }
+  }
+
+  const subscriber = { filter, send };
+  subscribers.add(subscriber);
+  return () => subscribers.delete(subscriber);
+}
+
+/**
+ * Get the number of connected subscribers and published events
+ * @returns {Object} { clients, published, buffered, lastEventId }
+ */
+function getStreamStats() {
+  return {
+    clients: subscribers.size,
+    published,
+    buffered: buffer.length,
+    lastEventId: sequence > 0 ? `${RUN_ID}-${sequence}` : null,
+  };
+}
+
+export {
+  publishItemUpdate,
+  publishClassificationChange,
+  subscribe,
+  getStreamStats,
+};
@@ -0,0 +1,280 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach, vi } from 'vitest';
+
+// A small buffer so events fall out of it quickly; the configuration is read when the stream is imported
+vi.hoisted(() => {
+  Object.assign(process.env, {
+    WORLDS: 'China,Japan',
+    STREAM_BUFFER_SIZE: '3',
+  });
+});
+
+import express from 'express';
+import streamRouter from '../routes/stream.js';
+import { initializeStorage, getStorage, closeStorage } from './storage/index.js';
+import { publishItemUpdate, publishClassificationChange, subscribe, getStreamStats } from './itemStream.js';
+
+const WORLD = 'China';
+const OTHER_WORLD = 'Japan';
+
+/**
+ * Publish an item update and get the ID of its event
+ * @param {number} itemId - Item ID
+ * @param {string} classification - Item tier
+ * @param {string} world - World/data center (default: WORLD)
+ * @returns {string} Event ID
+ */
+function publishItem(itemId, classification = 'cold', world = WORLD) {
+  publishItemUpdate(world, { id: itemId, world, name: `Item ${itemId}`, classification, marketData: { hasData: true } });
+  return getStreamStats().lastEventId;
+}
+
+/**
+ * Publish a tier change and get the ID of its event
+ * @param {number} itemId - Item ID
+ * @param {string} fromTier - Previous tier
+ * @param {string} toTier - New tier
+ * @returns {string} Event ID
+ */
+function publishChange(itemId, fromTier, toTier) {
+  publishClassificationChange(WORLD, { itemId, changedAt: 1760860800000, fromTier, toTier });
+  return getStreamStats().lastEventId;
+}
+
+/**
+ * Get the ID an event of a previous server run would have
+ * @param {string} eventID - Event ID of this run
+ * @returns {string} Same sequence with an earlier run ID
+ */
+function fromPreviousRun(eventID) {
+  const [runID, sequence] = eventID.split('-');
+  return `${(parseInt(runID, 36) - 1).toString(36)}-${sequence}`;
+}
+
+describe('subscribe', () => {
+  let unsubscribers;
+
+  /**
+   * Subscribe and collect the events sent
+   * @param {Object} filter - Filter fields (world defaults to WORLD)
+   * @param {string|null} lastEventID - Last-Event-ID (default: null)
+   * @returns {Object[]} Received events, filled as they arrive
+   */
+  const collect = (filter = {}, lastEventID = null) => {
+    const events = [];
+    unsubscribers.push(subscribe({ world: WORLD, itemIds: null, classification: null, ...filter }, event => events.push(event), lastEventID));
+    return events;
+  };
+
+  const getItemIds = events => events.map(event => event.data.item?.id ?? event.data.itemId);
+
+  beforeEach(() => {
+    unsubscribers = [];
+  });
+
+  afterEach(() => {
+    unsubscribers.forEach(unsubscribe => unsubscribe());
+  });
+
+  it('should send the buffered events after Last-Event-ID, then live events', () => {
+    const first = publishItem(1);
+    publishItem(2);
+    publishItem(3);
+
+    const events = collect({}, first);
+    expect(getItemIds(events)).toEqual([2, 3]);
+
+    publishItem(4);
+    expect(getItemIds(events)).toEqual([2, 3, 4]);
+    expect(events[2]).toMatchObject({ id: getStreamStats().lastEventId, type: 'item', data: { world: WORLD, item: { id: 4 } } });
+  });
+
+  it('should send nothing but live events to a client that is up to date', () => {
+    const events = collect({}, publishItem(1));
+    expect(events).toEqual([]);
+
+    publishItem(2);
+    expect(getItemIds(events)).toEqual([2]);
+  });
+
+  it('should resume from just before the oldest buffered event and resync from any earlier one', () => {
+    const beforeBuffer = publishItem(1);
+    const [runID, sequence] = beforeBuffer.split('-');
+    const tooOld = `${runID}-${sequence - 1}`;
+    publishItem(2);
+    publishItem(3);
+    publishItem(4);
+
+    expect(getItemIds(collect({}, beforeBuffer))).toEqual([2, 3, 4]);
+    expect(collect({}, tooOld)).toEqual([{ id: getStreamStats().lastEventId, type: 'resync', data: { world: WORLD } }]);
+  });
+
+  it('should resync IDs of a previous server run, from the future or malformed', () => {
+    const last = publishItem(1);
+    const [runID, sequence] = last.split('-');
+
+    for (const eventID of [fromPreviousRun(last), `${runID}-${Number(sequence) + 1}`, 'not-an-id', '']) {
+      const events = collect({}, eventID);
+      expect(events).toEqual([{ id: last, type: 'resync', data: { world: WORLD } }]);
+    }
+  });
+
+  it('should only send events of the subscribed world, items and tier', () => {
+    const all = collect();
+    const byIds = collect({ itemIds: new Set([1, 2]) });
+    const byTier = collect({ classification: 'hot' });
+    const otherWorld = collect({ world: OTHER_WORLD });
+
+    publishItem(1, 'hot');
+    publishItem(2, 'cold');
+    publishItem(3, 'hot');
+    publishItem(1, 'hot', OTHER_WORLD);
+    // Leaving the tier concerns its subscribers as well
+    publishChange(3, 'hot', 'mild');
+    publishChange(4, 'cold', 'mild');
+
+    expect(getItemIds(all)).toEqual([1, 2, 3, 3, 4]);
+    expect(getItemIds(byIds)).toEqual([1, 2]);
+    expect(getItemIds(byTier)).toEqual([1, 3, 3]);
+    expect(byTier[2]).toMatchObject({ type: 'classification', data: { itemId: 3, fromTier: 'hot', toTier: 'mild' } });
+    expect(getItemIds(otherWorld)).toEqual([1]);
+  });
+
+  it('should apply the filter to replayed events and stop sending after unsubscribing', () => {
+    const after = publishItem(1);
+    publishItem(2, 'hot');
+    publishItem(3, 'cold');
+
+    const events = [];
+    const unsubscribe = subscribe({ world: WORLD, itemIds: null, classification: 'hot' }, event => events.push(event), after);
+    expect(getItemIds(events)).toEqual([2]);
+    expect(getStreamStats().clients).toBe(1);
+
+    unsubscribe();
+    publishItem(4, 'hot');
+    expect(getItemIds(events)).toEqual([2]);
+    expect(getStreamStats().clients).toBe(0);
+  });
+});
+
+describe('GET /api/stream', () => {
+  let server;
+  let baseUrl;
+  let controllers;
+
+  /**
+   * Open the stream
+   * @param {string} query - Query string
+   * @param {Object} headers - Request headers
+   * @returns {Promise<Object>} { response, read } with read(count) resolving to the next `count` events
+   */
+  const openStream = async (query = '', headers = {}) => {
+    const controller = new AbortController();
+    controllers.push(controller);
+    const response = await fetch(`${baseUrl}/api/stream${query}`, { headers, signal: controller.signal });
+    if (!response.ok) {
+      return { response, read: null };
+    }
+
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let text = '';
+    const read = async (count) => {
+      const events = [];
+      while (events.length < count) {
+        const end = text.indexOf('\n\n');
+        if (end === -1) {
+          text += (await reader.read()).value;
+          continue;
+        }
+        const block = text.slice(0, end);
+        text = text.slice(end + 2);
+        const fields = Object.fromEntries(block.split('\n').map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+        if (fields.event) {
+          events.push({ id: fields.id, type: fields.event, data: JSON.parse(fields.data) });
+        }
+      }
+      return events;
+    };
+    return { response, read };
+  };
+
+  beforeAll(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    initializeStorage({ adapter: 'memory' });
+
+    const app = express();
+    app.use('/api/stream', streamRouter);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+  });
+
+  beforeEach(() => {
+    controllers = [];
+  });
+
+  afterEach(async () => {
+    controllers.forEach(controller => controller.abort());
+    await vi.waitFor(() => expect(getStreamStats().clients).toBe(0), { interval: 5 });
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    closeStorage();
+    vi.restoreAllMocks();
+  });
+
+  it('should send events as text/event-stream and resume after the Last-Event-ID header', async () => {
+    const first = publishItem(1);
+    const second = publishItem(2);
+
+    const { response, read } = await openStream('', { 'Last-Event-ID': first });
+    expect(response.headers.get('content-type')).toMatch(/^text\/event-stream/);
+    expect(await read(1)).toEqual([{ id: second, type: 'item', data: expect.objectContaining({ world: WORLD, item: expect.objectContaining({ id: 2 }) }) }]);
+
+    const third = publishItem(3);
+    expect((await read(1))[0].id).toBe(third);
+  });
+
+  it('should answer a lastEventId of a previous server run with resync', async () => {
+    const last = publishItem(1);
+
+    const { read } = await openStream(`?lastEventId=${fromPreviousRun(last)}`);
+    expect(await read(1)).toEqual([{ id: last, type: 'resync', data: { world: WORLD } }]);
+  });
+
+  it('should filter by item IDs, tier and world', async () => {
+    const { read } = await openStream('?ids=1,2&classification=hot');
+    const { read: readOtherWorld } = await openStream(`?world=${OTHER_WORLD}`);
+
+    publishItem(3, 'hot');
+    publishItem(1, 'cold');
+    publishItem(2, 'hot');
+    publishChange(1, 'hot', 'mild');
+    publishItem(5, 'cold', OTHER_WORLD);
+
+    const events = await read(2);
+    expect(events.map(event => [event.type, event.data.item?.id ?? event.data.itemId])).toEqual([['item', 2], ['classification', 1]]);
+    expect((await readOtherWorld(1))[0].data).toMatchObject({ world: OTHER_WORLD, item: { id: 5 } });
+  });
+
+  it('should only send events of the group members that are also in ids', async () => {
+    getStorage().saveItemGroup({ name: 'Stream Group', description: '', itemIds: [5, 6] });
+    const { read } = await openStream('?group=stream%20group&ids=6,7');
+
+    publishItem(5);
+    publishItem(7);
+    publishItem(6);
+
+    expect((await read(1))[0].data.item.id).toBe(6);
+  });
+
+  it('should reject unknown groups and tiers', async () => {
+    const { response: unknownGroup } = await openStream('?group=missing');
+    expect(unknownGroup.status).toBe(404);
+    expect(await unknownGroup.json()).toEqual({ success: false, error: 'Group not found' });
+
+    const { response: unknownTier } = await openStream('?classification=warm');
+    expect(unknownTier.status).toBe(400);
+    expect(await unknownTier.json()).toEqual({ success: false, error: 'Invalid classification. Expected one of: hot, mild, cold' });
+  });
+});
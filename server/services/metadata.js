@@ -0,0 +1,221 @@
+/**
+ * Item Metadata
+ *
+ * Imports multilingual item names and static game data (UI category, item
+ * level, stack size, icon) from local CSV exports of the game's Item sheet.
+ *
+ * Expected files in the metadata directory (any may be missing):
+ *   Item.en.csv, Item.ja.csv, Item.chs.csv (or Item.zh.csv)
+ *   ItemUICategory.en.csv - resolves numeric category IDs to names
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { parseCsvRecords } from '../utils/csv.js';
+import { getStorage } from './storage/index.js';
+import config from '../config.js';
+
+const METADATA_DIR = config.metadataDir;
+
+// Item sheet files per language, first existing file wins
+const ITEM_FILES = {
+  en: ['Item.en.csv'],
+  ja: ['Item.ja.csv'],
+  zh: ['Item.chs.csv', 'Item.zh.csv'],
+};
+const CATEGORY_FILES = ['ItemUICategory.en.csv', 'ItemUICategory.csv'];
+
+// Accepted column names (matched case-insensitively, first match wins)
+const COLUMNS = {
+  id: ['#', 'id', 'key', 'itemid'],
+  name: ['name'],
+  uiCategory: ['itemuicategory', 'uicategory', 'category'],
+  itemLevel: ['level{item}', 'itemlevel', 'level'],
+  stackSize: ['stacksize'],
+  icon: ['icon', 'iconpath'],
+};
+
+/**
+ * Get a field from a CSV record by any of its accepted column names
+ * @param {Object} record - CSV record keyed by column name
+ * @param {string[]} names - Lowercase column names to try
+ * @returns {string|undefined} Field value
+ */
+function getField(record, names) {
+  for (const key of Object.keys(record)) {
+    if (names.includes(key.toLowerCase())) {
+      return record[key];
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Parse an integer CSV field
+ * @param {string|undefined} value - Field value
+ * @returns {number|null} Integer or null if empty/invalid
+ */
+function toIntOrNull(value) {
+  if (value === undefined || value.trim() === '') {
+    return null;
+  }
+  const parsed = Number(value);
+  return Number.isInteger(parsed) ? parsed : null;
+}
+
+/**
+ * Turn an Icon column value into a game icon path
+ * Numeric icon IDs follow the ui/icon/<thousands>/<id>.tex layout
+ * @param {string|undefined} value - Icon field
+ * @returns {string|null} Icon path or null if the item has no icon
+ */
+function toIconPath(value) {
+  const iconID = toIntOrNull(value);
+  if (iconID === null) {
+    return value && value.trim() !== '' ? value.trim() : null;
+  }
+  if (iconID === 0) {
+    return null;
+  }
+
+  const folder = String(Math.floor(iconID / 1000) * 1000).padStart(6, '0');
+  return `ui/icon/${folder}/${String(iconID).padStart(6, '0')}.tex`;
+}
+
+/**
+ * Read the records of the first existing file in a directory
+ * @param {string} dir - Directory
+ * @param {string[]} fileNames - Candidate file names
+ * @returns {Object|null} { file, records } or null if none exist
+ */
+function readFirstCsv(dir, fileNames) {
+  for (const fileName of fileNames) {
+    const file = join(dir, fileName);
+    if (existsSync(file)) {
+      return { file: fileName, records: parseCsvRecords(readFileSync(file, 'utf8')) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Load item metadata rows from the CSV files in a directory
+ * Names come from each language's file; level, stack size, icon and
+ * category come from the first language file that has the item.
+ * @param {string} dir - Metadata directory
+ * @returns {Object} { files, rows } - files read and metadata rows
+ */
+function loadMetadataFiles(dir) {
+  const files = [];
+  const rowsById = new Map();
+
+  const categories = new Map();
+  const categoryFile = readFirstCsv(dir, CATEGORY_FILES);
+  if (categoryFile) {
+    files.push(categoryFile.file);
+    for (const record of categoryFile.records) {
+      const id = toIntOrNull(getField(record, COLUMNS.id));
+      const name = getField(record, COLUMNS.name);
+      if (id !== null && name) {
+        categories.set(id, name);
+      }
+    }
+  }
+
+  for (const [language, fileNames] of Object.entries(ITEM_FILES)) {
+    const itemFile = readFirstCsv(dir, fileNames);
+    if (!itemFile) {
+      continue;
+    }
+    files.push(itemFile.file);
+
+    const nameField = `name${language[0].toUpperCase()}${language.slice(1)}`;
+    for (const record of itemFile.records) {
+      const itemId = toIntOrNull(getField(record, COLUMNS.id));
+      if (itemId === null) {
+        continue;
+      }
+
+      let row = rowsById.get(itemId);
+      if (!row) {
+        // The category column holds an ID in raw exports and a name in resolved ones
+        const rawCategory = getField(record, COLUMNS.uiCategory);
+        const uiCategoryId = toIntOrNull(rawCategory);
+        row = {
+          itemId,
+          nameEn: null,
+          nameJa: null,
+          nameZh: null,
+          uiCategoryId,
+          uiCategory: uiCategoryId !== null ? (categories.get(uiCategoryId) ?? null) : (rawCategory || null),
+          itemLevel: toIntOrNull(getField(record, COLUMNS.itemLevel)),
+          stackSize: toIntOrNull(getField(record, COLUMNS.stackSize)),
+          iconPath: toIconPath(getField(record, COLUMNS.icon)),
+        };
+        rowsById.set(itemId, row);
+      }
+
+      row[nameField] = getField(record, COLUMNS.name) || null;
+    }
+  }
+
+  // Unnamed rows are unused sheet entries
+  const rows = [...rowsById.values()].filter(row => row.nameEn || row.nameJa || row.nameZh);
+  return { files, rows };
+}
+
+/**
+ * Import item metadata from a directory of CSV exports
+ * Existing metadata for the same items is replaced
+ * @param {string} dir - Metadata directory (default: config.metadataDir)
+ * @returns {Object} Import summary { dir, files, imported }
+ */
+function importItemMetadata(dir = METADATA_DIR) {
+  if (!existsSync(dir)) {
+    throw new Error(`Metadata directory not found: ${dir}`);
+  }
+
+  const { files, rows } = loadMetadataFiles(dir);
+  if (files.length === 0) {
+    throw new Error(`No item CSV files found in ${dir}`);
+  }
+
+  const imported = getStorage().upsertItemMetadata(rows);
+  console.log(`[Metadata] Imported metadata for ${imported} items from ${files.join(', ')}`);
+  return { dir, files, imported };
+}
+
+/**
+ * Import metadata at startup if none is stored yet and the metadata directory exists
+ * Needed for the in-memory adapter, which starts empty on every run
+ * @returns {Object|null} Import summary or null if skipped
+ */
+function ensureItemMetadata() {
+  if (getStorage().getItemMetadataCount() > 0 || !existsSync(METADATA_DIR)) {
+    return null;
+  }
+
+  try {
+    return importItemMetadata(METADATA_DIR);
+  } catch (error) {
+    console.error(`[Metadata] Startup import failed:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Attach imported metadata to items
+ * @param {Object[]} items - Item data
+ * @returns {Object[]} Items with a `metadata` field (null if none was imported)
+ */
+function withMetadata(items) {
+  const metadata = getStorage().getItemMetadata(items.map(item => item.id));
+  return items.map(item => ({ ...item, metadata: metadata.get(item.id) || null }));
+}
+
+export {
+  importItemMetadata,
+  ensureItemMetadata,
+  withMetadata,
+  METADATA_DIR,
+};
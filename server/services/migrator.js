@@ -0,0 +1,118 @@
+/**
+ * Schema Migrator
+ *
+ * Applies and reverts numbered schema migrations, tracking applied
+ * versions in the schema_migrations table
+ */
+
+import { migrations } from '../migrations/index.js';
+
+/**
+ * Create the schema_migrations table if it doesn't exist
+ * @param {Database} db - better-sqlite3 database instance
+ */
+function ensureMigrationsTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      appliedAt INTEGER NOT NULL
+    );
+  `);
+}
+
+/**
+ * Get applied migrations keyed by version
+ * @param {Database} db - better-sqlite3 database instance
+ * @returns {Map<number, Object>} Applied migration rows by version
+ */
+function getAppliedMigrations(db) {
+  ensureMigrationsTable(db);
+  const rows = db.prepare('SELECT version, name, appliedAt FROM schema_migrations ORDER BY version').all();
+  return new Map(rows.map(row => [row.version, row]));
+}
+
+/**
+ * Get the status of every known migration
+ * @param {Database} db - better-sqlite3 database instance
+ * @returns {Array} Array of { version, name, applied, appliedAt }
+ */
+export function getMigrationStatus(db) {
+  const applied = getAppliedMigrations(db);
+
+  return migrations.map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    applied: applied.has(migration.version),
+    appliedAt: applied.get(migration.version)?.appliedAt ?? null,
+  }));
+}
+
+/**
+ * Get the highest applied migration version
+ * @param {Database} db - better-sqlite3 database instance
+ * @returns {number} Current schema version (0 if nothing applied)
+ */
+export function getSchemaVersion(db) {
+  const applied = getAppliedMigrations(db);
+  return applied.size > 0 ? Math.max(...applied.keys()) : 0;
+}
+
+/**
+ * Apply all pending migrations up to a target version in a single transaction
+ * @param {Database} db - better-sqlite3 database instance
+ * @param {number} targetVersion - Highest version to apply (default: latest)
+ * @returns {Array} Migrations that were applied
+ */
+export function migrateUp(db, targetVersion = Infinity) {
+  const applied = getAppliedMigrations(db);
+  const pending = migrations.filter(migration =>
+    !applied.has(migration.version) && migration.version <= targetVersion
+  );
+
+  if (pending.length === 0) {
+    return [];
+  }
+
+  const record = db.prepare('INSERT INTO schema_migrations (version, name, appliedAt) VALUES (?, ?, ?)');
+  const applyAll = db.transaction(() => {
+    for (const migration of pending) {
+      migration.up(db);
+      record.run(migration.version, migration.name, Date.now());
+      console.log(`[Migrations] Applied ${migration.version} ${migration.name}`);
+    }
+  });
+
+  applyAll();
+  return pending;
+}
+
+/**
+ * Revert the most recently applied migrations in a single transaction
+ * @param {Database} db - better-sqlite3 database instance
+ * @param {number} steps - Number of migrations to revert (default: 1)
+ * @returns {Array} Migrations that were reverted
+ */
+export function migrateDown(db, steps = 1) {
+  const applied = getAppliedMigrations(db);
+  const toRevert = migrations
+    .filter(migration => applied.has(migration.version))
+    .sort((a, b) => b.version - a.version)
+    .slice(0, steps);
+
+  if (toRevert.length === 0) {
+    return [];
+  }
+
+  const remove = db.prepare('DELETE FROM schema_migrations WHERE version = ?');
+  const revertAll = db.transaction(() => {
+    for (const migration of toRevert) {
+      migration.down(db);
+      remove.run(migration.version);
+      console.log(`[Migrations] Reverted ${migration.version} ${migration.name}`);
+    }
+  });
+
+  revertAll();
+  return toRevert;
+}
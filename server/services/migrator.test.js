@@ -0,0 +1,129 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import Database from 'better-sqlite3';
+import { migrateUp, migrateDown, getMigrationStatus, getSchemaVersion } from './migrator.js';
+import { migrations } from '../migrations/index.js';
+import config from '../config.js';
+
+const LATEST = migrations[migrations.length - 1].version;
+
+/**
+ * Get the tables and indexes of a database with their SQL
+ * @param {Database} db - better-sqlite3 database instance
+ * @returns {Array} Array of { type, name, sql }
+ */
+function getSchema(db) {
+  return db.prepare(`
+    SELECT type, name, sql FROM sqlite_master
+    WHERE name NOT LIKE 'sqlite_%' AND name != 'schema_migrations'
+    ORDER BY type, name
+  `).all();
+}
+
+/**
+ * Get the columns of a table
+ * @param {Database} db - better-sqlite3 database instance
+ * @param {string} table - Table name
+ * @returns {string[]} Column names
+ */
+function getColumns(db, table) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().map(column => column.name);
+}
+
+describe('migrator', () => {
+  let db;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    db = new Database(':memory:');
+  });
+
+  afterEach(() => {
+    db.close();
+    vi.restoreAllMocks();
+  });
+
+  it('should apply every migration in order on an empty database', () => {
+    const applied = migrateUp(db);
+
+    expect(applied.map(migration => migration.version)).toEqual(migrations.map(migration => migration.version));
+    expect(getSchemaVersion(db)).toBe(LATEST);
+    expect(getMigrationStatus(db).every(migration => migration.applied && migration.appliedAt !== null)).toBe(true);
+  });
+
+  it('should not apply anything when the schema is up to date', () => {
+    migrateUp(db);
+
+    expect(migrateUp(db)).toEqual([]);
+    expect(getSchemaVersion(db)).toBe(LATEST);
+  });
+
+  it('should stop at the target version', () => {
+    expect(migrateUp(db, 7)).toHaveLength(7);
+    expect(getSchemaVersion(db)).toBe(7);
+    expect(getColumns(db, 'items')).not.toContain('world');
+
+    expect(migrateUp(db).map(migration => migration.version)[0]).toBe(8);
+    expect(getColumns(db, 'items')).toContain('world');
+  });
+
+  it('should revert the latest migration by default', () => {
+    migrateUp(db);
+
+    const reverted = migrateDown(db);
+
+    expect(reverted.map(migration => migration.version)).toEqual([LATEST]);
+    expect(getSchemaVersion(db)).toBe(LATEST - 1);
+    expect(getMigrationStatus(db).find(migration => migration.version === LATEST).applied).toBe(false);
+  });
+
+  it('should revert everything back to an empty schema', () => {
+    migrateUp(db);
+
+    const reverted = migrateDown(db, migrations.length);
+
+    expect(reverted.map(migration => migration.version)).toEqual(migrations.map(migration => migration.version).reverse());
+    expect(getSchemaVersion(db)).toBe(0);
+    expect(getSchema(db)).toEqual([]);
+  });
+
+  it('should not revert anything on an empty database', () => {
+    expect(migrateDown(db, 3)).toEqual([]);
+  });
+
+  it('should rebuild the same schema after reverting and reapplying', () => {
+    migrateUp(db);
+    const schema = getSchema(db);
+
+    migrateDown(db, migrations.length);
+    migrateUp(db);
+
+    expect(getSchema(db)).toEqual(schema);
+  });
+
+  it('should keep items through reverting and reapplying the world key', () => {
+    migrateUp(db, 7);
+    db.prepare("INSERT INTO items (id, name, number, req) VALUES (1, 'Item 1', '[1]', '[2]')").run();
+
+    migrateUp(db);
+    expect(db.prepare('SELECT id, world, name FROM items').all()).toEqual([
+      { id: 1, world: config.defaultWorld, name: 'Item 1' },
+    ]);
+
+    migrateDown(db, LATEST - 7);
+    expect(getSchemaVersion(db)).toBe(7);
+    expect(db.prepare('SELECT id, name, number, req FROM items').all()).toEqual([
+      { id: 1, name: 'Item 1', number: '[1]', req: '[2]' },
+    ]);
+  });
+
+  it('should roll back every migration of a failed run', () => {
+    migrateUp(db, 8);
+    // Migrations 9 and 10 succeed, 11 fails adding a column that already exists
+    db.exec('ALTER TABLE items ADD COLUMN contentHash TEXT');
+
+    expect(() => migrateUp(db)).toThrow();
+    expect(getSchemaVersion(db)).toBe(8);
+    expect(getColumns(db, 'items')).not.toContain('refresh');
+    expect(db.prepare("SELECT name FROM sqlite_master WHERE name = 'classification_history'").get()).toBeUndefined();
+  });
+});
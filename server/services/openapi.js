@@ -0,0 +1,394 @@
+/**
+ * OpenAPI Contract
+ *
+ * Routes are declared with defineRoute(), which registers their handlers and
+ * records the operation: path and query parameters, request body and
+ * responses, as JSON Schema. The same declarations build the OpenAPI document
+ * served at GET /api/openapi.json (and the generated frontend client), validate
+ * every request before its handler runs and check responses in development.
+ */
+
+import Ajv from 'ajv';
+import config from '../config.js';
+import { handleApiError } from '../utils/common.js';
+import { COMPONENT_SCHEMAS, ERROR_RESPONSE_SCHEMA } from './apiSchemas.js';
+
+const REF_PREFIX = '#/components/schemas/';
+
+// Ajv schema ID of the component schemas, so $refs in operations resolve against them
+const COMPONENTS_ID = 'components';
+
+const JSON_CONTENT = 'application/json';
+
+const RESPONSE_VALIDATION_MODES = ['off', 'warn', 'strict'];
+
+const operationsByRouter = new WeakMap(); // router -> operations in declaration order
+
+/**
+ * Create an Ajv instance that knows the component schemas
+ * @param {Object} options - Ajv options
+ * @returns {Ajv} Ajv instance
+ */
+function createAjv(options = {}) {
+  // Not strict: OpenAPI documents carry keywords Ajv doesn't know (e.g. description on a $ref)
+  // verbose: errors carry their schema, for readable pattern messages
+  const ajv = new Ajv({ allErrors: true, verbose: true, strict: false, ...options });
+  ajv.addSchema({ components: { schemas: COMPONENT_SCHEMAS } }, COMPONENTS_ID);
+  return ajv;
+}
+
+// Parameters arrive as strings and are coerced to their declared type (req.params and req.query are updated)
+const parameterAjv = createAjv({ coerceTypes: true });
+const bodyAjv = createAjv();
+
+/**
+ * Point the component $refs of an operation schema at the schemas registered with Ajv
+ * @param {*} schema - JSON Schema (or part of one)
+ * @returns {*} Schema with absolute $refs
+ */
+function resolveRefs(schema) {
+  if (Array.isArray(schema)) {
+    return schema.map(resolveRefs);
+  }
+  if (schema === null || typeof schema !== 'object') {
+    return schema;
+  }
+
+  const result = {};
+  for (const [key, value] of Object.entries(schema)) {
+    result[key] = key === '$ref' && value.startsWith(REF_PREFIX) ? `${COMPONENTS_ID}${value}` : resolveRefs(value);
+  }
+  return result;
+}
+
+/**
+ * Get the names of an Express path's parameters, in order
+ * @param {string} path - Express path (e.g. '/:id/items/:itemId')
+ * @returns {string[]} Parameter names
+ */
+function getPathParameterNames(path) {
+  return [...path.matchAll(/:(\w+)/g)].map(match => match[1]);
+}
+
+/**
+ * Build an object schema from parameter definitions
+ * @param {Object} parameters - Parameter definitions by name ({ schema, required })
+ * @param {boolean} allRequired - Treat every parameter as required (path parameters)
+ * @returns {Object} JSON Schema
+ */
+function parametersSchema(parameters, allRequired = false) {
+  const properties = {};
+  const required = [];
+  for (const [name, parameter] of Object.entries(parameters)) {
+    properties[name] = parameter.schema;
+    if (allRequired || parameter.required) {
+      required.push(name);
+    }
+  }
+  return { type: 'object', properties, required };
+}
+
+/**
+ * Get an operation's responses with the schema of each
+ * Responses given as a string are error responses with that description
+ * @param {Object} operation - Operation definition
+ * @returns {Object} Status code -> { description, schema, contentType }
+ */
+function getResponses(operation) {
+  const responses = {};
+  const declared = {
+    400: 'Invalid parameters or request body',
+    ...operation.responses,
+    500: 'Server error',
+  };
+
+  for (const [status, response] of Object.entries(declared)) {
+    responses[status] = typeof response === 'string'
+      ? { description: response, schema: ERROR_RESPONSE_SCHEMA, contentType: JSON_CONTENT }
+      : { contentType: JSON_CONTENT, ...response };
+  }
+  return responses;
+}
+
+/**
+ * Describe a failed validation as { in, name, message } entries
+ * @param {Object[]} errors - Ajv errors
+ * @param {string} location - 'path', 'query', 'body' or 'response'
+ * @returns {Object[]} Error details
+ */
+function describeErrors(errors, location) {
+  return errors.map(error => {
+    const segments = error.instancePath.split('/').slice(1);
+    let message = error.message;
+
+    if (error.keyword === 'required') {
+      segments.push(error.params.missingProperty);
+      message = 'is required';
+    } else if (error.keyword === 'additionalProperties') {
+      segments.push(error.params.additionalProperty);
+      message = 'is not allowed';
+    } else if (error.keyword === 'enum') {
+      message = `must be one of: ${error.params.allowedValues.join(', ')}`;
+    } else if (error.keyword === 'pattern' && error.parentSchema.description) {
+      message = `must be ${error.parentSchema.description}`;
+    }
+
+    return { in: location, name: segments.join('.'), message };
+  });
+}
+
+/**
+ * Summarise the first validation error for the error message
+ * @param {Object} detail - { in, name, message }
+ * @returns {string} Error message
+ */
+function formatError(detail) {
+  if (detail.in === 'body') {
+    return detail.name ? `Invalid body field '${detail.name}': ${detail.message}` : `Invalid request body: ${detail.message}`;
+  }
+  return `Invalid ${detail.in === 'path' ? 'path' : 'query'} parameter '${detail.name}': ${detail.message}`;
+}
+
+/**
+ * Create the middleware that validates requests against an operation (and checks its responses)
+ * @param {Object} operation - Operation definition
+ * @returns {Function} Express middleware
+ */
+function createValidator(operation) {
+  const bodyIsJson = operation.body && (operation.body.contentType ?? JSON_CONTENT) === JSON_CONTENT;
+  const validators = {
+    path: parameterAjv.compile(resolveRefs(parametersSchema(operation.params ?? {}, true))),
+    query: parameterAjv.compile(resolveRefs(parametersSchema(operation.query ?? {}))),
+    body: bodyIsJson ? bodyAjv.compile(resolveRefs(operation.body.schema)) : null,
+  };
+
+  const responseValidators = {};
+  for (const [status, response] of Object.entries(getResponses(operation))) {
+    if (response.contentType === JSON_CONTENT) {
+      responseValidators[status] = bodyAjv.compile(resolveRefs(response.schema));
+    }
+  }
+
+  return (req, res, next) => {
+    const details = [];
+    const check = (validate, data, location) => {
+      if (validate && !validate(data)) {
+        details.push(...describeErrors(validate.errors, location));
+      }
+    };
+
+    check(validators.path, req.params, 'path');
+    check(validators.query, req.query, 'query');
+    check(validators.body, req.body, 'body');
+
+    if (details.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: formatError(details[0]),
+        details,
+      });
+    }
+
+    checkResponses(operation, responseValidators, res);
+    next();
+  };
+}
+
+/**
+ * Check the JSON responses of a request against the operation's response schemas
+ * Depending on config.api.responseValidation, mismatches are logged ('warn')
+ * or replaced with a 500 ('strict')
+ * @param {Object} operation - Operation definition
+ * @param {Object} responseValidators - Status code -> compiled schema
+ * @param {Object} res - Express response object
+ */
+function checkResponses(operation, responseValidators, res) {
+  const mode = config.api.responseValidation;
+  if (mode === 'off') {
+    return;
+  }
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const validate = responseValidators[res.statusCode];
+    let details = null;
+
+    if (!validate) {
+      details = [{ in: 'response', name: '', message: `status ${res.statusCode} is not documented` }];
+    } else if (!validate(body)) {
+      details = describeErrors(validate.errors, 'response');
+    }
+
+    if (details) {
+      const summary = details.map(detail => `${detail.name || '(body)'} ${detail.message}`).join('; ');
+      console.warn(`[API] Response of ${operation.operationId} (${res.statusCode}) does not match the API document: ${summary}`);
+
+      if (mode === 'strict') {
+        res.status(500);
+        return json({
+          success: false,
+          error: 'Response does not match the API document',
+          details,
+        });
+      }
+    }
+
+    return json(body);
+  };
+}
+
+/**
+ * Register a route on a router and record it as an API operation
+ * Requests are validated before the handlers run: invalid ones get a 400 with
+ * { success: false, error, details: [{ in, name, message }] }
+ * @param {Object} router - Express router
+ * @param {Object} operation - Operation definition
+ * @param {string} operation.method - HTTP method ('get', 'post', 'put' or 'delete')
+ * @param {string} operation.path - Express path relative to the router (e.g. '/:id')
+ * @param {string} operation.operationId - Unique name, also the generated client function's name
+ * @param {string} operation.summary - One-line description
+ * @param {string} operation.description - Longer description (optional)
+ * @param {string[]} operation.tags - Document sections
+ * @param {Object} operation.params - Path parameters by name ({ description, schema })
+ * @param {Object} operation.query - Query parameters by name ({ description, schema, required })
+ * @param {Object} operation.body - Request body ({ description, schema, contentType, required })
+ * @param {Object} operation.responses - Status code -> { description, schema, contentType }, or an error description
+ * @param {...Function} handlers - Express handlers
+ */
+function defineRoute(router, operation, ...handlers) {
+  for (const name of getPathParameterNames(operation.path)) {
+    if (!operation.params?.[name]) {
+      throw new Error(`${operation.operationId}: path parameter '${name}' is not defined`);
+    }
+  }
+
+  if (!operationsByRouter.has(router)) {
+    operationsByRouter.set(router, []);
+  }
+  operationsByRouter.get(router).push(operation);
+
+  router[operation.method](operation.path, createValidator(operation), ...handlers);
+}
+
+/**
+ * Describe a parameter for the API document
+ * @param {string} name - Parameter name
+ * @param {string} location - 'path' or 'query'
+ * @param {Object} parameter - { description, schema, required }
+ * @returns {Object} OpenAPI parameter object
+ */
+function describeParameter(name, location, { description, schema, required = false }) {
+  return {
+    name,
+    in: location,
+    ...(description ? { description } : {}),
+    required: location === 'path' || required,
+    schema,
+  };
+}
+
+/**
+ * Describe an operation for the API document
+ * @param {Object} operation - Operation definition
+ * @returns {Object} OpenAPI operation object
+ */
+function describeOperation(operation) {
+  const parameters = [
+    ...getPathParameterNames(operation.path).map(name => describeParameter(name, 'path', operation.params[name])),
+    ...Object.entries(operation.query ?? {}).map(([name, parameter]) => describeParameter(name, 'query', parameter)),
+  ];
+
+  const responses = {};
+  for (const [status, { description, schema, contentType }] of Object.entries(getResponses(operation))) {
+    responses[status] = { description, content: { [contentType]: { schema } } };
+  }
+
+  return {
+    operationId: operation.operationId,
+    summary: operation.summary,
+    ...(operation.description ? { description: operation.description } : {}),
+    tags: operation.tags,
+    parameters,
+    ...(operation.body ? {
+      requestBody: {
+        ...(operation.body.description ? { description: operation.body.description } : {}),
+        required: operation.body.required ?? true,
+        content: { [operation.body.contentType ?? JSON_CONTENT]: { schema: operation.body.schema } },
+      },
+    } : {}),
+    responses,
+  };
+}
+
+/**
+ * Build the OpenAPI document of the routes defined on the mounted routers
+ * @param {Array} mounts - [mountPath, router] pairs, in mounting order
+ * @param {Object} info - OpenAPI info object ({ title, version, description })
+ * @returns {Object} OpenAPI 3.1 document
+ */
+function buildOpenApiDocument(mounts, info) {
+  const paths = {};
+  const operationIDs = new Set();
+
+  for (const [mountPath, router] of mounts) {
+    for (const operation of operationsByRouter.get(router) || []) {
+      if (operationIDs.has(operation.operationId)) {
+        throw new Error(`Duplicate operationId: ${operation.operationId}`);
+      }
+      operationIDs.add(operation.operationId);
+
+      const fullPath = `${mountPath}${operation.path === '/' && mountPath ? '' : operation.path}`;
+      const path = fullPath.replace(/:(\w+)/g, '{$1}');
+
+      paths[path] = paths[path] || {};
+      paths[path][operation.method] = describeOperation(operation);
+    }
+  }
+
+  return {
+    openapi: '3.1.0',
+    info,
+    paths,
+    components: { schemas: COMPONENT_SCHEMAS },
+  };
+}
+
+/**
+ * Express handler answering unknown routes with a JSON 404
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+function notFoundHandler(req, res) {
+  res.status(404).json({
+    success: false,
+    error: `Not found: ${req.method} ${req.path}`,
+  });
+}
+
+/**
+ * Express error handler answering with the usual error body
+ * Covers errors raised outside route handlers, e.g. malformed JSON bodies (400)
+ * @param {Error} error - Error passed to next()
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next error handler
+ */
+function errorHandler(error, req, res, next) {
+  if (res.headersSent) {
+    return next(error);
+  }
+
+  const status = error.status >= 400 && error.status < 600 ? error.status : 500;
+  handleApiError(res, error, status);
+}
+
+if (!RESPONSE_VALIDATION_MODES.includes(config.api.responseValidation)) {
+  console.warn(`[API] Unknown API_RESPONSE_VALIDATION '${config.api.responseValidation}', expected one of: ${RESPONSE_VALIDATION_MODES.join(', ')}`);
+}
+
+export {
+  defineRoute,
+  buildOpenApiDocument,
+  notFoundHandler,
+  errorHandler,
+};
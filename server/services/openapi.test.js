@@ -0,0 +1,220 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach, vi } from 'vitest';
+import express from 'express';
+import config from '../config.js';
+import { defineRoute, notFoundHandler, errorHandler } from './openapi.js';
+import { successResponse } from './apiSchemas.js';
+
+const router = express.Router();
+
+defineRoute(router, {
+  method: 'get',
+  path: '/things/:id',
+  operationId: 'getThing',
+  summary: 'Echo the parsed parameters',
+  params: { id: { schema: { type: 'integer', minimum: 1 } } },
+  query: {
+    limit: { schema: { type: 'integer', minimum: 1, maximum: 100 } },
+    active: { schema: { type: 'boolean' } },
+    sort: { schema: { type: 'string', enum: ['name', 'price'] } },
+    code: { schema: { type: 'string', pattern: '^[A-Z]{3}$', description: 'three capital letters' } },
+  },
+  responses: {
+    200: { description: 'Parameters', schema: successResponse({ params: { type: 'object' }, query: { type: 'object' } }) },
+  },
+}, (req, res) => {
+  res.json({ success: true, params: req.params, query: req.query });
+});
+
+defineRoute(router, {
+  method: 'post',
+  path: '/things',
+  operationId: 'createThing',
+  summary: 'Accept a thing',
+  body: {
+    schema: {
+      type: 'object',
+      properties: { name: { type: 'string', minLength: 1 }, price: { type: 'number' } },
+      required: ['name'],
+      additionalProperties: false,
+    },
+  },
+  responses: {
+    201: { description: 'Created', schema: successResponse({ name: { type: 'string' } }) },
+  },
+}, (req, res) => {
+  res.status(201).json({ success: true, name: req.body.name });
+});
+
+// Answers with the status and count given in the query, documented as 200 with an integer count
+defineRoute(router, {
+  method: 'get',
+  path: '/count',
+  operationId: 'getCount',
+  summary: 'Answer with any count',
+  query: { status: { schema: { type: 'integer' } }, count: { schema: { type: 'string' } } },
+  responses: {
+    200: { description: 'Count', schema: successResponse({ count: { type: 'integer' } }) },
+  },
+}, (req, res) => {
+  const count = Number(req.query.count);
+  res.status(req.query.status ?? 200).json({ success: true, count: Number.isNaN(count) ? req.query.count : count });
+});
+
+describe('defineRoute', () => {
+  let server;
+  let baseUrl;
+  let warn;
+  const responseValidation = config.api.responseValidation;
+
+  /**
+   * Send a request to the test router
+   * @param {string} path - Request path
+   * @param {Object} body - JSON body (sends a POST)
+   * @returns {Promise<Object>} { status, body }
+   */
+  const request = async (path, body) => {
+    const response = await fetch(`${baseUrl}${path}`, body === undefined ? {} : {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use(router);
+    app.use(notFoundHandler);
+    app.use(errorHandler);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    config.api.responseValidation = 'strict';
+  });
+
+  afterEach(() => {
+    config.api.responseValidation = responseValidation;
+    vi.restoreAllMocks();
+  });
+
+  it('should coerce path and query parameters to their declared types', async () => {
+    expect(await request('/things/5?limit=10&active=true&sort=name')).toEqual({
+      status: 200,
+      body: { success: true, params: { id: 5 }, query: { limit: 10, active: true, sort: 'name' } },
+    });
+  });
+
+  it('should answer invalid parameters with a 400 listing every problem', async () => {
+    expect(await request('/things/0?limit=500&active=maybe')).toEqual({
+      status: 400,
+      body: {
+        success: false,
+        error: "Invalid path parameter 'id': must be >= 1",
+        details: [
+          { in: 'path', name: 'id', message: 'must be >= 1' },
+          { in: 'query', name: 'limit', message: 'must be <= 100' },
+          { in: 'query', name: 'active', message: 'must be boolean' },
+        ],
+      },
+    });
+  });
+
+  it('should describe enum and pattern mismatches', async () => {
+    expect((await request('/things/1?sort=size')).body.error).toBe("Invalid query parameter 'sort': must be one of: name, price");
+    expect((await request('/things/1?code=ab')).body.error).toBe("Invalid query parameter 'code': must be three capital letters");
+    expect((await request('/things/abc')).body.details).toEqual([{ in: 'path', name: 'id', message: 'must be integer' }]);
+  });
+
+  it('should validate JSON bodies', async () => {
+    expect(await request('/things', { name: 'Thing', price: 10 })).toEqual({ status: 201, body: { success: true, name: 'Thing' } });
+
+    expect(await request('/things', { price: '10' })).toEqual({
+      status: 400,
+      body: {
+        success: false,
+        error: "Invalid body field 'name': is required",
+        details: [
+          { in: 'body', name: 'name', message: 'is required' },
+          { in: 'body', name: 'price', message: 'must be number' },
+        ],
+      },
+    });
+    expect((await request('/things', { name: 'Thing', colour: 'red' })).body.error).toBe("Invalid body field 'colour': is not allowed");
+    expect((await request('/things', [])).body.error).toBe('Invalid request body: must be object');
+  });
+
+  it('should answer malformed JSON and unknown routes with the error body', async () => {
+    const malformed = await fetch(`${baseUrl}/things`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{' });
+    expect(malformed.status).toBe(400);
+    expect(await malformed.json()).toMatchObject({ success: false, error: expect.any(String) });
+
+    expect(await request('/missing')).toEqual({ status: 404, body: { success: false, error: 'Not found: GET /missing' } });
+  });
+
+  it('should reject operations that do not define their path parameters', () => {
+    expect(() => defineRoute(express.Router(), { method: 'get', path: '/:id', operationId: 'undefinedParam', responses: {} }, () => {}))
+      .toThrow("undefinedParam: path parameter 'id' is not defined");
+  });
+
+  describe('response checking', () => {
+    it('should pass matching responses in every mode', async () => {
+      for (const mode of ['off', 'warn', 'strict']) {
+        config.api.responseValidation = mode;
+        expect(await request('/count?count=3')).toEqual({ status: 200, body: { success: true, count: 3 } });
+      }
+      expect(warn).not.toHaveBeenCalled();
+    });
+
+    it('should not check responses when off', async () => {
+      config.api.responseValidation = 'off';
+
+      expect(await request('/count?count=many')).toEqual({ status: 200, body: { success: true, count: 'many' } });
+      expect(warn).not.toHaveBeenCalled();
+    });
+
+    it('should log mismatches and send the response anyway in warn mode', async () => {
+      config.api.responseValidation = 'warn';
+
+      expect(await request('/count?count=many')).toEqual({ status: 200, body: { success: true, count: 'many' } });
+      expect(warn).toHaveBeenCalledWith('[API] Response of getCount (200) does not match the API document: count must be integer');
+    });
+
+    it('should replace mismatching and undocumented responses with a 500 in strict mode', async () => {
+      expect(await request('/count?count=many')).toEqual({
+        status: 500,
+        body: {
+          success: false,
+          error: 'Response does not match the API document',
+          details: [{ in: 'response', name: 'count', message: 'must be integer' }],
+        },
+      });
+      expect((await request('/count?count=3&status=202')).body.details).toEqual([
+        { in: 'response', name: '', message: 'status 202 is not documented' },
+      ]);
+    });
+
+    it('should check error responses against the error schema', async () => {
+      // Every operation documents 400 and 500 with the error body
+      expect(await request('/count?count=3&status=500')).toEqual({
+        status: 500,
+        body: {
+          success: false,
+          error: 'Response does not match the API document',
+          details: [
+            { in: 'response', name: 'error', message: 'is required' },
+            { in: 'response', name: 'success', message: 'must be equal to constant' },
+          ],
+        },
+      });
+    });
+  });
+});
@@ -0,0 +1,313 @@
+/**
+ * Real-time Ingestion
+ *
+ * Optional connection to the Universalis WebSocket feed (REALTIME_INGESTION=true).
+ * Subscribes to listing add/remove and sale events of every world that
+ * belongs to a tracked world, data center or region, decodes the BSON
+ * messages and hands them to a handler that applies them to the stored items.
+ * Scheduled polling continues as a reconciliation pass. A dropped connection
+ * is re-established with backoff.
+ *
+ * Received events can be recorded to a JSON-lines file (REALTIME_RECORD_FILE)
+ * and replayed locally with server/replayServer.js.
+ */
+
+import { createWriteStream } from 'fs';
+import WebSocket from 'ws';
+import { serialize, deserialize } from 'bson';
+import { getBackoffDelay } from '../utils/common.js';
+import { fetchWorldIndex } from './universalisClient.js';
+import config from '../config.js';
+
+const SETTINGS = config.realtime;
+
+// Subscribed event channels
+const CHANNELS = ['listings/add', 'listings/remove', 'sales/add'];
+
+// Reconnect backoff
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 60 * 1000;
+
+// Tracked names that Universalis calls differently in its data center list
+const REGION_ALIASES = {
+  china: '中国',
+  korea: '한국',
+};
+
+let socket = null;
+let eventHandler = null;
+let stopped = true;
+let reconnectTimer = null;
+let reconnectAttempts = 0;
+let recorder = null;
+let recordingStartedAt = null;
+
+// World ID -> { name, tracked: tracked worlds/data centers/regions it belongs to }
+let worldMap = new Map();
+
+const stats = {
+  connected: false,
+  connectedAt: null,
+  reconnects: 0,
+  subscriptions: 0,
+  received: {},
+  applied: 0,
+  ignored: 0,
+  errors: 0,
+  lastEventAt: null,
+  lastError: null,
+};
+
+/**
+ * Map world IDs to the tracked worlds, data centers and regions they belong to
+ * @param {Object} index - { worlds: [{ id, name }], dataCenters: [{ name, region, worlds }] }
+ * @param {string[]} trackedNames - Tracked world/data center/region names
+ * @returns {Map<number, Object>} World ID -> { name, tracked }
+ */
+function buildWorldMap(index, trackedNames) {
+  const worldNames = new Map(index.worlds.map(world => [world.id, world.name]));
+  const map = new Map();
+
+  const add = (worldID, tracked) => {
+    if (!worldNames.has(worldID)) {
+      return;
+    }
+    const entry = map.get(worldID) || { name: worldNames.get(worldID), tracked: [] };
+    if (!entry.tracked.includes(tracked)) {
+      entry.tracked.push(tracked);
+    }
+    map.set(worldID, entry);
+  };
+
+  for (const tracked of trackedNames) {
+    const name = tracked.toLowerCase();
+    const alias = REGION_ALIASES[name]?.toLowerCase();
+    const world = index.worlds.find(entry => entry.name.toLowerCase() === name);
+
+    if (world) {
+      add(world.id, tracked);
+      continue;
+    }
+
+    const dataCenters = index.dataCenters.filter(dc => [name, alias].includes(dc.name?.toLowerCase())
+      || [name, alias].includes(dc.region?.toLowerCase()));
+
+    if (dataCenters.length === 0) {
+      console.warn(`[Realtime] No Universalis worlds found for ${tracked}, it is only polled`);
+    }
+    for (const dc of dataCenters) {
+      for (const worldID of dc.worlds || []) {
+        add(worldID, tracked);
+      }
+    }
+  }
+
+  return map;
+}
+
+/**
+ * Start a new recording with the world index as its first line
+ * A previous recording in the file is replaced: event times are counted from
+ * the start of the recording, so appended sessions would replay out of order
+ * @param {Object} index - World index
+ */
+function startRecording(index) {
+  if (!SETTINGS.recordFile || recorder) {
+    return;
+  }
+
+  recorder = createWriteStream(SETTINGS.recordFile, { flags: 'w' });
+  recorder.write(`${JSON.stringify({ worlds: index.worlds, dataCenters: index.dataCenters })}\n`);
+  recordingStartedAt = Date.now();
+  console.log(`[Realtime] Recording events to ${SETTINGS.recordFile}`);
+}
+
+/**
+ * Handle one message from the feed
+ * @param {Buffer} data - BSON encoded message
+ */
+function handleMessage(data) {
+  let message;
+  try {
+    message = deserialize(data);
+  } catch (error) {
+    stats.errors++;
+    stats.lastError = { message: `Could not decode message: ${error.message}`, at: Date.now() };
+    return;
+  }
+
+  stats.lastEventAt = Date.now();
+  stats.received[message.event] = (stats.received[message.event] || 0) + 1;
+  recorder?.write(`${JSON.stringify({ at: Date.now() - recordingStartedAt, event: message })}\n`);
+
+  const world = worldMap.get(message.world);
+  if (!world || !CHANNELS.includes(message.event)) {
+    stats.ignored++;
+    return;
+  }
+
+  // A world can belong to several tracked names (e.g. its data center and its region)
+  for (const tracked of world.tracked) {
+    try {
+      const applied = eventHandler(message.item, tracked, {
+        type: message.event,
+        worldId: message.world,
+        worldName: world.name,
+        listings: message.listings || [],
+        sales: message.sales || [],
+      });
+      if (applied) {
+        stats.applied++;
+      } else {
+        stats.ignored++;
+      }
+    } catch (error) {
+      stats.errors++;
+      stats.lastError = { message: error.message, at: Date.now() };
+      console.error(`[Realtime] Could not apply ${message.event} for item ${message.item}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Connect again after a delay that grows with every failed attempt
+ */
+function scheduleReconnect() {
+  if (stopped || reconnectTimer) {
+    return;
+  }
+
+  const waitMs = getBackoffDelay(reconnectAttempts++, RECONNECT_BASE_MS, RECONNECT_MAX_MS);
+  stats.reconnects++;
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    connect();
+  }, waitMs);
+}
+
+/**
+ * Resolve the tracked worlds, connect and subscribe
+ * @returns {Promise<void>}
+ */
+async function connect() {
+  if (stopped) {
+    return;
+  }
+
+  if (worldMap.size === 0) {
+    try {
+      const index = await fetchWorldIndex(SETTINGS.worldsUrl || undefined);
+      worldMap = buildWorldMap(index, config.worlds);
+      startRecording(index);
+    } catch (error) {
+      stats.lastError = { message: `Could not read the world list: ${error.message}`, at: Date.now() };
+      console.error('[Realtime] Could not read the world list:', error.message);
+      scheduleReconnect();
+      return;
+    }
+
+    if (worldMap.size === 0) {
+      console.error('[Realtime] None of the tracked worlds are known to Universalis, not connecting');
+      return;
+    }
+  }
+
+  const ws = new WebSocket(SETTINGS.url);
+  socket = ws;
+
+  ws.on('open', () => {
+    reconnectAttempts = 0;
+    stats.connected = true;
+    stats.connectedAt = Date.now();
+
+    for (const worldID of worldMap.keys()) {
+      for (const channel of CHANNELS) {
+        ws.send(serialize({ event: 'subscribe', channel: `${channel}{world=${worldID}}` }));
+      }
+    }
+    stats.subscriptions = worldMap.size * CHANNELS.length;
+    console.log(`[Realtime] Connected to ${SETTINGS.url}, subscribed to ${worldMap.size} worlds`);
+  });
+
+  ws.on('message', handleMessage);
+
+  ws.on('error', (error) => {
+    stats.errors++;
+    stats.lastError = { message: error.message, at: Date.now() };
+    console.error('[Realtime] Connection error:', error.message);
+  });
+
+  ws.on('close', () => {
+    if (stats.connected) {
+      console.warn('[Realtime] Connection closed, reconnecting');
+    }
+    stats.connected = false;
+    if (socket === ws) {
+      socket = null;
+    }
+    scheduleReconnect();
+  });
+}
+
+/**
+ * Start real-time ingestion
+ * @param {Function} onEvent - (itemID, world, event) => boolean, applies an event to
+ *   a stored item and returns whether it was applied. event: { type, worldId, worldName, listings, sales }
+ */
+function startRealtime(onEvent) {
+  eventHandler = onEvent;
+  stopped = false;
+  connect();
+}
+
+/**
+ * Stop real-time ingestion and close the connection and record file
+ */
+function stopRealtime() {
+  stopped = true;
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+  socket?.close();
+  socket = null;
+  recorder?.end();
+  recorder = null;
+}
+
+/**
+ * Check whether a tracked world is currently kept up to date by the feed
+ * @param {string} world - Tracked world/data center/region
+ * @returns {boolean} True if connected and subscribed to the world
+ */
+function isRealtimeActive(world) {
+  if (!stats.connected) {
+    return false;
+  }
+  for (const entry of worldMap.values()) {
+    if (entry.tracked.includes(world)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Get the connection state and event counts
+ * @returns {Object} Real-time ingestion statistics
+ */
+function getRealtimeStats() {
+  return {
+    enabled: SETTINGS.enabled,
+    url: SETTINGS.enabled ? SETTINGS.url : null,
+    reconcileSeconds: SETTINGS.reconcileSeconds,
+    worlds: worldMap.size,
+    ...stats,
+  };
+}
+
+export {
+  startRealtime,
+  stopRealtime,
+  isRealtimeActive,
+  getRealtimeStats,
+  CHANNELS,
+};
@@ -0,0 +1,271 @@
+/**
+ * Adaptive Refresh Intervals
+ *
+ * Chooses when each item is fetched next from what its recent data shows:
+ * how fast its price moves, how often it sells, how often Universalis
+ * actually receives uploads for it and how long its data has stayed the
+ * same. Intervals stay within the configured
+ * bounds and are stretched evenly when the tracked items would need more
+ * requests than the global budget allows.
+ */
+
+import config from '../config.js';
+import { HOUR_MS, DAY_MS } from '../utils/timeseries.js';
+import { getStorage } from './storage/index.js';
+import { MAX_ITEMS_PER_CALL } from './universalisClient.js';
+import { isRealtimeActive } from './realtime.js';
+
+const SETTINGS = config.refresh;
+const MIN_INTERVAL = SETTINGS.minIntervalSeconds * 1000;
+const MAX_INTERVAL = Math.max(SETTINGS.maxIntervalSeconds * 1000, MIN_INTERVAL);
+const SIGNAL_WINDOW = SETTINGS.windowHours * HOUR_MS;
+const RECONCILE_INTERVAL = config.realtime.reconcileSeconds * 1000;
+
+// Sales are counted by Universalis over the 7-day history window we request
+const SALES_WINDOW_DAYS = 7;
+
+// Uploads must span a quarter of the signal window before their frequency limits fetching
+const MIN_UPLOAD_SPAN = SIGNAL_WINDOW / 4;
+
+// Unbounded intervals by "itemId|world" and the item fetches per hour they add up to
+const baseIntervals = new Map();
+let fetchesPerHour = 0;
+let seeded = false;
+
+/**
+ * Limit an interval to the configured bounds
+ * @param {number} interval - Interval in ms
+ * @returns {number} Bounded interval
+ */
+function clampInterval(interval) {
+  return Math.min(Math.max(interval, MIN_INTERVAL), MAX_INTERVAL);
+}
+
+/**
+ * Record an item's unbounded interval for the request budget
+ * @param {string} key - "itemId|world"
+ * @param {number} interval - Unbounded interval in ms
+ */
+function setBaseInterval(key, interval) {
+  if (baseIntervals.has(key)) {
+    fetchesPerHour -= HOUR_MS / clampInterval(baseIntervals.get(key));
+  }
+  baseIntervals.set(key, interval);
+  fetchesPerHour += HOUR_MS / clampInterval(interval);
+}
+
+/**
+ * Load the intervals of already stored items once, so the budget is right after a restart
+ */
+function seedBaseIntervals() {
+  if (seeded) {
+    return;
+  }
+  seeded = true;
+
+  for (const world of config.worlds) {
+    for (const item of getStorage().getAllItems(world)) {
+      const interval = item.refresh?.baseIntervalMs ?? (item.nextUpdate - item.lastUpdate);
+      if (interval > 0) {
+        setBaseInterval(`${item.id}|${world}`, interval);
+      }
+    }
+  }
+}
+
+/**
+ * Get the factor all intervals are stretched by to stay within the request budget
+ * @returns {number} Factor (1 = within budget)
+ */
+function getBudgetFactor() {
+  const requestsPerHour = fetchesPerHour / MAX_ITEMS_PER_CALL;
+  return Math.max(1, requestsPerHour / SETTINGS.requestBudgetPerHour);
+}
+
+/**
+ * Get the relative minimum price change per hour over a series of snapshots
+ * @param {Object[]} snapshots - Snapshots ordered by recordedAt
+ * @returns {number|null} Summed relative change per hour, or null without two priced snapshots
+ */
+function getPriceChangeRate(snapshots) {
+  const priced = snapshots.filter(snapshot => snapshot.minPrice > 0);
+  if (priced.length < 2) {
+    return null;
+  }
+
+  const spanHours = (priced[priced.length - 1].recordedAt - priced[0].recordedAt) / HOUR_MS;
+  if (spanHours <= 0) {
+    return null;
+  }
+
+  let change = 0;
+  for (let i = 1; i < priced.length; i++) {
+    change += Math.abs(priced[i].minPrice - priced[i - 1].minPrice) / priced[i - 1].minPrice;
+  }
+  return change / spanHours;
+}
+
+/**
+ * Get the number of sales per day from Universalis market data
+ * @param {Object} marketData - Market data from API
+ * @returns {number|null} Sales per day or null if unknown
+ */
+function getSalesPerDay(marketData) {
+  if (typeof marketData.regularSaleVelocity === 'number') {
+    return marketData.regularSaleVelocity;
+  }
+  if (typeof marketData.unitsSold === 'number') {
+    return marketData.unitsSold / SALES_WINDOW_DAYS;
+  }
+  return null;
+}
+
+/**
+ * Get the average time between the distinct uploads seen in a series of snapshots
+ * A few uploads close together say little about how often new data arrives,
+ * so the uploads have to span MIN_UPLOAD_SPAN
+ * @param {Object[]} snapshots - Snapshots ordered by recordedAt
+ * @returns {number|null} Interval in ms or null if it doesn't limit fetching
+ */
+function getUploadInterval(snapshots) {
+  const uploads = [...new Set(snapshots.map(snapshot => snapshot.lastUploadTime).filter(Boolean))]
+    .sort((a, b) => a - b);
+  if (uploads.length < 2) {
+    return null;
+  }
+
+  const span = uploads[uploads.length - 1] - uploads[0];
+  return span >= MIN_UPLOAD_SPAN ? span / (uploads.length - 1) : null;
+}
+
+/**
+ * Choose an item's unbounded interval and the signal that decided it
+ * @param {Object} signals - { priceChangePerHour, salesPerDay, uploadIntervalMs, unchangedForMs }
+ * @returns {Object} { interval, reason }
+ */
+function chooseInterval({ priceChangePerHour, salesPerDay, uploadIntervalMs, unchangedForMs }) {
+  const candidates = [];
+
+  if (priceChangePerHour > 0) {
+    candidates.push({
+      interval: (SETTINGS.priceChangePercent / 100 / priceChangePerHour) * HOUR_MS,
+      reason: 'price-volatility',
+    });
+  }
+
+  if (salesPerDay > 0) {
+    candidates.push({
+      interval: (SETTINGS.salesPerRefresh / salesPerDay) * DAY_MS,
+      reason: 'sale-velocity',
+    });
+  }
+
+  // Neither the price nor sales are moving
+  let chosen = candidates.length > 0
+    ? candidates.reduce((best, candidate) => (candidate.interval < best.interval ? candidate : best))
+    : { interval: MAX_INTERVAL, reason: 'quiet' };
+
+  // No point fetching more often than new data arrives
+  if (uploadIntervalMs !== null && uploadIntervalMs > chosen.interval) {
+    chosen = { interval: uploadIntervalMs, reason: 'upload-frequency' };
+  }
+
+  // After fetches that found nothing new, wait at least as long as the data has stayed the same
+  if (unchangedForMs !== null && unchangedForMs > chosen.interval) {
+    chosen = { interval: unchangedForMs, reason: 'unchanged' };
+  }
+
+  return chosen;
+}
+
+/**
+ * Work out when an item should be fetched next
+ * Call after the current snapshot has been stored
+ * @param {number} itemID - Item ID
+ * @param {string} world - World/data center
+ * @param {Object} marketData - Market data from API
+ * @param {number} classificationInterval - Fixed interval of the item's classification (ms)
+ * @param {number} now - Fetch timestamp (default: Date.now())
+ * @param {Object} changes - How long the item's data has stayed the same
+ * @param {number} changes.unchangedCount - Fetches in a row that found no change (default: 0)
+ * @param {number|null} changes.lastChangedAt - When the data last changed (default: null)
+ * @returns {Object} Refresh details: intervalMs, baseIntervalMs, reason, limitedBy, budgetFactor, signals, computedAt
+ */
+function computeRefresh(itemID, world, marketData, classificationInterval, now = Date.now(), { unchangedCount = 0, lastChangedAt = null } = {}) {
+  seedBaseIntervals();
+
+  const snapshots = getStorage().getPriceSnapshots(itemID, world, now - SIGNAL_WINDOW, now);
+  const signals = {
+    priceChangePerHour: getPriceChangeRate(snapshots),
+    salesPerDay: getSalesPerDay(marketData),
+    uploadIntervalMs: getUploadInterval(snapshots),
+    unchangedFetches: unchangedCount,
+    unchangedForMs: unchangedCount > 0 && lastChangedAt !== null ? now - lastChangedAt : null,
+    snapshots: snapshots.length,
+  };
+
+  // Without price history (or with adaptive intervals turned off) the classification decides
+  const { interval: chosenInterval, reason } = SETTINGS.adaptive && marketData.hasData && signals.priceChangePerHour !== null
+    ? chooseInterval(signals)
+    : { interval: classificationInterval, reason: 'classification' };
+
+  // Worlds covered by the real-time feed are only polled to reconcile
+  const realtime = isRealtimeActive(world) && chosenInterval < RECONCILE_INTERVAL;
+  const baseInterval = realtime ? RECONCILE_INTERVAL : chosenInterval;
+
+  setBaseInterval(`${itemID}|${world}`, baseInterval);
+
+  const budgetFactor = getBudgetFactor();
+  const bounded = clampInterval(baseInterval);
+  const intervalMs = Math.round(clampInterval(bounded * budgetFactor));
+
+  let limitedBy = null;
+  if (intervalMs > bounded) {
+    limitedBy = 'budget';
+  } else if (realtime) {
+    limitedBy = 'realtime';
+  } else if (baseInterval < MIN_INTERVAL) {
+    limitedBy = 'min';
+  } else if (baseInterval > MAX_INTERVAL) {
+    limitedBy = 'max';
+  }
+
+  return {
+    intervalMs,
+    baseIntervalMs: Math.round(baseInterval),
+    reason,
+    limitedBy,
+    budgetFactor: Math.round(budgetFactor * 100) / 100,
+    signals: {
+      ...signals,
+      priceChangePerHour: signals.priceChangePerHour !== null
+        ? Math.round(signals.priceChangePerHour * 10000) / 10000
+        : null,
+      uploadIntervalMs: signals.uploadIntervalMs !== null ? Math.round(signals.uploadIntervalMs) : null,
+    },
+    computedAt: now,
+  };
+}
+
+/**
+ * Get the refresh settings and the current request demand
+ * @returns {Object} Bounds, budget, estimated requests per hour and the budget factor
+ */
+function getRefreshStats() {
+  seedBaseIntervals();
+
+  return {
+    adaptive: SETTINGS.adaptive,
+    minIntervalSeconds: MIN_INTERVAL / 1000,
+    maxIntervalSeconds: MAX_INTERVAL / 1000,
+    requestBudgetPerHour: SETTINGS.requestBudgetPerHour,
+    estimatedRequestsPerHour: Math.round(fetchesPerHour / MAX_ITEMS_PER_CALL),
+    budgetFactor: Math.round(getBudgetFactor() * 100) / 100,
+  };
+}
+
+export {
+  clampInterval,
+  computeRefresh,
+  getRefreshStats,
+};
@@ -0,0 +1,78 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import config from '../config.js';
+import { HOUR_MS } from '../utils/timeseries.js';
+import { initializeStorage, getStorage, closeStorage } from './storage/index.js';
+import { computeRefresh } from './refreshPolicy.js';
+
+const WORLD = config.defaultWorld;
+const NOW = 1760860800000;
+const CLASSIFICATION_INTERVAL = 24 * HOUR_MS;
+const MARKET_DATA = { hasData: true };
+
+// A price that moves 10% between every snapshot, which alone asks for a refresh about every 2 hours
+const PRICES = [1000, 1100, 1000, 1100];
+
+/**
+ * Store snapshots of an item and work out its next refresh
+ * @param {number} itemID - Item ID
+ * @param {Array<[number, number]>} observations - [hours before now, hours before now of the last upload] per snapshot
+ * @returns {Object} Refresh details
+ */
+function refreshAfter(itemID, observations) {
+  observations.forEach(([recordedHoursAgo, uploadHoursAgo], index) => {
+    getStorage().insertPriceSnapshot({
+      itemId: itemID,
+      world: WORLD,
+      recordedAt: NOW - recordedHoursAgo * HOUR_MS,
+      minPrice: PRICES[index % PRICES.length],
+      lastUploadTime: NOW - uploadHoursAgo * HOUR_MS,
+    });
+  });
+  return computeRefresh(itemID, WORLD, MARKET_DATA, CLASSIFICATION_INTERVAL, NOW);
+}
+
+beforeAll(() => {
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  initializeStorage({ adapter: 'memory' });
+});
+
+afterAll(() => {
+  closeStorage();
+  vi.restoreAllMocks();
+});
+
+describe('computeRefresh', () => {
+  it('should not fetch more often than new uploads arrive', () => {
+    const refresh = refreshAfter(1, [[12, 12], [8, 8], [4, 4], [0, 0]]);
+
+    expect(refresh.reason).toBe('upload-frequency');
+    expect(refresh.signals.uploadIntervalMs).toBe(4 * HOUR_MS);
+    expect(refresh.intervalMs).toBe(4 * HOUR_MS);
+  });
+
+  it('should time uploads by their upload time, not when they were fetched', () => {
+    // Fetched 3 hours apart, uploaded 5 hours apart
+    const refresh = refreshAfter(2, [[9, 15], [6, 10], [3, 5], [0, 0]]);
+
+    expect(refresh.signals.uploadIntervalMs).toBe(5 * HOUR_MS);
+  });
+
+  it('should count an upload seen by several fetches once', () => {
+    const refresh = refreshAfter(3, [[12, 12], [9, 12], [6, 6], [0, 0]]);
+
+    expect(refresh.signals.uploadIntervalMs).toBe(6 * HOUR_MS);
+  });
+
+  it('should ignore uploads that span less than a quarter of the signal window', () => {
+    const refresh = refreshAfter(4, [[3, 3], [2, 2], [1, 1], [0, 0]]);
+
+    expect(refresh.signals.uploadIntervalMs).toBeNull();
+    expect(refresh.reason).toBe('price-volatility');
+  });
+
+  it('should ignore the upload frequency with a single upload', () => {
+    const refresh = refreshAfter(5, [[12, 12], [8, 12], [4, 12], [0, 12]]);
+
+    expect(refresh.signals.uploadIntervalMs).toBeNull();
+  });
+});
@@ -0,0 +1,235 @@
+/**
+ * Replay
+ *
+ * Stand-in for the Universalis API and WebSocket feed that replays a
+ * recording (see REALTIME_RECORD_FILE), used by server/replayServer.js.
+ * Serves the recorded world and data center lists, market data of the
+ * recorded items from a fixture, and the WebSocket endpoint:
+ *   GET /api/v2/worlds, /api/v2/data-centers
+ *   GET /api/v2/{world}/{itemIDs}
+ *   WS  /api/ws
+ *
+ * Without market data the server can't fetch the recorded items, and events
+ * of items that were never fetched are not applied.
+ */
+
+import { createServer } from 'http';
+import { readFileSync } from 'fs';
+import { WebSocketServer } from 'ws';
+import { serialize, deserialize } from 'bson';
+
+const MARKET_PATH = /^\/api\/v2\/([^/]+)\/(\d+(?:,\d+)*)$/;
+
+/**
+ * Read a recording
+ * @param {string} file - JSON-lines file, the world index followed by { at, event } lines
+ * @returns {Object} { index: { worlds, dataCenters }, events: [{ at, event }] }
+ */
+function readRecording(file) {
+  const lines = readFileSync(file, 'utf8').split('\n').filter(line => line.trim() !== '');
+  if (lines.length === 0) {
+    throw new Error(`${file} is empty`);
+  }
+
+  const index = JSON.parse(lines[0]);
+  if (!Array.isArray(index.worlds) || !Array.isArray(index.dataCenters)) {
+    throw new Error(`${file} does not start with a world index`);
+  }
+
+  return {
+    index,
+    events: lines.slice(1).map(line => JSON.parse(line)),
+  };
+}
+
+/**
+ * Get the market data fixture that belongs to a recording
+ * @param {string} file - Recording file (foo.jsonl)
+ * @returns {string} Fixture file (foo.market.json)
+ */
+function getMarketFile(file) {
+  return `${file.replace(/\.jsonl$/, '')}.market.json`;
+}
+
+/**
+ * Read a market data fixture
+ * @param {string} file - JSON file of Universalis market data keyed by item ID
+ * @returns {Object} Market data by item ID
+ */
+function readMarketData(file) {
+  const market = JSON.parse(readFileSync(file, 'utf8'));
+  if (!market || typeof market !== 'object' || Array.isArray(market)) {
+    throw new Error(`${file} is not an object of market data keyed by item ID`);
+  }
+  return market;
+}
+
+/**
+ * Check whether a client subscription matches an event
+ * @param {string} channel - Subscribed channel, e.g. "listings/add{world=4028}" or "sales/add"
+ * @param {Object} event - Feed event
+ * @returns {boolean} True if the event belongs to the channel
+ */
+function matchesChannel(channel, event) {
+  const match = /^([^{]+)(?:\{world=(\d+)\})?$/.exec(channel);
+  if (!match || match[1] !== event.event) {
+    return false;
+  }
+  return match[2] === undefined || Number(match[2]) === event.world;
+}
+
+/**
+ * Build a market data response like Universalis does
+ * The fixture's data is served for every world and data center, with the
+ * listings and history cut to the requested number of entries
+ * @param {Object} market - Market data by item ID
+ * @param {Object} index - World index
+ * @param {string} worldName - Requested world or data center
+ * @param {number[]} itemIDs - Requested item IDs
+ * @param {URLSearchParams} query - Query parameters (listings, entries)
+ * @returns {Object|null} Response body, or null if none of the items are known
+ */
+function getMarketResponse(market, index, worldName, itemIDs, query) {
+  const world = index.worlds.find(entry => entry.name === worldName);
+  const scope = world ? { worldID: world.id, worldName } : { dcName: worldName };
+  const listingsLimit = query.has('listings') ? parseInt(query.get('listings'), 10) : Infinity;
+  const entriesLimit = query.has('entries') ? parseInt(query.get('entries'), 10) : Infinity;
+
+  const items = {};
+  for (const itemID of itemIDs) {
+    const data = market[itemID];
+    if (data) {
+      items[itemID] = {
+        itemID,
+        ...scope,
+        ...data,
+        listings: (data.listings || []).slice(0, listingsLimit),
+        recentHistory: (data.recentHistory || []).slice(0, entriesLimit),
+      };
+    }
+  }
+
+  if (itemIDs.length === 1) {
+    return items[itemIDs[0]] ?? null;
+  }
+  return {
+    itemIDs,
+    items,
+    ...scope,
+    unresolvedItems: itemIDs.filter(itemID => !items[itemID]),
+  };
+}
+
+/**
+ * Create a replay server (not listening yet)
+ * Playback starts with the first subscription. Events are sent BSON encoded
+ * to the clients subscribed to their channel, like the live feed does
+ * @param {Object} recording - { index, events } from readRecording
+ * @param {Object} options - Replay options
+ * @param {Object} options.market - Market data by item ID (default: none)
+ * @param {number} options.speed - Playback speed factor, 2 = twice as fast (default: 1)
+ * @param {boolean} options.loop - Start over when the recording ends (default: false)
+ * @returns {Server} HTTP server with the WebSocket endpoint attached
+ */
+function createReplayServer({ index, events }, { market = {}, speed = 1, loop = false } = {}) {
+  const server = createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const routes = {
+      '/api/v2/worlds': index.worlds,
+      '/api/v2/data-centers': index.dataCenters,
+    };
+    let body = routes[url.pathname];
+
+    const marketMatch = !body && MARKET_PATH.exec(url.pathname);
+    if (marketMatch) {
+      const itemIDs = marketMatch[2].split(',').map(Number);
+      body = getMarketResponse(market, index, decodeURIComponent(marketMatch[1]), itemIDs, url.searchParams);
+    }
+
+    res.writeHead(body ? 200 : 404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body ?? { error: 'Not found' }));
+  });
+
+  const wss = new WebSocketServer({ server, path: '/api/ws' });
+  const subscriptions = new Map(); // client -> Set of channels
+  let playing = false;
+  let timer = null;
+
+  /**
+   * Send events one after another, waiting the recorded time between them
+   * @param {number} position - Index of the next event
+   */
+  const play = (position) => {
+    if (position >= events.length) {
+      if (!loop) {
+        console.log('[Replay] Recording finished');
+        playing = false;
+        return;
+      }
+      position = 0;
+    }
+
+    const { event } = events[position];
+    const data = serialize(event);
+    for (const [client, channels] of subscriptions) {
+      if ([...channels].some(channel => matchesChannel(channel, event))) {
+        client.send(data);
+      }
+    }
+
+    const next = events[position + 1] ?? events[0];
+    const waitMs = position + 1 < events.length ? Math.max(next.at - events[position].at, 0) : 1000;
+    timer = setTimeout(() => play(position + 1), waitMs / speed);
+  };
+
+  wss.on('connection', (client) => {
+    subscriptions.set(client, new Set());
+
+    client.on('message', (data) => {
+      let message;
+      try {
+        message = deserialize(data);
+      } catch {
+        return;
+      }
+
+      const channels = subscriptions.get(client);
+      if (message.event === 'subscribe') {
+        channels.add(message.channel);
+      } else if (message.event === 'unsubscribe') {
+        channels.delete(message.channel);
+      }
+
+      if (!playing && events.length > 0 && channels.size > 0) {
+        playing = true;
+        console.log(`[Replay] Playing ${events.length} events at ${speed}x`);
+        // The first event is also sent at its recorded time, after the client's other subscriptions
+        timer = setTimeout(() => play(0), events[0].at / speed);
+      }
+    });
+
+    client.on('close', () => subscriptions.delete(client));
+  });
+
+  // Feed clients would keep the server open, closing it disconnects them and stops playback
+  const closeServer = server.close.bind(server);
+  server.close = (callback) => {
+    clearTimeout(timer);
+    playing = false;
+    for (const client of wss.clients) {
+      client.terminate();
+    }
+    wss.close();
+    return closeServer(callback);
+  };
+
+  return server;
+}
+
+export {
+  readRecording,
+  getMarketFile,
+  readMarketData,
+  matchesChannel,
+  createReplayServer,
+};
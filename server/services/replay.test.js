@@ -0,0 +1,165 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { fileURLToPath } from 'url';
+import { mkdtempSync, rmSync, writeFileSync, readFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { readRecording, getMarketFile, readMarketData, matchesChannel, createReplayServer } from './replay.js';
+
+const SAMPLE_FILE = fileURLToPath(new URL('../replay/sample.jsonl', import.meta.url));
+const ITEM_IDS = [43983, 44041, 44043];
+
+describe('matchesChannel', () => {
+  const event = { event: 'listings/add', world: 1042 };
+
+  it('should match the event type of every world', () => {
+    expect(matchesChannel('listings/add', event)).toBe(true);
+    expect(matchesChannel('sales/add', event)).toBe(false);
+  });
+
+  it('should match the event type of one world', () => {
+    expect(matchesChannel('listings/add{world=1042}', event)).toBe(true);
+    expect(matchesChannel('listings/add{world=1044}', event)).toBe(false);
+  });
+});
+
+describe('replaying the sample recording', () => {
+  const recording = readRecording(SAMPLE_FILE);
+  let server;
+  let baseUrl;
+  let itemManager;
+  let realtime;
+  let storage;
+  let tempDir;
+  let recordFile;
+
+  /**
+   * Get a stored item's listing IDs
+   * @param {number} itemID - Item ID
+   * @param {string} world - Tracked world/data center
+   * @returns {string[]} Listing IDs, cheapest first
+   */
+  const getListingIDs = (itemID, world) => itemManager.getItem(itemID, world).marketData.listings
+    .map(listing => listing.listingID);
+
+  /**
+   * Get the buyers of a stored item's sales in the ledger
+   * @param {number} itemID - Item ID
+   * @param {string} world - Tracked world/data center
+   * @returns {string[]} Buyer names
+   */
+  const getBuyers = (itemID, world) => itemManager.getItemSales(itemID, { world }).sales
+    .map(sale => sale.buyerName);
+
+  beforeAll(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    server = createReplayServer(recording, { market: readMarketData(getMarketFile(SAMPLE_FILE)), speed: 100 });
+    await new Promise(resolve => server.listen(0, resolve));
+    baseUrl = `localhost:${server.address().port}`;
+
+    // A previous session's recording, to be replaced by this one
+    tempDir = mkdtempSync(join(tmpdir(), 'mehrwert-replay-'));
+    recordFile = join(tempDir, 'recording.jsonl');
+    writeFileSync(recordFile, `${JSON.stringify(recording.index)}\n${JSON.stringify({ at: 99999, event: recording.events[0].event })}\n`);
+
+    // The configuration is read when the server modules are first imported
+    Object.assign(process.env, {
+      WORLDS: '陆行鸟,莫古力',
+      REALTIME_INGESTION: 'true',
+      UNIVERSALIS_API_URL: `http://${baseUrl}/api/v2`,
+      UNIVERSALIS_WS_URL: `ws://${baseUrl}/api/ws`,
+      UNIVERSALIS_DELAY_MS: '0',
+      UNIVERSALIS_DELAY_JITTER_MS: '0',
+      REALTIME_RECORD_FILE: recordFile,
+    });
+    storage = await import('./storage/index.js');
+    itemManager = await import('./itemManager.js');
+    realtime = await import('./realtime.js');
+
+    storage.initializeStorage({ adapter: 'memory' });
+  });
+
+  afterAll(async () => {
+    realtime?.stopRealtime();
+    storage?.closeStorage();
+    await new Promise(resolve => server.close(resolve));
+    rmSync(tempDir, { recursive: true, force: true });
+    vi.restoreAllMocks();
+  });
+
+  it('should serve market data of the recorded items', async () => {
+    const response = await fetch(`http://${baseUrl}/api/v2/${encodeURIComponent('陆行鸟')}/${ITEM_IDS.join(',')}?listings=2`);
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(body.dcName).toBe('陆行鸟');
+    expect(Object.keys(body.items).map(Number)).toEqual(ITEM_IDS);
+    expect(body.items[43983].listings).toHaveLength(2);
+    expect(body.unresolvedItems).toEqual([]);
+  });
+
+  it('should report items without market data as unresolved', async () => {
+    const response = await fetch(`http://${baseUrl}/api/v2/${encodeURIComponent('拉诺西亚')}/43983,1`);
+    const body = await response.json();
+
+    expect(body.worldName).toBe('拉诺西亚');
+    expect(body.unresolvedItems).toEqual([1]);
+    expect((await fetch(`http://${baseUrl}/api/v2/拉诺西亚/1`)).status).toBe(404);
+  });
+
+  it('should apply every recorded event to the fetched items', async () => {
+    for (const world of ['陆行鸟', '莫古力']) {
+      expect(await itemManager.updateItems(ITEM_IDS, world)).toBe(ITEM_IDS.length);
+    }
+
+    realtime.startRealtime(itemManager.applyMarketEvent);
+    await vi.waitFor(() => {
+      const { received } = realtime.getRealtimeStats();
+      expect(Object.values(received).reduce((sum, count) => sum + count, 0)).toBe(recording.events.length);
+    }, { timeout: 3000, interval: 50 });
+
+    const stats = realtime.getRealtimeStats();
+    expect(stats.applied).toBe(recording.events.length);
+    expect(stats.ignored).toBe(0);
+    expect(stats.errors).toBe(0);
+  });
+
+  it('should have merged added and removed listings', () => {
+    // 7000001 and 7000002 were added and removed again
+    expect(getListingIDs(43983, '陆行鸟')).toEqual(['6900001', '7000021', '7000019', '6900002', '6900003']);
+    expect(itemManager.getItem(43983, '陆行鸟').marketData.listingsCount).toBe(10);
+
+    const marketData = itemManager.getItem(44041, '陆行鸟').marketData;
+    expect(marketData.listings[0]).toMatchObject({ listingID: '7000004', pricePerUnit: 895, worldName: '拉诺西亚' });
+    expect(marketData.minPrice).toBe(895);
+    expect(marketData.minPriceHQ).toBe(979);
+
+    expect(itemManager.getItem(44041, '莫古力').marketData.minPrice).toBe(809);
+  });
+
+  it('should have added the sales to the history and the ledger', () => {
+    const marketData = itemManager.getItem(44043, '陆行鸟').marketData;
+    expect(marketData.recentHistory.slice(0, 2).map(sale => sale.buyerName)).toEqual(['Buyer22', 'Buyer4']);
+    expect(marketData.unitsSold).toBe(6);
+
+    expect(getBuyers(44043, '陆行鸟')).toEqual(expect.arrayContaining(['Buyer4', 'Buyer22']));
+    expect(getBuyers(43983, '莫古力')).toEqual(expect.arrayContaining(['Buyer9', 'Buyer20']));
+    expect(getBuyers(43983, '陆行鸟')).toContain('Buyer10');
+    expect(getBuyers(43983, '陆行鸟')).not.toContain('Buyer9');
+  });
+
+  it('should have recorded the session in place of the previous recording', async () => {
+    realtime.stopRealtime();
+    await vi.waitFor(() => {
+      expect(readFileSync(recordFile, 'utf8').trim().split('\n')).toHaveLength(recording.events.length + 1);
+    }, { timeout: 3000, interval: 50 });
+
+    const recorded = readRecording(recordFile);
+    const times = recorded.events.map(entry => entry.at);
+    expect(recorded.index).toEqual(recording.index);
+    expect(recorded.events.map(entry => entry.event)).toEqual(recording.events.map(entry => entry.event));
+    expect(times).toEqual([...times].sort((a, b) => a - b));
+    expect(times.at(-1)).toBeLessThan(99999);
+  });
+});
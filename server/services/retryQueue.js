@@ -0,0 +1,123 @@
+/**
+ * Item Retry Queue
+ *
+ * Items whose fetch failed even after the request-level retries are kept
+ * here with their own exponential backoff, so they are fetched again within
+ * minutes instead of waiting for their next regular update. The scheduled
+ * tier refresh leaves them alone while their backoff is running; after
+ * ITEM_RETRY_MAX_ATTEMPTS failed retries they go back to the regular schedule.
+ */
+
+import { getBackoffDelay } from '../utils/common.js';
+import config from '../config.js';
+
+const UPSTREAM = config.upstream;
+
+// Failed items by "itemId|world"
+const pending = new Map();
+
+const retryStats = {
+  failed: 0,
+  recovered: 0,
+  givenUp: 0,
+};
+
+/**
+ * Build the key of an item in a world
+ * @param {number} itemID - Item ID
+ * @param {string} world - World/data center
+ * @returns {string} Retry queue key
+ */
+function retryKey(itemID, world) {
+  return `${itemID}|${world}`;
+}
+
+/**
+ * Add items whose fetch failed to the retry queue
+ * @param {number[]} itemIDs - Item IDs
+ * @param {string} world - World/data center
+ * @param {string} priority - Request queue priority to retry with
+ * @param {Error} error - The fetch error (its `retryAfterMs` delays the retry)
+ * @param {number} now - Current timestamp (default: Date.now())
+ */
+function addFailedItems(itemIDs, world, priority, error, now = Date.now()) {
+  for (const itemID of itemIDs) {
+    const key = retryKey(itemID, world);
+    const attempts = (pending.get(key)?.attempts ?? -1) + 1;
+    retryStats.failed++;
+
+    if (attempts >= UPSTREAM.itemRetryMaxAttempts) {
+      pending.delete(key);
+      retryStats.givenUp++;
+      console.warn(`[Retry Queue] Giving up on item ${itemID} (${world}) after ${attempts} retries: ${error.message}`);
+      continue;
+    }
+
+    const backoffMs = getBackoffDelay(attempts, UPSTREAM.itemRetryBaseSeconds * 1000, UPSTREAM.itemRetryMaxSeconds * 1000);
+    pending.set(key, {
+      itemId: itemID,
+      world,
+      priority,
+      attempts,
+      nextRetryAt: now + Math.max(backoffMs, error.retryAfterMs ?? 0),
+      lastError: error.message,
+    });
+  }
+}
+
+/**
+ * Remove items that were fetched successfully
+ * @param {number[]} itemIDs - Item IDs
+ * @param {string} world - World/data center
+ */
+function clearItems(itemIDs, world) {
+  for (const itemID of itemIDs) {
+    if (pending.delete(retryKey(itemID, world))) {
+      retryStats.recovered++;
+    }
+  }
+}
+
+/**
+ * Check whether an item is waiting for its retry backoff
+ * @param {number} itemID - Item ID
+ * @param {string} world - World/data center
+ * @param {number} now - Current timestamp (default: Date.now())
+ * @returns {boolean} True if the item should not be fetched yet
+ */
+function isWaitingForRetry(itemID, world, now = Date.now()) {
+  const entry = pending.get(retryKey(itemID, world));
+  return entry !== undefined && entry.nextRetryAt > now;
+}
+
+/**
+ * Get the items whose retry backoff has passed
+ * @param {number} now - Current timestamp (default: Date.now())
+ * @returns {Object[]} Entries { itemId, world, priority, attempts, nextRetryAt, lastError }
+ */
+function getDueRetries(now = Date.now()) {
+  return [...pending.values()].filter(entry => entry.nextRetryAt <= now);
+}
+
+/**
+ * Get retry queue statistics
+ * @param {number} now - Current timestamp (default: Date.now())
+ * @returns {Object} { pending, due, nextRetryAt, failed, recovered, givenUp }
+ */
+function getRetryQueueStats(now = Date.now()) {
+  const entries = [...pending.values()];
+  return {
+    pending: entries.length,
+    due: entries.filter(entry => entry.nextRetryAt <= now).length,
+    nextRetryAt: entries.length > 0 ? Math.min(...entries.map(entry => entry.nextRetryAt)) : null,
+    ...retryStats,
+  };
+}
+
+export {
+  addFailedItems,
+  clearItems,
+  isWaitingForRetry,
+  getDueRetries,
+  getRetryQueueStats,
+};
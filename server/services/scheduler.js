@@ -0,0 +1,238 @@
+/**
+ * Job Scheduler
+ *
+ * Runs named background jobs on cron expressions (node-cron). Each job has
+ * a lock so a run that takes longer than its interval is never overlapped
+ * by the next one, can be paused, resumed or triggered by hand, and keeps
+ * the outcome of its last run for the admin API.
+ */
+
+import cron from 'node-cron';
+
+// Number of recent errors kept per job
+const MAX_RECENT_ERRORS = 10;
+
+const jobs = new Map();
+let started = false;
+
+/**
+ * Register a named job
+ * @param {string} name - Job name (used in the admin API)
+ * @param {Object} options - Job options
+ * @param {string} options.schedule - Cron expression
+ * @param {string} options.description - Short description
+ * @param {Function} options.run - async function() that performs the job, its return value is kept as the run result
+ * @param {string} options.timezone - Optional timezone for the cron expression
+ * @returns {Object} Job state
+ */
+function registerJob(name, { schedule, description = '', run, timezone }) {
+  if (jobs.has(name)) {
+    throw new Error(`Job already registered: ${name}`);
+  }
+
+  if (!cron.validate(schedule)) {
+    throw new Error(`Invalid cron expression for job ${name}: ${schedule}`);
+  }
+
+  const job = {
+    name,
+    description,
+    schedule,
+    run,
+    task: cron.schedule(schedule, () => runJob(name, 'schedule'), {
+      scheduled: false,
+      ...(timezone && { timezone }),
+    }),
+    paused: false,
+    running: false,
+    runCount: 0,
+    failureCount: 0,
+    skippedCount: 0,
+    currentRun: null,
+    lastRun: null,
+    recentErrors: [],
+  };
+
+  jobs.set(name, job);
+
+  if (started) {
+    job.task.start();
+  }
+
+  return describeJob(job);
+}
+
+/**
+ * Run a job now unless a previous run is still in progress
+ * Errors are recorded on the job instead of being thrown
+ * @param {string} name - Job name
+ * @param {string} trigger - What started the run ('schedule' or 'manual')
+ * @returns {Promise<Object|null>} Finished run, or null if skipped because the job is running
+ */
+async function runJob(name, trigger = 'manual') {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+
+  if (job.running) {
+    job.skippedCount++;
+    console.log(`[Scheduler] Skipping ${name} (${trigger}): previous run still in progress`);
+    return null;
+  }
+
+  job.running = true;
+  job.currentRun = { trigger, startedAt: Date.now() };
+
+  const run = { ...job.currentRun };
+  try {
+    run.result = (await job.run()) ?? null;
+    run.success = true;
+    run.error = null;
+  } catch (error) {
+    run.success = false;
+    run.error = error.message;
+    job.failureCount++;
+    job.recentErrors.unshift({ at: Date.now(), trigger, message: error.message });
+    job.recentErrors.length = Math.min(job.recentErrors.length, MAX_RECENT_ERRORS);
+    console.error(`[Scheduler] Job ${name} failed:`, error.message);
+  } finally {
+    run.finishedAt = Date.now();
+    run.durationMs = run.finishedAt - run.startedAt;
+    job.runCount++;
+    job.lastRun = run;
+    job.currentRun = null;
+    job.running = false;
+  }
+
+  return run;
+}
+
+/**
+ * Start a job in the background
+ * @param {string} name - Job name
+ * @returns {boolean} False if the job is already running
+ */
+function triggerJob(name) {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+
+  if (job.running) {
+    return false;
+  }
+
+  runJob(name, 'manual');
+  return true;
+}
+
+/**
+ * Stop running a job on its schedule (manual triggers still work)
+ * @param {string} name - Job name
+ * @returns {Object|null} Job state or null if unknown
+ */
+function pauseJob(name) {
+  const job = jobs.get(name);
+  if (!job) {
+    return null;
+  }
+
+  job.paused = true;
+  job.task.stop();
+  console.log(`[Scheduler] Paused ${name}`);
+  return describeJob(job);
+}
+
+/**
+ * Run a paused job on its schedule again
+ * @param {string} name - Job name
+ * @returns {Object|null} Job state or null if unknown
+ */
+function resumeJob(name) {
+  const job = jobs.get(name);
+  if (!job) {
+    return null;
+  }
+
+  job.paused = false;
+  if (started) {
+    job.task.start();
+  }
+  console.log(`[Scheduler] Resumed ${name}`);
+  return describeJob(job);
+}
+
+/**
+ * Start the schedules of all jobs that aren't paused
+ */
+function startScheduler() {
+  started = true;
+  for (const job of jobs.values()) {
+    if (!job.paused) {
+      job.task.start();
+    }
+  }
+  console.log(`[Scheduler] Started ${jobs.size} jobs: ${[...jobs.values()].map(job => `${job.name} (${job.schedule})`).join(', ')}`);
+}
+
+/**
+ * Stop the schedules of all jobs (runs in progress finish)
+ */
+function stopScheduler() {
+  started = false;
+  for (const job of jobs.values()) {
+    job.task.stop();
+  }
+}
+
+/**
+ * Build the public state of a job
+ * @param {Object} job - Internal job
+ * @returns {Object} Job state for the API
+ */
+function describeJob(job) {
+  return {
+    name: job.name,
+    description: job.description,
+    schedule: job.schedule,
+    paused: job.paused,
+    running: job.running,
+    currentRun: job.currentRun,
+    lastRun: job.lastRun,
+    runCount: job.runCount,
+    failureCount: job.failureCount,
+    skippedCount: job.skippedCount,
+    recentErrors: job.recentErrors,
+  };
+}
+
+/**
+ * Get the state of every job
+ * @returns {Object[]} Job states
+ */
+function getJobs() {
+  return [...jobs.values()].map(describeJob);
+}
+
+/**
+ * Get the state of a job
+ * @param {string} name - Job name
+ * @returns {Object|null} Job state or null if unknown
+ */
+function getJob(name) {
+  const job = jobs.get(name);
+  return job ? describeJob(job) : null;
+}
+
+export {
+  registerJob,
+  runJob,
+  triggerJob,
+  pauseJob,
+  resumeJob,
+  startScheduler,
+  stopScheduler,
+  getJobs,
+  getJob,
+};
@@ -0,0 +1,197 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach, vi } from 'vitest';
+import express from 'express';
+import jobsRouter from '../routes/jobs.js';
+import {
+  registerJob,
+  runJob,
+  triggerJob,
+  pauseJob,
+  resumeJob,
+  startScheduler,
+  stopScheduler,
+  getJob,
+} from './scheduler.js';
+
+// Every second (node-cron accepts a leading seconds field)
+const EVERY_SECOND = '* * * * * *';
+
+/**
+ * Create a promise that is resolved from outside
+ * @returns {Object} { promise, resolve }
+ */
+function createGate() {
+  let resolve;
+  const promise = new Promise((done) => {
+    resolve = done;
+  });
+  return { promise, resolve };
+}
+
+/**
+ * Register a job whose runs stay in progress until its gate opens
+ * @param {string} name - Job name
+ * @returns {Object} { gate, run } with run the job's mock function
+ */
+function registerGatedJob(name) {
+  const gate = createGate();
+  const run = vi.fn(async () => {
+    await gate.promise;
+    return { done: true };
+  });
+  registerJob(name, { schedule: EVERY_SECOND, run });
+  return { gate, run };
+}
+
+beforeEach(() => {
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  stopScheduler();
+  vi.restoreAllMocks();
+});
+
+describe('runJob', () => {
+  it('should skip a run while the previous one is in progress', async () => {
+    const { gate, run } = registerGatedJob('overlap');
+
+    const first = runJob('overlap', 'schedule');
+    expect(getJob('overlap')).toMatchObject({ running: true, currentRun: { trigger: 'schedule' } });
+    expect(await runJob('overlap')).toBeNull();
+    expect(triggerJob('overlap')).toBe(false);
+
+    gate.resolve();
+    expect(await first).toMatchObject({ trigger: 'schedule', success: true, result: { done: true } });
+    expect(run).toHaveBeenCalledTimes(1);
+    expect(getJob('overlap')).toMatchObject({ running: false, currentRun: null, runCount: 1, skippedCount: 1 });
+
+    // The lock is released once the run finishes
+    expect(await runJob('overlap')).toMatchObject({ trigger: 'manual', success: true });
+  });
+
+  it('should record failed runs instead of throwing', async () => {
+    registerJob('failing', { schedule: EVERY_SECOND, run: async () => { throw new Error('Upstream unavailable'); } });
+
+    expect(await runJob('failing')).toMatchObject({ success: false, error: 'Upstream unavailable' });
+    expect(getJob('failing')).toMatchObject({
+      running: false,
+      failureCount: 1,
+      recentErrors: [expect.objectContaining({ trigger: 'manual', message: 'Upstream unavailable' })],
+    });
+  });
+
+  it('should reject unknown jobs and duplicate or invalid registrations', async () => {
+    await expect(runJob('missing')).rejects.toThrow('Unknown job: missing');
+    expect(() => triggerJob('missing')).toThrow('Unknown job: missing');
+    expect(() => registerJob('overlap', { schedule: EVERY_SECOND, run: async () => {} })).toThrow('Job already registered: overlap');
+    expect(() => registerJob('invalid', { schedule: 'often', run: async () => {} })).toThrow('Invalid cron expression for job invalid: often');
+  });
+});
+
+describe('pause and resume', () => {
+  beforeEach(() => {
+    // node-cron checks the time every second using setTimeout and process.hrtime
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'Date', 'hrtime'] });
+    vi.setSystemTime(1760860800000);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should only run jobs on their schedule while they are not paused', async () => {
+    const run = vi.fn(async () => null);
+    registerJob('paused', { schedule: EVERY_SECOND, run });
+    startScheduler();
+
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(run).toHaveBeenCalledTimes(1);
+
+    expect(pauseJob('paused')).toMatchObject({ paused: true });
+    await vi.advanceTimersByTimeAsync(3000);
+    expect(run).toHaveBeenCalledTimes(1);
+
+    // Manual runs still work while paused
+    await runJob('paused');
+    expect(run).toHaveBeenCalledTimes(2);
+
+    expect(resumeJob('paused')).toMatchObject({ paused: false });
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(run).toHaveBeenCalledTimes(3);
+    expect(getJob('paused').lastRun.trigger).toBe('schedule');
+  });
+
+  it('should keep paused jobs stopped when the scheduler starts', async () => {
+    const run = vi.fn(async () => null);
+    registerJob('paused-before-start', { schedule: EVERY_SECOND, run });
+    pauseJob('paused-before-start');
+    startScheduler();
+
+    await vi.advanceTimersByTimeAsync(3000);
+    expect(run).not.toHaveBeenCalled();
+    expect(pauseJob('missing')).toBeNull();
+    expect(resumeJob('missing')).toBeNull();
+  });
+});
+
+describe('jobs routes', () => {
+  let server;
+  let baseUrl;
+
+  /**
+   * Send a request to the jobs API
+   * @param {string} path - Path below /api/admin/jobs
+   * @param {string} method - HTTP method
+   * @returns {Promise<Object>} { status, body }
+   */
+  const request = async (path, method = 'POST') => {
+    const response = await fetch(`${baseUrl}/api/admin/jobs${path}`, { method });
+    return { status: response.status, body: await response.json() };
+  };
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/admin/jobs', jobsRouter);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('should start a job by hand and refuse a second trigger while it runs', async () => {
+    const { gate, run } = registerGatedJob('route-trigger');
+
+    const triggered = await request('/route-trigger/trigger');
+    expect(triggered.status).toBe(202);
+    expect(triggered.body).toMatchObject({ success: true, job: { name: 'route-trigger', running: true, currentRun: { trigger: 'manual' } } });
+
+    expect(await request('/route-trigger/trigger')).toEqual({
+      status: 409,
+      body: { success: false, error: 'Job is already running' },
+    });
+
+    gate.resolve();
+    await vi.waitFor(() => expect(getJob('route-trigger').running).toBe(false), { interval: 5 });
+    expect(run).toHaveBeenCalledTimes(1);
+    expect(getJob('route-trigger').lastRun).toMatchObject({ trigger: 'manual', success: true });
+  });
+
+  it('should pause and resume a job', async () => {
+    registerJob('route-pause', { schedule: EVERY_SECOND, run: async () => null });
+
+    expect((await request('/route-pause/pause')).body.job).toMatchObject({ name: 'route-pause', paused: true });
+    expect((await request('/route-pause', 'GET')).body.job.paused).toBe(true);
+    expect((await request('/route-pause/resume')).body.job).toMatchObject({ name: 'route-pause', paused: false });
+  });
+
+  it('should answer 404 for unknown jobs', async () => {
+    for (const path of ['/missing/trigger', '/missing/pause', '/missing/resume']) {
+      expect(await request(path)).toEqual({ status: 404, body: { success: false, error: 'Job not found' } });
+    }
+  });
+});
@@ -0,0 +1,239 @@
+/**
+ * Item Search
+ *
+ * Matches tracked items by ID, Chinese name, full pinyin, pinyin initials
+ * (e.g. "xlh" finds 西兰花) and imported alternate-language names, and
+ * ranks the matches by relevance. Items that don't match otherwise are
+ * matched by pinyin and alternate-language names with a typo or two.
+ */
+
+import { pinyin } from 'pinyin-pro';
+import { getAllItems } from './itemManager.js';
+
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 100;
+
+// Scores per match type, the best match of an item decides its rank
+const SCORES = {
+  idExact: 100,
+  nameExact: 95,
+  altNameExact: 90,
+  namePrefix: 85,
+  pinyinExact: 80,
+  initialsExact: 75,
+  altNamePrefix: 75,
+  nameContains: 70,
+  pinyinPrefix: 65,
+  initialsPrefix: 60,
+  altNameContains: 55,
+  pinyinContains: 50,
+  initialsContains: 40,
+  idPrefix: 30,
+  // Less FUZZY_EDIT_PENALTY per edit
+  fuzzy: 25,
+};
+
+const FUZZY_EDIT_PENALTY = 5;
+
+// Pinyin keys by name, names rarely change so this never needs invalidating
+const pinyinCache = new Map();
+
+/**
+ * Get the full pinyin and pinyin initials of a name
+ * Tones are dropped, ü is written as v, non-Chinese runs are kept as-is
+ * @param {string} name - Item name
+ * @returns {Object} { full, initials } - lowercase, without separators
+ */
+function getPinyinKeys(name) {
+  let keys = pinyinCache.get(name);
+  if (!keys) {
+    const options = { toneType: 'none', type: 'array', nonZh: 'consecutive', v: true };
+    keys = {
+      full: normalizeLatin(pinyin(name, options).join('')),
+      initials: normalizeLatin(pinyin(name, { ...options, pattern: 'first' }).join('')),
+    };
+    pinyinCache.set(name, keys);
+  }
+  return keys;
+}
+
+/**
+ * Normalize Latin text for matching: lowercase, no whitespace or apostrophes
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+function normalizeLatin(text) {
+  return text.toLowerCase().replace(/[\s'’]/g, '').replace(/ü/g, 'v');
+}
+
+/**
+ * Score a text field against the query
+ * @param {string|null} text - Field value (already normalized)
+ * @param {string} query - Normalized query
+ * @param {string} prefix - Score key prefix (e.g. 'name' for nameExact/namePrefix/nameContains)
+ * @returns {number} Score (0 if no match)
+ */
+function scoreField(text, query, prefix) {
+  if (!text) {
+    return 0;
+  }
+  if (text === query) {
+    return SCORES[`${prefix}Exact`];
+  }
+  if (text.startsWith(query)) {
+    return SCORES[`${prefix}Prefix`];
+  }
+  if (text.includes(query)) {
+    return SCORES[`${prefix}Contains`];
+  }
+  return 0;
+}
+
+/**
+ * Get the number of typos tolerated in a query
+ * @param {string} query - Normalized Latin query
+ * @returns {number} Maximum edits (0 for queries under 4 letters)
+ */
+function getMaxEdits(query) {
+  if (query.length < 4) {
+    return 0;
+  }
+  return query.length < 10 ? 1 : 2;
+}
+
+/**
+ * Get the fewest edits (insertions, deletions, substitutions) that turn the
+ * query into some part of the text
+ * @param {string} text - Normalized text
+ * @param {string} query - Normalized query
+ * @param {number} maxEdits - Stop once more edits than this are needed
+ * @returns {number|null} Number of edits, or null if more than maxEdits
+ */
+function getFuzzyEdits(text, query, maxEdits) {
+  // previous[j]: edits to match the query so far ending at text[j - 1], starting anywhere
+  let previous = new Array(text.length + 1).fill(0);
+
+  for (let i = 1; i <= query.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= text.length; j++) {
+      const substitution = previous[j - 1] + (query[i - 1] === text[j - 1] ? 0 : 1);
+      current.push(Math.min(substitution, previous[j] + 1, current[j - 1] + 1));
+    }
+    if (Math.min(...current) > maxEdits) {
+      return null;
+    }
+    previous = current;
+  }
+
+  const edits = Math.min(...previous);
+  return edits <= maxEdits ? edits : null;
+}
+
+/**
+ * Find a typo-tolerant match of an item by pinyin or alternate-language name
+ * @param {Object} item - Item data (with metadata)
+ * @param {string} latinQuery - Query normalized for pinyin/Latin matching
+ * @returns {Object|null} { field, score } or null if nothing is close enough
+ */
+function matchItemFuzzy(item, latinQuery) {
+  const maxEdits = getMaxEdits(latinQuery);
+  if (maxEdits === 0 || !/^[a-z]+$/.test(latinQuery)) {
+    return null;
+  }
+
+  const metadata = item.metadata || {};
+  const fields = [
+    ['pinyin', item.name ? getPinyinKeys(item.name).full : null],
+    ...['nameEn', 'nameJa', 'nameZh'].map(field => [field, metadata[field] ? normalizeLatin(metadata[field]) : null]),
+  ];
+
+  let best = null;
+  for (const [field, text] of fields) {
+    const edits = text ? getFuzzyEdits(text, latinQuery, maxEdits) : null;
+    if (edits !== null && (!best || edits < best.edits)) {
+      best = { field, edits };
+    }
+  }
+
+  return best && { field: best.field, score: SCORES.fuzzy - FUZZY_EDIT_PENALTY * best.edits };
+}
+
+/**
+ * Find the best match of an item for a query
+ * @param {Object} item - Item data (with metadata)
+ * @param {string} query - Trimmed, lowercase query
+ * @param {string} latinQuery - Query normalized for pinyin/Latin matching
+ * @returns {Object|null} { field, score } or null if the item doesn't match
+ */
+function matchItem(item, query, latinQuery) {
+  const candidates = [];
+  const id = String(item.id);
+
+  if (/^\d+$/.test(query)) {
+    if (id === query) {
+      candidates.push({ field: 'id', score: SCORES.idExact });
+    } else if (id.startsWith(query)) {
+      candidates.push({ field: 'id', score: SCORES.idPrefix });
+    }
+  }
+
+  const name = (item.name || '').toLowerCase();
+  candidates.push({ field: 'name', score: scoreField(name, query, 'name') });
+
+  if (latinQuery && /^[a-z]+$/.test(latinQuery) && item.name) {
+    const { full, initials } = getPinyinKeys(item.name);
+    candidates.push({ field: 'pinyin', score: scoreField(full, latinQuery, 'pinyin') });
+    candidates.push({ field: 'initials', score: scoreField(initials, latinQuery, 'initials') });
+  }
+
+  const metadata = item.metadata || {};
+  for (const field of ['nameEn', 'nameJa', 'nameZh']) {
+    if (metadata[field]) {
+      candidates.push({ field, score: scoreField(metadata[field].toLowerCase(), query, 'altName') });
+    }
+  }
+
+  const best = candidates.reduce((top, candidate) => (candidate.score > top.score ? candidate : top), { score: 0 });
+  return best.score > 0 ? best : matchItemFuzzy(item, latinQuery);
+}
+
+/**
+ * Search tracked items
+ * @param {string} query - Search text
+ * @param {Object} options - Search options
+ * @param {number} options.limit - Maximum results (default: 20, max: 100)
+ * @param {string} options.world - World/data center for the returned market data (default: config.defaultWorld)
+ * @returns {Array} Items ranked by relevance, each with a `match` field { field, score }
+ */
+function searchItems(query, { limit = DEFAULT_SEARCH_LIMIT, world } = {}) {
+  const normalizedQuery = query.trim().toLowerCase();
+  if (normalizedQuery === '') {
+    return [];
+  }
+
+  const latinQuery = normalizeLatin(normalizedQuery);
+  const pageSize = Math.min(Math.max(limit, 1), MAX_SEARCH_LIMIT);
+
+  const results = [];
+  for (const item of getAllItems(world)) {
+    const match = matchItem(item, normalizedQuery, latinQuery);
+    if (match) {
+      results.push({ ...item, match });
+    }
+  }
+
+  // Best score first, then shorter (closer) names, then ID
+  results.sort((a, b) =>
+    b.match.score - a.match.score
+    || (a.name || '').length - (b.name || '').length
+    || a.id - b.id
+  );
+
+  return results.slice(0, pageSize);
+}
+
+export {
+  searchItems,
+  DEFAULT_SEARCH_LIMIT,
+  MAX_SEARCH_LIMIT,
+};
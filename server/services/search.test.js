@@ -0,0 +1,155 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { initializeStorage, getStorage, closeStorage } from './storage/index.js';
+import { searchItems, MAX_SEARCH_LIMIT } from './search.js';
+
+// 西兰花 is xilanhua (xlh) in pinyin
+const CATALOG = [
+  { id: 1, name: '西兰花' },
+  { id: 2, name: '西兰花种子' },
+  { id: 3, name: '紫西兰花' },
+  { id: 4, name: '兰花' },
+  { id: 10, name: '香草' },
+  { id: 123, name: '迷途草' },
+  { id: 1234, name: '紫草' },
+];
+
+const METADATA = [
+  { itemId: 10, nameEn: 'Broccoli', nameJa: 'ブロッコリー' },
+  { itemId: 2, nameEn: 'Broccoli Seeds' },
+  { itemId: 3, nameEn: 'Purple Broccoli' },
+];
+
+/**
+ * Search and reduce the results to what decides the ranking
+ * @param {string} query - Search text
+ * @param {Object} options - Search options
+ * @returns {Array} [id, field, score] per result
+ */
+const search = (query, options) => searchItems(query, options)
+  .map(item => [item.id, item.match.field, item.match.score]);
+
+beforeAll(() => {
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+
+  const storage = initializeStorage({ adapter: 'memory' });
+  for (const item of storage.getCatalogItems()) {
+    storage.deleteCatalogItem(item.id);
+  }
+  for (const item of CATALOG) {
+    storage.upsertCatalogItem(item);
+  }
+  getStorage().upsertItemMetadata(METADATA);
+});
+
+afterAll(() => {
+  closeStorage();
+  vi.restoreAllMocks();
+});
+
+describe('searchItems', () => {
+  it('should rank exact, prefix and contained name matches', () => {
+    expect(search('西兰花')).toEqual([
+      [1, 'name', 95],
+      [2, 'name', 85],
+      [3, 'name', 70],
+    ]);
+  });
+
+  it('should match the full pinyin of names', () => {
+    expect(search('xilanhua')).toEqual([
+      [1, 'pinyin', 80],
+      [2, 'pinyin', 65],
+      [3, 'pinyin', 50],
+    ]);
+  });
+
+  it('should match pinyin initials', () => {
+    expect(search('xlh')).toEqual([
+      [1, 'initials', 75],
+      [2, 'initials', 60],
+      [3, 'initials', 40],
+    ]);
+  });
+
+  it('should ignore case, surrounding whitespace and spaces between syllables', () => {
+    expect(search(' XLH ')).toEqual(search('xlh'));
+    expect(search('xi lan hua')).toEqual(search('xilanhua'));
+  });
+
+  it('should rank equal scores by shorter name, then by ID', () => {
+    expect(search('lanhua')).toEqual([
+      [4, 'pinyin', 80],
+      [1, 'pinyin', 50],
+      [3, 'pinyin', 50],
+      [2, 'pinyin', 50],
+    ]);
+    // 香草 and 紫草 are shorter than 迷途草
+    expect(search('草').map(([id]) => id)).toEqual([10, 1234, 123]);
+  });
+
+  it('should match imported alternate-language names', () => {
+    expect(search('broccoli')).toEqual([
+      [10, 'nameEn', 90],
+      [2, 'nameEn', 75],
+      [3, 'nameEn', 55],
+    ]);
+    expect(search('ブロッコリー')).toEqual([[10, 'nameJa', 90]]);
+  });
+
+  it('should rank an exact ID first and ID prefixes last', () => {
+    expect(search('123')).toEqual([
+      [123, 'id', 100],
+      [1234, 'id', 30],
+    ]);
+    expect(search('1').map(([id]) => id)).toEqual([1, 10, 1234, 123]);
+  });
+
+  it('should keep the best match of each item', () => {
+    // "x" starts both the pinyin (xilanhua, 65) and the initials (xlh, 60) of 西兰花
+    expect(search('x').find(([id]) => id === 1)).toEqual([1, 'pinyin', 65]);
+    // "xlh" is contained in no pinyin, but equals the initials
+    expect(search('xlh')[0]).toEqual([1, 'initials', 75]);
+  });
+
+  it('should match pinyin and alternate-language names with a typo below every other match', () => {
+    expect(search('xilamhua')).toEqual([
+      [1, 'pinyin', 20],
+      [3, 'pinyin', 20],
+      [2, 'pinyin', 20],
+    ]);
+    expect(search('brocoli')).toEqual([
+      [10, 'nameEn', 20],
+      [3, 'nameEn', 20],
+      [2, 'nameEn', 20],
+    ]);
+  });
+
+  it('should allow a second typo in queries of 10 letters or more', () => {
+    // brocolli has a c missing and an l too many
+    expect(search('brocolliseed')).toEqual([[2, 'nameEn', 15]]);
+    expect(search('xylamhua')).toEqual([]);
+  });
+
+  it('should not match queries under 4 letters loosely', () => {
+    expect(search('xlj')).toEqual([]);
+    expect(search('brc')).toEqual([]);
+  });
+
+  it('should return nothing for blank queries or without matches', () => {
+    expect(search('   ')).toEqual([]);
+    expect(search('zzz')).toEqual([]);
+  });
+
+  it('should limit the results to between 1 and the maximum', () => {
+    expect(search('xlh', { limit: 2 })).toHaveLength(2);
+    expect(search('xlh', { limit: 0 })).toHaveLength(1);
+    expect(MAX_SEARCH_LIMIT).toBe(100);
+  });
+
+  it('should return the items with their market data and metadata', () => {
+    const [item] = searchItems('broccoli');
+
+    expect(item).toMatchObject({ id: 10, name: '香草', metadata: { nameEn: 'Broccoli' } });
+    expect(item).toHaveProperty('marketData');
+  });
+});
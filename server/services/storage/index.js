@@ -0,0 +1,65 @@
+/**
+ * Storage
+ *
+ * Selects the storage adapter used for items, price history and sales.
+ * Every adapter implements the same functions as the SQLite adapter:
+ *   getCatalogItems, getCatalogItem, upsertCatalogItem, deleteCatalogItem,
+ *   getItemGroups, getItemGroup, saveItemGroup, deleteItemGroup,
+ *   upsertItemMetadata, getItemMetadata, getItemMetadataCount,
+ *   upsertItem, markItemUnchanged, setNextUpdate, getItemById, getAllItems,
+ *   getItemsByClassification, queryItems,
+ *   getAllItemIds, getItemsNeedingUpdate, hasItem, getItemCount,
+ *   insertPriceSnapshot, getPriceSnapshots, getPriceRollups,
+ *   insertSales, getSales, getSalesOnWorld, getSalesVolume,
+ *   insertClassificationChange, getClassificationHistory, close
+ * Adapters with `supportsMaintenance` also support compaction, backups,
+ * export/import and the storage report.
+ */
+
+import config from '../../config.js';
+import { createSqliteStorage } from './sqliteStorage.js';
+import { createMemoryStorage } from './memoryStorage.js';
+
+const ADAPTERS = {
+  sqlite: createSqliteStorage,
+  memory: createMemoryStorage,
+};
+
+let storage = null;
+
+/**
+ * Create the configured storage adapter, replacing any current one
+ * @param {Object} options - Storage options (default: config.storage)
+ * @param {string} options.adapter - 'sqlite' or 'memory'
+ * @param {string} options.dbPath - Database file path (sqlite only)
+ * @returns {Object} Storage adapter
+ */
+export function initializeStorage(options = config.storage) {
+  const createAdapter = ADAPTERS[options.adapter];
+  if (!createAdapter) {
+    throw new Error(`Unknown storage adapter: ${options.adapter} (expected one of: ${Object.keys(ADAPTERS).join(', ')})`);
+  }
+
+  closeStorage();
+  storage = createAdapter(options);
+  console.log(`[Storage] Using ${storage.name} storage`);
+  return storage;
+}
+
+/**
+ * Get the current storage adapter, initializing the configured one if needed
+ * @returns {Object} Storage adapter
+ */
+export function getStorage() {
+  return storage || initializeStorage();
+}
+
+/**
+ * Close the current storage adapter
+ */
+export function closeStorage() {
+  if (storage) {
+    storage.close();
+    storage = null;
+  }
+}
@@ -0,0 +1,371 @@
+/**
+ * In-Memory Storage Adapter
+ *
+ * Ephemeral storage for previews, tests and throwaway instances.
+ * Nothing is written to disk and all data is lost when the process exits.
+ * History is never compacted, so no rollups are ever stored.
+ */
+
+import { deepCopy } from '../../utils/common.js';
+import { getItemMetrics } from '../../utils/marketData.js';
+import { getBucketStart } from '../../utils/timeseries.js';
+import { loadCatalogSeed } from '../catalogSeed.js';
+import { getDefaultTier } from '../tiers.js';
+
+/**
+ * Create an in-memory storage adapter with a freshly seeded catalog
+ * @returns {Object} Storage adapter
+ */
+export function createMemoryStorage() {
+  const catalog = new Map(loadCatalogSeed().map(item => [item.id, {
+    id: item.id,
+    name: item.name,
+    number: item.number || [],
+    req: item.req || [],
+  }]));
+  // When catalog items were added, seeded items share one time like in SQLite
+  const seededAt = Date.now();
+  const catalogCreatedAt = new Map([...catalog.keys()].map(itemID => [itemID, seededAt]));
+  const groups = new Map(); // groupId -> { id, name, description, itemIds }
+  let nextGroupId = 1;
+  const metadata = new Map(); // itemId -> imported metadata
+  const items = new Map(); // "itemId|world" -> item
+  const snapshots = new Map(); // "itemId|world" -> snapshots ordered by recordedAt
+  const sales = new Map(); // dedupe key -> sale row
+  const classificationHistory = new Map(); // "itemId|world|changedAt" -> classification change
+
+  const itemKey = (itemID, world) => `${itemID}|${world}`;
+
+  const saleKey = (sale) => [
+    sale.itemId, sale.world, sale.worldName, sale.timestamp, sale.buyerName, sale.quantity, sale.pricePerUnit,
+  ].join('|');
+
+  const itemSales = (itemID, world) => [...sales.values()]
+    .filter(sale => sale.itemId === itemID && sale.world === world);
+
+  const worldItems = (world) => [...items.values()].filter(item => item.world === world);
+
+  return {
+    name: 'memory',
+    supportsMaintenance: false,
+
+    getCatalogItems() {
+      return [...catalog.values()].map(deepCopy);
+    },
+
+    getCatalogItem(itemID) {
+      const item = catalog.get(itemID);
+      return item ? deepCopy(item) : null;
+    },
+
+    upsertCatalogItem(item) {
+      if (!catalogCreatedAt.has(item.id)) {
+        catalogCreatedAt.set(item.id, Date.now());
+      }
+      catalog.set(item.id, {
+        id: item.id,
+        name: item.name,
+        number: deepCopy(item.number || []),
+        req: deepCopy(item.req || []),
+      });
+      return true;
+    },
+
+    deleteCatalogItem(itemID) {
+      catalogCreatedAt.delete(itemID);
+      return catalog.delete(itemID);
+    },
+
+    getItemGroups() {
+      return [...groups.values()]
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(deepCopy);
+    },
+
+    getItemGroup(groupID) {
+      const group = groups.get(groupID);
+      return group ? deepCopy(group) : null;
+    },
+
+    saveItemGroup(group) {
+      const groupID = group.id || nextGroupId++;
+      groups.set(groupID, {
+        id: groupID,
+        name: group.name,
+        description: group.description,
+        itemIds: [...new Set(group.itemIds)],
+      });
+      return groupID;
+    },
+
+    deleteItemGroup(groupID) {
+      return groups.delete(groupID);
+    },
+
+    upsertItemMetadata(rows) {
+      for (const { itemId, ...fields } of rows) {
+        metadata.set(itemId, fields);
+      }
+      return rows.length;
+    },
+
+    getItemMetadata(itemIDs) {
+      const result = new Map();
+      for (const itemID of itemIDs) {
+        if (metadata.has(itemID)) {
+          result.set(itemID, { ...metadata.get(itemID) });
+        }
+      }
+      return result;
+    },
+
+    getItemMetadataCount() {
+      return metadata.size;
+    },
+
+    upsertItem(itemData) {
+      items.set(itemKey(itemData.id, itemData.world), {
+        id: itemData.id,
+        world: itemData.world,
+        name: itemData.name || `Item ${itemData.id}`,
+        number: deepCopy(itemData.number || []),
+        req: deepCopy(itemData.req || []),
+        marketData: deepCopy(itemData.marketData || {}),
+        classification: itemData.classification || getDefaultTier(),
+        lastUpdate: itemData.lastUpdate || null,
+        nextUpdate: itemData.nextUpdate || null,
+        refresh: itemData.refresh ? deepCopy(itemData.refresh) : null,
+        contentHash: itemData.contentHash || null,
+        lastChangedAt: itemData.lastChangedAt || null,
+        unchangedCount: itemData.unchangedCount || 0,
+      });
+      return true;
+    },
+
+    markItemUnchanged(itemID, world, { lastUpdate, nextUpdate, refresh }) {
+      const item = items.get(itemKey(itemID, world));
+      if (!item) {
+        return false;
+      }
+      Object.assign(item, {
+        lastUpdate,
+        nextUpdate,
+        refresh: refresh ? deepCopy(refresh) : null,
+        unchangedCount: item.unchangedCount + 1,
+      });
+      return true;
+    },
+
+    setNextUpdate(itemID, world, nextUpdate) {
+      const item = items.get(itemKey(itemID, world));
+      if (!item) {
+        return false;
+      }
+      item.nextUpdate = nextUpdate;
+      return true;
+    },
+
+    getItemById(itemID, world) {
+      const item = items.get(itemKey(itemID, world));
+      return item ? deepCopy(item) : null;
+    },
+
+    getAllItems(world) {
+      return worldItems(world).map(deepCopy);
+    },
+
+    getItemsByClassification(classification, world) {
+      return worldItems(world)
+        .filter(item => item.classification === classification)
+        .map(deepCopy);
+    },
+
+    getAllItemIds(world) {
+      return new Set(worldItems(world).map(item => item.id));
+    },
+
+    getItemsNeedingUpdate(now, world) {
+      const result = {};
+      const due = worldItems(world)
+        .filter(item => item.nextUpdate !== null && item.nextUpdate <= now)
+        .sort((a, b) => a.nextUpdate - b.nextUpdate);
+      for (const item of due) {
+        result[item.classification] = result[item.classification] || [];
+        result[item.classification].push(item.id);
+      }
+      return result;
+    },
+
+    queryItems(world, {
+      classification = null, groupId = null, category = null, stale = null, staleBefore = null,
+      minPrice = null, maxPrice = null, minVelocity = null, hasData = null, name = null,
+      sort = null, order = 'asc', limit = null, after = null,
+    } = {}) {
+      const members = groupId !== null ? (groups.get(groupId)?.itemIds || []) : null;
+      const defaultTier = getDefaultTier();
+      const nameFilter = name !== null ? name.toLowerCase() : null;
+
+      // The item ID breaks ties, like the rowid (the catalog's primary key) in SQLite
+      const rows = [...catalog.values()].flatMap((itemInfo) => {
+        const item = items.get(itemKey(itemInfo.id, world)) || null;
+        const metrics = getItemMetrics(item?.marketData);
+        const fields = { id: itemInfo.id, name: itemInfo.name, lastUpdate: item?.lastUpdate ?? null, ...metrics };
+        const uiCategory = metadata.get(itemInfo.id)?.uiCategory;
+
+        const matches = (members === null || members.includes(itemInfo.id))
+          && (category === null || uiCategory?.toLowerCase() === category.toLowerCase())
+          && (classification === null || (item?.classification ?? defaultTier) === classification)
+          && (stale === null || (stale
+            ? metrics.lastUploadTime !== null && metrics.lastUploadTime < staleBefore
+            : metrics.lastUploadTime === null || metrics.lastUploadTime >= staleBefore))
+          && (minPrice === null || (metrics.minPrice !== null && metrics.minPrice >= minPrice))
+          && (maxPrice === null || (metrics.minPrice !== null && metrics.minPrice <= maxPrice))
+          && (minVelocity === null || (metrics.unitsSold !== null && metrics.unitsSold >= minVelocity))
+          && (hasData === null || metrics.hasData === hasData)
+          && (nameFilter === null || itemInfo.name.toLowerCase().includes(nameFilter));
+
+        if (!matches) {
+          return [];
+        }
+
+        const value = sort ? fields[sort] : (members !== null ? members.indexOf(itemInfo.id) : catalogCreatedAt.get(itemInfo.id));
+        return [{
+          itemInfo: deepCopy(itemInfo), item: item ? deepCopy(item) : null, value: value ?? null, key: itemInfo.id,
+        }];
+      });
+
+      // Items without a value come last in either direction
+      const direction = order === 'desc' ? -1 : 1;
+      const compare = (a, b) => {
+        if ((a.value === null) !== (b.value === null)) {
+          return a.value === null ? 1 : -1;
+        }
+        if (a.value !== null && a.value !== b.value) {
+          return (a.value < b.value ? -1 : 1) * direction;
+        }
+        return a.key - b.key;
+      };
+
+      rows.sort(compare);
+      const start = after
+        ? rows.filter(row => compare(row, { value: after.isNull ? null : after.value, key: after.key }) <= 0).length
+        : 0;
+      const page = rows.slice(start, limit !== null ? start + limit : undefined);
+      const last = page[page.length - 1];
+      const hasMore = limit !== null && start + limit < rows.length;
+
+      return {
+        rows: page.map(({ itemInfo, item }) => ({ itemInfo, item })),
+        total: rows.length,
+        next: hasMore ? { isNull: last.value === null, value: last.value, key: last.key } : null,
+      };
+    },
+
+    hasItem(itemID, world) {
+      return items.has(itemKey(itemID, world));
+    },
+
+    getItemCount(world = null) {
+      return world ? worldItems(world).length : items.size;
+    },
+
+    insertPriceSnapshot(snapshot) {
+      const { itemId, world, ...row } = snapshot;
+      const key = itemKey(itemId, world);
+      const series = snapshots.get(key) || [];
+      series.push(row);
+      series.sort((a, b) => a.recordedAt - b.recordedAt);
+      snapshots.set(key, series);
+      return true;
+    },
+
+    getPriceSnapshots(itemID, world, from, to) {
+      return (snapshots.get(itemKey(itemID, world)) || [])
+        .filter(row => row.recordedAt >= from && row.recordedAt <= to)
+        .map(row => ({ ...row }));
+    },
+
+    getPriceRollups() {
+      return [];
+    },
+
+    insertSales(rows) {
+      let inserted = 0;
+      for (const row of rows) {
+        const key = saleKey(row);
+        if (!sales.has(key)) {
+          sales.set(key, { ...row });
+          inserted++;
+        }
+      }
+      return inserted;
+    },
+
+    getSales(itemID, { world, limit, offset, worldName = null }) {
+      const matching = itemSales(itemID, world)
+        .filter(sale => !worldName || sale.worldName === worldName)
+        .sort((a, b) => b.timestamp - a.timestamp);
+
+      return {
+        total: matching.length,
+        sales: matching.slice(offset, offset + limit).map(({ itemId, world: _world, ...sale }) => ({
+          ...sale,
+          hq: sale.hq === 1,
+          onMannequin: sale.onMannequin === 1,
+        })),
+      };
+    },
+
+    getSalesOnWorld(worldName, from) {
+      return [...sales.values()]
+        .filter(sale => sale.worldName === worldName && sale.timestamp >= from)
+        .map(({ itemId, world, timestamp, buyerName, quantity, pricePerUnit, hq }) => ({
+          itemId, world, timestamp, buyerName, quantity, pricePerUnit, hq: hq === 1,
+        }));
+    },
+
+    getSalesVolume(itemID, world, from, to, bucketMs) {
+      const volumes = new Map();
+      for (const sale of itemSales(itemID, world)) {
+        if (sale.timestamp < from || sale.timestamp >= to) continue;
+        const bucketStart = getBucketStart(sale.timestamp, bucketMs);
+        volumes.set(bucketStart, (volumes.get(bucketStart) || 0) + sale.quantity);
+      }
+      return [...volumes.entries()]
+        .sort((a, b) => a[0] - b[0])
+        .map(([recordedAt, volume]) => ({ recordedAt, volume }));
+    },
+
+    insertClassificationChange(change) {
+      const key = `${itemKey(change.itemId, change.world)}|${change.changedAt}`;
+      if (!classificationHistory.has(key)) {
+        classificationHistory.set(key, { ...change });
+      }
+      return true;
+    },
+
+    getClassificationHistory(itemID, { world, limit, offset }) {
+      const changes = [...classificationHistory.values()]
+        .filter(change => change.itemId === itemID && change.world === world)
+        .sort((a, b) => b.changedAt - a.changedAt);
+
+      return {
+        total: changes.length,
+        changes: changes.slice(offset, offset + limit)
+          .map(({ changedAt, fromTier, toTier, metric, metricValue }) => ({
+            changedAt, fromTier, toTier, metric, metricValue,
+          })),
+      };
+    },
+
+    close() {
+      catalog.clear();
+      groups.clear();
+      metadata.clear();
+      items.clear();
+      snapshots.clear();
+      sales.clear();
+      classificationHistory.clear();
+    },
+  };
+}
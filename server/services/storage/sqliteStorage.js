@@ -0,0 +1,63 @@
+/**
+ * SQLite Storage Adapter
+ *
+ * Persistent storage backed by the better-sqlite3 database service
+ */
+
+import * as database from '../database.js';
+
+/**
+ * Create a storage adapter backed by a SQLite database file
+ * @param {Object} options - Adapter options
+ * @param {string} options.dbPath - Database file path
+ * @returns {Object} Storage adapter
+ */
+export function createSqliteStorage({ dbPath }) {
+  database.openDatabase(dbPath);
+
+  return {
+    name: 'sqlite',
+    // Compaction, backups, export/import and the storage report work on the database file
+    supportsMaintenance: true,
+
+    getCatalogItems: database.getCatalogItems,
+    getCatalogItem: database.getCatalogItem,
+    upsertCatalogItem: database.upsertCatalogItem,
+    deleteCatalogItem: database.deleteCatalogItem,
+
+    getItemGroups: database.getItemGroups,
+    getItemGroup: database.getItemGroup,
+    saveItemGroup: database.saveItemGroup,
+    deleteItemGroup: database.deleteItemGroup,
+
+    upsertItemMetadata: database.upsertItemMetadata,
+    getItemMetadata: database.getItemMetadata,
+    getItemMetadataCount: database.getItemMetadataCount,
+
+    upsertItem: database.upsertItem,
+    markItemUnchanged: database.markItemUnchanged,
+    setNextUpdate: database.setNextUpdate,
+    getItemById: database.getItemById,
+    getAllItems: database.getAllItems,
+    getItemsByClassification: database.getItemsByClassification,
+    queryItems: database.queryItems,
+    getAllItemIds: database.getAllItemIds,
+    getItemsNeedingUpdate: database.getItemsNeedingUpdate,
+    hasItem: database.hasItem,
+    getItemCount: database.getItemCount,
+
+    insertPriceSnapshot: database.insertPriceSnapshot,
+    getPriceSnapshots: database.getPriceSnapshots,
+    getPriceRollups: database.getPriceRollups,
+
+    insertSales: database.insertSales,
+    getSales: database.getSales,
+    getSalesOnWorld: database.getSalesOnWorld,
+    getSalesVolume: database.getSalesVolume,
+
+    insertClassificationChange: database.insertClassificationChange,
+    getClassificationHistory: database.getClassificationHistory,
+
+    close: database.closeDatabase,
+  };
+}
@@ -0,0 +1,232 @@
+/**
+ * Classification Tiers
+ *
+ * Items are sorted into named tiers by one market metric. The tiers, their
+ * thresholds and default update intervals are read from a JSON file
+ * (TIERS_FILE, default server/tiers.json):
+ *
+ *   {
+ *     "metric": "unitsSold",
+ *     "hysteresisPercent": 10,
+ *     "tiers": [
+ *       { "name": "hot", "min": 1000, "intervalSeconds": 60 },
+ *       { "name": "cold", "min": 0, "intervalSeconds": 86400 }
+ *     ]
+ *   }
+ *
+ * An item belongs to the highest tier whose `min` its metric reaches. To stop
+ * items near a threshold from flapping, an item only moves up once it is
+ * hysteresisPercent above the new tier's threshold, and only moves down
+ * once it is hysteresisPercent below its current tier's threshold.
+ */
+
+import { readFileSync } from 'fs';
+import config from '../config.js';
+import { toNumberOrNull } from '../utils/marketData.js';
+
+// Metrics items can be classified by, each read from Universalis market data
+const METRICS = {
+  // Units sold in the returned sales history
+  unitsSold: marketData => toNumberOrNull(marketData.unitsSold),
+  // Average sales per day
+  saleVelocity: marketData => toNumberOrNull(marketData.regularSaleVelocity),
+  // Gil traded per day (sales per day × average sale price)
+  gilVolume: (marketData) => {
+    const velocity = toNumberOrNull(marketData.regularSaleVelocity);
+    const price = toNumberOrNull(marketData.averagePrice ?? marketData.currentAveragePrice);
+    return velocity !== null && price !== null ? velocity * price : null;
+  },
+};
+
+// Request queue lanes around the tier lanes (see universalisClient.js), a tier can't share their name
+const RESERVED_NAMES = ['interactive', 'backfill'];
+
+/**
+ * Validate and normalize a tier configuration
+ * @param {Object} data - Parsed tier configuration
+ * @returns {Object} { metric, hysteresis, tiers } with tiers ordered from the highest threshold
+ * @throws {Error} If the configuration is invalid
+ */
+function parseTierConfig(data) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Tier configuration must be an object');
+  }
+
+  const metric = data.metric ?? 'unitsSold';
+  if (!Object.prototype.hasOwnProperty.call(METRICS, metric)) {
+    throw new Error(`Unknown tier metric "${metric}". Expected one of: ${Object.keys(METRICS).join(', ')}`);
+  }
+
+  const hysteresisPercent = data.hysteresisPercent ?? 0;
+  if (typeof hysteresisPercent !== 'number' || hysteresisPercent < 0 || hysteresisPercent >= 100) {
+    throw new Error('hysteresisPercent must be a number from 0 to 99');
+  }
+
+  if (!Array.isArray(data.tiers) || data.tiers.length === 0) {
+    throw new Error('tiers must be a non-empty array');
+  }
+
+  const names = new Set();
+  const tiers = data.tiers.map((tier, index) => {
+    if (typeof tier?.name !== 'string' || tier.name.trim() === '') {
+      throw new Error(`Tier ${index + 1} needs a name`);
+    }
+    if (names.has(tier.name)) {
+      throw new Error(`Duplicate tier name "${tier.name}"`);
+    }
+    if (RESERVED_NAMES.includes(tier.name)) {
+      throw new Error(`Tier name "${tier.name}" is reserved for a request queue lane (${RESERVED_NAMES.join(', ')})`);
+    }
+    names.add(tier.name);
+
+    if (typeof tier.min !== 'number' || tier.min < 0) {
+      throw new Error(`Tier "${tier.name}" needs a non-negative min`);
+    }
+    if (!Number.isInteger(tier.intervalSeconds) || tier.intervalSeconds <= 0) {
+      throw new Error(`Tier "${tier.name}" needs a positive integer intervalSeconds`);
+    }
+
+    return { name: tier.name, min: tier.min, intervalSeconds: tier.intervalSeconds };
+  }).sort((a, b) => b.min - a.min);
+
+  if (tiers[tiers.length - 1].min !== 0) {
+    throw new Error('The lowest tier must have min 0 so every item has a tier');
+  }
+
+  return { metric, hysteresisPercent, tiers };
+}
+
+/**
+ * Read the tier configuration file
+ * @param {string} path - JSON file path
+ * @returns {Object} Normalized tier configuration
+ * @throws {Error} If the file can't be read or is invalid
+ */
+function loadTierConfig(path) {
+  let data;
+  try {
+    data = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read tier configuration ${path}: ${error.message}`);
+  }
+
+  try {
+    return parseTierConfig(data);
+  } catch (error) {
+    throw new Error(`Invalid tier configuration ${path}: ${error.message}`);
+  }
+}
+
+const TIER_CONFIG = loadTierConfig(config.tiersFile);
+const HYSTERESIS_PERCENT = TIER_CONFIG.hysteresisPercent;
+
+/**
+ * Get the configured tiers, highest threshold first
+ * @returns {Object[]} Array of { name, min, intervalSeconds }
+ */
+function getTiers() {
+  return TIER_CONFIG.tiers.map(tier => ({ ...tier }));
+}
+
+/**
+ * Get the tier configuration for API responses
+ * @returns {Object} { metric, hysteresisPercent, tiers }
+ */
+function getTierConfig() {
+  return {
+    metric: TIER_CONFIG.metric,
+    hysteresisPercent: TIER_CONFIG.hysteresisPercent,
+    tiers: getTiers(),
+  };
+}
+
+/**
+ * Get the names of the configured tiers, highest threshold first
+ * @returns {string[]} Tier names
+ */
+function getTierNames() {
+  return TIER_CONFIG.tiers.map(tier => tier.name);
+}
+
+/**
+ * Get the tier items start in before they have data
+ * @returns {string} Name of the tier with the lowest threshold
+ */
+function getDefaultTier() {
+  return TIER_CONFIG.tiers[TIER_CONFIG.tiers.length - 1].name;
+}
+
+/**
+ * Check if a name is a configured tier
+ * @param {string} name - Tier name
+ * @returns {boolean} True if configured
+ */
+function isTier(name) {
+  return TIER_CONFIG.tiers.some(tier => tier.name === name);
+}
+
+/**
+ * Get the default update interval of a tier
+ * @param {string} name - Tier name
+ * @returns {number} Interval in ms (the lowest tier's interval for unknown names)
+ */
+function getTierInterval(name) {
+  const tier = TIER_CONFIG.tiers.find(entry => entry.name === name)
+    || TIER_CONFIG.tiers[TIER_CONFIG.tiers.length - 1];
+  return tier.intervalSeconds * 1000;
+}
+
+/**
+ * Read the classification metric from market data
+ * @param {Object} marketData - Market data from API
+ * @returns {number|null} Metric value or null if missing
+ */
+function getMetricValue(marketData) {
+  if (!marketData || marketData.hasData === false) {
+    return null;
+  }
+  return METRICS[TIER_CONFIG.metric](marketData);
+}
+
+/**
+ * Classify an item by the configured metric, with hysteresis around the current tier
+ * @param {Object} marketData - Market data from API
+ * @param {string|null} currentTier - The item's current tier (null if new)
+ * @returns {Object} { tier, metricValue }
+ */
+function classify(marketData, currentTier = null) {
+  const metricValue = getMetricValue(marketData);
+  const value = metricValue ?? 0;
+  const tiers = TIER_CONFIG.tiers;
+  const rawIndex = tiers.findIndex(tier => value >= tier.min);
+  const currentIndex = tiers.findIndex(tier => tier.name === currentTier);
+
+  // New items, items without data and items of removed tiers take the plain threshold
+  if (currentIndex === -1 || metricValue === null || rawIndex === currentIndex) {
+    return { tier: tiers[rawIndex].name, metricValue };
+  }
+
+  // Bands are compared in percent, so a value exactly on the band's edge clears it (100 * 1.1 > 110)
+  if (rawIndex < currentIndex) {
+    // Moving up: the highest tier whose threshold is cleared by the band
+    const upIndex = tiers.findIndex((tier, index) => index < currentIndex
+      && value * 100 >= tier.min * (100 + HYSTERESIS_PERCENT));
+    return { tier: tiers[upIndex === -1 ? currentIndex : upIndex].name, metricValue };
+  }
+
+  // Moving down: only once clearly below the current tier's threshold
+  const stays = value * 100 >= tiers[currentIndex].min * (100 - HYSTERESIS_PERCENT);
+  return { tier: tiers[stays ? currentIndex : rawIndex].name, metricValue };
+}
+
+export {
+  METRICS,
+  parseTierConfig,
+  getTiers,
+  getTierConfig,
+  getTierNames,
+  getDefaultTier,
+  isTier,
+  getTierInterval,
+  classify,
+};
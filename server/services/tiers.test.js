@@ -0,0 +1,108 @@
+import { describe, it, expect } from 'vitest';
+import { parseTierConfig, classify, getTierNames, getDefaultTier, getTierInterval } from './tiers.js';
+
+// The bundled tiers.json: hot from 1000, mild from 100, cold from 0 units sold, 10% hysteresis
+const sold = unitsSold => ({ hasData: true, unitsSold });
+
+describe('parseTierConfig', () => {
+  const tiers = [
+    { name: 'cold', min: 0, intervalSeconds: 86400 },
+    { name: 'hot', min: 1000, intervalSeconds: 60 },
+  ];
+
+  it('should order the tiers from the highest threshold and apply defaults', () => {
+    expect(parseTierConfig({ tiers })).toEqual({
+      metric: 'unitsSold',
+      hysteresisPercent: 0,
+      tiers: [tiers[1], tiers[0]],
+    });
+  });
+
+  it('should reject unknown metrics', () => {
+    expect(() => parseTierConfig({ metric: 'price', tiers })).toThrow('Unknown tier metric "price"');
+  });
+
+  it('should reject a hysteresis outside 0-99', () => {
+    expect(() => parseTierConfig({ hysteresisPercent: 100, tiers })).toThrow('hysteresisPercent');
+    expect(() => parseTierConfig({ hysteresisPercent: -1, tiers })).toThrow('hysteresisPercent');
+  });
+
+  it('should reject duplicate names and invalid thresholds or intervals', () => {
+    expect(() => parseTierConfig({ tiers: [...tiers, tiers[0]] })).toThrow('Duplicate tier name "cold"');
+    expect(() => parseTierConfig({ tiers: [{ ...tiers[0], min: -1 }] })).toThrow('non-negative min');
+    expect(() => parseTierConfig({ tiers: [{ ...tiers[0], intervalSeconds: 1.5 }] })).toThrow('intervalSeconds');
+  });
+
+  it('should reject the names of the request queue lanes', () => {
+    for (const name of ['interactive', 'backfill']) {
+      expect(() => parseTierConfig({ tiers: [...tiers, { name, min: 100, intervalSeconds: 60 }] }))
+        .toThrow(`Tier name "${name}" is reserved`);
+    }
+  });
+
+  it('should require a tier for every item', () => {
+    expect(() => parseTierConfig({ tiers: [] })).toThrow('non-empty array');
+    expect(() => parseTierConfig({ tiers: [tiers[1]] })).toThrow('must have min 0');
+  });
+});
+
+describe('configured tiers', () => {
+  it('should list the tiers from the highest threshold with the lowest as default', () => {
+    expect(getTierNames()).toEqual(['hot', 'mild', 'cold']);
+    expect(getDefaultTier()).toBe('cold');
+  });
+
+  it('should fall back to the lowest tier\'s interval for unknown tiers', () => {
+    expect(getTierInterval('hot')).toBe(60 * 1000);
+    expect(getTierInterval('removed')).toBe(86400 * 1000);
+  });
+});
+
+describe('classify', () => {
+  it('should use the plain thresholds for new items', () => {
+    expect(classify(sold(1000))).toEqual({ tier: 'hot', metricValue: 1000 });
+    expect(classify(sold(999))).toEqual({ tier: 'mild', metricValue: 999 });
+    expect(classify(sold(0))).toEqual({ tier: 'cold', metricValue: 0 });
+  });
+
+  it('should put items without data in the lowest tier', () => {
+    expect(classify({ hasData: false, unitsSold: 5000 }, 'hot')).toEqual({ tier: 'cold', metricValue: null });
+    expect(classify({ hasData: true, unitsSold: 'NA' }, 'hot')).toEqual({ tier: 'cold', metricValue: null });
+  });
+
+  it('should only move up once the metric clears the band above the new threshold', () => {
+    expect(classify(sold(1050), 'mild').tier).toBe('mild');
+    expect(classify(sold(1100), 'mild').tier).toBe('hot');
+    expect(classify(sold(105), 'cold').tier).toBe('cold');
+    expect(classify(sold(110), 'cold').tier).toBe('mild');
+  });
+
+  it('should skip tiers when moving up past several thresholds', () => {
+    expect(classify(sold(1100), 'cold').tier).toBe('hot');
+    // Within the band of hot but clear of mild's
+    expect(classify(sold(1050), 'cold').tier).toBe('mild');
+  });
+
+  it('should only move down once the metric is below the band under the current threshold', () => {
+    expect(classify(sold(900), 'hot').tier).toBe('hot');
+    expect(classify(sold(899), 'hot').tier).toBe('mild');
+    expect(classify(sold(90), 'mild').tier).toBe('mild');
+    expect(classify(sold(89), 'mild').tier).toBe('cold');
+  });
+
+  it('should move down to the tier of the plain threshold', () => {
+    expect(classify(sold(50), 'hot').tier).toBe('cold');
+  });
+
+  it('should reclassify items of removed tiers by the plain thresholds', () => {
+    expect(classify(sold(950), 'warm').tier).toBe('mild');
+  });
+
+  it('should not flap while the metric moves around a threshold', () => {
+    let tier = 'mild';
+    for (const value of [990, 1010, 995, 1050, 1005]) {
+      tier = classify(sold(value), tier).tier;
+      expect(tier).toBe('mild');
+    }
+  });
+});
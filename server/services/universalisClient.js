@@ -1,26 +1,193 @@
 /**
  * Universalis API Client
  * 
- * Handles API calls to Universalis with global rate limiting
+ * Handles API calls to Universalis with global rate limiting and priority lanes.
+ * Failed requests are retried with exponential backoff (respecting
+ * Retry-After on 429), and a circuit breaker pauses all fetching after
+ * repeated failures.
  */
 
-import { delay, buildQueryString } from '../utils/common.js';
+import { buildQueryString, getBackoffDelay } from '../utils/common.js';
+import { getDefaultTier, getTierNames } from './tiers.js';
+import config from '../config.js';
 
-const UNIVERSALIS_API_BASE = 'https://universalis.app/api/v2';
-const MAX_ITEMS_PER_CALL = 5;
-const BASE_DELAY_BETWEEN_CALLS_MS = 1000; // Base 1 second delay
-const RANDOM_DELAY_MAX_MS = 500; // Random extra delay up to 500ms
-const ENTRIES_WITHIN_SECONDS = 604800; // 7 days in seconds
+const UPSTREAM = config.upstream;
+
+const UNIVERSALIS_API_BASE = UPSTREAM.apiUrl; // UNIVERSALIS_API_URL, default the Universalis API
+const MAX_ITEMS_PER_CALL = UPSTREAM.batchSize; // UNIVERSALIS_BATCH_SIZE, default 5
+const BASE_DELAY_BETWEEN_CALLS_MS = UPSTREAM.delayMs; // UNIVERSALIS_DELAY_MS, default 1 second
+const RANDOM_DELAY_MAX_MS = UPSTREAM.delayJitterMs; // UNIVERSALIS_DELAY_JITTER_MS, default 500ms
+const ENTRIES_WITHIN_SECONDS = UPSTREAM.entriesWithinSeconds; // Default 7 days
+const MAX_RECENT_UPLOAD_ENTRIES = 200; // Upper limit of the most-recently-updated endpoint
+
+// Request priorities, served highest first: user-triggered fetches, then the
+// scheduled refresh of each classification tier, then the startup backfill
+const PRIORITIES = ['interactive', ...getTierNames(), 'backfill'];
+
+/**
+ * Create an error for a failed Universalis response
+ * @param {Object} response - fetch Response
+ * @returns {Error} Error with `status` and, when the response had a Retry-After header, `retryAfterMs`
+ */
+function createResponseError(response) {
+  const error = new Error(`Universalis API error: ${response.status} ${response.statusText}`);
+  error.status = response.status;
+
+  const retryAfterMs = parseRetryAfter(response.headers?.get('retry-after'));
+  if (retryAfterMs !== null) {
+    error.retryAfterMs = retryAfterMs;
+  }
+  return error;
+}
+
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date)
+ * @param {string|null|undefined} value - Header value
+ * @returns {number|null} Delay in ms or null if missing/invalid
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+
+  if (/^\d+$/.test(value.trim())) {
+    return parseInt(value, 10) * 1000;
+  }
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Check whether a failed request is worth retrying
+ * Network errors, rate limiting and server errors are; other client errors aren't
+ * @param {Error} error - Request error
+ * @returns {boolean} True if retryable
+ */
+function isRetryable(error) {
+  return error.status === undefined || error.status === 429 || error.status >= 500;
+}
+
+/**
+ * Circuit breaker for the Universalis API
+ * Opens after a number of consecutive failed requests and stays open for the
+ * cooldown, during which no requests are sent. After the cooldown a single
+ * request is let through (half-open): success closes the circuit, another
+ * failure opens it again.
+ */
+class CircuitBreaker {
+  /**
+   * @param {number} threshold - Consecutive failures that open the circuit (0 = never open)
+   * @param {number} cooldownMs - Time the circuit stays open
+   */
+  constructor(threshold, cooldownMs) {
+    this.threshold = threshold;
+    this.cooldownMs = cooldownMs;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trips = 0;
+  }
+
+  /**
+   * Get the current state
+   * @param {number} now - Current timestamp (default: Date.now())
+   * @returns {string} 'closed', 'open' or 'half-open'
+   */
+  getState(now = Date.now()) {
+    if (this.openedAt === null) {
+      return 'closed';
+    }
+    return now < this.openedAt + this.cooldownMs ? 'open' : 'half-open';
+  }
+
+  /**
+   * Get the time the circuit stops blocking requests
+   * @returns {number} Timestamp (ms), 0 if the circuit is closed
+   */
+  getReopensAt() {
+    return this.openedAt === null ? 0 : this.openedAt + this.cooldownMs;
+  }
+
+  /**
+   * Record a successful request
+   */
+  recordSuccess() {
+    if (this.openedAt !== null) {
+      console.log('[Universalis] Circuit closed, fetching resumed');
+    }
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+  }
+
+  /**
+   * Record a failed request, opening the circuit at the threshold
+   * @param {number} now - Current timestamp (default: Date.now())
+   */
+  recordFailure(now = Date.now()) {
+    this.consecutiveFailures++;
+
+    const reopen = this.getState(now) === 'half-open';
+    if (reopen || (this.openedAt === null && this.threshold > 0 && this.consecutiveFailures >= this.threshold)) {
+      this.openedAt = now;
+      this.trips++;
+      console.error(`[Universalis] Circuit opened after ${this.consecutiveFailures} consecutive failures, pausing for ${this.cooldownMs / 1000}s`);
+    }
+  }
+
+  /**
+   * Get the breaker state for stats
+   * @returns {Object} { state, consecutiveFailures, threshold, openedAt, reopensAt, trips }
+   */
+  getStats() {
+    return {
+      state: this.getState(),
+      consecutiveFailures: this.consecutiveFailures,
+      threshold: this.threshold,
+      openedAt: this.openedAt,
+      reopensAt: this.openedAt === null ? null : this.getReopensAt(),
+      trips: this.trips,
+    };
+  }
+}
 
 /**
  * Global request queue for rate limiting
- * Ensures all Universalis API requests respect the rate limit globally
+ * Ensures all Universalis API requests respect the rate limit globally.
+ * Requests wait in one lane per priority and the next free slot always goes
+ * to the highest non-empty lane, so an interactive request only waits for the
+ * request in flight. A request identical to one that is still pending joins
+ * it instead of being sent twice. Failed requests go back into their lane
+ * until their backoff has passed.
  */
 class UniversalisRequestQueue {
-  constructor() {
-    this.queue = [];
+  /**
+   * @param {string[]} priorities - Lane names, highest priority first
+   * @param {CircuitBreaker} breaker - Circuit breaker guarding the API
+   */
+  constructor(priorities, breaker) {
+    this.priorities = priorities;
+    this.breaker = breaker;
+    this.lanes = new Map(priorities.map(priority => [priority, []]));
+    this.laneStats = new Map(priorities.map(priority => [priority, {
+      processed: 0,
+      coalesced: 0,
+      totalWaitMs: 0,
+      maxWaitMs: 0,
+    }]));
+    this.requestStats = {
+      count: 0,
+      totalMs: 0,
+    };
+    this.retryStats = {
+      retries: 0,
+      failures: 0,
+      rateLimited: 0,
+      lastError: null,
+    };
     this.processing = false;
-    this.lastRequestTime = 0;
+    this.nextSlotAt = 0;
+    this.pausedUntil = 0;
+    this.wakeUp = null;
   }
 
   /**
@@ -33,16 +200,186 @@ class UniversalisRequestQueue {
     return BASE_DELAY_BETWEEN_CALLS_MS + randomExtra;
   }
 
+  /**
+   * Find a pending request that also answers a new one
+   * @param {string} key - Request key (same endpoint and parameters)
+   * @param {number[]|null} itemIDs - Items the new request needs, null for non-item requests
+   * @returns {Object|null} Pending queue entry or null
+   */
+  findPending(key, itemIDs) {
+    for (const lane of this.lanes.values()) {
+      const entry = lane.find(pending => pending.key === key && (itemIDs === null
+        ? pending.itemIDs === null
+        : pending.itemIDs !== null && itemIDs.every(id => pending.itemIDs.includes(id))));
+      if (entry) {
+        return entry;
+      }
+    }
+    return null;
+  }
+
   /**
    * Add a request to the queue and process it when rate limit allows
+   * New requests are rejected right away while the circuit is open
    * @param {Function} requestFn - Function that returns a Promise for the API request
+   * @param {Object} options - Queue options
+   * @param {string} options.priority - Lane to wait in (one of PRIORITIES)
+   * @param {string|null} options.key - Coalescing key, null to never coalesce (default: null)
+   * @param {number[]|null} options.itemIDs - Items the request fetches; a pending request
+   *   with the same key that covers all of them is shared (default: null)
    * @returns {Promise} Promise that resolves with the request result
    */
-  async enqueue(requestFn) {
+  async enqueue(requestFn, { priority, key = null, itemIDs = null }) {
+    if (!this.lanes.has(priority)) {
+      throw new Error(`Unknown request priority: ${priority}`);
+    }
+
+    if (this.breaker.getState() === 'open') {
+      const error = new Error('Universalis circuit is open, fetching is paused');
+      error.circuitOpen = true;
+      error.retryAfterMs = this.breaker.getReopensAt() - Date.now();
+      throw error;
+    }
+
     return new Promise((resolve, reject) => {
-      this.queue.push({ requestFn, resolve, reject });
+      const pending = key !== null ? this.findPending(key, itemIDs) : null;
+
+      if (pending) {
+        pending.waiters.push({ resolve, reject });
+        this.laneStats.get(priority).coalesced++;
+
+        // A more urgent duplicate moves the pending request up to its lane
+        if (this.priorities.indexOf(priority) < this.priorities.indexOf(pending.priority)) {
+          const lane = this.lanes.get(pending.priority);
+          lane.splice(lane.indexOf(pending), 1);
+          pending.priority = priority;
+          this.lanes.get(priority).push(pending);
+        }
+      } else {
+        this.lanes.get(priority).push({
+          requestFn,
+          priority,
+          key,
+          itemIDs,
+          enqueuedAt: Date.now(),
+          attempts: 0,
+          notBefore: 0,
+          waiters: [{ resolve, reject }],
+        });
+      }
+
+      this.schedule();
+    });
+  }
+
+  /**
+   * Start processing, or wake the processing loop so it looks at new requests
+   */
+  schedule() {
+    if (this.wakeUp) {
+      this.wakeUp();
+    } else {
       this.processQueue();
+    }
+  }
+
+  /**
+   * Wait until a time, or until a new request arrives
+   * @param {number} ms - Maximum time to wait
+   * @returns {Promise<void>}
+   */
+  async sleep(ms) {
+    await new Promise((resolve) => {
+      const timer = setTimeout(resolve, ms);
+      this.wakeUp = () => {
+        clearTimeout(timer);
+        resolve();
+      };
     });
+    this.wakeUp = null;
+  }
+
+  /**
+   * Take the oldest ready request of the highest lane that has one
+   * @param {number} now - Current timestamp
+   * @returns {Object|null} Queue entry or null if no request is ready
+   */
+  dequeue(now) {
+    for (const lane of this.lanes.values()) {
+      const index = lane.findIndex(entry => entry.notBefore <= now);
+      if (index !== -1) {
+        return lane.splice(index, 1)[0];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get the earliest time the next request may be sent
+   * Waits for the rate limit slot, a Retry-After pause, an open circuit and
+   * the backoff of the request that is ready first
+   * @returns {number} Timestamp (ms)
+   */
+  getNextSendTime() {
+    let firstReady = Infinity;
+    for (const lane of this.lanes.values()) {
+      for (const entry of lane) {
+        firstReady = Math.min(firstReady, entry.notBefore);
+      }
+    }
+
+    return Math.max(this.nextSlotAt, this.pausedUntil, this.breaker.getReopensAt(), firstReady);
+  }
+
+  /**
+   * Get the number of pending requests over all lanes
+   * @returns {number} Queue depth
+   */
+  getDepth() {
+    let depth = 0;
+    for (const lane of this.lanes.values()) {
+      depth += lane.length;
+    }
+    return depth;
+  }
+
+  /**
+   * Handle a failed attempt: put the request back with a backoff, or reject it
+   * @param {Object} entry - Queue entry
+   * @param {Error} error - Request error
+   * @param {number} now - Current timestamp
+   */
+  handleFailure(entry, error, now) {
+    this.retryStats.failures++;
+    this.retryStats.lastError = { message: error.message, status: error.status ?? null, at: now };
+
+    if (!isRetryable(error)) {
+      entry.waiters.forEach(waiter => waiter.reject(error));
+      return;
+    }
+
+    this.breaker.recordFailure(now);
+
+    // Rate limiting applies to every request, so the whole queue waits
+    if (error.status === 429) {
+      this.retryStats.rateLimited++;
+      const pauseMs = error.retryAfterMs ?? getBackoffDelay(entry.attempts, UPSTREAM.retryBaseMs, UPSTREAM.retryMaxMs);
+      this.pausedUntil = Math.max(this.pausedUntil, now + pauseMs);
+      console.warn(`[Universalis] Rate limited, pausing requests for ${Math.ceil(pauseMs / 1000)}s`);
+    }
+
+    if (entry.attempts >= UPSTREAM.maxRetries) {
+      entry.waiters.forEach(waiter => waiter.reject(error));
+      return;
+    }
+
+    const backoffMs = getBackoffDelay(entry.attempts, UPSTREAM.retryBaseMs, UPSTREAM.retryMaxMs);
+    entry.attempts++;
+    entry.notBefore = now + Math.max(backoffMs, error.retryAfterMs ?? 0);
+    this.retryStats.retries++;
+
+    // Retries keep their place at the front of their lane
+    this.lanes.get(entry.priority).unshift(entry);
   }
 
   /**
@@ -50,53 +387,167 @@ class UniversalisRequestQueue {
    */
   async processQueue() {
     // If already processing or queue is empty, return
-    if (this.processing || this.queue.length === 0) {
+    if (this.processing || this.getDepth() === 0) {
       return;
     }
 
     this.processing = true;
 
-    while (this.queue.length > 0) {
-      const { requestFn, resolve, reject } = this.queue.shift();
+    while (this.getDepth() > 0) {
+      // Wait for the rate limit slot, pauses and backoffs; new requests wake
+      // the loop so a request that is ready right away isn't held back
+      const waitTime = this.getNextSendTime() - Date.now();
+      if (waitTime > 0) {
+        await this.sleep(waitTime);
+        continue;
+      }
 
-      try {
-        // Calculate delay needed since last request
-        const now = Date.now();
-        const timeSinceLastRequest = now - this.lastRequestTime;
-        const requiredDelay = this.getRandomizedDelay();
-
-        if (timeSinceLastRequest < requiredDelay) {
-          const waitTime = requiredDelay - timeSinceLastRequest;
-          await delay(waitTime);
-        }
+      // Pick the request only once the slot is free, so requests that arrived
+      // during the delay are considered
+      const now = Date.now();
+      const entry = this.dequeue(now);
+      if (!entry) {
+        continue;
+      }
 
+      if (entry.attempts === 0) {
+        const waitMs = now - entry.enqueuedAt;
+        const stats = this.laneStats.get(entry.priority);
+        stats.processed++;
+        stats.totalWaitMs += waitMs;
+        stats.maxWaitMs = Math.max(stats.maxWaitMs, waitMs);
+      }
+
+      const startedAt = Date.now();
+      try {
         // Execute the request
-        const result = await requestFn();
-        this.lastRequestTime = Date.now();
-        resolve(result);
+        const result = await entry.requestFn();
+        this.requestStats.count++;
+        this.requestStats.totalMs += Date.now() - startedAt;
+        this.breaker.recordSuccess();
+        entry.waiters.forEach(waiter => waiter.resolve(result));
       } catch (error) {
-        this.lastRequestTime = Date.now();
-        reject(error);
+        this.handleFailure(entry, error, Date.now());
       }
+
+      this.nextSlotAt = Date.now() + this.getRandomizedDelay();
     }
 
     this.processing = false;
   }
+
+  /**
+   * Get depth and wait times per lane
+   * @returns {Object} { depth, lanes: { [priority]: { depth, oldestWaitMs, processed, coalesced, avgWaitMs, maxWaitMs } } }
+   */
+  getStats() {
+    const now = Date.now();
+    const lanes = {};
+
+    for (const [priority, lane] of this.lanes) {
+      const stats = this.laneStats.get(priority);
+      lanes[priority] = {
+        depth: lane.length,
+        oldestWaitMs: lane.length > 0 ? now - Math.min(...lane.map(entry => entry.enqueuedAt)) : 0,
+        processed: stats.processed,
+        coalesced: stats.coalesced,
+        avgWaitMs: stats.processed > 0 ? Math.round(stats.totalWaitMs / stats.processed) : 0,
+        maxWaitMs: stats.maxWaitMs,
+      };
+    }
+
+    return {
+      depth: this.getDepth(),
+      lanes,
+    };
+  }
+
+  /**
+   * Get retry, rate limiting and circuit breaker state
+   * @returns {Object} { circuit, retries, failures, rateLimited, pausedUntil, lastError }
+   */
+  getUpstreamStats() {
+    return {
+      circuit: this.breaker.getStats(),
+      ...this.retryStats,
+      pausedUntil: this.pausedUntil > Date.now() ? this.pausedUntil : null,
+    };
+  }
 }
 
 // Global request queue instance
-const requestQueue = new UniversalisRequestQueue();
+const requestQueue = new UniversalisRequestQueue(
+  PRIORITIES,
+  new CircuitBreaker(UPSTREAM.circuitBreakerThreshold, UPSTREAM.circuitBreakerCooldownSeconds * 1000),
+);
+
+/**
+ * Get the request queue's depth and wait times per priority lane
+ * @returns {Object} Queue statistics
+ */
+function getQueueStats() {
+  return requestQueue.getStats();
+}
+
+/**
+ * Get retry counts and the circuit breaker state
+ * @returns {Object} Upstream failure statistics
+ */
+function getUpstreamStats() {
+  return requestQueue.getUpstreamStats();
+}
+
+/**
+ * Estimate how long fetching a number of items takes with the current settings
+ * Each request takes the average measured response time (1s until there are
+ * measurements) plus the average delay between requests
+ * @param {number} itemCount - Number of item fetches (items × worlds)
+ * @returns {Object} Settings, number of requests and estimated duration
+ */
+function estimateRequestCost(itemCount) {
+  const { count, totalMs } = requestQueue.requestStats;
+  const avgRequestMs = count > 0 ? Math.round(totalMs / count) : 1000;
+  const requests = Math.ceil(itemCount / MAX_ITEMS_PER_CALL);
+  const msPerRequest = avgRequestMs + BASE_DELAY_BETWEEN_CALLS_MS + RANDOM_DELAY_MAX_MS / 2;
+
+  return {
+    batchSize: MAX_ITEMS_PER_CALL,
+    delayMs: BASE_DELAY_BETWEEN_CALLS_MS,
+    delayJitterMs: RANDOM_DELAY_MAX_MS,
+    entriesWithinSeconds: ENTRIES_WITHIN_SECONDS,
+    avgRequestMs,
+    measuredRequests: count,
+    items: itemCount,
+    requests,
+    estimatedSeconds: Math.round(requests * msPerRequest / 1000),
+  };
+}
+
+/**
+ * Check whether fetching is paused by the circuit breaker
+ * @returns {Object} { open, retryAfterMs }
+ */
+function getCircuitStatus() {
+  const open = requestQueue.breaker.getState() === 'open';
+  return {
+    open,
+    retryAfterMs: open ? requestQueue.breaker.getReopensAt() - Date.now() : 0,
+  };
+}
 
 /**
  * Fetch market data for items from Universalis API
- * Uses global rate limiting queue
+ * Uses global rate limiting queue, failed requests are retried with backoff
  * @param {number[]} itemIDs - Array of item IDs (max 5)
  * @param {string} worldName - World/data center name (default: 'China')
  * @param {number} listingsLimit - Limit for listings per item
  * @param {number} entriesLimit - Limit for recent history entries per item
- * @returns {Promise<Object>} Market data response
+ * @param {Object} options - Request options
+ * @param {string} options.priority - Queue priority (default: the lowest tier)
+ * @returns {Promise<Object>} Market data response. Requests coalesced into a
+ *   pending batch get that batch's response, which may include other items
  */
-async function fetchMarketData(itemIDs, worldName = 'China', listingsLimit = 5, entriesLimit = 20) {
+async function fetchMarketData(itemIDs, worldName = 'China', listingsLimit = 5, entriesLimit = 20, { priority = getDefaultTier() } = {}) {
   if (!itemIDs || itemIDs.length === 0) {
     throw new Error('itemIDs array cannot be empty');
   }
@@ -117,24 +568,101 @@ async function fetchMarketData(itemIDs, worldName = 'China', listingsLimit = 5,
   if (entriesLimit !== null && entriesLimit !== undefined) {
     params.entries = entriesLimit;
   }
-  // Always include entriesWithin to limit history to last 7 days
+  // Always include entriesWithin to limit history (default: last 7 days)
   params.entriesWithin = ENTRIES_WITHIN_SECONDS;
 
   url += buildQueryString(params);
 
-  // Enqueue the request through global rate limiter
+  // Enqueue the request through global rate limiter, sharing a pending batch that has the same items
   return requestQueue.enqueue(async () => {
     const response = await fetch(url);
 
     if (!response.ok) {
-      throw new Error(`Universalis API error: ${response.status} ${response.statusText}`);
+      throw createResponseError(response);
     }
 
     return await response.json();
+  }, {
+    priority,
+    key: `market|${worldName}|${listingsLimit}|${entriesLimit}`,
+    itemIDs,
   });
 }
 
+/**
+ * Fetch the items with the most recent uploads on a world or data center
+ * Uses global rate limiting queue. Names are tried as a world first, then as
+ * a data center; regions aren't supported by the endpoint
+ * @param {string} worldName - World or data center name
+ * @param {number} entries - Number of items to return (max 200)
+ * @param {Object} options - Request options
+ * @param {string} options.priority - Queue priority (default: the highest tier, it gates the scheduled refresh)
+ * @returns {Promise<Object[]|null>} Array of { itemID, lastUploadTime, worldName }, newest first, or null if unsupported
+ */
+async function fetchRecentlyUpdated(worldName, entries = MAX_RECENT_UPLOAD_ENTRIES, { priority = PRIORITIES[1] } = {}) {
+  const limit = Math.min(entries, MAX_RECENT_UPLOAD_ENTRIES);
+
+  for (const scope of ['world', 'dcName']) {
+    const url = `${UNIVERSALIS_API_BASE}/extra/stats/most-recently-updated`
+      + buildQueryString({ [scope]: worldName, entries: limit });
+
+    const data = await requestQueue.enqueue(async () => {
+      const response = await fetch(url);
+
+      // Unknown world/DC names are rejected, try the next scope
+      if (response.status === 400 || response.status === 404) {
+        return null;
+      }
+
+      if (!response.ok) {
+        throw createResponseError(response);
+      }
+
+      return await response.json();
+    }, { priority, key: url });
+
+    if (data && Array.isArray(data.items)) {
+      return data.items;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Fetch the world and data center lists
+ * Uses global rate limiting queue
+ * @param {string} baseUrl - API base URL (default: the Universalis API, a replay server for local development)
+ * @returns {Promise<Object>} { worlds: [{ id, name }], dataCenters: [{ name, region, worlds: [id] }] }
+ */
+async function fetchWorldIndex(baseUrl = UNIVERSALIS_API_BASE) {
+  const fetchJson = path => requestQueue.enqueue(async () => {
+    const response = await fetch(`${baseUrl}/${path}`);
+
+    if (!response.ok) {
+      throw createResponseError(response);
+    }
+
+    return await response.json();
+  }, { priority: PRIORITIES[1], key: `${baseUrl}/${path}` });
+
+  const [worlds, dataCenters] = await Promise.all([fetchJson('worlds'), fetchJson('data-centers')]);
+  return {
+    worlds: Array.isArray(worlds) ? worlds : [],
+    dataCenters: Array.isArray(dataCenters) ? dataCenters : [],
+  };
+}
+
 export {
   fetchMarketData,
+  fetchRecentlyUpdated,
+  fetchWorldIndex,
+  getQueueStats,
+  getUpstreamStats,
+  getCircuitStatus,
+  estimateRequestCost,
   MAX_ITEMS_PER_CALL,
+  PRIORITIES,
+  CircuitBreaker,
+  UniversalisRequestQueue,
 };
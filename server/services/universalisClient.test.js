@@ -0,0 +1,359 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+// No delay between requests and short backoffs; the configuration is read when the client is imported
+vi.hoisted(() => {
+  Object.assign(process.env, {
+    UNIVERSALIS_DELAY_MS: '0',
+    UNIVERSALIS_DELAY_JITTER_MS: '0',
+    UNIVERSALIS_MAX_RETRIES: '2',
+    UNIVERSALIS_RETRY_BASE_MS: '1',
+    UNIVERSALIS_RETRY_MAX_MS: '5',
+  });
+});
+
+import {
+  CircuitBreaker,
+  UniversalisRequestQueue,
+  PRIORITIES,
+  fetchMarketData,
+  getQueueStats,
+  estimateRequestCost,
+} from './universalisClient.js';
+
+/**
+ * Create a promise that is resolved from outside
+ * @returns {Object} { promise, resolve }
+ */
+function createGate() {
+  let resolve;
+  const promise = new Promise((done) => {
+    resolve = done;
+  });
+  return { promise, resolve };
+}
+
+/**
+ * Create an error like a failed Universalis response
+ * @param {number} status - HTTP status
+ * @returns {Error} Error with `status`
+ */
+function createStatusError(status) {
+  const error = new Error(`Universalis API error: ${status}`);
+  error.status = status;
+  return error;
+}
+
+describe('UniversalisRequestQueue', () => {
+  let queue;
+  let order;
+  let gate;
+
+  /**
+   * Queue a request that records when it runs
+   * @param {string} name - Name recorded in `order`
+   * @param {Object} options - enqueue options
+   * @returns {Promise} Request result (the name)
+   */
+  const enqueue = (name, options) => queue.enqueue(async () => {
+    order.push(name);
+    return name;
+  }, options);
+
+  /**
+   * Queue a request that stays in flight until the gate opens, so later requests wait in their lanes
+   * @returns {Promise} Request result
+   */
+  const block = () => queue.enqueue(async () => {
+    order.push('blocking');
+    await gate.promise;
+    return 'blocking';
+  }, { priority: 'backfill' });
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    queue = new UniversalisRequestQueue(PRIORITIES, new CircuitBreaker(0, 1000));
+    order = [];
+    gate = createGate();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should have a lane per tier between the interactive and backfill lanes', () => {
+    expect(PRIORITIES).toEqual(['interactive', 'hot', 'mild', 'cold', 'backfill']);
+  });
+
+  it('should reject unknown priorities', async () => {
+    await expect(enqueue('x', { priority: 'urgent' })).rejects.toThrow('Unknown request priority: urgent');
+  });
+
+  describe('lanes', () => {
+    it('should serve the highest non-empty lane first and each lane in order', async () => {
+      const blocking = block();
+      const requests = [
+        enqueue('cold 1', { priority: 'cold' }),
+        enqueue('backfill', { priority: 'backfill' }),
+        enqueue('cold 2', { priority: 'cold' }),
+        enqueue('hot', { priority: 'hot' }),
+        enqueue('interactive', { priority: 'interactive' }),
+      ];
+      expect(queue.getStats().depth).toBe(5);
+
+      gate.resolve();
+      await Promise.all([blocking, ...requests]);
+
+      expect(order).toEqual(['blocking', 'interactive', 'hot', 'cold 1', 'cold 2', 'backfill']);
+    });
+
+    it('should report depth and processed requests per lane', async () => {
+      const blocking = block();
+      const requests = [enqueue('cold', { priority: 'cold' }), enqueue('hot', { priority: 'hot' })];
+
+      const { lanes } = queue.getStats();
+      expect(lanes.cold.depth).toBe(1);
+      expect(lanes.hot.depth).toBe(1);
+      expect(lanes.interactive.depth).toBe(0);
+
+      gate.resolve();
+      await Promise.all([blocking, ...requests]);
+
+      const stats = queue.getStats();
+      expect(stats.depth).toBe(0);
+      expect(stats.lanes.cold.processed).toBe(1);
+      expect(stats.lanes.backfill.processed).toBe(1);
+    });
+  });
+
+  describe('coalescing', () => {
+    it('should share a pending request that covers the requested items', async () => {
+      const blocking = block();
+      const batch = enqueue('batch', { priority: 'cold', key: 'market|China', itemIDs: [1, 2, 3] });
+      const single = enqueue('single', { priority: 'cold', key: 'market|China', itemIDs: [2] });
+
+      gate.resolve();
+      await blocking;
+
+      expect(await single).toBe('batch');
+      expect(await batch).toBe('batch');
+      expect(order).toEqual(['blocking', 'batch']);
+      expect(queue.getStats().lanes.cold.coalesced).toBe(1);
+    });
+
+    it('should send requests with other keys, other items or no key separately', async () => {
+      const blocking = block();
+      const requests = [
+        enqueue('China', { priority: 'cold', key: 'market|China', itemIDs: [1, 2] }),
+        enqueue('Japan', { priority: 'cold', key: 'market|Japan', itemIDs: [1, 2] }),
+        enqueue('more items', { priority: 'cold', key: 'market|China', itemIDs: [2, 3] }),
+        enqueue('no key 1', { priority: 'cold' }),
+        enqueue('no key 2', { priority: 'cold' }),
+      ];
+
+      gate.resolve();
+      await Promise.all([blocking, ...requests]);
+
+      expect(order).toEqual(['blocking', 'China', 'Japan', 'more items', 'no key 1', 'no key 2']);
+      expect(queue.getStats().lanes.cold.coalesced).toBe(0);
+    });
+
+    it('should move a pending request up to the lane of a more urgent duplicate', async () => {
+      const blocking = block();
+      const requests = [
+        enqueue('cold', { priority: 'cold', key: 'market|China', itemIDs: [1] }),
+        enqueue('hot', { priority: 'hot' }),
+        enqueue('interactive duplicate', { priority: 'interactive', key: 'market|China', itemIDs: [1] }),
+      ];
+      expect(queue.getStats().lanes.interactive.depth).toBe(1);
+      expect(queue.getStats().lanes.cold.depth).toBe(0);
+
+      gate.resolve();
+      const results = await Promise.all([blocking, ...requests]);
+
+      expect(order).toEqual(['blocking', 'cold', 'hot']);
+      expect(results[3]).toBe('cold');
+    });
+  });
+
+  describe('retries', () => {
+    it('should retry server errors until a request succeeds', async () => {
+      let calls = 0;
+      const result = await queue.enqueue(async () => {
+        if (++calls < 3) {
+          throw createStatusError(503);
+        }
+        return 'ok';
+      }, { priority: 'hot' });
+
+      expect(result).toBe('ok');
+      expect(calls).toBe(3);
+      expect(queue.getUpstreamStats()).toMatchObject({ retries: 2, failures: 2 });
+    });
+
+    it('should give up after the configured retries', async () => {
+      const requestFn = vi.fn(async () => {
+        throw createStatusError(500);
+      });
+
+      await expect(queue.enqueue(requestFn, { priority: 'hot' })).rejects.toThrow('Universalis API error: 500');
+      expect(requestFn).toHaveBeenCalledTimes(3);
+    });
+
+    it('should not retry other client errors or count them towards the circuit', async () => {
+      const requestFn = vi.fn(async () => {
+        throw createStatusError(404);
+      });
+
+      await expect(queue.enqueue(requestFn, { priority: 'hot' })).rejects.toThrow('Universalis API error: 404');
+      expect(requestFn).toHaveBeenCalledTimes(1);
+      expect(queue.getUpstreamStats().circuit.consecutiveFailures).toBe(0);
+    });
+  });
+
+  describe('circuit breaker', () => {
+    it('should pause fetching once the circuit opens and resume after the cooldown', async () => {
+      const breaker = new CircuitBreaker(2, 250);
+      queue = new UniversalisRequestQueue(PRIORITIES, breaker);
+
+      let calls = 0;
+      const request = queue.enqueue(async () => {
+        if (++calls <= 2) {
+          throw createStatusError(503);
+        }
+        return 'ok';
+      }, { priority: 'hot' });
+
+      await vi.waitFor(() => expect(calls).toBe(2), { interval: 5 });
+      expect(breaker.getState()).toBe('open');
+      const rejected = queue.enqueue(async () => 'new', { priority: 'interactive' });
+      await expect(rejected).rejects.toMatchObject({ circuitOpen: true });
+      expect(calls).toBe(2);
+
+      // The retry waits for the cooldown, then its success closes the circuit
+      expect(await request).toBe('ok');
+      expect(breaker.getState()).toBe('closed');
+      expect(breaker.getStats()).toMatchObject({ consecutiveFailures: 0, trips: 1 });
+    });
+  });
+});
+
+describe('CircuitBreaker', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should open at the threshold of consecutive failures', () => {
+    const breaker = new CircuitBreaker(3, 1000);
+
+    breaker.recordFailure(0);
+    breaker.recordFailure(0);
+    expect(breaker.getState(0)).toBe('closed');
+
+    breaker.recordFailure(100);
+    expect(breaker.getState(100)).toBe('open');
+    expect(breaker.getReopensAt()).toBe(1100);
+  });
+
+  it('should reset the count on success', () => {
+    const breaker = new CircuitBreaker(2, 1000);
+
+    breaker.recordFailure(0);
+    breaker.recordSuccess();
+    breaker.recordFailure(0);
+
+    expect(breaker.getState(0)).toBe('closed');
+  });
+
+  it('should let a request through after the cooldown and reopen if it fails', () => {
+    const breaker = new CircuitBreaker(1, 1000);
+    breaker.recordFailure(0);
+
+    expect(breaker.getState(999)).toBe('open');
+    expect(breaker.getState(1000)).toBe('half-open');
+
+    breaker.recordFailure(1000);
+    expect(breaker.getState(1000)).toBe('open');
+    expect(breaker.getReopensAt()).toBe(2000);
+    expect(breaker.trips).toBe(2);
+  });
+
+  it('should close when the request after the cooldown succeeds', () => {
+    const breaker = new CircuitBreaker(1, 1000);
+    breaker.recordFailure(0);
+
+    breaker.recordSuccess();
+
+    expect(breaker.getState(0)).toBe('closed');
+    expect(breaker.getReopensAt()).toBe(0);
+  });
+
+  it('should never open with a threshold of 0', () => {
+    const breaker = new CircuitBreaker(0, 1000);
+    for (let i = 0; i < 10; i++) {
+      breaker.recordFailure(0);
+    }
+
+    expect(breaker.getState(0)).toBe('closed');
+  });
+});
+
+describe('estimateRequestCost', () => {
+  it('should count batched requests and assume 1s per request until there are measurements', () => {
+    expect(estimateRequestCost(12)).toEqual({
+      batchSize: 5,
+      delayMs: 0,
+      delayJitterMs: 0,
+      entriesWithinSeconds: 7 * 24 * 60 * 60,
+      avgRequestMs: 1000,
+      measuredRequests: 0,
+      items: 12,
+      requests: 3,
+      estimatedSeconds: 3,
+    });
+    expect(estimateRequestCost(0)).toMatchObject({ requests: 0, estimatedSeconds: 0 });
+  });
+});
+
+describe('fetchMarketData', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should share a pending batch with a request for some of its items', async () => {
+    const gate = createGate();
+    const urls = [];
+    vi.stubGlobal('fetch', vi.fn(async (url) => {
+      urls.push(url);
+      if (url.includes('/China/9?')) {
+        await gate.promise;
+      }
+      const itemIDs = new URL(url).pathname.split('/').pop().split(',').map(Number);
+      return { ok: true, status: 200, json: async () => ({ itemIDs, items: {} }) };
+    }));
+
+    // Holds the queue so the next two requests wait in their lanes
+    const blocking = fetchMarketData([9], 'China', 5, 20, { priority: 'backfill' });
+    const batch = fetchMarketData([1, 2], 'China', 5, 20, { priority: 'cold' });
+    const single = fetchMarketData([2], 'China', 5, 20, { priority: 'hot' });
+    gate.resolve();
+
+    const [, batchData, singleData] = await Promise.all([blocking, batch, single]);
+
+    expect(singleData).toBe(batchData);
+    expect(singleData.itemIDs).toEqual([1, 2]);
+    expect(urls).toHaveLength(2);
+    expect(getQueueStats().lanes.hot.coalesced).toBe(1);
+
+    // The estimate now uses the measured response times
+    const cost = estimateRequestCost(10);
+    expect(cost.measuredRequests).toBe(2);
+    expect(cost.estimatedSeconds).toBe(Math.round(2 * cost.avgRequestMs / 1000));
+  });
+});
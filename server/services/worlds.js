@@ -0,0 +1,56 @@
+/**
+ * Tracked Worlds
+ *
+ * The worlds, data centers and regions market data is fetched for
+ * (WORLDS environment variable). Every item, snapshot and sale is stored
+ * per world, and API requests pick one with `?world=`.
+ */
+
+import config from '../config.js';
+
+/**
+ * Get the tracked worlds, default world first
+ * @returns {string[]} World/data center/region names
+ */
+function getWorlds() {
+  return config.worlds;
+}
+
+/**
+ * Resolve a `world` query parameter
+ * @param {string|undefined} value - Raw parameter value
+ * @returns {string|null} Tracked world (the default world if not given), or null if not tracked
+ */
+function resolveWorld(value) {
+  if (value === undefined || value === '') {
+    return config.defaultWorld;
+  }
+  return config.worlds.includes(value) ? value : null;
+}
+
+/**
+ * Express middleware that resolves `?world=` into `req.world`
+ * Responds 400 if the world isn't tracked
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+function worldParam(req, res, next) {
+  const world = resolveWorld(req.query.world);
+
+  if (!world) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown world. Expected one of: ${config.worlds.join(', ')}`,
+    });
+  }
+
+  req.world = world;
+  next();
+}
+
+export {
+  getWorlds,
+  resolveWorld,
+  worldParam,
+};
@@ -13,6 +13,20 @@ export function delay(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+/**
+ * Get an exponential backoff delay with jitter
+ * The delay doubles with every attempt up to maxMs, and a random half of it
+ * is dropped so clients that failed together don't retry together
+ * @param {number} attempt - Number of attempts that already failed (0 for the first retry)
+ * @param {number} baseMs - Delay before the first retry
+ * @param {number} maxMs - Upper bound of the delay
+ * @returns {number} Delay in milliseconds
+ */
+export function getBackoffDelay(attempt, baseMs, maxMs) {
+  const ceiling = Math.min(maxMs, baseMs * 2 ** attempt);
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
 /**
  * Create a deep copy of an object using JSON serialization
  * @param {*} obj - Object to copy
@@ -67,6 +81,36 @@ export function parseDbRow(row, jsonFields = []) {
   return parsed;
 }
 
+/**
+ * Read a non-negative integer from an environment variable
+ * @param {string} name - Environment variable name
+ * @param {number} defaultValue - Value used when the variable is unset or invalid
+ * @returns {number} Parsed value or defaultValue
+ */
+export function getEnvInt(name, defaultValue) {
+  const parsed = parseInt(process.env[name], 10);
+  return isNaN(parsed) || parsed < 0 ? defaultValue : parsed;
+}
+
+/**
+ * Parse a timestamp query parameter
+ * Accepts epoch milliseconds or any date string understood by Date.parse
+ * @param {string|undefined} value - Raw query parameter value
+ * @returns {number|null|undefined} Timestamp in ms, undefined if not provided, null if invalid
+ */
+export function parseTimestamp(value) {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+
+  if (/^\d+$/.test(value)) {
+    return parseInt(value, 10);
+  }
+
+  const parsed = Date.parse(value);
+  return isNaN(parsed) ? null : parsed;
+}
+
 /**
  * Handle API errors consistently in Express routes
  * @param {Object} res - Express response object
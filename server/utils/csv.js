@@ -0,0 +1,96 @@
+/**
+ * CSV Parsing
+ *
+ * Minimal RFC 4180 parser: comma separated, double-quoted fields with ""
+ * escapes, quoted fields may contain commas and line breaks.
+ */
+
+/**
+ * Parse CSV text into rows of string fields
+ * @param {string} text - CSV text (a leading byte order mark is ignored)
+ * @returns {string[][]} Rows of fields (blank lines are skipped)
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+}
+
+/**
+ * Parse CSV text into objects keyed by the header row
+ * Supports exports with a leading `key,0,1,...` index row followed by the
+ * column-name row and a column-type row (datamining tool layout).
+ * @param {string} text - CSV text
+ * @returns {Object[]} Row objects keyed by column name
+ */
+export function parseCsvRecords(text) {
+  const rows = parseCsv(text);
+  if (rows.length === 0) {
+    return [];
+  }
+
+  let headerIndex = 0;
+  let dataIndex = 1;
+  if (rows[0][0] === 'key' && rows.length > 2) {
+    headerIndex = 1;
+    dataIndex = 3;
+  }
+
+  const header = rows[headerIndex];
+  return rows.slice(dataIndex).map(row => {
+    const record = {};
+    header.forEach((column, index) => {
+      // Keep the first column with a given name (exports can repeat names)
+      if (column !== '' && !(column in record)) {
+        record[column] = row[index] ?? '';
+      }
+    });
+    return record;
+  });
+}
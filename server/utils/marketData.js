@@ -0,0 +1,55 @@
+/**
+ * Market Data Utilities
+ *
+ * Reading values out of Universalis market data, which mixes numbers with
+ * "NA" placeholders. Shared by the item manager, freshness checks and the
+ * storage adapters, which keep the commonly filtered metrics as columns.
+ */
+
+/**
+ * Convert a market data value to a number, treating "NA" and missing values as null
+ * @param {*} value - Raw market data value
+ * @returns {number|null} Numeric value or null
+ */
+export function toNumberOrNull(value) {
+  if (value === null || value === undefined || value === 'NA') {
+    return null;
+  }
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return isNaN(number) ? null : number;
+}
+
+/**
+ * Get the newest upload time from Universalis market data
+ * @param {Object} marketData - Market data from API
+ * @returns {number|null} Newest upload timestamp (ms) or null if unknown
+ */
+export function getNewestUploadTime(marketData) {
+  if (!marketData || !marketData.hasData) {
+    return null;
+  }
+
+  const times = [
+    marketData.lastUploadTime,
+    ...Object.values(marketData.worldUploadTimes || {}),
+  ].filter(time => typeof time === 'number' && time > 0);
+
+  return times.length > 0 ? Math.max(...times) : null;
+}
+
+/**
+ * Get the metrics items can be filtered and sorted by
+ * @param {Object} marketData - Market data from API
+ * @returns {Object} { hasData, minPrice, avgPrice, unitsSold, unitsForSale, listingsCount, lastUploadTime }
+ */
+export function getItemMetrics(marketData) {
+  return {
+    hasData: Boolean(marketData?.hasData),
+    minPrice: toNumberOrNull(marketData?.minPrice),
+    avgPrice: toNumberOrNull(marketData?.currentAveragePrice),
+    unitsSold: toNumberOrNull(marketData?.unitsSold),
+    unitsForSale: toNumberOrNull(marketData?.unitsForSale),
+    listingsCount: toNumberOrNull(marketData?.listingsCount),
+    lastUploadTime: getNewestUploadTime(marketData),
+  };
+}
@@ -0,0 +1,114 @@
+/**
+ * Item Projection Utilities
+ *
+ * Trimming item responses down to what a client asked for, either a named
+ * view or an explicit list of fields. Stored market data embeds listings,
+ * sale history and stack size histograms that most screens never show.
+ */
+
+// Views an item response can be returned in ('full' is the item as stored)
+export const ITEM_VIEWS = ['summary', 'full'];
+
+// Top-level item fields that can be requested with ?fields=
+export const ITEM_FIELDS = [
+  'id', 'world', 'name', 'number', 'req', 'marketData', 'classification', 'lastUpdate', 'nextUpdate',
+  'refresh', 'contentHash', 'lastChangedAt', 'unchangedCount', 'metadata', 'freshness',
+];
+
+// Fields kept by the summary view: the prices and counts shown on item cards
+const SUMMARY_FIELDS = ['id', 'world', 'name', 'classification', 'lastUpdate', 'nextUpdate', 'metadata', 'freshness'];
+const SUMMARY_MARKET_FIELDS = [
+  'hasData', 'minPrice', 'minPriceNQ', 'minPriceHQ', 'maxPrice',
+  'currentAveragePrice', 'currentAveragePriceNQ', 'currentAveragePriceHQ',
+  'regularSaleVelocity', 'unitsSold', 'unitsForSale', 'listingsCount', 'lastUploadTime',
+];
+
+/**
+ * Parse a ?fields= value into field paths
+ * @param {*} value - Comma-separated fields, nested ones in dot notation (e.g. "name,marketData.minPrice")
+ * @returns {string[]|null} Field paths, or null if empty or a top-level field is unknown
+ */
+export function parseFields(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const paths = value.split(',').map(path => path.trim()).filter(path => path !== '');
+  const valid = paths.length > 0 && paths.every(path => {
+    const segments = path.split('.');
+    return ITEM_FIELDS.includes(segments[0]) && segments.every(segment => segment !== '');
+  });
+
+  return valid ? [...new Set(paths)] : null;
+}
+
+/**
+ * Copy the given keys of an object that are present
+ * @param {Object} source - Object to copy from
+ * @param {string[]} keys - Keys to copy
+ * @returns {Object} Object with only those keys
+ */
+function pick(source, keys) {
+  const result = {};
+  for (const key of keys) {
+    if (source[key] !== undefined) {
+      result[key] = source[key];
+    }
+  }
+  return result;
+}
+
+/**
+ * Copy a dot-notation path from one object into another, creating parents as needed
+ * @param {Object} target - Object to copy into
+ * @param {Object} source - Object to copy from
+ * @param {string[]} segments - Path segments
+ */
+function copyPath(target, source, segments) {
+  const [key, ...rest] = segments;
+  if (source === null || typeof source !== 'object' || source[key] === undefined) {
+    return;
+  }
+
+  if (rest.length === 0) {
+    target[key] = source[key];
+    return;
+  }
+
+  // Parents are only created once something below them was copied
+  const child = target[key] || {};
+  copyPath(child, source[key], rest);
+  if (Object.keys(child).length > 0) {
+    target[key] = child;
+  }
+}
+
+/**
+ * Shape an item for a response
+ * The item ID is always included so projected items can still be told apart
+ * @param {Object} item - Item as returned by the item manager
+ * @param {Object} projection - { view, fields } with fields taking precedence
+ * @param {string} projection.view - One of ITEM_VIEWS (default: 'full')
+ * @param {string[]|null} projection.fields - Field paths from parseFields (default: null)
+ * @returns {Object} Projected item
+ */
+export function projectItem(item, { view = 'full', fields = null } = {}) {
+  if (fields) {
+    const result = { id: item.id };
+    // A field requested as a whole already covers its nested fields
+    const covered = path => fields.some(other => path.startsWith(`${other}.`));
+    for (const path of fields.filter(path => !covered(path))) {
+      copyPath(result, item, path.split('.'));
+    }
+    return result;
+  }
+
+  if (view === 'summary') {
+    return {
+      ...pick(item, SUMMARY_FIELDS),
+      marketData: pick(item.marketData || {}, SUMMARY_MARKET_FIELDS),
+    };
+  }
+
+  return item;
+}
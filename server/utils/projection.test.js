@@ -0,0 +1,140 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import express from 'express';
+import config from '../config.js';
+import itemsRouter from '../routes/items.js';
+import { initializeStorage, getStorage, closeStorage } from '../services/storage/index.js';
+import { parseFields, projectItem, ITEM_FIELDS } from './projection.js';
+
+const ITEM = {
+  id: 43983,
+  world: 'China',
+  name: 'Test item',
+  classification: 'hot',
+  lastUpdate: 1760860800000,
+  nextUpdate: 1760860860000,
+  refresh: { intervalMs: 60000, reason: 'classification' },
+  marketData: {
+    hasData: true,
+    minPrice: 1200,
+    unitsSold: 1500,
+    listings: [{ pricePerUnit: 1200, quantity: 1 }],
+    recentHistory: [{ pricePerUnit: 1250, quantity: 2 }],
+    worldUploadTimes: { 1042: 1760860000000 },
+  },
+};
+
+describe('parseFields', () => {
+  it('should split, trim and deduplicate field paths', () => {
+    expect(parseFields(' name, marketData.minPrice ,name,, ')).toEqual(['name', 'marketData.minPrice']);
+  });
+
+  it('should accept any nested path below a known field', () => {
+    expect(parseFields('marketData.worldUploadTimes.1042,refresh.intervalMs')).toEqual(['marketData.worldUploadTimes.1042', 'refresh.intervalMs']);
+  });
+
+  it('should reject unknown top-level fields, empty segments and empty lists', () => {
+    expect(parseFields('name,price')).toBeNull();
+    expect(parseFields('minPrice')).toBeNull();
+    expect(parseFields('marketData..minPrice')).toBeNull();
+    expect(parseFields('marketData.')).toBeNull();
+    expect(parseFields(' , ')).toBeNull();
+    expect(parseFields(['name'])).toBeNull();
+  });
+});
+
+describe('projectItem', () => {
+  it('should return the item as stored in the full view', () => {
+    expect(projectItem(ITEM)).toBe(ITEM);
+    expect(projectItem(ITEM, { view: 'full' })).toBe(ITEM);
+  });
+
+  it('should keep only the card fields in the summary view', () => {
+    expect(projectItem(ITEM, { view: 'summary' })).toEqual({
+      id: ITEM.id,
+      world: ITEM.world,
+      name: ITEM.name,
+      classification: ITEM.classification,
+      lastUpdate: ITEM.lastUpdate,
+      nextUpdate: ITEM.nextUpdate,
+      marketData: { hasData: true, minPrice: 1200, unitsSold: 1500 },
+    });
+    expect(projectItem({ id: 1 }, { view: 'summary' })).toEqual({ id: 1, marketData: {} });
+  });
+
+  it('should return the requested fields and the ID, in preference to the view', () => {
+    expect(projectItem(ITEM, { view: 'summary', fields: ['name', 'marketData.minPrice', 'marketData.worldUploadTimes.1042'] })).toEqual({
+      id: ITEM.id,
+      name: ITEM.name,
+      marketData: { minPrice: 1200, worldUploadTimes: { 1042: 1760860000000 } },
+    });
+  });
+
+  it('should copy a whole field once even if nested paths of it are requested too', () => {
+    expect(projectItem(ITEM, { fields: ['refresh.intervalMs', 'refresh'] })).toEqual({ id: ITEM.id, refresh: ITEM.refresh });
+  });
+
+  it('should leave out fields the item does not have', () => {
+    expect(projectItem(ITEM, { fields: ['metadata', 'marketData.maxPrice', 'name.length', 'marketData.minPrice.value'] })).toEqual({ id: ITEM.id });
+  });
+});
+
+describe('GET /api/items/:id projection', () => {
+  let server;
+  let baseUrl;
+
+  /**
+   * Get the test item
+   * @param {string} query - Query string
+   * @returns {Promise<Object>} { status, body }
+   */
+  const getItem = async (query) => {
+    const response = await fetch(`${baseUrl}/api/items/${ITEM.id}${query}`);
+    return { status: response.status, body: await response.json() };
+  };
+
+  beforeAll(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    initializeStorage({ adapter: 'memory' });
+    getStorage().upsertItem({ ...ITEM, world: config.defaultWorld });
+
+    const app = express();
+    app.use('/api/items', itemsRouter);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    closeStorage();
+    vi.restoreAllMocks();
+  });
+
+  it('should apply ?fields= and ?view=', async () => {
+    expect((await getItem('?fields=classification,marketData.minPrice')).body.item).toEqual({
+      id: ITEM.id,
+      classification: ITEM.classification,
+      marketData: { minPrice: 1200 },
+    });
+
+    const { item } = (await getItem('?view=summary')).body;
+    expect(item.marketData).toEqual({ hasData: true, minPrice: 1200, unitsSold: 1500 });
+    expect(item).not.toHaveProperty('refresh');
+
+    expect((await getItem('')).body.item.marketData.listings).toEqual(ITEM.marketData.listings);
+  });
+
+  it('should reject unknown fields and views', async () => {
+    expect(await getItem('?fields=name,price')).toEqual({
+      status: 400,
+      body: {
+        success: false,
+        error: `Invalid fields. Expected a comma-separated list of: ${ITEM_FIELDS.join(', ')} (nested fields with dots, e.g. marketData.minPrice)`,
+      },
+    });
+    expect((await getItem('?view=compact')).body).toMatchObject({
+      success: false,
+      error: "Invalid query parameter 'view': must be one of: summary, full",
+    });
+  });
+});
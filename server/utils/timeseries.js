@@ -0,0 +1,124 @@
+/**
+ * Time Series Utilities
+ *
+ * Bucketing helpers shared by the history API and history compaction.
+ * A bucket row holds OHLC values of the min price plus averaged
+ * market stats, the traded volume and the number of merged samples.
+ */
+
+export const HOUR_MS = 60 * 60 * 1000;
+export const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Get the start of the bucket containing a timestamp
+ * @param {number} timestamp - Timestamp in ms
+ * @param {number} bucketMs - Bucket size in ms
+ * @returns {number} Bucket start timestamp in ms
+ */
+export function getBucketStart(timestamp, bucketMs) {
+  return Math.floor(timestamp / bucketMs) * bucketMs;
+}
+
+/**
+ * Convert a raw price snapshot into a single-sample bucket row
+ * @param {Object} snapshot - Row from price_snapshots
+ * @returns {Object} Bucket row
+ */
+export function snapshotToBucketRow(snapshot) {
+  return {
+    recordedAt: snapshot.recordedAt,
+    open: snapshot.minPrice,
+    high: snapshot.minPrice,
+    low: snapshot.minPrice,
+    close: snapshot.minPrice,
+    avgPrice: snapshot.avgPrice,
+    unitsForSale: snapshot.unitsForSale,
+    listingsCount: snapshot.listingsCount,
+    unitsSold: snapshot.unitsSold,
+    volume: 0,
+    samples: 1,
+  };
+}
+
+/**
+ * Running sample-weighted average that ignores missing values
+ */
+class WeightedAverage {
+  constructor() {
+    this.sum = 0;
+    this.weight = 0;
+  }
+
+  add(value, weight) {
+    if (value === null || value === undefined || !weight) return;
+    this.sum += value * weight;
+    this.weight += weight;
+  }
+
+  get value() {
+    return this.weight > 0 ? this.sum / this.weight : null;
+  }
+}
+
+/**
+ * Merge bucket rows into buckets of the given size
+ * Rows may be raw snapshot rows, finer rollups or volume-only rows
+ * (null prices, 0 samples). Open/close come from the earliest/latest row
+ * that has a price, averages are weighted by sample count.
+ * @param {Object[]} rows - Bucket rows (any order)
+ * @param {number} bucketMs - Target bucket size in ms
+ * @returns {Object[]} Merged bucket rows ordered by time
+ */
+export function mergeBuckets(rows, bucketMs) {
+  const sorted = [...rows].sort((a, b) => a.recordedAt - b.recordedAt);
+  const buckets = new Map();
+
+  for (const row of sorted) {
+    const bucketStart = getBucketStart(row.recordedAt, bucketMs);
+    let bucket = buckets.get(bucketStart);
+
+    if (!bucket) {
+      bucket = {
+        recordedAt: bucketStart,
+        open: null,
+        high: null,
+        low: null,
+        close: null,
+        avgPrice: new WeightedAverage(),
+        unitsForSale: new WeightedAverage(),
+        listingsCount: new WeightedAverage(),
+        unitsSold: null,
+        volume: 0,
+        samples: 0,
+      };
+      buckets.set(bucketStart, bucket);
+    }
+
+    const samples = row.samples || 0;
+
+    if (row.open !== null && row.open !== undefined) {
+      bucket.open = bucket.open ?? row.open;
+      bucket.close = row.close;
+      bucket.high = bucket.high === null ? row.high : Math.max(bucket.high, row.high);
+      bucket.low = bucket.low === null ? row.low : Math.min(bucket.low, row.low);
+    }
+
+    bucket.avgPrice.add(row.avgPrice, samples);
+    bucket.unitsForSale.add(row.unitsForSale, samples);
+    bucket.listingsCount.add(row.listingsCount, samples);
+
+    if (row.unitsSold !== null && row.unitsSold !== undefined) {
+      bucket.unitsSold = Math.max(bucket.unitsSold ?? 0, row.unitsSold);
+    }
+
+    bucket.volume += row.volume || 0;
+    bucket.samples += samples;
+  }
+
+  return [...buckets.values()].map(bucket => ({
+    ...bucket,
+    avgPrice: bucket.avgPrice.value,
+    unitsForSale: bucket.unitsForSale.value,
+    listingsCount: bucket.listingsCount.value,
+  }));
+}
@@ -0,0 +1,111 @@
+import { describe, it, expect } from 'vitest';
+import { HOUR_MS, DAY_MS, getBucketStart, snapshotToBucketRow, mergeBuckets } from './timeseries.js';
+
+const HOUR = 1760860800000;
+
+/**
+ * Build a snapshot bucket row
+ * @param {number} recordedAt - Snapshot time
+ * @param {number} minPrice - Minimum price
+ * @param {Object} fields - Other snapshot values
+ * @returns {Object} Bucket row
+ */
+const snapshot = (recordedAt, minPrice, fields = {}) => snapshotToBucketRow({
+  recordedAt,
+  minPrice,
+  avgPrice: null,
+  unitsForSale: null,
+  listingsCount: null,
+  unitsSold: null,
+  ...fields,
+});
+
+describe('getBucketStart', () => {
+  it('should align timestamps to the start of their bucket', () => {
+    expect(getBucketStart(HOUR, HOUR_MS)).toBe(HOUR);
+    expect(getBucketStart(HOUR + HOUR_MS - 1, HOUR_MS)).toBe(HOUR);
+    expect(getBucketStart(HOUR + 16 * HOUR_MS, DAY_MS)).toBe(getBucketStart(HOUR, DAY_MS) + DAY_MS);
+  });
+});
+
+describe('mergeBuckets', () => {
+  it('should take open and close from the first and last price of each bucket, in any input order', () => {
+    const rows = mergeBuckets([
+      snapshot(HOUR + 50 * 60 * 1000, 90),
+      snapshot(HOUR + HOUR_MS + 5 * 60 * 1000, 50),
+      snapshot(HOUR + 10 * 60 * 1000, 100),
+      snapshot(HOUR + 30 * 60 * 1000, 120),
+    ], HOUR_MS);
+
+    expect(rows.map(({ recordedAt, open, high, low, close, samples }) => ({ recordedAt, open, high, low, close, samples }))).toEqual([
+      { recordedAt: HOUR, open: 100, high: 120, low: 90, close: 90, samples: 3 },
+      { recordedAt: HOUR + HOUR_MS, open: 50, high: 50, low: 50, close: 50, samples: 1 },
+    ]);
+  });
+
+  it('should merge a snapshot into an already compacted hour weighted by its samples', () => {
+    const rollup = {
+      recordedAt: HOUR,
+      open: 100,
+      high: 120,
+      low: 90,
+      close: 110,
+      avgPrice: 100,
+      unitsForSale: 10,
+      listingsCount: 4,
+      unitsSold: 5,
+      volume: 7,
+      samples: 3,
+    };
+    const [row] = mergeBuckets([
+      snapshot(HOUR + 30 * 60 * 1000, 80, { avgPrice: 120, unitsForSale: 20, unitsSold: 8 }),
+      rollup,
+    ], HOUR_MS);
+
+    expect(row).toEqual({
+      recordedAt: HOUR,
+      open: 100,
+      high: 120,
+      low: 80,
+      close: 80,
+      avgPrice: 105,
+      unitsForSale: 12.5,
+      // Missing values don't count towards the average
+      listingsCount: 4,
+      unitsSold: 8,
+      volume: 7,
+      samples: 4,
+    });
+  });
+
+  it('should add the volume of volume-only rows without touching prices or averages', () => {
+    const rows = mergeBuckets([
+      snapshot(HOUR + 10 * 60 * 1000, 100, { avgPrice: 100 }),
+      { recordedAt: HOUR, volume: 2, samples: 0 },
+      { recordedAt: HOUR + HOUR_MS, volume: 4, samples: 0 },
+    ], HOUR_MS);
+
+    expect(rows[0]).toMatchObject({ open: 100, close: 100, avgPrice: 100, volume: 2, samples: 1 });
+    expect(rows[1]).toMatchObject({ open: null, close: null, avgPrice: null, volume: 4, samples: 0 });
+  });
+
+  it('should roll hourly rows up into days and carry their volume', () => {
+    const hourly = mergeBuckets([
+      snapshot(HOUR, 100),
+      { recordedAt: HOUR, volume: 3, samples: 0 },
+      snapshot(HOUR + 2 * HOUR_MS, 70),
+      { recordedAt: HOUR + 3 * HOUR_MS, volume: 5, samples: 0 },
+    ], HOUR_MS);
+    const daily = mergeBuckets(hourly, DAY_MS);
+
+    expect(daily).toHaveLength(1);
+    expect(daily[0]).toMatchObject({
+      recordedAt: getBucketStart(HOUR, DAY_MS),
+      open: 100,
+      low: 70,
+      close: 70,
+      volume: 8,
+      samples: 2,
+    });
+  });
+});
@@ -1,85 +1,674 @@
 /**
- * Backend API Service
- * 
- * Client for communicating with the backend server
+ * Backend API Client
+ *
+ * Generated from the server's OpenAPI document (GET /api/openapi.json) by
+ * server/generateClient.js. Do not edit: change the route definitions and run
+ * `npm run generate-client` instead.
+ *
+ * Failed requests throw an Error with the server's message, plus `status`
+ * and `details` ([{ in, name, message }] for invalid requests).
  */
 
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3000';
 
 /**
- * Helper function to make API requests with consistent error handling
- * @param {string} url - URL to fetch
- * @param {string} errorContext - Context for error message
- * @returns {Promise<Object>} Response data
+ * Build an API URL
+ * @param {string} path - Path with its parameters filled in
+ * @param {Object} query - Query parameters (undefined and null values are left out)
+ * @returns {string} URL
  */
-async function apiRequest(url, errorContext) {
-  try {
-    const response = await fetch(url);
-    
-    if (!response.ok) {
-      throw new Error(`Backend API error: ${response.status} ${response.statusText}`);
+function buildUrl(path, query = {}) {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(query)) {
+    if (value !== undefined && value !== null) {
+      params.set(key, String(value));
     }
-    
-    return await response.json();
-  } catch (error) {
-    console.error(`Error ${errorContext}:`, error);
+  }
+
+  const search = params.toString();
+  return `${API_BASE_URL}${path}${search ? `?${search}` : ''}`;
+}
+
+/**
+ * Send an API request
+ * @param {string} method - HTTP method
+ * @param {string} url - URL from buildUrl
+ * @param {Object} options - Request options
+ * @param {*} options.body - Request body (JSON-encoded for application/json)
+ * @param {string} options.contentType - Request body type (default: 'application/json')
+ * @param {boolean} options.json - Parse the response as JSON, otherwise return its text (default: true)
+ * @returns {Promise<*>} Response body
+ */
+async function request(method, url, { body, contentType = 'application/json', json = true } = {}) {
+  const init = { method };
+  if (body !== undefined) {
+    init.headers = { 'Content-Type': contentType };
+    init.body = contentType === 'application/json' ? JSON.stringify(body) : body;
+  }
+
+  const response = await fetch(url, init);
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => null);
+    const error = new Error(data?.error || `Backend API error: ${response.status} ${response.statusText}`);
+    error.status = response.status;
+    error.details = data?.details || [];
     throw error;
   }
+
+  return json ? await response.json() : await response.text();
+}
+
+
+/**
+ * @typedef {Object} ErrorResponse
+ * @property {false} success
+ * @property {string} error
+ * @property {({in: 'path'|'query'|'body'|'response', name: string, message: string})[]} [details] - Every failed check of an invalid request
+ */
+
+/**
+ * A market figure, or 'NA' until the item has been fetched
+ * @typedef {number|'NA'} MarketValue
+ */
+
+/**
+ * @typedef {Object} Listing
+ * @property {string|number} [listingID]
+ * @property {number} [pricePerUnit]
+ * @property {number} [quantity]
+ * @property {number} [total]
+ * @property {boolean} [hq]
+ * @property {string} [worldName]
+ * @property {string} [retainerName]
+ * @property {number} [lastReviewTime]
+ */
+
+/**
+ * Market data as fetched from Universalis, with the fields below computed or normalised
+ * @typedef {Object} MarketData
+ * @property {boolean} [hasData]
+ * @property {MarketValue} [minPrice]
+ * @property {MarketValue} [minPriceNQ]
+ * @property {MarketValue} [minPriceHQ]
+ * @property {MarketValue} [maxPrice]
+ * @property {MarketValue} [currentAveragePrice]
+ * @property {MarketValue} [currentAveragePriceNQ]
+ * @property {MarketValue} [currentAveragePriceHQ]
+ * @property {number} [regularSaleVelocity]
+ * @property {MarketValue} [unitsSold]
+ * @property {MarketValue} [unitsForSale]
+ * @property {number} [listingsCount]
+ * @property {number} [lastUploadTime]
+ * @property {Listing[]} [listings]
+ * @property {Sale[]} [recentHistory]
+ */
+
+/**
+ * Item sheet data from the metadata import
+ * @typedef {Object} ItemMetadata
+ * @property {string|null} [nameEn]
+ * @property {string|null} [nameJa]
+ * @property {string|null} [nameZh]
+ * @property {number|null} [uiCategoryId]
+ * @property {string|null} [uiCategory]
+ * @property {number|null} [itemLevel]
+ * @property {number|null} [stackSize]
+ * @property {string|null} [iconPath]
+ */
+
+/**
+ * @typedef {Object} Freshness
+ * @property {number|null} lastUploadTime
+ * @property {number|null} ageMs
+ * @property {boolean} stale
+ */
+
+/**
+ * A tracked item in one world; projected responses (view/fields) only contain some fields
+ * @typedef {Object} Item
+ * @property {number} id
+ * @property {string} [world]
+ * @property {string} [name]
+ * @property {number[]} [number]
+ * @property {number[]} [req]
+ * @property {MarketData} [marketData]
+ * @property {string} [classification] - Tier name (see server/tiers.json)
+ * @property {number|null} [lastUpdate]
+ * @property {number|null} [nextUpdate]
+ * @property {Object|null} [refresh] - How the next update time was chosen
+ * @property {string|null} [contentHash]
+ * @property {number|null} [lastChangedAt]
+ * @property {number} [unchangedCount]
+ * @property {ItemMetadata|null} [metadata]
+ * @property {Freshness} [freshness]
+ */
+
+/**
+ * @typedef {Item & {match: {field: string, score: number}}} SearchResult
+ */
+
+/**
+ * A price snapshot (raw) or a bucket of them (hour/day)
+ * @typedef {Object} HistorySnapshot
+ * @property {number} recordedAt - Epoch milliseconds
+ */
+
+/**
+ * @typedef {Object} ItemHistory
+ * @property {number} itemID
+ * @property {string} world
+ * @property {number} from - Epoch milliseconds
+ * @property {number} to - Epoch milliseconds
+ * @property {'raw'|'hour'|'day'} resolution
+ * @property {HistorySnapshot[]} snapshots
+ */
+
+/**
+ * @typedef {Object} Sale
+ * @property {number} [timestamp]
+ * @property {string|null} [worldName]
+ * @property {string|null} [buyerName]
+ * @property {number} [quantity]
+ * @property {number} [pricePerUnit]
+ * @property {boolean} [hq]
+ * @property {boolean} [onMannequin]
+ */
+
+/**
+ * @typedef {Object} ClassificationChange
+ * @property {number} changedAt - Epoch milliseconds
+ * @property {string|null} fromTier
+ * @property {string} toTier
+ * @property {string|null} [metric]
+ * @property {number|null} [metricValue]
+ */
+
+/**
+ * @typedef {Object} ArbitrageOpportunity
+ * @property {number} itemId
+ * @property {string} name
+ * @property {ItemMetadata|null} [metadata]
+ * @property {boolean} hq
+ * @property {string} buyWorld
+ * @property {string} sellWorld
+ * @property {number} buyPrice
+ * @property {number} sellPrice
+ * @property {number} [margin]
+ * @property {number} [marginPercent]
+ * @property {number} [quantity]
+ * @property {number} [availableQuantity]
+ * @property {number} [homeUnitsSold]
+ * @property {number} expectedProfit
+ */
+
+/**
+ * @typedef {Object} CatalogItem
+ * @property {number} id
+ * @property {string} name
+ * @property {number[]} number - Quantity tiers
+ * @property {number[]} req - Required amount per quantity tier
+ */
+
+/**
+ * @typedef {Object} CatalogItemInput
+ * @property {number} id
+ * @property {string} name
+ * @property {number[]} [number]
+ * @property {number[]} [req]
+ */
+
+/**
+ * @typedef {Object} CatalogItemChanges
+ * @property {string} [name]
+ * @property {number[]} [number]
+ * @property {number[]} [req]
+ */
+
+/**
+ * @typedef {Object} Group
+ * @property {number} id
+ * @property {string} name
+ * @property {string|null} [description]
+ * @property {number[]} itemIds
+ */
+
+/**
+ * @typedef {Object} GroupInput
+ * @property {string} name
+ * @property {string|null} [description]
+ * @property {number[]} [itemIds]
+ */
+
+/**
+ * itemIds replaces the members
+ * @typedef {Object} GroupChanges
+ * @property {string} [name]
+ * @property {string|null} [description]
+ * @property {number[]} [itemIds]
+ */
+
+/**
+ * @typedef {Object} Job
+ * @property {string} name
+ * @property {string} [description]
+ * @property {string} schedule - Cron expression
+ * @property {boolean} paused
+ * @property {boolean} running
+ * @property {Object|null} [currentRun]
+ * @property {Object|null} [lastRun] - { startedAt, finishedAt, durationMs, success, error, result }
+ * @property {number} [runCount]
+ * @property {number} [failureCount]
+ * @property {number} [skippedCount]
+ * @property {Object[]} [recentErrors]
+ */
+
+/**
+ * Health check
+ * GET /health
+ * @returns {Promise<{status: 'ok', timestamp: string, worldName: string, worlds: string[]}>}
+ */
+export function checkHealth() {
+  return request('GET', buildUrl('/health'));
+}
+
+/**
+ * List tracked worlds/data centers
+ * GET /api/worlds
+ * @returns {Promise<{success: true, defaultWorld: string, worlds: string[]}>}
+ */
+export function listWorlds() {
+  return request('GET', buildUrl('/api/worlds'));
+}
+
+/**
+ * Get server statistics
+ * GET /api/stats
+ * @param {Object} [query] - Query parameters
+ * @param {string} [query.world] - Tracked world/data center (default: the first configured world)
+ * @returns {Promise<{success: true, world: string, stats: {total: number, stale: number}, freshness: Object, refresh: Object, tiers: Object, queue: Object, upstream: Object, retryQueue: Object, writes: Object, realtime: Object, stream: Object, cost: Object, updateIntervals: Object<string, string>}>}
+ */
+export function getStats(query = {}) {
+  return request('GET', buildUrl('/api/stats', query));
+}
+
+/**
+ * Check the stored state of a few sample items
+ * GET /api/debug/store
+ * @param {Object} [query] - Query parameters
+ * @param {string} [query.world] - Tracked world/data center (default: the first configured world)
+ * @returns {Promise<{success: true, debug: Object[]}>}
+ */
+export function getDebugStore(query = {}) {
+  return request('GET', buildUrl('/api/debug/store', query));
+}
+
+/**
+ * Get this OpenAPI document
+ * GET /api/openapi.json
+ * @returns {Promise<Object>}
+ */
+export function getOpenApiDocument() {
+  return request('GET', buildUrl('/api/openapi.json'));
+}
+
+/**
+ * List items, optionally filtered, sorted and paged
+ * GET /api/items
+ * @param {Object} [query] - Query parameters
+ * @param {string} [query.world] - Tracked world/data center (default: the first configured world)
+ * @param {'summary'|'full'} [query.view] - 'summary' (prices and counts only) or 'full'
+ * @param {string} [query.fields] - Comma-separated fields to return, nested ones in dot notation (e.g. marketData.minPrice); overrides view
+ * @param {string} [query.classification] - Tier name (see server/tiers.json, e.g. 'hot', 'mild', 'cold')
+ * @param {string} [query.group] - Only members of this group (ID or name), in group order
+ * @param {string} [query.category] - Only items in this UI category (case-insensitive, needs imported metadata)
+ * @param {boolean} [query.stale] - true for items whose newest upstream upload is older than the stale threshold, false for the rest
+ * @param {number} [query.minPrice] - Lowest listing price at least
+ * @param {number} [query.maxPrice] - Lowest listing price at most
+ * @param {number} [query.minVelocity] - Units sold over the sales window at least
+ * @param {boolean} [query.hasData] - true for items with market data, false for the rest
+ * @param {string} [query.name] - Name contains (case-insensitive)
+ * @param {'id'|'name'|'minPrice'|'avgPrice'|'unitsSold'|'unitsForSale'|'listingsCount'|'lastUploadTime'|'lastUpdate'} [query.sort] - Sort field (default: catalog order, or group order with group)
+ * @param {'asc'|'desc'} [query.order] - Sort order; items without a value come last either way
+ * @param {number} [query.limit] - Page size (default: all items, max: 500)
+ * @param {string} [query.cursor] - nextCursor of the previous page, with the same filters, sort and order
+ * @returns {Promise<{success: true, count: number, total: number, nextCursor: string|null, items: Item[]}>}
+ */
+export function listItems(query = {}) {
+  return request('GET', buildUrl('/api/items', query));
+}
+
+/**
+ * Search tracked items by ID, Chinese name, pinyin, pinyin initials or alternate-language name
+ * GET /api/items/search
+ * @param {Object} query - Query parameters
+ * @param {string} [query.world] - Tracked world/data center (default: the first configured world)
+ * @param {string} query.q - Search text
+ * @param {number} [query.limit] - Maximum results (default: 20, max: 100)
+ * @returns {Promise<{success: true, query: string, count: number, items: SearchResult[]}>}
+ */
+export function searchItems(query) {
+  return request('GET', buildUrl('/api/items/search', query));
+}
+
+/**
+ * Get an item by ID
+ * GET /api/items/{id}
+ * @param {number} id - Item ID
+ * @param {Object} [query] - Query parameters
+ * @param {string} [query.world] - Tracked world/data center (default: the first configured world)
+ * @param {'summary'|'full'} [query.view] - 'summary' (prices and counts only) or 'full'
+ * @param {string} [query.fields] - Comma-separated fields to return, nested ones in dot notation (e.g. marketData.minPrice); overrides view
+ * @returns {Promise<{success: true, item: Item}>}
+ */
+export function getItem(id, query = {}) {
+  return request('GET', buildUrl(`/api/items/${encodeURIComponent(id)}`, query));
+}
+
+/**
+ * Get price/volume history for an item
+ * GET /api/items/{id}/history
+ * @param {number} id - Item ID
+ * @param {Object} [query] - Query parameters
+ * @param {string} [query.world] - Tracked world/data center (default: the first configured world)
+ * @param {string} [query.from] - Range start, epoch ms or date string (default: 7 days before to)
+ * @param {string} [query.to] - Range end, epoch ms or date string (default: now)
+ * @param {'raw'|'hour'|'day'} [query.resolution]
+ * @returns {Promise<{success: true, count: number, history: ItemHistory}>}
+ */
+export function getItemHistory(id, query = {}) {
+  return request('GET', buildUrl(`/api/items/${encodeURIComponent(id)}/history`, query));
+}
+
+/**
+ * Get recorded sales for an item, newest first
+ * GET /api/items/{id}/sales
+ * @param {number} id - Item ID
+ * @param {Object} [query] - Query parameters
+ * @param {string} [query.world] - Tracked world/data center (default: the first configured world)
+ * @param {number} [query.limit] - Page size (default: 50, max: 500)
+ * @param {number} [query.offset] - Number of entries to skip
+ * @param {string} [query.saleWorld] - Only sales made on this world (useful for data centers/regions)
+ * @returns {Promise<{success: true, count: number, itemID: number, world: string, total: number, limit: number, offset: number, sales: Sale[]}>}
+ */
+export function getItemSales(id, query = {}) {
+  return request('GET', buildUrl(`/api/items/${encodeURIComponent(id)}/sales`, query));
+}
+
+/**
+ * Get an item's tier changes, newest first
+ * GET /api/items/{id}/classification-history
+ * @param {number} id - Item ID
+ * @param {Object} [query] - Query parameters
+ * @param {string} [query.world] - Tracked world/data center (default: the first configured world)
+ * @param {number} [query.limit] - Page size (default: 50, max: 500)
+ * @param {number} [query.offset] - Number of entries to skip
+ * @returns {Promise<{success: true, count: number, itemID: number, world: string, total: number, limit: number, offset: number, changes: ClassificationChange[]}>}
+ */
+export function getItemClassificationHistory(id, query = {}) {
+  return request('GET', buildUrl(`/api/items/${encodeURIComponent(id)}/classification-history`, query));
+}
+
+/**
+ * Fetch an item from Universalis now and return the updated item
+ * POST /api/items/{id}/refresh
+ * @param {number} id - Item ID
+ * @param {Object} [query] - Query parameters
+ * @param {string} [query.world] - Tracked world/data center (default: the first configured world)
+ * @returns {Promise<{success: true, item: Item}>}
+ */
+export function refreshItem(id, query = {}) {
+  return request('POST', buildUrl(`/api/items/${encodeURIComponent(id)}/refresh`, query));
+}
+
+/**
+ * Get multiple items by ID
+ * GET /api/items/batch/{ids}
+ * @param {string} ids - Comma-separated item IDs
+ * @param {Object} [query] - Query parameters
+ * @param {string} [query.world] - Tracked world/data center (default: the first configured world)
+ * @param {'summary'|'full'} [query.view] - 'summary' (prices and counts only) or 'full'
+ * @param {string} [query.fields] - Comma-separated fields to return, nested ones in dot notation (e.g. marketData.minPrice); overrides view
+ * @returns {Promise<{success: true, count: number, requested: number, items: Item[]}>}
+ */
+export function getItemsBatch(ids, query = {}) {
+  return request('GET', buildUrl(`/api/items/batch/${encodeURIComponent(ids)}`, query));
+}
+
+/**
+ * Get every job with its schedule, state and last run
+ * GET /api/admin/jobs
+ * @returns {Promise<{success: true, count: number, jobs: Job[]}>}
+ */
+export function listJobs() {
+  return request('GET', buildUrl('/api/admin/jobs'));
+}
+
+/**
+ * Get one job
+ * GET /api/admin/jobs/{name}
+ * @param {string} name - Job name (e.g. tier-refresh)
+ * @returns {Promise<{success: true, job: Job}>}
+ */
+export function getJob(name) {
+  return request('GET', buildUrl(`/api/admin/jobs/${encodeURIComponent(name)}`));
+}
+
+/**
+ * Stop running a job on its schedule until it is resumed
+ * POST /api/admin/jobs/{name}/pause
+ * @param {string} name - Job name (e.g. tier-refresh)
+ * @returns {Promise<{success: true, job: Job}>}
+ */
+export function pauseJob(name) {
+  return request('POST', buildUrl(`/api/admin/jobs/${encodeURIComponent(name)}/pause`));
+}
+
+/**
+ * Run a paused job on its schedule again
+ * POST /api/admin/jobs/{name}/resume
+ * @param {string} name - Job name (e.g. tier-refresh)
+ * @returns {Promise<{success: true, job: Job}>}
+ */
+export function resumeJob(name) {
+  return request('POST', buildUrl(`/api/admin/jobs/${encodeURIComponent(name)}/resume`));
+}
+
+/**
+ * Start a job now in the background
+ * POST /api/admin/jobs/{name}/trigger
+ * @param {string} name - Job name (e.g. tier-refresh)
+ * @returns {Promise<{success: true, job: Job}>}
+ */
+export function triggerJob(name) {
+  return request('POST', buildUrl(`/api/admin/jobs/${encodeURIComponent(name)}/trigger`));
+}
+
+/**
+ * Get database size, row counts per table and retention settings
+ * GET /api/admin/storage
+ * @returns {Promise<{success: true, storage: Object, retention: Object, lastCompaction: Object|null}>}
+ */
+export function getStorageReport() {
+  return request('GET', buildUrl('/api/admin/storage'));
+}
+
+/**
+ * Write a timestamped copy of the database using SQLite's online backup API
+ * POST /api/admin/backup
+ * @returns {Promise<{success: true, backup: Object}>}
+ */
+export function createBackup() {
+  return request('POST', buildUrl('/api/admin/backup'));
+}
+
+/**
+ * Stream the whole database as JSON lines
+ * GET /api/admin/export
+ * @returns {Promise<string>}
+ */
+export function exportData() {
+  return request('GET', buildUrl('/api/admin/export'), { json: false });
+}
+
+/**
+ * Merge a JSON-lines export into the database
+ * POST /api/admin/import
+ * @param {string} body - Output of GET /api/admin/export
+ * @returns {Promise<{success: true, imported: Object}>}
+ */
+export function importData(body) {
+  return request('POST', buildUrl('/api/admin/import'), { body, contentType: 'application/x-ndjson' });
+}
+
+/**
+ * Get all tracked items
+ * GET /api/catalog/items
+ * @returns {Promise<{success: true, count: number, items: CatalogItem[]}>}
+ */
+export function listCatalogItems() {
+  return request('GET', buildUrl('/api/catalog/items'));
+}
+
+/**
+ * Start tracking an item
+ * POST /api/catalog/items
+ * @param {CatalogItemInput} body - Request body
+ * @returns {Promise<{success: true, item: CatalogItem}>}
+ */
+export function addCatalogItem(body) {
+  return request('POST', buildUrl('/api/catalog/items'), { body });
+}
+
+/**
+ * Get a tracked item by ID
+ * GET /api/catalog/items/{id}
+ * @param {number} id - Item ID
+ * @returns {Promise<{success: true, item: CatalogItem}>}
+ */
+export function getCatalogItem(id) {
+  return request('GET', buildUrl(`/api/catalog/items/${encodeURIComponent(id)}`));
+}
+
+/**
+ * Update a tracked item's name, number tiers or req values
+ * PUT /api/catalog/items/{id}
+ * @param {number} id - Item ID
+ * @param {CatalogItemChanges} body - Request body
+ * @returns {Promise<{success: true, item: CatalogItem}>}
+ */
+export function updateCatalogItem(id, body) {
+  return request('PUT', buildUrl(`/api/catalog/items/${encodeURIComponent(id)}`), { body });
+}
+
+/**
+ * Stop tracking an item (stored market data and history are kept)
+ * DELETE /api/catalog/items/{id}
+ * @param {number} id - Item ID
+ * @returns {Promise<{success: true, id: number}>}
+ */
+export function removeCatalogItem(id) {
+  return request('DELETE', buildUrl(`/api/catalog/items/${encodeURIComponent(id)}`));
+}
+
+/**
+ * Get all groups
+ * GET /api/groups
+ * @returns {Promise<{success: true, count: number, groups: Group[]}>}
+ */
+export function listGroups() {
+  return request('GET', buildUrl('/api/groups'));
+}
+
+/**
+ * Create a group
+ * POST /api/groups
+ * @param {GroupInput} body - Request body
+ * @returns {Promise<{success: true, group: Group}>}
+ */
+export function createGroup(body) {
+  return request('POST', buildUrl('/api/groups'), { body });
+}
+
+/**
+ * Get a group by ID
+ * GET /api/groups/{id}
+ * @param {number} id - Group ID
+ * @returns {Promise<{success: true, group: Group}>}
+ */
+export function getGroup(id) {
+  return request('GET', buildUrl(`/api/groups/${encodeURIComponent(id)}`));
+}
+
+/**
+ * Update a group
+ * PUT /api/groups/{id}
+ * @param {number} id - Group ID
+ * @param {GroupChanges} body - Request body
+ * @returns {Promise<{success: true, group: Group}>}
+ */
+export function updateGroup(id, body) {
+  return request('PUT', buildUrl(`/api/groups/${encodeURIComponent(id)}`), { body });
 }
 
 /**
- * Fetch all items from backend
- * @param {string} classification - Optional classification filter ('hot', 'mild', 'cold')
- * @returns {Promise<Array>} Array of items
+ * Delete a group (its items stay tracked)
+ * DELETE /api/groups/{id}
+ * @param {number} id - Group ID
+ * @returns {Promise<{success: true, id: number}>}
  */
-export async function fetchAllItems(classification = null) {
-  const url = classification 
-    ? `${API_BASE_URL}/api/items?classification=${classification}`
-    : `${API_BASE_URL}/api/items`;
-  
-  const data = await apiRequest(url, 'fetching items from backend');
-  return data.items || [];
+export function deleteGroup(id) {
+  return request('DELETE', buildUrl(`/api/groups/${encodeURIComponent(id)}`));
 }
 
 /**
- * Fetch item by ID from backend
- * @param {number} itemID - Item ID
- * @returns {Promise<Object>} Item data
+ * Add items to a group
+ * POST /api/groups/{id}/items
+ * @param {number} id - Group ID
+ * @param {{itemIds: number[]}} body - Request body
+ * @returns {Promise<{success: true, group: Group}>}
  */
-export async function fetchItemById(itemID) {
-  const data = await apiRequest(
-    `${API_BASE_URL}/api/items/${itemID}`, 
-    'fetching item from backend'
-  );
-  return data.item;
+export function addGroupItems(id, body) {
+  return request('POST', buildUrl(`/api/groups/${encodeURIComponent(id)}/items`), { body });
 }
 
 /**
- * Fetch multiple items by IDs from backend
- * @param {number[]} itemIDs - Array of item IDs
- * @returns {Promise<Array>} Array of items
+ * Remove an item from a group
+ * DELETE /api/groups/{id}/items/{itemId}
+ * @param {number} id - Group ID
+ * @param {number} itemId - Item ID
+ * @returns {Promise<{success: true, group: Group}>}
  */
-export async function fetchItemsByIds(itemIDs) {
-  const idsString = itemIDs.join(',');
-  const data = await apiRequest(
-    `${API_BASE_URL}/api/items/batch/${idsString}`, 
-    'fetching items from backend'
-  );
-  return data.items || [];
+export function removeGroupItem(id, itemId) {
+  return request('DELETE', buildUrl(`/api/groups/${encodeURIComponent(id)}/items/${encodeURIComponent(itemId)}`));
 }
 
 /**
- * Fetch server statistics
- * @returns {Promise<Object>} Server statistics
+ * Rank tracked items by expected profit from buying on another world and selling on a home world
+ * GET /api/arbitrage
+ * @param {Object} query - Query parameters
+ * @param {string} query.home - World to sell on
+ * @param {string} [query.world] - Only use data fetched for this tracked world/data center (default: all tracked worlds)
+ * @param {number} [query.days] - Sales window for the home world sell price (default: 7, max: 90)
+ * @param {number} [query.minProfit] - Minimum expected profit in gil (default: 0)
+ * @param {number} [query.limit] - Maximum results (default: 50, max: 500)
+ * @returns {Promise<{success: true, home: string, days: number, taxRate: number, opportunities: ArbitrageOpportunity[], count: number}>}
  */
-export async function fetchStats() {
-  return await apiRequest(`${API_BASE_URL}/api/stats`, 'fetching stats from backend');
+export function findArbitrage(query) {
+  return request('GET', buildUrl('/api/arbitrage', query));
 }
 
 /**
- * Check backend health
- * @returns {Promise<Object>} Health status
+ * Stream item updates as Server-Sent Events
+ * GET /api/stream
+ * @param {Object} [query] - Query parameters
+ * @param {string} [query.world] - Tracked world/data center (default: the first configured world)
+ * @param {string} [query.ids] - Only these item IDs (comma-separated)
+ * @param {string} [query.group] - Only members of this group (ID or name), as of connecting
+ * @param {string} [query.classification] - Only items in (or moving into or out of) this tier
+ * @param {string} [query.lastEventId] - Resume after this event (alternative to the Last-Event-ID header)
+ * @returns {EventSource} Event source (close it when done)
  */
-export async function checkHealth() {
-  return await apiRequest(`${API_BASE_URL}/health`, 'checking backend health');
+export function streamItems(query = {}) {
+  return new EventSource(buildUrl('/api/stream', query));
 }
@@ -15,4 +15,8 @@ export default defineConfig({
       '@': fileURLToPath(new URL('./src', import.meta.url))
     },
   },
+  test: {
+    // Modules under test use their production settings (e.g. the direct Universalis API URL)
+    env: { DEV: false, PROD: true },
+  },
 })